@@ -1,5 +1,6 @@
 const axios = require('axios');
 require('dotenv').config();
+const config = require('./src/config');
 
 /**
  * Script to get Lark group IDs for configuring webhook notifications
@@ -8,7 +9,8 @@ require('dotenv').config();
 
 class LarkGroupFinder {
   constructor() {
-    this.baseURL = 'https://open.feishu.cn/open-apis';
+    // open.feishu.cn or open.larksuite.com, per LARK_DOMAIN
+    this.baseURL = config.lark.apiBaseUrl;
     this.accessToken = null;
   }
 
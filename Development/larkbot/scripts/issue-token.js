@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+
+const authService = require('../src/services/auth');
+const { ROLES } = require('../src/services/auth');
+
+/**
+ * Issues a JWT for /api, /export and /admin
+ * Usage: npm run auth:token -- <subject> <viewer|exporter|admin> [expiresIn=12h] [name]
+ * Tokens are signed with JWT_SECRET, so they are accepted by every server sharing that secret.
+ */
+function issueToken(args = process.argv.slice(2)) {
+  const [sub, role, expiresIn = '12h', name] = args;
+
+  if (!sub || !ROLES.includes(role)) {
+    console.log(`Usage: npm run auth:token -- <subject> <${ROLES.join('|')}> [expiresIn=12h] [name]`);
+    process.exit(1);
+  }
+
+  try {
+    const token = authService.issueToken({ sub, role, name }, { expiresIn });
+
+    console.log(`🔐 ${role} token for ${sub}, valid for ${expiresIn}:\n`);
+    console.log(token);
+    console.log('\nSend it as: Authorization: Bearer <token>');
+  } catch (error) {
+    console.error('❌ Could not issue token:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if executed directly
+if (require.main === module) {
+  issueToken();
+}
+
+module.exports = issueToken;
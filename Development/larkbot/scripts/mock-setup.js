@@ -37,6 +37,8 @@ REDIS_PASSWORD=
 
 # Security (change these in production)
 JWT_SECRET=mock-jwt-secret-for-development
+# Local admin key for /api, /export and /admin (send it as the X-API-Key header)
+API_KEYS='{"mock-admin-key":{"name":"local-dev","role":"admin"}}'
 ENCRYPTION_KEY=mock-encryption-key-for-development
 
 # Rate Limiting
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+const { intercomService, ticketMirrorService } = require('../src/services');
+
+/**
+ * Rebuilds the local ticket mirror from Intercom
+ * Run it after enabling the mirror on an existing workspace, or whenever the mirror looks out of date.
+ * Stop the server first: the mirror file is only written by one process at a time.
+ */
+async function resyncMirror() {
+  console.log('🪞 Rebuilding the ticket mirror from Intercom');
+  console.log('=============================================\n');
+
+  try {
+    await intercomService.initialize();
+
+    if (!ticketMirrorService.options.enabled) {
+      console.log('⚠️  TICKET_MIRROR_ENABLED is not set: the mirror will be rebuilt but not used until it is\n');
+    }
+
+    const result = await ticketMirrorService.resync();
+    const mirrored = ticketMirrorService.db.count();
+    await ticketMirrorService.cleanup();
+
+    console.log(`✅ Scanned ${result.scanned} tickets in ${Math.round(result.durationMs / 1000)}s`);
+    console.log(`   Updated: ${result.updated}`);
+    console.log(`   Removed: ${result.removed}`);
+    console.log(`   Mirrored: ${mirrored}\n`);
+  } catch (error) {
+    console.error('❌ Resync failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if executed directly
+if (require.main === module) {
+  resyncMirror();
+}
+
+module.exports = resyncMirror;
@@ -14,6 +14,11 @@ const rl = readline.createInterface({
   output: process.stdout
 });
 
+const LARK_CONSOLES = {
+  feishu: 'https://open.feishu.cn/app',
+  lark: 'https://open.larksuite.com/app'
+};
+
 function question(query) {
   return new Promise(resolve => rl.question(query, resolve));
 }
@@ -25,8 +30,18 @@ async function main() {
   console.log('This script will help you configure your Lark Suite API credentials.');
   console.log('Make sure you have already created a Lark Suite app in the developer console.\n');
   
-  console.log('📖 If you haven\'t created an app yet, please follow these steps:');
-  console.log('1. Visit: https://open.larksuite.com/app (or https://open.feishu.cn/app for Chinese users)');
+  // Feishu (China) and Lark (international) apps live on different open platforms
+  const domainAnswer = await question(
+    'Is your app on Feishu (open.feishu.cn) or Lark (open.larksuite.com)? (feishu/lark) [feishu]: '
+  );
+  let larkDomain = domainAnswer.trim().toLowerCase() || 'feishu';
+  if (!LARK_CONSOLES[larkDomain]) {
+    console.log('⚠️  Warning: unknown domain, using feishu');
+    larkDomain = 'feishu';
+  }
+
+  console.log('\n📖 If you haven\'t created an app yet, please follow these steps:');
+  console.log(`1. Visit: ${LARK_CONSOLES[larkDomain]}`);
   console.log('2. Create a new "Custom App" with "Bot" capability');
   console.log('3. Get your App ID and App Secret from the "App Info" section');
   console.log('4. Configure permissions in "Permissions & Scopes" section\n');
@@ -50,22 +65,28 @@ async function main() {
   // Get App Secret
   const appSecret = await question('Enter your Lark App Secret: ');
   
-  // Get Webhook Secret (optional)
-  const webhookSecret = await question('Enter your Webhook Verification Token (optional, starts with v_): ');
+  // Get event subscription credentials (Events & Callbacks page)
+  const verificationToken = await question('Enter your Verification Token (starts with v_): ');
+  const encryptKey = await question('Enter your Encrypt Key (optional, enables encrypted events): ');
   
   // Get Intercom token (optional)
   const intercomToken = await question('Enter your Intercom Access Token (optional): ');
+  const intercomRegion = (await question('Where is your Intercom workspace hosted? (us/eu/au) [us]: '))
+    .trim().toLowerCase() || 'us';
   
   // Create .env file
   const envPath = path.join(process.cwd(), '.env');
   const envContent = `# Intercom Configuration
 INTERCOM_TOKEN=${intercomToken || 'your_intercom_access_token_here'}
 INTERCOM_APP_ID=your_intercom_app_id_here
+INTERCOM_REGION=${intercomRegion}
 
 # Lark Suite Configuration
+LARK_DOMAIN=${larkDomain}
 LARK_APP_ID=${appId}
 LARK_APP_SECRET=${appSecret}
-LARK_WEBHOOK_SECRET=${webhookSecret || 'your_webhook_secret_here'}
+LARK_VERIFICATION_TOKEN=${verificationToken || 'your_verification_token_here'}
+LARK_ENCRYPT_KEY=${encryptKey || ''}
 
 # Application Configuration
 NODE_ENV=development
@@ -96,6 +96,7 @@ class SetupWizard {
     this.config.INTERCOM_TOKEN = await this.promptSecret('Intercom Access Token');
     this.config.INTERCOM_APP_ID = await this.prompt('Intercom App ID (optional)');
     this.config.INTERCOM_API_VERSION = await this.prompt('Intercom API Version', '2.11');
+    this.config.INTERCOM_REGION = await this.prompt('Intercom Region, where the workspace is hosted (us/eu/au)', 'us');
     
     console.log('');
   }
@@ -107,6 +108,10 @@ class SetupWizard {
     console.log('🐦 Lark Suite Configuration');
     console.log('--------------------------');
     
+    this.config.LARK_DOMAIN = await this.prompt(
+      'Lark Domain (feishu: open.feishu.cn, lark: open.larksuite.com)',
+      'feishu'
+    );
     this.config.LARK_APP_ID = await this.prompt('Lark App ID (optional for Phase 1)');
     this.config.LARK_APP_SECRET = await this.promptSecret('Lark App Secret (optional for Phase 1)');
     this.config.LARK_BOT_TOKEN = await this.promptSecret('Lark Bot Token (optional for Phase 1)');
@@ -160,8 +165,10 @@ class SetupWizard {
 INTERCOM_TOKEN=${this.config.INTERCOM_TOKEN}
 INTERCOM_APP_ID=${this.config.INTERCOM_APP_ID}
 INTERCOM_API_VERSION=${this.config.INTERCOM_API_VERSION}
+INTERCOM_REGION=${this.config.INTERCOM_REGION}
 
 # Lark Suite Configuration
+LARK_DOMAIN=${this.config.LARK_DOMAIN}
 LARK_APP_ID=${this.config.LARK_APP_ID}
 LARK_APP_SECRET=${this.config.LARK_APP_SECRET}
 LARK_BOT_TOKEN=${this.config.LARK_BOT_TOKEN}
@@ -4,6 +4,22 @@ const path = require('path');
 // Load environment variables
 dotenv.config();
 
+// Intercom data hosting regions: REST API and inbox (web app) hosts
+const INTERCOM_REGIONS = {
+  us: { api: 'https://api.intercom.io', app: 'https://app.intercom.io' },
+  eu: { api: 'https://api.eu.intercom.io', app: 'https://app.eu.intercom.com' },
+  au: { api: 'https://api.au.intercom.io', app: 'https://app.au.intercom.com' }
+};
+
+// Lark open platform hosts: Feishu (China) and Lark (international) tenants cannot use each other's
+const LARK_DOMAINS = {
+  feishu: 'https://open.feishu.cn',
+  lark: 'https://open.larksuite.com'
+};
+
+const intercomRegion = (process.env.INTERCOM_REGION || 'us').toLowerCase();
+const larkDomain = (process.env.LARK_DOMAIN || 'feishu').toLowerCase();
+
 /**
  * Application Configuration
  * Centralizes all configuration settings for the Intercom-Lark automation system
@@ -23,11 +39,23 @@ const config = {
   intercom: {
     token: process.env.INTERCOM_TOKEN,
     appId: process.env.INTERCOM_APP_ID,
+    // Teammate used for Lark card actions by users who are not linked to an Intercom admin
+    defaultAdminId: process.env.INTERCOM_ADMIN_ID,
     apiVersion: process.env.INTERCOM_API_VERSION || '2.11',
-    baseUrl: 'https://api.intercom.io',
+    // us, eu or au: where the workspace is hosted
+    region: intercomRegion,
+    baseUrl: (INTERCOM_REGIONS[intercomRegion] || INTERCOM_REGIONS.us).api,
+    // Inbox host for "View in Intercom" links
+    appUrl: (INTERCOM_REGIONS[intercomRegion] || INTERCOM_REGIONS.us).app,
     rateLimit: {
       maxRequests: 10000,
       windowMs: 60000 // 1 minute
+    },
+    // Retries for requests that were rate limited (429) or unavailable (503); reads also retry 502/504
+    retry: {
+      maxRetries: parseInt(process.env.INTERCOM_WRITE_MAX_RETRIES) || 3,
+      baseDelayMs: parseInt(process.env.INTERCOM_WRITE_RETRY_DELAY_MS) || 1000,
+      maxDelayMs: 60000
     }
   },
 
@@ -36,7 +64,61 @@ const config = {
     appId: process.env.LARK_APP_ID,
     appSecret: process.env.LARK_APP_SECRET,
     botToken: process.env.LARK_BOT_TOKEN,
-    baseUrl: 'https://open.larksuite.com'
+    // Verification Token and Encrypt Key from the app's Events & Callbacks page
+    // (LARK_WEBHOOK_SECRET is the deprecated name of the Verification Token)
+    verificationToken: process.env.LARK_VERIFICATION_TOKEN || process.env.LARK_WEBHOOK_SECRET,
+    encryptKey: process.env.LARK_ENCRYPT_KEY,
+    // Signed requests whose x-lark-request-timestamp is further off than this are rejected as replays
+    maxRequestAgeSeconds: parseInt(process.env.LARK_MAX_REQUEST_AGE_SECONDS) || 300,
+    // feishu (open.feishu.cn) or lark (open.larksuite.com), matching where the app was created
+    domain: larkDomain,
+    baseUrl: LARK_DOMAINS[larkDomain] || LARK_DOMAINS.feishu,
+    apiBaseUrl: `${LARK_DOMAINS[larkDomain] || LARK_DOMAINS.feishu}/open-apis`,
+    // Timeouts, retries and client-side throttling for Lark API calls
+    requests: {
+      timeoutMs: parseInt(process.env.LARK_REQUEST_TIMEOUT_MS) || 10000,
+      maxRetries: parseInt(process.env.LARK_MAX_RETRIES) || 3,
+      baseDelayMs: parseInt(process.env.LARK_RETRY_DELAY_MS) || 500,
+      maxDelayMs: 30000,
+      // Lark allows 50 requests/second per app on most APIs and 5 messages/second per chat
+      appRatePerSecond: parseInt(process.env.LARK_APP_RATE_LIMIT) || 50,
+      chatRatePerSecond: parseInt(process.env.LARK_CHAT_RATE_LIMIT) || 5
+    },
+    cards: {
+      // Show Assign to me / Snooze / Add note / Close controls on ticket cards
+      actions: process.env.LARK_CARD_ACTIONS !== 'false',
+      // Patch the existing ticket card instead of posting a new one per event
+      updateInPlace: process.env.LARK_UPDATE_CARDS_IN_PLACE !== 'false',
+      // Also post a short threaded reply describing each change
+      threadReplies: process.env.LARK_CARD_THREAD_REPLIES === 'true',
+      // Forget card message IDs for tickets not updated in this many days
+      retentionDays: parseInt(process.env.LARK_CARD_RETENTION_DAYS) || 30
+    },
+    // Mirror routed tickets into a Lark Base (Bitable) table for ops views and dashboards
+    base: {
+      syncEnabled: process.env.LARK_BASE_SYNC_ENABLED === 'true',
+      // From the Base URL: https://<tenant>.<larksuite.com|feishu.cn>/base/<app_token>?table=<table_id>
+      appToken: process.env.LARK_BASE_APP_TOKEN,
+      // Table ID (tbl...) or name
+      table: process.env.LARK_BASE_TABLE || 'Tickets',
+      // Changes are batched and written this often
+      syncIntervalMs: parseInt(process.env.LARK_BASE_SYNC_INTERVAL_MS) || 5000
+    },
+    // Put scheduled site inspections on the assigned technician's Lark Calendar
+    calendar: {
+      enabled: process.env.LARK_CALENDAR_ENABLED === 'true',
+      // Calendar the events are created on (default: the app's primary calendar); technicians are invited
+      calendarId: process.env.LARK_CALENDAR_ID,
+      // Ticket custom attribute holding the appointment (Intercom date, or text like "2026-10-20 14:00")
+      appointmentAttribute: process.env.INSPECTION_APPOINTMENT_ATTRIBUTE || 'Appointment Date/Time',
+      durationMinutes: parseInt(process.env.INSPECTION_DURATION_MINUTES) || 60,
+      // Appointments typed without an offset are read in this timezone
+      timezone: process.env.INSPECTION_TIMEZONE || 'Asia/Kuala_Lumpur'
+    },
+    // Create a Lark task for the assignee of each routed ticket, due at the SLA deadline
+    tasks: {
+      enabled: process.env.LARK_TASKS_ENABLED === 'true'
+    }
   },
 
   // Redis Configuration
@@ -44,7 +126,22 @@ const config = {
     url: process.env.REDIS_URL || 'redis://localhost:6379',
     password: process.env.REDIS_PASSWORD,
     retryAttempts: 3,
-    retryDelay: 1000
+    retryDelay: 1000,
+    connectTimeout: parseInt(process.env.REDIS_CONNECT_TIMEOUT_MS) || 2000
+  },
+
+  // Event Queue (webhook processing)
+  queue: {
+    // auto: Redis when reachable, otherwise the local file store
+    backend: process.env.QUEUE_BACKEND || 'auto',
+    keyPrefix: process.env.QUEUE_KEY_PREFIX || 'larkbot:queue',
+    pollIntervalMs: parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 1000,
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY) || 5,
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 6,
+    backoffBaseMs: parseInt(process.env.QUEUE_BACKOFF_BASE_MS) || 2000,
+    backoffMaxMs: parseInt(process.env.QUEUE_BACKOFF_MAX_MS) || 10 * 60 * 1000,
+    // Jobs in processing longer than this are assumed lost and queued again
+    visibilityTimeoutMs: parseInt(process.env.QUEUE_VISIBILITY_TIMEOUT_MS) || 5 * 60 * 1000
   },
 
   // Webhook Configuration
@@ -52,7 +149,69 @@ const config = {
     secret: process.env.WEBHOOK_SECRET,
     port: parseInt(process.env.WEBHOOK_PORT) || 3000,
     url: process.env.WEBHOOK_URL,
-    timeout: 30000 // 30 seconds
+    timeout: 30000, // 30 seconds
+    dedupe: {
+      // How long a processed delivery is remembered to drop Intercom retries
+      ttlMs: parseInt(process.env.WEBHOOK_DEDUPE_TTL_MS) || 24 * 60 * 60 * 1000,
+      // Events for one conversation within this window become a single Lark update (0 disables)
+      coalesceWindowMs: parseInt(process.env.WEBHOOK_COALESCE_WINDOW_MS ?? 3000)
+    }
+  },
+
+  // Notification Routing
+  routing: {
+    rulesFile: process.env.ROUTING_RULES_FILE || path.join(__dirname, 'routing-rules.json'),
+    reloadCheckMs: parseInt(process.env.ROUTING_RELOAD_CHECK_MS) || 5000
+  },
+
+  // Intercom teammate <-> Lark user mapping (matched by email)
+  identity: {
+    // JSON object of Intercom admin ID or email -> Lark open_id, for people whose emails differ
+    overrides: process.env.LARK_IDENTITY_OVERRIDES || '{}',
+    cacheTtlMs: parseInt(process.env.LARK_IDENTITY_CACHE_TTL_MS) || 24 * 60 * 60 * 1000,
+    // Emails with no Lark account are looked up again after this long
+    missTtlMs: parseInt(process.env.LARK_IDENTITY_MISS_TTL_MS) || 60 * 60 * 1000
+  },
+
+  // SLA tracking for routed tickets (alerts go to the chats the ticket was routed to)
+  sla: {
+    enabled: process.env.SLA_ENABLED !== 'false',
+    checkIntervalMs: parseInt(process.env.SLA_CHECK_INTERVAL_MS) || 30000,
+    express: {
+      targetMinutes: parseInt(process.env.SLA_EXPRESS_TARGET_MINUTES) || 180,
+      // Warning cards are posted when this many minutes are left
+      warningMinutes: (process.env.SLA_EXPRESS_WARNING_MINUTES || '60,15').split(',')
+        .map((m) => parseInt(m))
+        .filter((m) => m > 0)
+    },
+    standard: {
+      targetMinutes: parseInt(process.env.SLA_STANDARD_TARGET_MINUTES) || 24 * 60,
+      warningMinutes: (process.env.SLA_STANDARD_WARNING_MINUTES || '120,30').split(',')
+        .map((m) => parseInt(m))
+        .filter((m) => m > 0)
+    },
+    // Due times on alert cards are shown in this timezone
+    timezone: process.env.SLA_TIMEZONE || process.env.INSPECTION_TIMEZONE || 'Asia/Kuala_Lumpur',
+    // @mentioned on breach cards: Lark open_ids (ou_...), Intercom admin emails or Intercom admin IDs
+    escalation: (process.env.SLA_ESCALATION_LIST || '').split(',').map((entry) => entry.trim()).filter(Boolean)
+  },
+
+  // Local mirror of Intercom tickets, kept current by webhooks and a periodic incremental sync
+  mirror: {
+    enabled: process.env.TICKET_MIRROR_ENABLED === 'true',
+    syncIntervalMs: parseInt(process.env.TICKET_MIRROR_SYNC_INTERVAL_MS) || 10 * 60 * 1000,
+    // Fetch each changed ticket to store its conversation parts (one extra API call per ticket)
+    syncParts: process.env.TICKET_MIRROR_SYNC_PARTS !== 'false',
+    // Incremental syncs look back this far past the last seen updated_at to catch late writes
+    overlapSeconds: 300
+  },
+
+  // Per-ticket audit trail of received webhooks, routing decisions and Lark deliveries
+  history: {
+    maxEventsPerTicket: parseInt(process.env.TICKET_HISTORY_MAX_EVENTS) || 200,
+    retentionDays: parseInt(process.env.TICKET_HISTORY_RETENTION_DAYS) || 30,
+    // How often tickets past the retention window are dropped (default: hourly)
+    pruneIntervalMs: parseInt(process.env.TICKET_HISTORY_PRUNE_INTERVAL_MS) || 60 * 60 * 1000
   },
 
   // Security Settings
@@ -60,7 +219,38 @@ const config = {
     jwtSecret: process.env.JWT_SECRET || 'default-secret-change-in-production',
     encryptionKey: process.env.ENCRYPTION_KEY,
     rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000,
-    rateLimitMaxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100
+    rateLimitMaxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+    // Authentication for /api, /export and /admin (health endpoints and webhooks are not affected)
+    auth: {
+      // Only for local development: every request is treated as an admin
+      enabled: process.env.AUTH_ENABLED !== 'false',
+      // JSON object of API key -> { name, role }, sent as the X-API-Key header
+      apiKeys: process.env.API_KEYS || '{}',
+      // Optional JWT claims to enforce (tokens are HS256, signed with JWT_SECRET)
+      jwtIssuer: process.env.JWT_ISSUER,
+      jwtAudience: process.env.JWT_AUDIENCE
+    },
+    // Audit trail of exports and admin actions
+    audit: {
+      maxEntries: parseInt(process.env.AUDIT_MAX_ENTRIES) || 5000,
+      retentionDays: parseInt(process.env.AUDIT_RETENTION_DAYS) || 90
+    }
+  },
+
+  // PII Redaction Settings
+  privacy: {
+    // Mask PII in everything written to the logs (turn off only to debug locally)
+    redactLogs: process.env.LOG_REDACTION !== 'false',
+    // Keys whose values are masked; a key matches when it contains one of these, ignoring case and punctuation
+    redactFields: (process.env.REDACT_FIELDS || [
+      'pic name,pic contact,contact number,phone,mobile,email,address',
+      'authorization,cookie,api key,password,secret,token'
+    ].join(',')).split(',').map((entry) => entry.trim()).filter(Boolean),
+    // Free-text patterns scrubbed from log messages and values: email, phone, address
+    redactPatterns: (process.env.REDACT_PATTERNS || 'email,phone,address')
+      .split(',').map((entry) => entry.trim()).filter(Boolean),
+    // Mask PII in exports unless the request sets maskPii: false
+    maskExports: process.env.EXPORT_MASK_PII === 'true'
   },
 
   // Feature Flags
@@ -91,11 +281,27 @@ const config = {
     concurrency: 5
   },
 
+  // Local Storage Settings
+  storage: {
+    dataDir: process.env.DATA_DIR || path.join(__dirname, '../../data'),
+    flushDelayMs: 1000,
+    // How long finished records are kept: synced Base rows, past site inspections, completed tasks
+    retentionMs: (parseInt(process.env.DATA_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000
+  },
+
   // Export Settings
   export: {
     outputDir: path.join(__dirname, '../../exports'),
     maxFileSize: '100MB',
-    supportedFormats: ['json', 'csv', 'xlsx']
+    supportedFormats: ['json', 'ndjson', 'csv', 'xlsx'],
+    // Background export jobs (POST /export/jobs)
+    jobs: {
+      maxConcurrent: parseInt(process.env.EXPORT_JOBS_CONCURRENCY) || 2,
+      // Jobs waiting for a slot beyond this are rejected with 429
+      maxQueued: parseInt(process.env.EXPORT_JOBS_MAX_QUEUED) || 20,
+      // Finished jobs are forgotten after this long (their files stay until DELETE /export/cleanup)
+      retentionHours: parseInt(process.env.EXPORT_JOBS_RETENTION_HOURS) || 24
+    }
   }
 };
 
@@ -125,6 +331,13 @@ function validateConfig() {
   if (missing.length > 0) {
     throw new Error(`Missing required configuration: ${missing.join(', ')}`);
   }
+
+  if (!INTERCOM_REGIONS[config.intercom.region]) {
+    throw new Error(`INTERCOM_REGION must be one of ${Object.keys(INTERCOM_REGIONS).join(', ')}`);
+  }
+  if (!LARK_DOMAINS[config.lark.domain]) {
+    throw new Error(`LARK_DOMAIN must be one of ${Object.keys(LARK_DOMAINS).join(', ')}`);
+  }
 }
 
 /**
@@ -153,6 +366,15 @@ function isProduction() {
   return config.app.environment === 'production';
 }
 
+/**
+ * Builds the Intercom inbox link for a conversation or ticket, on the workspace's regional host
+ * @param {string} conversationId - Intercom conversation or ticket ID
+ * @returns {string} Inbox URL
+ */
+function getIntercomConversationUrl(conversationId) {
+  return `${config.intercom.appUrl}/a/apps/${config.intercom.appId}/inbox/conversation/${conversationId}`;
+}
+
 /**
  * Gets the current phase based on enabled features
  * @returns {number} Current phase number
@@ -170,5 +392,6 @@ module.exports = {
   get,
   isDevelopment,
   isProduction,
+  getIntercomConversationUrl,
   getCurrentPhase
 };
@@ -5,7 +5,7 @@ const path = require('path');
 const config = require('./config');
 const logger = require('./utils/logger');
 const { setupRoutes } = require('./routes');
-const { initializeServices } = require('./services');
+const { initializeServices, cleanup: cleanupServices } = require('./services');
 
 /**
  * Main Application Entry Point
@@ -30,6 +30,11 @@ class Application {
       logger.info(`Environment: ${config.app.environment}`);
       logger.info(`Current Phase: ${config.getCurrentPhase()}`);
 
+      if (process.env.LARK_WEBHOOK_SECRET && !process.env.LARK_VERIFICATION_TOKEN) {
+        logger.warn('⚠️ LARK_WEBHOOK_SECRET is deprecated and is used as the Lark Verification Token - '
+          + 'rename it to LARK_VERIFICATION_TOKEN');
+      }
+
       // Setup middleware
       this.setupMiddleware();
 
@@ -65,6 +70,11 @@ class Application {
     // CRITICAL: Raw body parsing for webhook signature verification
     // This MUST come before the global JSON parsing middleware
     this.app.use('/webhook/intercom', express.raw({ type: 'application/json', limit: '10mb' }));
+    // Only the signed Lark callbacks; other /webhook/lark routes (e.g. test-message) take parsed JSON
+    this.app.post(
+      ['/webhook/lark', '/webhook/lark/card-action'],
+      express.raw({ type: 'application/json', limit: '10mb' })
+    );
 
     // Body parsing
     this.app.use(express.json({ limit: '10mb' }));
@@ -144,9 +154,9 @@ class Application {
         });
       }
 
-      // Add cleanup for services here
+      // Stop the queue worker and flush local stores
       try {
-        // await cleanupServices();
+        await cleanupServices();
         logger.info('Services cleaned up');
       } catch (error) {
         logger.error('Error during cleanup:', error);
@@ -0,0 +1,58 @@
+const authService = require('../services/auth');
+const logger = require('../utils/logger');
+
+/**
+ * Identifies the caller from an X-API-Key header or Bearer JWT.
+ * The caller is available as req.principal ({ id, name, role, method }).
+ */
+function authenticate(req, res, next) {
+  try {
+    req.principal = authService.authenticate(req.headers);
+  } catch (error) {
+    logger.warn('🔒 Rejected unauthenticated request', {
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip,
+      error: error.message
+    });
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(error.statusCode || 401).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  next();
+}
+
+/**
+ * Only lets callers whose role has a permission through (run after authenticate)
+ * @param {string} permission - 'data:read', 'export:write', 'export:manage' or 'system:admin'
+ * @returns {Function} Express middleware
+ */
+function authorize(permission) {
+  return (req, res, next) => {
+    try {
+      authService.authorize(req.principal, permission);
+    } catch (error) {
+      logger.warn('🔒 Denied request', {
+        method: req.method,
+        path: req.originalUrl,
+        actor: req.principal?.id,
+        role: req.principal?.role,
+        permission
+      });
+      return res.status(error.statusCode || 403).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  authorize
+};
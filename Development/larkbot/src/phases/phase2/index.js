@@ -1,6 +1,9 @@
 const path = require('path');
 const { intercomService, exportService } = require('../../services');
 const logger = require('../../utils/logger');
+const { compareValues } = require('../../utils/compare');
+const { buildSearchQuery } = require('../../utils/intercom-query');
+const metrics = require('../../utils/ticket-metrics');
 
 /**
  * Phase 2: Advanced Filtering & Data Processing
@@ -122,6 +125,20 @@ class Phase2Implementation {
       }
     });
 
+    // Team filters
+    this.filters.set('team', {
+      name: 'Team Filter',
+      description: 'Filter by assigned team',
+      apply: (data, criteria) => {
+        const { teamIds = [], includeUnassigned = false } = criteria;
+
+        return data.filter((item) => {
+          if (!item.team_assignee_id) return includeUnassigned;
+          return teamIds.map(String).includes(String(item.team_assignee_id));
+        });
+      }
+    });
+
     // Customer filters
     this.filters.set('customer', {
       name: 'Customer Filter',
@@ -241,30 +258,7 @@ class Phase2Implementation {
    * Helper method for value comparison in custom attribute filters
    */
   compareValues(actualValue, expectedValue, operator) {
-    switch (operator) {
-      case 'equals':
-        return actualValue === expectedValue;
-      case 'contains':
-        return String(actualValue).includes(String(expectedValue));
-      case 'startsWith':
-        return String(actualValue).startsWith(String(expectedValue));
-      case 'endsWith':
-        return String(actualValue).endsWith(String(expectedValue));
-      case 'greaterThan':
-        return Number(actualValue) > Number(expectedValue);
-      case 'lessThan':
-        return Number(actualValue) < Number(expectedValue);
-      case 'greaterThanOrEqual':
-        return Number(actualValue) >= Number(expectedValue);
-      case 'lessThanOrEqual':
-        return Number(actualValue) <= Number(expectedValue);
-      case 'regex':
-        return new RegExp(expectedValue).test(String(actualValue));
-      case 'notEquals':
-        return actualValue !== expectedValue;
-      default:
-        return actualValue === expectedValue;
-    }
+    return compareValues(actualValue, expectedValue, operator);
   }
 
   /**
@@ -275,35 +269,44 @@ class Phase2Implementation {
     this.processors.set('enrichConversations', {
       name: 'Conversation Enricher',
       description: 'Enrich conversations with additional computed fields',
-      process: (conversations) => conversations.map((conv) => ({
-        ...conv,
-        // Add computed fields
-        responseTime: this.calculateResponseTime(conv),
-        sentiment: this.analyzeSentiment(conv),
-        complexity: this.assessComplexity(conv),
-        customerType: this.classifyCustomer(conv),
-        urgencyScore: this.calculateUrgencyScore(conv),
-        // Add metadata
-        processed_at: new Date().toISOString(),
-        processing_version: '2.0'
-      }))
+      process: (conversations) => conversations.map((conv) => {
+        const sentiment = this.scoreSentiment(conv);
+        return {
+          ...conv,
+          // Add computed fields (times in hours, null while still waiting)
+          responseTime: this.calculateResponseTime(conv),
+          sentiment: sentiment.label,
+          sentimentScore: sentiment.score,
+          complexity: this.assessComplexity(conv),
+          customerType: this.classifyCustomer(conv),
+          urgencyScore: this.calculateUrgencyScore(conv, sentiment),
+          // Add metadata
+          processed_at: new Date().toISOString(),
+          processing_version: '2.1'
+        };
+      })
     });
 
     // Ticket analysis
     this.processors.set('analyzeTickets', {
       name: 'Ticket Analyzer',
       description: 'Analyze tickets for patterns and insights',
-      process: (tickets) => tickets.map((ticket) => ({
-        ...ticket,
-        // Analysis fields
-        resolutionTime: this.calculateResolutionTime(ticket),
-        escalationRisk: this.assessEscalationRisk(ticket),
-        similarTickets: this.findSimilarTickets(ticket, tickets),
-        automationPotential: this.assessAutomationPotential(ticket),
-        // Add metadata
-        analyzed_at: new Date().toISOString(),
-        analysis_version: '2.0'
-      }))
+      process: (tickets) => {
+        // One index for the whole batch instead of one per ticket
+        const similarityIndex = this.buildSimilarityIndex(tickets);
+        return tickets.map((ticket) => ({
+          ...ticket,
+          // Analysis fields (times in hours, null while still open)
+          responseTime: this.calculateResponseTime(ticket),
+          resolutionTime: this.calculateResolutionTime(ticket),
+          escalationRisk: this.assessEscalationRisk(ticket),
+          similarTickets: this.findSimilarTickets(ticket, tickets, similarityIndex),
+          automationPotential: this.assessAutomationPotential(ticket),
+          // Add metadata
+          analyzed_at: new Date().toISOString(),
+          analysis_version: '2.1'
+        }));
+      }
     });
 
     // Contact enhancement
@@ -432,6 +435,63 @@ class Phase2Implementation {
     };
   }
 
+  /**
+   * Finds matching tickets or conversations, letting Intercom search evaluate every filter it can
+   * Filters Intercom cannot evaluate run client-side on each page of search results, until `limit`
+   * matches are found or `maxScanned` records have been checked.
+   * @param {string} resource - 'tickets' or 'conversations'
+   * @param {Object} filterCriteria - Filter name -> criteria (same shape as applyFilters)
+   * @param {Object} options - Search options
+   * @param {number} options.limit - Maximum number of matches (default: 50)
+   * @param {number} options.maxScanned - Maximum number of records checked client-side (default: 1000)
+   * @returns {Promise<Object>} { filtered, summary } where summary.execution says where each filter ran
+   */
+  async searchWithFilters(resource, filterCriteria = {}, options = {}) {
+    const { limit = 50, maxScanned = 1000 } = options;
+    const { query, clientFilters, execution } = buildSearchQuery(filterCriteria, { resource });
+    const hasClientFilters = Object.keys(clientFilters).length > 0;
+
+    logger.info('🔍 Searching with filters', {
+      resource,
+      server: execution.filter((item) => item.where !== 'client').map((item) => item.filter),
+      client: execution.filter((item) => item.where !== 'server').map((item) => item.filter)
+    });
+
+    const matches = [];
+    let scanned = 0;
+    let cursor = null;
+    let hasMore = true;
+
+    while (hasMore && matches.length < limit && (!hasClientFilters || scanned < maxScanned)) {
+      const page = await intercomService.search(resource, query, {
+        perPage: hasClientFilters ? 150 : Math.min(limit - matches.length, 150),
+        cursor
+      });
+      const items = page[resource] || [];
+      scanned += items.length;
+
+      const { filtered } = hasClientFilters ? await this.applyFilters(items, clientFilters) : { filtered: items };
+      matches.push(...filtered);
+
+      cursor = page.nextCursor;
+      hasMore = page.hasMore && items.length > 0;
+    }
+
+    return {
+      filtered: matches.slice(0, limit),
+      summary: {
+        resource,
+        totalScanned: scanned,
+        totalFiltered: Math.min(matches.length, limit),
+        // False when the scan stopped before Intercom ran out of results
+        complete: !hasMore,
+        filtersApplied: Object.keys(filterCriteria),
+        execution,
+        query
+      }
+    };
+  }
+
   /**
    * Process data through transformation pipeline
    */
@@ -589,14 +649,24 @@ class Phase2Implementation {
   }
 
   // Helper methods for data processing
+  /**
+   * Hours from the customer's first message to the first admin reply (null if unanswered)
+   */
   calculateResponseTime(conversation) {
-    // Mock implementation - calculate average response time
-    return Math.floor(Math.random() * 24) + 1; // 1-24 hours
+    const seconds = metrics.firstResponseSeconds(conversation);
+    return seconds === null ? null : this.toHours(seconds);
+  }
+
+  /**
+   * Scores the sentiment of what the customer wrote (agent replies are left out)
+   * @returns {Object} { score, comparative, label, positive, negative }
+   */
+  scoreSentiment(conversation) {
+    return metrics.scoreSentiment(metrics.getConversationText(conversation, { authors: metrics.CUSTOMER_AUTHORS }));
   }
 
   analyzeSentiment(conversation) {
-    // Mock sentiment analysis
-    return ['positive', 'neutral', 'negative'][Math.floor(Math.random() * 3)];
+    return this.scoreSentiment(conversation).label;
   }
 
   assessComplexity(conversation) {
@@ -607,34 +677,97 @@ class Phase2Implementation {
     return 'low';
   }
 
+  /**
+   * Classifies the customer from the conversation's tags and author
+   * @returns {string} 'vip', 'trial', 'new' (leads) or 'returning'
+   */
   classifyCustomer(conversation) {
-    // Mock customer classification
-    return ['new', 'returning', 'vip', 'trial'][Math.floor(Math.random() * 4)];
+    const tags = (conversation.tags?.tags || []).map((tag) => String(tag.name || tag).toLowerCase());
+    if (tags.includes('vip')) return 'vip';
+    if (tags.includes('trial')) return 'trial';
+
+    const author = conversation.source?.author?.type;
+    const contactRole = conversation.contacts?.contacts?.[0]?.role;
+    return author === 'lead' || contactRole === 'lead' ? 'new' : 'returning';
   }
 
-  calculateUrgencyScore(conversation) {
-    // Mock urgency scoring (1-10)
-    return Math.floor(Math.random() * 10) + 1;
+  /**
+   * Scores urgency from 1 to 10: priority flag, urgent wording, negative sentiment and no reply yet
+   * @param {Object} conversation - Intercom conversation
+   * @param {Object} sentiment - Precomputed scoreSentiment result
+   */
+  calculateUrgencyScore(conversation, sentiment = this.scoreSentiment(conversation)) {
+    const text = metrics.getConversationText(conversation);
+    const urgentWords = ['urgent', 'critical', 'emergency', 'asap', 'immediately']
+      .filter((word) => text.includes(word));
+
+    let score = 1;
+    if (conversation.priority === 'priority' || this.isPriorityHigher(conversation.priority, 'medium')) score += 3;
+    score += Math.min(urgentWords.length * 2, 3);
+    if (sentiment.label === 'negative') score += sentiment.score <= -4 ? 2 : 1;
+    if (conversation.state === 'open' && this.calculateResponseTime(conversation) === null) score += 1;
+
+    return Math.min(score, 10);
   }
 
+  /**
+   * Hours from creation to the close that resolved the ticket (null while open)
+   */
   calculateResolutionTime(ticket) {
-    // Mock resolution time calculation
-    return Math.floor(Math.random() * 72) + 1; // 1-72 hours
+    const seconds = metrics.resolutionSeconds(ticket);
+    return seconds === null ? null : this.toHours(seconds);
   }
 
+  /**
+   * Assesses escalation risk from reopens, customer sentiment, priority and slow resolution
+   * @returns {string} 'low', 'medium' or 'high'
+   */
   assessEscalationRisk(ticket) {
-    // Mock escalation risk assessment
-    return ['low', 'medium', 'high'][Math.floor(Math.random() * 3)];
+    const sentiment = this.scoreSentiment(ticket);
+    const resolutionTime = this.calculateResolutionTime(ticket);
+
+    let points = Math.min(metrics.countReopens(ticket), 2) * 2;
+    if (sentiment.label === 'negative') points += 2;
+    if (ticket.priority === 'priority' || this.isPriorityHigher(ticket.priority, 'medium')) points += 1;
+    if (resolutionTime !== null && resolutionTime > 48) points += 1;
+
+    if (points >= 4) return 'high';
+    if (points >= 2) return 'medium';
+    return 'low';
+  }
+
+  /**
+   * Builds the TF-IDF index used to compare tickets
+   */
+  buildSimilarityIndex(tickets) {
+    return metrics.buildTfIdfIndex(tickets.map((ticket) => ({
+      id: ticket.id,
+      text: metrics.getConversationText(ticket)
+    })));
   }
 
-  findSimilarTickets(ticket, allTickets) {
-    // Mock similar ticket finder
-    return allTickets.slice(0, 3).map((t) => t.id);
+  /**
+   * Finds the tickets whose text is most similar to this one
+   * @param {Object} ticket - Ticket to compare
+   * @param {Array} allTickets - Tickets to search
+   * @param {Map} index - Prebuilt index for allTickets (built when omitted)
+   * @returns {Array<Object>} [{ id, score }] with cosine similarity scores
+   */
+  findSimilarTickets(ticket, allTickets, index = this.buildSimilarityIndex(allTickets)) {
+    return metrics.findSimilar(index, ticket.id, { limit: 3 });
   }
 
+  /**
+   * Short exchanges closed after a single reply are good candidates for canned answers or bots
+   * @returns {string} 'low', 'medium' or 'high'
+   */
   assessAutomationPotential(ticket) {
-    // Mock automation potential assessment
-    return ['low', 'medium', 'high'][Math.floor(Math.random() * 3)];
+    const replies = metrics.getParts(ticket).filter((part) => part.part_type === 'comment');
+    const adminReplies = replies.filter((part) => part.author?.type === 'admin').length;
+
+    if (metrics.resolutionSeconds(ticket) !== null && adminReplies <= 1 && replies.length <= 3) return 'high';
+    if (replies.length <= 8) return 'medium';
+    return 'low';
   }
 
   calculateEngagementLevel(contact) {
@@ -670,6 +803,10 @@ class Phase2Implementation {
     ].filter(Boolean).join(' ');
   }
 
+  toHours(seconds) {
+    return Math.round((seconds / 3600) * 100) / 100;
+  }
+
   isPriorityHigher(priority1, priority2) {
     const priorities = ['low', 'normal', 'medium', 'high', 'urgent'];
     return priorities.indexOf(priority1) > priorities.indexOf(priority2);
@@ -1,5 +1,10 @@
 const { intercomService, larkService } = require('../../services');
+const eventQueueService = require('../../services/event-queue');
 const logger = require('../../utils/logger');
+const config = require('../../config');
+
+// Queue job type for Phase 3 events
+const PHASE3_EVENT_JOB = 'phase3.event';
 
 /**
  * Phase 3: Real-time Automation
@@ -15,7 +20,6 @@ const logger = require('../../utils/logger');
 class Phase3Implementation {
   constructor() {
     this.isInitialized = false;
-    this.eventQueue = [];
     this.processingEvents = false;
     this.stats = {
       eventsProcessed: 0,
@@ -39,7 +43,7 @@ class Phase3Implementation {
       await this.initializeServices();
 
       // Start event processing
-      this.startEventProcessing();
+      await this.startEventProcessing();
 
       this.isInitialized = true;
       logger.info('✅ Phase 3: Real-time automation system initialized successfully');
@@ -101,73 +105,51 @@ class Phase3Implementation {
   }
 
   /**
-   * Start event processing loop
+   * Start event processing on the durable event queue
    */
-  startEventProcessing() {
+  async startEventProcessing() {
     if (this.processingEvents) {
       return;
     }
 
-    this.processingEvents = true;
-    logger.info('🔄 Phase 3: Starting event processing loop');
-
-    // Process events every 5 seconds
-    setInterval(() => {
-      this.processEventQueue();
-    }, 5000);
-  }
-
-  /**
-   * Process queued events
-   */
-  async processEventQueue() {
-    if (this.eventQueue.length === 0) {
-      return;
-    }
-
-    const events = this.eventQueue.splice(0, 10); // Process up to 10 events at once
-
-    for (const event of events) {
+    eventQueueService.registerHandler(PHASE3_EVENT_JOB, async (eventData, job) => {
       try {
-        await this.processEvent(event);
+        await this.processEvent({ ...eventData, id: job.id, retryCount: job.attempts - 1 });
         this.stats.eventsProcessed++;
+        this.stats.lastProcessedAt = new Date();
       } catch (error) {
         logger.error('❌ Phase 3: Event processing failed', {
-          eventId: event.id,
+          eventId: job.id,
           error: error.message
         });
         this.stats.errors++;
-
-        // Retry failed events (up to 3 times)
-        if (event.retryCount < 3) {
-          event.retryCount++;
-          this.eventQueue.push(event);
-        }
+        // Rethrow so the queue retries with backoff and dead-letters it eventually
+        throw error;
       }
-    }
+    });
+
+    await eventQueueService.initialize();
 
-    this.stats.lastProcessedAt = new Date();
+    this.processingEvents = true;
+    logger.info('🔄 Phase 3: Started event processing on the durable queue');
   }
 
   /**
    * Add event to processing queue
+   * @returns {Promise<string>} Queued event ID
    */
-  queueEvent(eventData) {
-    const event = {
-      id: this.generateEventId(),
+  async queueEvent(eventData) {
+    const job = await eventQueueService.enqueue(PHASE3_EVENT_JOB, {
       timestamp: new Date(),
-      retryCount: 0,
       ...eventData
-    };
+    });
 
-    this.eventQueue.push(event);
     logger.info('📝 Phase 3: Event queued for processing', {
-      eventId: event.id,
-      type: event.type,
-      queueSize: this.eventQueue.length
+      eventId: job.id,
+      type: eventData.type
     });
 
-    return event.id;
+    return job.id;
   }
 
   /**
@@ -287,7 +269,7 @@ class Phase3Implementation {
     message += `**Updated:** ${new Date(ticket.updated_at * 1000).toLocaleString()}\n`;
 
     if (process.env.INTERCOM_APP_ID) {
-      message += `\n[View in Intercom](https://app.intercom.io/a/apps/${process.env.INTERCOM_APP_ID}/inbox/conversation/${ticket.id})`;
+      message += `\n[View in Intercom](${config.getIntercomConversationUrl(ticket.id)})`;
     }
 
     return message;
@@ -325,13 +307,6 @@ class Phase3Implementation {
     }
   }
 
-  /**
-   * Generate unique event ID
-   */
-  generateEventId() {
-    return `phase3_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  }
-
   /**
    * Get health status
    */
@@ -339,7 +314,7 @@ class Phase3Implementation {
     return {
       initialized: this.isInitialized,
       processingEvents: this.processingEvents,
-      queueSize: this.eventQueue.length,
+      queue: eventQueueService.getHealthStatus(),
       stats: this.stats,
       uptime: process.uptime()
     };
@@ -351,7 +326,7 @@ class Phase3Implementation {
   getStatistics() {
     return {
       ...this.stats,
-      queueSize: this.eventQueue.length,
+      queueSize: eventQueueService.getHealthStatus().pending,
       averageProcessingTime: this.stats.eventsProcessed > 0 ?
         (Date.now() - this.stats.lastProcessedAt) / this.stats.eventsProcessed : 0
     };
@@ -365,11 +340,8 @@ class Phase3Implementation {
 
     this.processingEvents = false;
 
-    // Process remaining events
-    if (this.eventQueue.length > 0) {
-      logger.info(`📝 Phase 3: Processing ${this.eventQueue.length} remaining events`);
-      await this.processEventQueue();
-    }
+    // Let running events finish; queued ones stay in the durable queue for the next start
+    await eventQueueService.cleanup();
 
     this.isInitialized = false;
     logger.info('✅ Phase 3: Shutdown complete');
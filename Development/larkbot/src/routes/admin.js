@@ -0,0 +1,268 @@
+const express = require('express');
+const eventQueue = require('../services/event-queue');
+const ticketMirror = require('../services/ticket-mirror');
+const slaService = require('../services/sla');
+const auditService = require('../services/audit');
+const { authorize } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Everything under /admin is for admins (callers are authenticated where the router is mounted)
+router.use(authorize('system:admin'));
+
+/**
+ * Get event queue statistics
+ * GET /admin/queue
+ */
+router.get('/queue', async (req, res) => {
+  try {
+    const stats = await eventQueue.getStats();
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    logger.logError('Admin.getQueueStats', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * List failed (dead-lettered) events, newest first
+ * GET /admin/queue/dead-letters
+ */
+router.get('/queue/dead-letters', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const { total, items } = await eventQueue.listDeadLetters({ limit, offset });
+
+    res.json({
+      success: true,
+      data: items,
+      pagination: {
+        limit,
+        offset,
+        total,
+        hasMore: offset + items.length < total
+      }
+    });
+  } catch (error) {
+    logger.logError('Admin.listDeadLetters', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get a failed event
+ * GET /admin/queue/dead-letters/:id
+ */
+router.get('/queue/dead-letters/:id', async (req, res) => {
+  try {
+    const job = await eventQueue.getDeadLetter(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dead-lettered event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    logger.logError('Admin.getDeadLetter', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Replay every failed event
+ * POST /admin/queue/dead-letters/replay
+ */
+router.post('/queue/dead-letters/replay', async (req, res) => {
+  try {
+    const replayed = await eventQueue.replayAllDeadLetters();
+    await auditService.record(req.principal, 'admin.dead-letters.replayed', { replayed, ip: req.ip });
+
+    res.json({
+      success: true,
+      data: { replayed }
+    });
+  } catch (error) {
+    logger.logError('Admin.replayAllDeadLetters', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Replay a failed event
+ * POST /admin/queue/dead-letters/:id/replay
+ */
+router.post('/queue/dead-letters/:id/replay', async (req, res) => {
+  try {
+    const job = await eventQueue.replayDeadLetter(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dead-lettered event not found'
+      });
+    }
+    await auditService.record(req.principal, 'admin.dead-letter.replayed', { jobId: req.params.id, ip: req.ip });
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    logger.logError('Admin.replayDeadLetter', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Delete a failed event
+ * DELETE /admin/queue/dead-letters/:id
+ */
+router.delete('/queue/dead-letters/:id', async (req, res) => {
+  try {
+    const removed = await eventQueue.removeDeadLetter(req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dead-lettered event not found'
+      });
+    }
+    await auditService.record(req.principal, 'admin.dead-letter.deleted', { jobId: req.params.id, ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'Dead-lettered event deleted'
+    });
+  } catch (error) {
+    logger.logError('Admin.removeDeadLetter', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Purge all failed events
+ * DELETE /admin/queue/dead-letters
+ */
+router.delete('/queue/dead-letters', async (req, res) => {
+  try {
+    const purged = await eventQueue.purgeDeadLetters();
+    await auditService.record(req.principal, 'admin.dead-letters.purged', { purged, ip: req.ip });
+
+    res.json({
+      success: true,
+      data: { purged }
+    });
+  } catch (error) {
+    logger.logError('Admin.purgeDeadLetters', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get ticket mirror status
+ * GET /admin/mirror
+ */
+router.get('/mirror', (req, res) => {
+  res.json({
+    success: true,
+    data: ticketMirror.getHealthStatus()
+  });
+});
+
+/**
+ * Rebuild the ticket mirror from Intercom
+ * POST /admin/mirror/resync
+ * Runs in the background; poll GET /admin/mirror for progress.
+ */
+router.post('/mirror/resync', async (req, res) => {
+  if (!ticketMirror.options.enabled) {
+    return res.status(400).json({
+      success: false,
+      error: 'Ticket mirror is disabled (set TICKET_MIRROR_ENABLED=true)'
+    });
+  }
+
+  ticketMirror.resync().catch(() => {});
+  await auditService.record(req.principal, 'admin.mirror.resync', { ip: req.ip });
+
+  res.status(202).json({
+    success: true,
+    message: 'Ticket mirror resync started'
+  });
+});
+
+/**
+ * List running SLA clocks, most urgent first
+ * GET /admin/sla
+ */
+router.get('/sla', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      ...slaService.getHealthStatus(),
+      timers: slaService.getReport()
+    }
+  });
+});
+
+/**
+ * List audit entries (exports and admin actions), newest first
+ * GET /admin/audit?actor=key:finance&action=export.&since=2024-01-01&limit=100
+ */
+router.get('/audit', async (req, res) => {
+  try {
+    const {
+      actor, action, since, limit = 100
+    } = req.query;
+    const entries = await auditService.list({
+      actor, action, since, limit: Math.min(parseInt(limit) || 100, 1000)
+    });
+
+    res.json({
+      success: true,
+      data: entries
+    });
+  } catch (error) {
+    logger.logError('Admin.listAudit', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
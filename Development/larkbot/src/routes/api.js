@@ -1,5 +1,8 @@
 const express = require('express');
-const { intercomService, larkService } = require('../services');
+const {
+  intercomService, larkService, ticketMirrorService, ticketHistoryService
+} = require('../services');
+const { authorize } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -8,7 +11,7 @@ const router = express.Router();
  * Debug endpoint to check environment variables
  * GET /api/debug/env
  */
-router.get('/debug/env', (req, res) => {
+router.get('/debug/env', authorize('system:admin'), (req, res) => {
   const deploymentInfo = {
     version: '2024-07-17-fix-v2',
     deployedAt: new Date().toISOString()
@@ -49,20 +52,43 @@ router.get('/debug/env', (req, res) => {
 
 /**
  * Get conversations with pagination
- * GET /api/conversations
+ * GET /api/conversations?perPage=50&cursor=<nextCursor from the previous page>
+ * source=mirror reads the local ticket mirror (paged with `page`), source=intercom always calls
+ * Intercom; by default the mirror is used once it has been fully synced.
  */
-router.get('/conversations', async (req, res) => {
+router.get('/conversations', authorize('data:read'), async (req, res) => {
   try {
     const {
       page = 1,
       perPage = 50,
+      cursor,
       sort = 'created_at',
-      order = 'desc'
+      order = 'desc',
+      source = 'auto'
     } = req.query;
 
+    if (!cursor && ticketMirrorService.shouldServe(source)) {
+      const offset = (parseInt(page) - 1) * parseInt(perPage);
+      const { tickets, total } = ticketMirrorService.listTickets({ offset, limit: parseInt(perPage) });
+
+      return res.json({
+        success: true,
+        source: 'mirror',
+        data: tickets,
+        pagination: {
+          page: parseInt(page),
+          perPage: parseInt(perPage),
+          totalCount: total,
+          hasMore: offset + tickets.length < total,
+          pages: Math.ceil(total / parseInt(perPage))
+        }
+      });
+    }
+
     const options = {
       page: parseInt(page),
       perPage: parseInt(perPage),
+      cursor,
       sort,
       order
     };
@@ -71,10 +97,13 @@ router.get('/conversations', async (req, res) => {
 
     res.json({
       success: true,
+      source: 'intercom',
       data: result.conversations,
       pagination: {
-        page: parseInt(page),
+        page: cursor ? null : parseInt(page),
         perPage: parseInt(perPage),
+        cursor: cursor || null,
+        nextCursor: result.nextCursor || null,
         totalCount: result.totalCount,
         hasMore: result.hasMore,
         pages: result.pages
@@ -82,7 +111,7 @@ router.get('/conversations', async (req, res) => {
     });
   } catch (error) {
     logger.logError('API.getConversations', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -91,20 +120,39 @@ router.get('/conversations', async (req, res) => {
 
 /**
  * Get a specific conversation
- * GET /api/conversations/:id
+ * GET /api/conversations/:id?source=auto|mirror|intercom
+ * Conversations missing from the mirror are fetched from Intercom unless source=mirror.
  */
-router.get('/conversations/:id', async (req, res) => {
+router.get('/conversations/:id', authorize('data:read'), async (req, res) => {
   try {
     const { id } = req.params;
+    const { source = 'auto' } = req.query;
+
+    const mirrored = ticketMirrorService.shouldServe(source) ? ticketMirrorService.getTicket(id) : null;
+    if (mirrored) {
+      return res.json({
+        success: true,
+        source: 'mirror',
+        data: mirrored
+      });
+    }
+    if (source === 'mirror') {
+      return res.status(404).json({
+        success: false,
+        error: `Conversation not mirrored: ${id}`
+      });
+    }
+
     const conversation = await intercomService.getConversation(id);
 
     res.json({
       success: true,
+      source: 'intercom',
       data: conversation
     });
   } catch (error) {
     logger.logError('API.getConversation', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -113,13 +161,14 @@ router.get('/conversations/:id', async (req, res) => {
 
 /**
  * Get tickets with pagination
- * GET /api/tickets
+ * GET /api/tickets?perPage=50&cursor=<nextCursor from the previous page>
  */
-router.get('/tickets', async (req, res) => {
+router.get('/tickets', authorize('data:read'), async (req, res) => {
   try {
     const {
       page = 1,
       perPage = 50,
+      cursor,
       sort = 'created_at',
       order = 'desc'
     } = req.query;
@@ -127,6 +176,7 @@ router.get('/tickets', async (req, res) => {
     const options = {
       page: parseInt(page),
       perPage: parseInt(perPage),
+      cursor,
       sort,
       order
     };
@@ -137,8 +187,10 @@ router.get('/tickets', async (req, res) => {
       success: true,
       data: result.tickets,
       pagination: {
-        page: parseInt(page),
+        page: cursor ? null : parseInt(page),
         perPage: parseInt(perPage),
+        cursor: cursor || null,
+        nextCursor: result.nextCursor || null,
         totalCount: result.totalCount,
         hasMore: result.hasMore,
         pages: result.pages
@@ -153,11 +205,75 @@ router.get('/tickets', async (req, res) => {
   }
 });
 
+/**
+ * Get a specific ticket
+ * GET /api/tickets/:id
+ */
+router.get('/tickets/:id', authorize('data:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const ticket = await intercomService.getTicket(id);
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        error: `Ticket not found: ${id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: ticket
+    });
+  } catch (error) {
+    logger.logError('API.getTicket', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get the bot's history for a ticket: webhooks received, routing decisions and Lark deliveries
+ * GET /api/tickets/:id/history?type=webhook|routing|delivery&limit=50
+ */
+router.get('/tickets/:id/history', authorize('data:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type } = req.query;
+    const limit = parseInt(req.query.limit) || undefined;
+
+    if (type && !['webhook', 'routing', 'delivery'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Type must be one of "webhook", "routing" or "delivery"'
+      });
+    }
+
+    const events = await ticketHistoryService.getHistory(id, { type, limit });
+
+    res.json({
+      success: true,
+      data: {
+        ticketId: id,
+        events
+      }
+    });
+  } catch (error) {
+    logger.logError('API.getTicketHistory', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Get contacts with pagination
  * GET /api/contacts
  */
-router.get('/contacts', async (req, res) => {
+router.get('/contacts', authorize('data:read'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -199,7 +315,7 @@ router.get('/contacts', async (req, res) => {
  * Bulk extract conversations
  * POST /api/conversations/bulk
  */
-router.post('/conversations/bulk', async (req, res) => {
+router.post('/conversations/bulk', authorize('data:read'), async (req, res) => {
   try {
     const { limit = 1000 } = req.body;
 
@@ -244,7 +360,7 @@ router.post('/conversations/bulk', async (req, res) => {
  * Test Intercom connection
  * GET /api/test-connection
  */
-router.get('/test-connection', async (req, res) => {
+router.get('/test-connection', authorize('system:admin'), async (req, res) => {
   try {
     const connectionInfo = await intercomService.testConnection();
 
@@ -268,7 +384,7 @@ router.get('/test-connection', async (req, res) => {
  * Get rate limit information
  * GET /api/rate-limit
  */
-router.get('/rate-limit', async (req, res) => {
+router.get('/rate-limit', authorize('system:admin'), async (req, res) => {
   try {
     const rateLimitInfo = intercomService.getRateLimitInfo();
 
@@ -287,35 +403,34 @@ router.get('/rate-limit', async (req, res) => {
 
 /**
  * Advanced filtering endpoint
+ * Filters Intercom search can evaluate run server-side; filterSummary.execution says where each one ran
  * POST /api/tickets/filter
  */
-router.post('/tickets/filter', async (req, res) => {
+router.post('/tickets/filter', authorize('data:read'), async (req, res) => {
   try {
-    const { filters, limit = 50, page = 1 } = req.body;
-
-    logger.info('Advanced ticket filtering requested', { filters, limit, page });
-
-    // Get tickets from Intercom
-    const tickets = await intercomService.getTickets({ page, perPage: limit });
+    const { filters = {}, limit = 50, resource = 'tickets' } = req.body;
 
-    if (!tickets.tickets || tickets.tickets.length === 0) {
-      return res.json({ success: true, data: [], pagination: { total: 0 } });
+    if (!['tickets', 'conversations'].includes(resource)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Resource must be either "tickets" or "conversations"'
+      });
     }
 
-    // Apply Phase 2 filtering
+    logger.info('Advanced ticket filtering requested', { filters, limit, resource });
+
     const phase2 = require('../phases/phase2');
     await phase2.initialize();
 
-    const filteredData = await phase2.applyFilters(tickets.tickets, filters);
+    const filteredData = await phase2.searchWithFilters(resource, filters, { limit });
 
     res.json({
       success: true,
       data: filteredData.filtered,
       pagination: {
-        page,
         perPage: limit,
         totalCount: filteredData.filtered.length,
-        hasMore: false
+        hasMore: !filteredData.summary.complete
       },
       filterSummary: filteredData.summary
     });
@@ -329,22 +444,13 @@ router.post('/tickets/filter', async (req, res) => {
  * Custom attribute filtering endpoint
  * POST /api/tickets/custom-filter
  */
-router.post('/tickets/custom-filter', async (req, res) => {
+router.post('/tickets/custom-filter', authorize('data:read'), async (req, res) => {
   try {
-    const { customAttributes, ticketType, matchMode = 'any', limit = 50, page = 1 } = req.body;
-
-    logger.info('Custom attribute filtering requested', { customAttributes, ticketType, matchMode, limit, page });
-
-    // Get tickets from Intercom
-    const tickets = await intercomService.getTickets({ page, perPage: limit });
-
-    if (!tickets.tickets || tickets.tickets.length === 0) {
-      return res.json({ success: true, data: [], pagination: { total: 0 } });
-    }
+    const {
+      customAttributes, ticketType, matchMode = 'any', limit = 50
+    } = req.body;
 
-    // Apply Phase 2 filtering
-    const phase2 = require('../phases/phase2');
-    await phase2.initialize();
+    logger.info('Custom attribute filtering requested', { customAttributes, ticketType, matchMode, limit });
 
     const filterConfig = {};
 
@@ -359,16 +465,18 @@ router.post('/tickets/custom-filter', async (req, res) => {
       filterConfig.ticketType = ticketType;
     }
 
-    const filteredData = await phase2.applyFilters(tickets.tickets, filterConfig);
+    const phase2 = require('../phases/phase2');
+    await phase2.initialize();
+
+    const filteredData = await phase2.searchWithFilters('tickets', filterConfig, { limit });
 
     res.json({
       success: true,
       data: filteredData.filtered,
       pagination: {
-        page,
         perPage: limit,
         totalCount: filteredData.filtered.length,
-        hasMore: false
+        hasMore: !filteredData.summary.complete
       },
       filterSummary: filteredData.summary
     });
@@ -382,7 +490,7 @@ router.post('/tickets/custom-filter', async (req, res) => {
  * Get Lark bot chat groups
  * GET /api/lark/chats
  */
-router.get('/lark/chats', async (req, res) => {
+router.get('/lark/chats', authorize('system:admin'), async (req, res) => {
   try {
     logger.info('Getting Lark bot chat groups');
 
@@ -441,7 +549,7 @@ router.get('/lark/chats', async (req, res) => {
  * Get specific Lark chat info
  * GET /api/lark/chats/:chatId
  */
-router.get('/lark/chats/:chatId', async (req, res) => {
+router.get('/lark/chats/:chatId', authorize('system:admin'), async (req, res) => {
   try {
     const { chatId } = req.params;
     logger.info('Getting specific Lark chat info', { chatId });
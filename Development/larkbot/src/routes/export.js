@@ -1,39 +1,93 @@
 const express = require('express');
-const { intercomService, exportService } = require('../services');
+const path = require('path');
+const {
+  intercomService, exportService, exportJobsService, ticketMirrorService, authService, auditService
+} = require('../services');
+const { planExport, iterateExportPages } = require('../services/export-source');
+const phase2 = require('../phases/phase2');
+const { authorize } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Background jobs read pages through the same services as the exports below
+exportJobsService.useExportSource({ intercomService, phase2 });
+
+const FORMAT_ERROR = `Format must be one of: ${exportService.supportedFormats.join(', ')}`;
+
+/**
+ * Reads the maskPii flag of an export request
+ * @param {*} maskPii - maskPii from the request body
+ * @returns {boolean} Whether to mask PII (EXPORT_MASK_PII when not given)
+ * @throws {Error} With statusCode 400 if it is not a boolean
+ */
+function readMaskPii(maskPii) {
+  if (maskPii === undefined || maskPii === null) return exportService.maskPii;
+  if (typeof maskPii !== 'boolean') {
+    throw Object.assign(new Error('maskPii must be true or false'), { statusCode: 400 });
+  }
+  return maskPii;
+}
+
 /**
  * Export conversations to specified format
  * POST /export/conversations
  */
-router.post('/conversations', async (req, res) => {
+router.post('/conversations', authorize('export:write'), async (req, res) => {
   try {
     const {
       format = 'json',
       limit = 100,
       page = 1,
-      perPage = 50
+      perPage = 50,
+      source = 'auto',
+      includeParts
     } = req.body;
+    const maskPii = readMaskPii(req.body.maskPii);
 
     // Validate format
-    if (!['json', 'csv'].includes(format)) {
+    if (!exportService.supportedFormats.includes(format)) {
       return res.status(400).json({
         success: false,
-        error: 'Format must be either "json" or "csv"'
+        error: FORMAT_ERROR
       });
     }
 
-    logger.info('Starting conversation export', { format, limit, page, perPage });
-
-    // Get conversations
-    const conversations = await intercomService.getAllConversations({
-      limit: Math.min(limit, 1000) // Cap at 1000 for safety
+    const fromMirror = ticketMirrorService.shouldServe(source);
+    logger.info('Starting conversation export', {
+      format, limit, page, perPage, source: fromMirror ? 'mirror' : 'intercom'
     });
 
+    // Conversation parts are free from the mirror but cost one API call per conversation otherwise,
+    // so they are only fetched live when asked for (XLSX exports put them on their own sheet)
+    const withParts = includeParts ?? (fromMirror && format === 'xlsx');
+
+    // Get conversations (the mirror has no 1000 cap since it does not call Intercom)
+    let conversations = fromMirror
+      ? ticketMirrorService.listTickets({ limit, includeParts: withParts }).tickets
+      : await intercomService.getAllConversations({
+        limit: Math.min(limit, 1000) // Cap at 1000 for safety
+      });
+
+    if (withParts && !fromMirror) {
+      const fullConversations = [];
+      for (const conversation of conversations) {
+        fullConversations.push(await intercomService.getConversation(conversation.id) || conversation);
+      }
+      conversations = fullConversations;
+    }
+
     // Export to specified format
-    const filepath = await exportService.exportConversations(conversations, format);
+    const filepath = await exportService.exportConversations(conversations, format, { maskPii });
+    exportService.recordOwner(filepath, req.principal);
+    await auditService.record(req.principal, 'export.created', {
+      dataType: 'conversations',
+      format,
+      recordCount: conversations.length,
+      piiMasked: maskPii,
+      file: path.basename(filepath),
+      ip: req.ip
+    });
 
     res.json({
       success: true,
@@ -41,13 +95,15 @@ router.post('/conversations', async (req, res) => {
       data: {
         recordCount: conversations.length,
         format,
+        source: fromMirror ? 'mirror' : 'intercom',
+        piiMasked: maskPii,
         filepath: filepath.split('/').pop(), // Only return filename for security
         exportedAt: new Date().toISOString()
       }
     });
   } catch (error) {
     logger.logError('Export.conversations', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -58,7 +114,7 @@ router.post('/conversations', async (req, res) => {
  * Export tickets to specified format
  * POST /export/tickets
  */
-router.post('/tickets', async (req, res) => {
+router.post('/tickets', authorize('export:write'), async (req, res) => {
   try {
     const {
       format = 'json',
@@ -66,12 +122,13 @@ router.post('/tickets', async (req, res) => {
       page = 1,
       perPage = 50
     } = req.body;
+    const maskPii = readMaskPii(req.body.maskPii);
 
     // Validate format
-    if (!['json', 'csv'].includes(format)) {
+    if (!exportService.supportedFormats.includes(format)) {
       return res.status(400).json({
         success: false,
-        error: 'Format must be either "json" or "csv"'
+        error: FORMAT_ERROR
       });
     }
 
@@ -79,18 +136,19 @@ router.post('/tickets', async (req, res) => {
 
     // Get tickets with pagination
     const allTickets = [];
-    let currentPage = page;
+    let cursor = null;
     let hasMore = true;
 
     while (hasMore && allTickets.length < limit) {
+      // Start at the requested page, then follow the cursor
       const result = await intercomService.getTickets({
-        page: currentPage,
+        ...(cursor ? { cursor } : { page }),
         perPage: Math.min(perPage, 150)
       });
 
       allTickets.push(...result.tickets);
       hasMore = result.hasMore;
-      currentPage++;
+      cursor = result.nextCursor;
 
       if (allTickets.length >= limit) break;
     }
@@ -98,7 +156,16 @@ router.post('/tickets', async (req, res) => {
     const tickets = allTickets.slice(0, limit);
 
     // Export to specified format
-    const filepath = await exportService.exportTickets(tickets, format);
+    const filepath = await exportService.exportTickets(tickets, format, { maskPii });
+    exportService.recordOwner(filepath, req.principal);
+    await auditService.record(req.principal, 'export.created', {
+      dataType: 'tickets',
+      format,
+      recordCount: tickets.length,
+      piiMasked: maskPii,
+      file: path.basename(filepath),
+      ip: req.ip
+    });
 
     res.json({
       success: true,
@@ -106,13 +173,14 @@ router.post('/tickets', async (req, res) => {
       data: {
         recordCount: tickets.length,
         format,
+        piiMasked: maskPii,
         filepath: filepath.split('/').pop(),
         exportedAt: new Date().toISOString()
       }
     });
   } catch (error) {
     logger.logError('Export.tickets', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -123,7 +191,7 @@ router.post('/tickets', async (req, res) => {
  * Export contacts to specified format
  * POST /export/contacts
  */
-router.post('/contacts', async (req, res) => {
+router.post('/contacts', authorize('export:write'), async (req, res) => {
   try {
     const {
       format = 'json',
@@ -131,12 +199,13 @@ router.post('/contacts', async (req, res) => {
       page = 1,
       perPage = 50
     } = req.body;
+    const maskPii = readMaskPii(req.body.maskPii);
 
     // Validate format
-    if (!['json', 'csv'].includes(format)) {
+    if (!exportService.supportedFormats.includes(format)) {
       return res.status(400).json({
         success: false,
-        error: 'Format must be either "json" or "csv"'
+        error: FORMAT_ERROR
       });
     }
 
@@ -144,18 +213,19 @@ router.post('/contacts', async (req, res) => {
 
     // Get contacts with pagination
     const allContacts = [];
-    let currentPage = page;
+    let cursor = null;
     let hasMore = true;
 
     while (hasMore && allContacts.length < limit) {
+      // Start at the requested page, then follow the cursor
       const result = await intercomService.getContacts({
-        page: currentPage,
+        ...(cursor ? { cursor } : { page }),
         perPage: Math.min(perPage, 150)
       });
 
       allContacts.push(...result.contacts);
       hasMore = result.hasMore;
-      currentPage++;
+      cursor = result.nextCursor;
 
       if (allContacts.length >= limit) break;
     }
@@ -163,9 +233,16 @@ router.post('/contacts', async (req, res) => {
     const contacts = allContacts.slice(0, limit);
 
     // Export to specified format
-    const filepath = format === 'csv'
-      ? await exportService.exportToCSV(contacts, 'contacts')
-      : await exportService.exportToJSON(contacts, 'contacts');
+    const filepath = await exportService.exportContacts(contacts, format, { maskPii });
+    exportService.recordOwner(filepath, req.principal);
+    await auditService.record(req.principal, 'export.created', {
+      dataType: 'contacts',
+      format,
+      recordCount: contacts.length,
+      piiMasked: maskPii,
+      file: path.basename(filepath),
+      ip: req.ip
+    });
 
     res.json({
       success: true,
@@ -173,13 +250,14 @@ router.post('/contacts', async (req, res) => {
       data: {
         recordCount: contacts.length,
         format,
+        piiMasked: maskPii,
         filepath: filepath.split('/').pop(),
         exportedAt: new Date().toISOString()
       }
     });
   } catch (error) {
     logger.logError('Export.contacts', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -187,12 +265,20 @@ router.post('/contacts', async (req, res) => {
 });
 
 /**
- * List all exported files
+ * Whether the caller may list and download an export file (their own, or anyone's with export:manage)
+ */
+function canSeeFile(req, file) {
+  return file.owner?.id === req.principal.id || authService.can(req.principal, 'export:manage');
+}
+
+/**
+ * List exported files
  * GET /export/files
+ * Only admins see other people's files.
  */
-router.get('/files', async (req, res) => {
+router.get('/files', authorize('export:write'), async (req, res) => {
   try {
-    const files = await exportService.listExportedFiles();
+    const files = (await exportService.listExportedFiles()).filter((file) => canSeeFile(req, file));
 
     res.json({
       success: true,
@@ -202,7 +288,8 @@ router.get('/files', async (req, res) => {
         sizeKB: file.sizeKB,
         created: file.created,
         modified: file.modified,
-        extension: file.extension
+        extension: file.extension,
+        createdBy: file.owner
       }))
     });
   } catch (error) {
@@ -218,11 +305,12 @@ router.get('/files', async (req, res) => {
  * Cleanup old exported files
  * DELETE /export/cleanup
  */
-router.delete('/cleanup', async (req, res) => {
+router.delete('/cleanup', authorize('export:manage'), async (req, res) => {
   try {
     const { maxAge = 7 } = req.body;
 
     const deletedCount = await exportService.cleanupOldFiles(maxAge);
+    await auditService.record(req.principal, 'export.files.cleaned', { maxAge, deletedCount, ip: req.ip });
 
     res.json({
       success: true,
@@ -241,73 +329,274 @@ router.delete('/cleanup', async (req, res) => {
   }
 });
 
+/**
+ * Reads and validates the body of a custom export or export job
+ * @param {Object} body - Request body
+ * @returns {Object} { dataType, format, filters, limit, filename, source, includeParts, maskPii }
+ * @throws {Error} With statusCode 400 on invalid input
+ */
+function readExportRequest(body) {
+  const {
+    dataType = 'conversations',
+    format = 'json',
+    filters = {},
+    limit = 100,
+    filename = null,
+    source = 'auto',
+    includeParts = false,
+    maskPii
+  } = body;
+
+  const invalid = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+  if (!['conversations', 'tickets', 'contacts'].includes(dataType)) {
+    throw invalid('dataType must be one of: conversations, tickets, contacts');
+  }
+  if (!exportService.supportedFormats.includes(format)) {
+    throw invalid(FORMAT_ERROR);
+  }
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw invalid('filters must be an object of Phase 2 filter configs');
+  }
+
+  return {
+    dataType,
+    format,
+    filters,
+    limit: limit ? parseInt(limit) : null,
+    // Only letters, digits, dashes and underscores reach the file system
+    filename: filename ? String(filename).replace(/[^\w-]/g, '_').slice(0, 100) : null,
+    source,
+    includeParts,
+    maskPii: readMaskPii(maskPii)
+  };
+}
+
 /**
  * Custom data export with filtering
  * POST /export/custom
+ * Records are streamed to disk page by page (from the ticket mirror for conversations when it is
+ * ready, otherwise from Intercom's cursor), so `"limit": null` exports everything that matches.
+ * `filters` is a Phase 2 filter config; Intercom search evaluates what it can and the rest runs locally.
  */
-router.post('/custom', async (req, res) => {
+router.post('/custom', authorize('export:write'), async (req, res) => {
   try {
     const {
-      dataType = 'conversations',
-      format = 'json',
-      filters = {},
-      limit = 100,
-      filename = null
-    } = req.body;
+      dataType, format, filters, limit, filename, source, includeParts, maskPii
+    } = readExportRequest(req.body);
 
-    // Validate inputs
-    if (!['conversations', 'tickets', 'contacts'].includes(dataType)) {
-      return res.status(400).json({
+    const plan = planExport(dataType, { filters, source });
+    logger.info('Starting custom export', {
+      dataType, format, filters, limit, source: plan.source, execution: plan.execution
+    });
+
+    const result = await exportService.streamExport(
+      dataType,
+      format,
+      iterateExportPages(dataType, plan, { includeParts, intercomService, phase2 }),
+      {
+        filename: filename || `${dataType}_custom`,
+        limit,
+        maskPii,
+        metadata: {
+          source: plan.source, dataType, filters, execution: plan.execution, exportedBy: req.principal.id
+        }
+      }
+    );
+    exportService.recordOwner(result.filepath, req.principal);
+    await auditService.record(req.principal, 'export.created', {
+      dataType,
+      format,
+      filters,
+      source: plan.source,
+      piiMasked: maskPii,
+      recordCount: result.recordCount,
+      file: path.basename(result.filepath),
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: `Exported ${result.recordCount} ${dataType} to ${format.toUpperCase()}`,
+      data: {
+        dataType,
+        recordCount: result.recordCount,
+        scanned: result.scanned,
+        format,
+        source: plan.source,
+        piiMasked: maskPii,
+        filtersApplied: Object.keys(filters),
+        execution: plan.execution,
+        filepath: path.basename(result.filepath),
+        exportedAt: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.logError('Export.custom', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Start a background export job
+ * POST /export/jobs
+ * Takes the same body as /export/custom and returns 202 with the job to poll.
+ */
+router.post('/jobs', authorize('export:write'), async (req, res) => {
+  try {
+    const job = exportJobsService.create(readExportRequest(req.body), req.principal);
+    await auditService.record(req.principal, 'export.job.created', {
+      jobId: job.id,
+      dataType: job.dataType,
+      format: job.format,
+      filters: job.filters,
+      source: job.source,
+      piiMasked: job.maskPii,
+      ip: req.ip
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Export job ${job.id} queued`,
+      data: job
+    });
+  } catch (error) {
+    logger.logError('Export.createJob', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Gets a job if the caller may see it (their own, or anyone's with export:manage)
+ */
+function getVisibleJob(req) {
+  const job = exportJobsService.getJob(req.params.id);
+  const visible = job && (job.createdBy?.id === req.principal.id || authService.can(req.principal, 'export:manage'));
+  return visible ? job : null;
+}
+
+/**
+ * List export jobs, newest first
+ * GET /export/jobs?status=running&limit=50
+ * Only admins see other people's jobs.
+ */
+router.get('/jobs', authorize('export:write'), async (req, res) => {
+  try {
+    const { status, limit = 50 } = req.query;
+
+    res.json({
+      success: true,
+      data: exportJobsService.listJobs({
+        status,
+        limit: parseInt(limit) || 50,
+        createdBy: authService.can(req.principal, 'export:manage') ? null : req.principal.id
+      })
+    });
+  } catch (error) {
+    logger.logError('Export.listJobs', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get an export job's status and progress
+ * GET /export/jobs/:id
+ */
+router.get('/jobs/:id', authorize('export:write'), async (req, res) => {
+  try {
+    const job = getVisibleJob(req);
+
+    if (!job) {
+      return res.status(404).json({
         success: false,
-        error: 'dataType must be one of: conversations, tickets, contacts'
+        error: 'Export job not found'
       });
     }
 
-    if (!['json', 'csv'].includes(format)) {
-      return res.status(400).json({
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    logger.logError('Export.getJob', error, { jobId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Cancel a queued or running export job
+ * DELETE /export/jobs/:id
+ */
+router.delete('/jobs/:id', authorize('export:write'), async (req, res) => {
+  try {
+    if (!getVisibleJob(req)) {
+      return res.status(404).json({
         success: false,
-        error: 'Format must be either "json" or "csv"'
+        error: 'Export job not found'
       });
     }
 
-    logger.info('Starting custom export', { dataType, format, filters, limit });
-
-    let data = [];
-    let filepath = '';
-
-    // Get data based on type
-    switch (dataType) {
-      case 'conversations':
-        data = await intercomService.getAllConversations({ limit });
-        filepath = await exportService.exportConversations(data, format);
-        break;
-      case 'tickets':
-        const ticketResult = await intercomService.getTickets({ perPage: limit });
-        data = ticketResult.tickets;
-        filepath = await exportService.exportTickets(data, format);
-        break;
-      case 'contacts':
-        const contactResult = await intercomService.getContacts({ perPage: limit });
-        data = contactResult.contacts;
-        filepath = format === 'csv'
-          ? await exportService.exportToCSV(data, 'contacts')
-          : await exportService.exportToJSON(data, 'contacts');
-        break;
-    }
+    const job = exportJobsService.cancel(req.params.id);
+    await auditService.record(req.principal, 'export.job.cancelled', { jobId: job.id, ip: req.ip });
 
     res.json({
       success: true,
-      message: `Exported ${data.length} ${dataType} to ${format.toUpperCase()}`,
-      data: {
-        dataType,
-        recordCount: data.length,
-        format,
-        filepath: filepath.split('/').pop(),
-        exportedAt: new Date().toISOString()
+      message: job.status === 'cancelled' ? 'Export job cancelled' : 'Export job is stopping',
+      data: job
+    });
+  } catch (error) {
+    logger.logError('Export.cancelJob', error, { jobId: req.params.id });
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Download an exported file
+ * GET /export/files/:name
+ */
+router.get('/files/:name', authorize('export:write'), async (req, res) => {
+  try {
+    const file = await exportService.getExportedFile(req.params.name);
+
+    // Other people's files look the same as missing ones
+    if (!file || !canSeeFile(req, file)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Export file not found'
+      });
+    }
+
+    await auditService.record(req.principal, 'export.downloaded', {
+      file: file.filename, size: file.size, ip: req.ip
+    });
+    res.download(file.filepath, file.filename, (error) => {
+      if (error) {
+        logger.logError('Export.downloadFile', error, { filename: file.filename });
+        if (!res.headersSent) {
+          res.status(500).json({
+            success: false,
+            error: error.message
+          });
+        }
       }
     });
   } catch (error) {
-    logger.logError('Export.custom', error);
+    logger.logError('Export.downloadFile', error, { filename: req.params.name });
     res.status(500).json({
       success: false,
       error: error.message
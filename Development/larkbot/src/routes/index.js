@@ -4,6 +4,8 @@ const healthRoutes = require('./health');
 const apiRoutes = require('./api');
 const exportRoutes = require('./export');
 const webhookRoutes = require('./webhook');
+const adminRoutes = require('./admin');
+const { authenticate } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 /**
@@ -11,18 +13,21 @@ const logger = require('../utils/logger');
  * @param {express.Application} app - Express application instance
  */
 function setupRoutes(app) {
-  // Health check routes
+  // Health check routes (public, for uptime checks and load balancers)
   app.use('/health', healthRoutes);
 
-  // API routes
-  app.use('/api', apiRoutes);
+  // API routes (each route checks the caller's role)
+  app.use('/api', authenticate, apiRoutes);
 
   // Export routes
-  app.use('/export', exportRoutes);
+  app.use('/export', authenticate, exportRoutes);
 
   // Webhook routes
   app.use('/webhook', webhookRoutes);
 
+  // Admin routes (event queue / dead letters, ticket mirror, audit log)
+  app.use('/admin', authenticate, adminRoutes);
+
   // Root route - serve HTML if available, otherwise return JSON
   app.get('/', (req, res) => {
     const htmlPath = path.join(__dirname, '..', '..', 'public', 'index.html');
@@ -40,7 +45,8 @@ function setupRoutes(app) {
           health: '/health',
           api: '/api',
           export: '/export',
-          webhook: '/webhook'
+          webhook: '/webhook',
+          admin: '/admin'
         },
         documentation: 'See PRD.md for detailed documentation'
       });
@@ -3,7 +3,34 @@ const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
 const chatbotService = require('../services/chatbot');
+const routingService = require('../services/routing');
+const larkService = require('../services/lark');
+const cardTracker = require('../services/card-tracker');
+const webhookDedupe = require('../services/webhook-dedupe');
+const eventQueue = require('../services/event-queue');
+const slaService = require('../services/sla');
+const baseSync = require('../services/base-sync');
+const inspectionCalendar = require('../services/inspection-calendar');
+const ticketTasks = require('../services/ticket-tasks');
+const subscriptionService = require('../services/subscriptions');
+const ticketMirror = require('../services/ticket-mirror');
+const ticketHistory = require('../services/ticket-history');
+const { intercomService, identityService } = require('../services');
+const appConfig = require('../config');
 const logger = require('../utils/logger');
+const { decodeLarkRequest } = require('../utils/lark-events');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// Queue job type for Intercom webhook deliveries
+const INTERCOM_WEBHOOK_JOB = 'intercom.webhook';
+
+// Snooze choices offered on ticket cards
+const SNOOZE_OPTIONS = [
+  { label: '1 hour', seconds: 60 * 60 },
+  { label: '4 hours', seconds: 4 * 60 * 60 },
+  { label: '1 day', seconds: 24 * 60 * 60 },
+  { label: '3 days', seconds: 3 * 24 * 60 * 60 }
+];
 
 /**
  * Webhook Routes for Lark Suite Integration
@@ -11,76 +38,70 @@ const logger = require('../utils/logger');
  */
 
 /**
- * Verify webhook signature
+ * Decode and verify Lark event and card callback requests (v1 and v2 schemas, encrypted or not).
+ * The decoded event is available as req.larkEvent and the plain payload as req.body.
  */
-function verifySignature(req, res, next) {
-  const signature = req.headers['x-lark-signature'];
-  const timestamp = req.headers['x-lark-request-timestamp'];
-  const nonce = req.headers['x-lark-request-nonce'];
-
-  if (!signature || !timestamp || !nonce) {
-    logger.warn('Missing required webhook headers', {
-      hasSignature: !!signature,
-      hasTimestamp: !!timestamp,
-      hasNonce: !!nonce,
-      path: req.path
-    });
-    return res.status(401).json({ error: 'Missing required headers' });
-  }
-
-  // Skip verification in development mode for easier testing
-  if (process.env.NODE_ENV === 'development' && process.env.SKIP_WEBHOOK_VERIFICATION === 'true') {
-    logger.warn('⚠️ Webhook signature verification skipped in development mode');
-    return next();
-  }
-
-  // Verify the signature using webhook secret
-  const webhookSecret = process.env.LARK_WEBHOOK_SECRET;
-  if (!webhookSecret) {
-    logger.error('❌ LARK_WEBHOOK_SECRET not configured - webhook verification disabled');
+function verifyLarkRequest(req, res, next) {
+  const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : JSON.stringify(req.body || {});
+  const { encryptKey, verificationToken, maxRequestAgeSeconds } = appConfig.lark;
+
+  // Skip verification in development mode for easier testing (payloads are still decrypted)
+  const skipVerification = process.env.NODE_ENV === 'development' && process.env.SKIP_WEBHOOK_VERIFICATION === 'true';
+  if (skipVerification) {
+    logger.warn('⚠️ Lark request verification skipped in development mode');
+  } else if (!encryptKey && !verificationToken) {
+    logger.error('❌ Neither LARK_ENCRYPT_KEY nor LARK_VERIFICATION_TOKEN configured - Lark requests rejected');
     return res.status(500).json({ error: 'Webhook verification not configured' });
   }
 
-  const expectedSignature = crypto.createHmac('sha256', webhookSecret)
-    .update(timestamp + nonce + JSON.stringify(req.body))
-    .digest('hex');
-
-  if (signature !== expectedSignature) {
-    logger.warn('❌ Invalid webhook signature', {
-      receivedSignature: signature,
+  try {
+    req.larkEvent = decodeLarkRequest(
+      { rawBody, headers: req.headers },
+      {
+        encryptKey, verificationToken, verify: !skipVerification, maxAgeSeconds: maxRequestAgeSeconds
+      }
+    );
+    req.body = req.larkEvent.payload;
+  } catch (error) {
+    logger.warn('❌ Rejected Lark request', {
       path: req.path,
-      timestamp,
-      nonce
+      error: error.message,
+      timestamp: req.headers['x-lark-request-timestamp'],
+      nonce: req.headers['x-lark-request-nonce']
     });
-    return res.status(401).json({ error: 'Invalid signature' });
+    return res.status(error.statusCode || 400).json({ error: error.message });
   }
 
-  logger.debug('✅ Webhook signature verified successfully');
+  logger.debug('✅ Lark request verified', { path: req.path, schema: req.larkEvent.schema });
   next();
 }
 
 /**
  * Handle Lark webhook events
  */
-router.post('/lark', verifySignature, async (req, res) => {
+router.post('/lark', verifyLarkRequest, async (req, res) => {
   try {
-    const { type, event } = req.body;
+    const {
+      type, schema, eventId, eventType, event, challenge
+    } = req.larkEvent;
 
-    logger.info('🦜 Received Lark webhook', { type, event: event?.type });
+    logger.info('🦜 Received Lark webhook', {
+      type, schema, eventId, eventType
+    });
 
     // Handle different event types
     switch (type) {
       case 'url_verification':
         // Initial webhook verification
-        return res.json({ challenge: req.body.challenge });
+        return res.json({ challenge });
 
       case 'event_callback':
         // Handle actual events
-        await handleLarkEvent(event);
+        await handleLarkEvent(eventType, event);
         break;
 
       default:
-        logger.warn('Unknown Lark webhook type', { type });
+        logger.warn('Unknown Lark webhook type', { type, schema });
     }
 
     res.json({ success: true });
@@ -91,12 +112,76 @@ router.post('/lark', verifySignature, async (req, res) => {
 });
 
 /**
- * Handle Lark events
+ * Handle Lark interactive card actions (Assign to me, Snooze, Add note, Close, Schedule visit)
+ * Lark shows the user an error and retries callbacks it has no answer to within about 3 seconds, which
+ * would repeat the action, so the callback is answered right away and the card is patched when the
+ * Intercom write and its follow-ups finish.
  */
-async function handleLarkEvent(event) {
-  const { type } = event;
+router.post('/lark/card-action', verifyLarkRequest, (req, res) => {
+  if (req.larkEvent.type === 'url_verification') {
+    return res.json({ challenge: req.larkEvent.challenge });
+  }
+
+  const action = parseCardAction(req.body);
+
+  logger.info('🖱️ Received Lark card action', {
+    action: action.value.action,
+    ticketId: action.value.ticketId,
+    openId: action.openId,
+    messageId: action.messageId
+  });
+
+  try {
+    validateCardAction(action);
+  } catch (error) {
+    reportCardActionError(action, error);
+    return res.json(action.isV2 ? { toast: { type: 'error', content: error.message } } : {});
+  }
+
+  applyCardAction(action);
 
-  switch (type) {
+  // Legacy callbacks keep the card as it is when answered with an empty body
+  return res.json(action.isV2 ? { toast: { type: 'info', content: 'Updating the ticket in Intercom…' } } : {});
+});
+
+/**
+ * Performs a card action and patches the card with the result, reporting failures in the card's thread
+ * Never rejects: it runs after the callback has been answered.
+ */
+async function applyCardAction(action) {
+  try {
+    const { card } = await handleCardAction(action);
+    if (action.messageId) {
+      await larkService.updateInteractiveCard(action.messageId, card);
+    }
+  } catch (error) {
+    reportCardActionError(action, error, { notify: true });
+  }
+}
+
+/**
+ * Logs a failed card action and, when asked, tells the user in the card's thread
+ * (the callback has been answered by then, so a toast is no longer possible)
+ */
+function reportCardActionError(action, error, { notify = false } = {}) {
+  logger.error('❌ Lark card action failed', {
+    action: action.value.action,
+    ticketId: action.value.ticketId,
+    openId: action.openId,
+    error: error.message
+  });
+
+  // Legacy callbacks cannot show a toast either
+  if ((notify || !action.isV2) && action.messageId) {
+    larkService.replyToMessage(action.messageId, { text: `⚠️ ${error.message}` }).catch(() => {});
+  }
+}
+
+/**
+ * Handle Lark events
+ */
+async function handleLarkEvent(eventType, event) {
+  switch (eventType) {
     case 'im.message.receive_v1':
       await handleMessageReceived(event);
       break;
@@ -106,7 +191,7 @@ async function handleLarkEvent(event) {
       break;
 
     default:
-      logger.info('Unhandled Lark event type', { type });
+      logger.info('Unhandled Lark event type', { eventType });
   }
 }
 
@@ -150,6 +235,170 @@ async function handleMessageReceived(event) {
   }
 }
 
+/**
+ * Normalize legacy and schema 2.0 card action callbacks
+ */
+function parseCardAction(body) {
+  const isV2 = body.schema === '2.0';
+  const event = isV2 ? body.event || {} : body;
+  const action = event.action || {};
+  let value = action.value || {};
+
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      value = {};
+    }
+  }
+
+  return {
+    isV2,
+    openId: isV2 ? event.operator?.open_id : event.open_id,
+    messageId: isV2 ? event.context?.open_message_id : event.open_message_id,
+    chatId: isV2 ? event.context?.open_chat_id : event.open_chat_id,
+    value,
+    option: action.option,
+    inputValue: action.input_value ?? action.form_value?.note
+  };
+}
+
+/**
+ * Checks what can be checked without calling Intercom, so these mistakes are answered with a toast
+ * @throws {Error} If the action is missing its ticket, unknown, or missing its snooze choice or note
+ */
+function validateCardAction({ value, option, inputValue }) {
+  const { ticketId, action } = value;
+  if (!ticketId) {
+    throw new Error('Card action is missing the ticket ID');
+  }
+
+  switch (action) {
+    case 'snooze':
+      if (!SNOOZE_OPTIONS.some((item) => String(item.seconds) === String(option))) {
+        throw new Error('Pick how long to snooze the ticket for');
+      }
+      break;
+    case 'add_note':
+      if (!String(inputValue || '').trim()) {
+        throw new Error('The note is empty');
+      }
+      break;
+    case 'assign_to_me':
+    case 'schedule_visit':
+    case 'close':
+      break;
+    default:
+      throw new Error(`Unsupported card action: ${action}`);
+  }
+}
+
+/**
+ * Perform a (validated) card action in Intercom and rebuild the card showing who acted
+ * @returns {Promise<Object>} { card, summary }
+ */
+async function handleCardAction({ openId, messageId, chatId, value, option, inputValue }) {
+  const { ticketId, action } = value;
+
+  const { larkUser, admin } = await identityService.getIntercomAdminForLarkUser(openId);
+  const actorName = admin?.name || larkUser?.name || 'Someone';
+  // Unlinked users act through the configured fallback teammate
+  const adminId = admin?.id || appConfig.intercom.defaultAdminId;
+  if (!adminId) {
+    throw new Error('Your Lark account is not linked to an Intercom teammate (emails must match)');
+  }
+
+  let eventType;
+  let summary;
+  let metadata = {};
+
+  switch (action) {
+    case 'assign_to_me':
+      if (!admin) {
+        throw new Error('Your Lark account is not linked to an Intercom teammate (emails must match)');
+      }
+      await intercomService.assignConversation(ticketId, { adminId: admin.id, assigneeId: admin.id });
+      eventType = 'assigned';
+      metadata = { assignee: admin.name, assigneeId: admin.id, assigneeEmail: admin.email };
+      summary = `${actorName} claimed this ticket`;
+      break;
+
+    case 'snooze': {
+      const choice = SNOOZE_OPTIONS.find((item) => String(item.seconds) === String(option));
+      await intercomService.snoozeConversation(ticketId, {
+        adminId,
+        snoozedUntil: Math.floor(Date.now() / 1000) + choice.seconds
+      });
+      eventType = 'snoozed';
+      summary = `${actorName} snoozed this ticket for ${choice.label}`;
+      break;
+    }
+
+    case 'add_note': {
+      const note = String(inputValue || '').trim();
+      // Notes written through the fallback teammate still say who wrote them
+      const body = admin ? note : `${note}\n\n— ${actorName} (via Lark)`;
+      await intercomService.addNote(ticketId, { adminId, body });
+      eventType = 'note_added';
+      metadata = { noteBy: actorName };
+      summary = `${actorName} added a note`;
+      break;
+    }
+
+    case 'schedule_visit': {
+      const ticket = await intercomService.getConversation(ticketId);
+      await inspectionCalendar.scheduleFromCard(ticket, option, {
+        merchantName: extractMerchantName(ticket.custom_attributes || {}),
+        schedulerOpenId: openId
+      });
+      const { label } = inspectionCalendar.getVisit(ticketId);
+      await intercomService.addNote(ticketId, {
+        adminId,
+        body: `📅 Site visit scheduled for ${label} by ${actorName} (via Lark)`
+      });
+      eventType = 'visit_scheduled';
+      summary = `${actorName} scheduled the site visit for ${label}`;
+      break;
+    }
+
+    case 'close':
+      await intercomService.closeConversation(ticketId, { adminId });
+      eventType = 'closed';
+      metadata = { closedBy: actorName };
+      summary = `${actorName} closed this ticket`;
+      break;
+
+    default:
+      throw new Error(`Unsupported card action: ${action}`);
+  }
+
+  logger.info('✅ Lark card action applied in Intercom', {
+    ticketId,
+    action,
+    actor: actorName,
+    adminId
+  });
+
+  const ticket = await intercomService.getConversation(ticketId);
+  await slaService.handleTicketEvent(ticket, eventType);
+  if (eventType === 'closed') {
+    await inspectionCalendar.handleTicketEvent(ticket, eventType);
+    await ticketTasks.handleTicketEvent(ticket, eventType);
+  }
+
+  const card = formatTicketAsCard(ticket, eventType, {
+    ...metadata,
+    ...await resolveAssigneeMentions(metadata),
+    actedBy: `🖱️ ${summary} via Lark`
+  });
+
+  if (messageId && chatId) {
+    await cardTracker.saveCard(ticketId, chatId, { messageId, state: ticket.state || 'open', eventType });
+  }
+
+  return { card, summary };
+}
+
 /**
  * Handle message read events
  */
@@ -247,8 +496,7 @@ function verifyIntercomSignature(req, res, next) {
     logger.warn('Missing Intercom webhook signature header', {
       path: req.path,
       headers: Object.keys(req.headers),
-      lookingFor: 'x-hub-signature',
-      receivedHeaders: req.headers
+      lookingFor: 'x-hub-signature'
     });
     return res.status(401).json({ error: 'Missing signature header' });
   }
@@ -322,90 +570,127 @@ router.get('/intercom/version', (req, res) => {
 });
 
 router.post('/intercom', verifyIntercomSignature, async (req, res) => {
+  let dedupeKey = null;
   try {
     const { type, data, topic } = req.body;
 
-    // Extract the actual event type from either type or topic field
-    // When type is "notification_event", use the topic field instead
-    const eventType = type === 'notification_event' ? topic : (topic || type);
+    // Intercom retries deliveries, so acknowledge ones we already processed without acting again
+    const delivery = await webhookDedupe.claim(req.body);
+    dedupeKey = delivery.key;
+    if (delivery.duplicate) {
+      logger.info('⏭️  Skipping duplicate Intercom webhook delivery', {
+        notificationId: req.body.id,
+        topic: topic || type,
+        ticketId: data?.item?.id || data?.conversation?.id
+      });
+      await ticketHistory.recordWebhook(req.body, { duplicate: true });
+      return res.json({ success: true, duplicate: true });
+    }
 
     // DETAILED WEBHOOK PAYLOAD LOGGING
     logger.info('📧 Received Intercom webhook', {
       type,
       topic,
-      eventType,
       ticketId: data?.item?.id || data?.conversation?.id,
       dataKeys: Object.keys(data || {}),
       hasItem: !!data?.item,
       hasConversation: !!data?.conversation
     });
 
-    // Log if this is being processed as L2 onsite
-    const conversationId = data?.item?.id || data?.conversation?.id;
-    if (conversationId && type === 'notification_event' && topic) {
-      logger.info('Processing L2 onsite webhook', {
-        conversationId,
-        topic,
-        type
-      });
-    }
+    // Enrichment and Lark delivery run in the queue worker so Intercom gets its 200 right away
+    const job = await eventQueue.enqueue(INTERCOM_WEBHOOK_JOB, req.body);
+    await ticketHistory.recordWebhook(req.body, { jobId: job.id });
 
-    // Handle different Intercom event types
-    switch (eventType) {
-      case 'conversation.admin.assigned':
-        await handleTicketAssigned(data);
-        break;
+    res.json({ success: true, queued: true, jobId: job.id });
+  } catch (error) {
+    // Let Intercom's retry of this delivery through
+    webhookDedupe.release(dedupeKey);
+    logger.error('❌ Error handling Intercom webhook', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-      case 'conversation.admin.closed':
-        await handleTicketClosed(data);
-        break;
+/**
+ * Process a queued Intercom webhook delivery.
+ * Errors are rethrown so the queue retries the delivery with backoff.
+ */
+async function processIntercomWebhook(body) {
+  const { type, data, topic } = body;
+
+  // Extract the actual event type from either type or topic field
+  // When type is "notification_event", use the topic field instead
+  const eventType = type === 'notification_event' ? topic : (topic || type);
+
+  // Log if this is being processed as L2 onsite
+  const conversationId = data?.item?.id || data?.conversation?.id;
+  if (conversationId && type === 'notification_event' && topic) {
+    logger.info('Processing L2 onsite webhook', {
+      conversationId,
+      topic,
+      type
+    });
+  }
 
-      case 'conversation.admin.opened':
-        await handleTicketOpened(data);
-        break;
+  // Keep the local mirror current before notifying (never throws)
+  await ticketMirror.recordWebhook(data?.item);
 
-      case 'conversation.admin.snoozed':
-        await handleTicketSnoozed(data);
-        break;
+  // Handle different Intercom event types
+  switch (eventType) {
+    case 'conversation.admin.assigned':
+      await handleTicketAssigned(data);
+      break;
 
-      case 'conversation.admin.unsnoozed':
-        await handleTicketUnsnoozed(data);
-        break;
+    case 'conversation.admin.closed':
+      await handleTicketClosed(data);
+      break;
 
-      case 'conversation.admin.replied':
-        await handleTicketReplied(data);
-        break;
+    case 'conversation.admin.opened':
+      await handleTicketOpened(data);
+      break;
 
-      case 'conversation.admin.note.created':
-      case 'conversation.admin.noted':
-        await handleTicketNoteAdded(data);
-        break;
+    case 'conversation.admin.snoozed':
+      await handleTicketSnoozed(data);
+      break;
 
-      // Additional event types that might contain assignment info
-      case 'conversation.state.changed':
-        await handleTicketStateChanged(data);
-        break;
+    case 'conversation.admin.unsnoozed':
+      await handleTicketUnsnoozed(data);
+      break;
 
-      case 'conversation.status.changed':
-        await handleTicketStatusChanged(data);
-        break;
+    case 'conversation.admin.replied':
+      await handleTicketReplied(data);
+      break;
 
-      default:
-        logger.info('Unhandled Intercom event type', {
-          type,
-          topic,
-          eventType,
-          dataStructure: Object.keys(data || {}),
-          conversationId: data?.item?.id || data?.conversation?.id
-        });
-    }
+    case 'conversation.admin.note.created':
+    case 'conversation.admin.noted':
+      await handleTicketNoteAdded(data);
+      break;
 
-    res.json({ success: true });
-  } catch (error) {
-    logger.error('❌ Error handling Intercom webhook', { error: error.message });
-    res.status(500).json({ error: 'Internal server error' });
+    // Additional event types that might contain assignment info
+    case 'conversation.state.changed':
+      await handleTicketStateChanged(data);
+      break;
+
+    case 'conversation.status.changed':
+      await handleTicketStatusChanged(data);
+      break;
+
+    default:
+      logger.info('Unhandled Intercom event type', {
+        type,
+        topic,
+        eventType,
+        dataStructure: Object.keys(data || {}),
+        conversationId: data?.item?.id || data?.conversation?.id
+      });
+      await ticketHistory.record(conversationId, 'routing', {
+        eventType,
+        routed: false,
+        reason: `No handler for ${eventType} events`
+      });
   }
-});
+}
+
+eventQueue.registerHandler(INTERCOM_WEBHOOK_JOB, processIntercomWebhook);
 
 /**
  * Handle ticket status changes and send to Lark
@@ -418,13 +703,14 @@ async function handleTicketAssigned(data) {
     ticketId: ticket.id,
     assignee: assignee?.name,
     teamAssigneeId: ticket.team_assignee_id,
-    ticketType: ticket.custom_attributes?.ticket_type,
-    isL2Onsite: isL2OnsiteSupport(ticket)
+    ticketType: ticket.custom_attributes?.ticket_type
   });
 
   // Send notification to Lark chat group
   await sendTicketUpdateToLark(ticket, 'assigned', {
     assignee: assignee?.name || 'Unknown',
+    assigneeId: assignee?.id,
+    assigneeEmail: assignee?.email,
     status: 'in_progress'
   });
 }
@@ -521,8 +807,16 @@ async function handleTicketStateChanged(data) {
   if (ticket.assignee || ticket.team_assignee_id) {
     await sendTicketUpdateToLark(ticket, 'assigned', {
       assignee: ticket.assignee?.name || 'Team',
+      assigneeId: ticket.assignee?.id,
+      assigneeEmail: ticket.assignee?.email,
       status: 'in_progress'
     });
+  } else {
+    await ticketHistory.record(ticket.id, 'routing', {
+      eventType: 'assigned',
+      routed: false,
+      reason: 'State changed without an assignee, nothing to notify'
+    });
   }
 }
 
@@ -542,80 +836,56 @@ async function handleTicketStatusChanged(data) {
   if (ticket.assignee || ticket.team_assignee_id) {
     await sendTicketUpdateToLark(ticket, 'assigned', {
       assignee: ticket.assignee?.name || 'Team',
+      assigneeId: ticket.assignee?.id,
+      assigneeEmail: ticket.assignee?.email,
       status: 'in_progress'
     });
+  } else {
+    await ticketHistory.record(ticket.id, 'routing', {
+      eventType: 'assigned',
+      routed: false,
+      reason: 'State changed without an assignee, nothing to notify'
+    });
   }
 }
 
 /**
- * Check if a ticket is for L2 onsite support
+ * Queue a ticket update for Lark. Events for the same conversation that arrive
+ * close together (e.g. state.changed + admin.assigned) are merged into one update.
  */
-function isL2OnsiteSupport(ticket) {
-  try {
-    // Check if ticket has the required custom attributes
-    const customAttributes = ticket.custom_attributes || {};
-
-    // Check country - only process Malaysia tickets
-    const country = customAttributes['🌎 Country'];
-    if (!country || !country.toLowerCase().includes('malaysia')) {
-      logger.info('❌ Not a Malaysia ticket', {
-        ticketId: ticket.id,
-        country,
-        reason: 'Only processing Malaysia tickets'
-      });
-      return false;
-    }
-
-    // ONLY check for site inspection requests - ignore all other criteria
-    const onsiteRequestType = customAttributes['Onsite Request Type'];
-    const validOnsiteTypes = [
-      '👥 Site Inspection - New Merchant',
-      '👥 Site Inspection - Existing Merchant'
-    ];
-
-    if (onsiteRequestType && validOnsiteTypes.includes(onsiteRequestType)) {
-      logger.info('✅ L2 onsite ticket detected by site inspection request type', {
-        ticketId: ticket.id,
-        onsiteRequestType,
-        country
-      });
-      return true;
-    }
-
-    // No other detection methods - only site inspection requests are captured
-
-    logger.info('❌ Not a site inspection ticket', {
-      ticketId: ticket.id,
-      ticketType: customAttributes['Ticket type'],
-      onsiteRequestType,
-      country,
-      reason: 'Only capturing Site Inspection tickets',
-      validTypes: validOnsiteTypes,
-      allCustomAttributes: Object.keys(customAttributes)
-    });
-
-    return false;
-  } catch (error) {
-    logger.error('❌ Error checking L2 onsite support status', {
-      ticketId: ticket.id,
-      error: error.message
-    });
-    return false;
-  }
+async function sendTicketUpdateToLark(ticket, eventType, metadata = {}) {
+  return webhookDedupe.coalesce(ticket.id, { ticket, eventType, metadata }, deliverTicketUpdate);
 }
 
 /**
- * Send ticket update to configured Lark chat group
+ * Send ticket update to the Lark chat groups selected by the routing rules
  */
-async function sendTicketUpdateToLark(ticket, eventType, metadata = {}) {
+async function deliverTicketUpdate({ ticket, eventType, metadata = {} }) {
   try {
-    // Filter: Only send notifications for L2 onsite support tickets
-    if (!isL2OnsiteSupport(ticket)) {
-      logger.info('⏭️  Skipping non-L2 onsite support ticket', {
+    // Filter: Only send notifications for tickets matched by a routing rule
+    const routing = routingService.evaluate(ticket, eventType);
+    // Chats that used /subscribe get the card too, whether or not a routing rule matched
+    const subscribers = await subscriptionService.match(ticket, eventType);
+    await ticketHistory.recordRouting(ticket.id, eventType, routing, subscribers);
+
+    if (!routing.routed && subscribers.length === 0) {
+      // Closing or snoozing still stops the SLA clock when the event itself is not routed
+      await slaService.handleTicketEvent(ticket, eventType);
+      // Tickets already in the Lark Base table still get their latest status
+      await baseSync.handleTicketEvent(ticket, eventType, { assignee: metadata.assignee });
+      // Closing still cancels an upcoming site inspection on the calendar
+      await inspectionCalendar.handleTicketEvent(ticket, eventType);
+      // Existing Lark tasks still follow reassignments and get completed on close
+      await ticketTasks.handleTicketEvent(ticket, eventType, { assignee: getAssigneeAdmin(metadata) });
+
+      logger.info('⏭️  Skipping ticket not routed to any Lark group', {
         ticketId: ticket.id,
+        eventType,
+        reason: routing.reason,
+        matchedRules: routing.matchedRules,
         teamAssigneeId: ticket.team_assignee_id,
-        ticketType: ticket.custom_attributes?.ticket_type,
-        tier2SupportType: ticket.custom_attributes?.['🔧Tier 2 Support Type']
+        country: ticket.custom_attributes?.['🌎 Country'],
+        onsiteRequestType: ticket.custom_attributes?.['Onsite Request Type']
       });
       return;
     }
@@ -625,7 +895,6 @@ async function sendTicketUpdateToLark(ticket, eventType, metadata = {}) {
       ticketId: ticket.id,
       hasCustomAttributes: !!ticket.custom_attributes,
       customAttributesType: typeof ticket.custom_attributes,
-      customAttributes: ticket.custom_attributes,
       merchantAccountName: ticket.custom_attributes?.['🆔 Merchant Account Name'],
       allAttributeKeys: ticket.custom_attributes ? Object.keys(ticket.custom_attributes) : [],
       // Log the entire ticket object to see structure
@@ -643,7 +912,6 @@ async function sendTicketUpdateToLark(ticket, eventType, metadata = {}) {
 
     try {
       // Try to fetch full conversation data from Intercom
-      const { intercomService } = require('../services');
       const healthStatus = intercomService?.getHealthStatus?.() || {};
 
       logger.info('📡 Intercom service status - DETAILED', {
@@ -672,9 +940,7 @@ async function sendTicketUpdateToLark(ticket, eventType, metadata = {}) {
           hasResponse: !!fullConversation,
           responseKeys: fullConversation ? Object.keys(fullConversation) : [],
           hasConversationParts: !!(fullConversation?.conversation_parts),
-          conversationPartsCount: fullConversation?.conversation_parts?.conversation_parts?.length || 0,
-          // Log the full response structure for debugging
-          apiResponse: fullConversation ? JSON.stringify(fullConversation, null, 2) : 'null'
+          conversationPartsCount: fullConversation?.conversation_parts?.conversation_parts?.length || 0
         });
 
         if (fullConversation) {
@@ -701,9 +967,8 @@ async function sendTicketUpdateToLark(ticket, eventType, metadata = {}) {
           // Debug logging to see custom attributes after API enrichment
           logger.info('🔍 Custom attributes after API enrichment:', {
             ticketId: enrichedTicket.id,
-            webhookCustomAttrs: ticket.custom_attributes,
-            apiCustomAttrs: fullConversation.custom_attributes,
-            mergedCustomAttrs: enrichedTicket.custom_attributes,
+            webhookAttributeKeys: ticket.custom_attributes ? Object.keys(ticket.custom_attributes) : [],
+            apiAttributeKeys: fullConversation.custom_attributes ? Object.keys(fullConversation.custom_attributes) : [],
             merchantAccountName: enrichedTicket.custom_attributes?.['🆔 Merchant Account Name'],
             allAttributeKeys: enrichedTicket.custom_attributes ? Object.keys(enrichedTicket.custom_attributes) : []
           });
@@ -728,59 +993,49 @@ async function sendTicketUpdateToLark(ticket, eventType, metadata = {}) {
       // Continue with webhook data only
     }
 
-    // Get the configured Lark chat group IDs from environment
-    const allGroups = [
-      { name: 'MY/PH FE', id: process.env.LARK_CHAT_GROUP_ID_MYPHFE },
-      { name: 'Complex Setup Process', id: process.env.LARK_CHAT_GROUP_ID_COMPLEX_SETUP }
-    ];
+    const merchantName = extractMerchantName(enrichedTicket.custom_attributes || {});
+
+    // Queue the enriched ticket for the Lark Base table (written in batches, never throws)
+    await baseSync.handleTicketEvent(enrichedTicket, eventType, {
+      routed: routing.routed,
+      merchantName,
+      assignee: metadata.assignee
+    });
 
-    const chatGroups = allGroups.filter((group) => group.id 
-      && group.id !== 'oc_placeholder_for_now'
-      && group.id !== 'oc_myphfe_group_id' 
-      && group.id !== 'oc_complex_setup_group_id');
+    // Create, move or cancel the site inspection on Lark Calendar before the card shows it (never throws)
+    const assignee = getAssigneeAdmin(metadata);
+    await inspectionCalendar.handleTicketEvent(enrichedTicket, eventType, {
+      routed: routing.routed,
+      merchantName,
+      assignee
+    });
 
-    logger.info('🎯 Lark chat group configuration', {
+    // Give the assignee a Lark task due at the SLA deadline, completed on close (never throws)
+    await ticketTasks.handleTicketEvent(enrichedTicket, eventType, {
+      routed: routing.routed,
+      merchantName,
+      assignee
+    });
+
+    const chatGroups = [
+      ...routing.targets,
+      ...subscribers.filter((subscriber) => !routing.targets.some((target) => target.chatId === subscriber.chatId))
+    ];
+
+    logger.info('🎯 Lark chat groups selected by routing rules', {
       ticketId: enrichedTicket.id,
-      allGroups: allGroups.map((g) => ({ 
-        name: g.name, 
-        id: g.id, 
-        isPlaceholder: g.id === 'oc_placeholder_for_now' 
-      })),
-      filteredGroups: chatGroups.map((g) => ({ name: g.name, id: g.id })),
-      filteredCount: chatGroups.length,
-      environmentVariables: {
-        LARK_CHAT_GROUP_ID_MYPHFE: process.env.LARK_CHAT_GROUP_ID_MYPHFE,
-        LARK_CHAT_GROUP_ID_COMPLEX_SETUP: process.env.LARK_CHAT_GROUP_ID_COMPLEX_SETUP,
-        LARK_CHAT_GROUP_ID: process.env.LARK_CHAT_GROUP_ID
-      }
+      eventType,
+      matchedRules: routing.matchedRules,
+      subscribers: subscribers.length,
+      targets: chatGroups.map((g) => ({ name: g.name, chatId: g.chatId, rule: g.rule })),
+      note: routing.reason
     });
 
-    // FALLBACK: If no specific group IDs are configured, use the main LARK_CHAT_GROUP_ID
-    if (chatGroups.length === 0) {
-      const fallbackGroupId = process.env.LARK_CHAT_GROUP_ID;
-      if (fallbackGroupId && fallbackGroupId !== 'oc_placeholder_for_now') {
-        chatGroups.push({ name: 'Main Group', id: fallbackGroupId });
-        logger.info('Using fallback Lark chat group', {
-          ticketId: ticket.id,
-          fallbackGroupId,
-          reason: 'No specific group IDs configured'
-        });
-      } else {
-        logger.warn('No valid Lark chat groups configured for ticket updates', {
-          ticketId: ticket.id,
-          eventType,
-          availableGroups: {
-            myphfe: process.env.LARK_CHAT_GROUP_ID_MYPHFE,
-            complexSetup: process.env.LARK_CHAT_GROUP_ID_COMPLEX_SETUP,
-            fallback: process.env.LARK_CHAT_GROUP_ID
-          }
-        });
-        return;
-      }
-    }
+    // Turn the assignee into a real @mention so they get notified
+    const notifyMetadata = { ...metadata, ...await resolveAssigneeMentions(metadata) };
 
     // Format the message as an interactive card for L2 onsite tickets
-    const cardContent = formatTicketAsCard(enrichedTicket, eventType, metadata);
+    const cardContent = formatTicketAsCard(enrichedTicket, eventType, notifyMetadata);
 
     logger.info('📝 Formatted Lark card', {
       ticketId: enrichedTicket.id,
@@ -789,47 +1044,191 @@ async function sendTicketUpdateToLark(ticket, eventType, metadata = {}) {
       cardTemplate: cardContent?.header?.template
     });
 
-    // Import larkService for sending cards
-    const larkService = require('../services/lark');
-
-    // Send to all configured Lark groups
+    // Send to all configured Lark groups (patching the existing card where there is one)
     const sendPromises = chatGroups.map(async (group) => {
       try {
-        // Use the new sendInteractiveCard method
-        await larkService.sendInteractiveCard(group.id, cardContent);
+        const result = await deliverTicketCard(group.chatId, enrichedTicket, eventType, cardContent, notifyMetadata);
+        await ticketHistory.recordDelivery(enrichedTicket.id, {
+          eventType,
+          chatId: group.chatId,
+          groupName: group.name,
+          rule: group.rule,
+          messageId: result.messageId,
+          updated: result.updated
+        });
         logger.info('✅ L2 onsite ticket update sent to Lark group as card', {
           ticketId: enrichedTicket.id,
           eventType,
-          chatId: group.id,
-          groupName: group.name
+          chatId: group.chatId,
+          groupName: group.name,
+          rule: group.rule,
+          messageId: result.messageId,
+          updatedInPlace: result.updated
         });
+        return true;
       } catch (error) {
         logger.error('❌ Failed to send card to Lark group', {
           ticketId: enrichedTicket.id,
           eventType,
           groupName: group.name,
-          chatId: group.id,
+          chatId: group.chatId,
           error: error.message
         });
+        await ticketHistory.recordDelivery(enrichedTicket.id, {
+          eventType,
+          chatId: group.chatId,
+          groupName: group.name,
+          rule: group.rule,
+          error
+        });
+        return false;
       }
     });
 
-    await Promise.allSettled(sendPromises);
+    const delivered = await Promise.all(sendPromises);
+
+    // Only a total failure is retried, so groups that already got the card are not spammed
+    if (!delivered.includes(true)) {
+      throw new Error(`Failed to deliver ticket ${ticket.id} update to any of ${chatGroups.length} Lark groups`);
+    }
+
+    // SLA alerts only go to the groups that own the ticket, not to subscribers
+    await slaService.handleTicketEvent(enrichedTicket, eventType, {
+      chatIds: routing.targets.map((group) => group.chatId),
+      merchantName
+    });
   } catch (error) {
     logger.error('❌ Failed to send ticket update to Lark', {
       ticketId: ticket.id,
       eventType,
       error: error.message
     });
+    throw error;
   }
 }
 
+/**
+ * Deliver a ticket card to one chat: patch the card already posted for this ticket,
+ * or post a new one and remember its message ID for the next event
+ * @returns {Promise<Object>} { messageId, updated }
+ */
+async function deliverTicketCard(chatId, ticket, eventType, cardContent, metadata = {}) {
+  const { updateInPlace, threadReplies } = appConfig.lark.cards;
+  const state = ticket.state || 'open';
+
+  const tracked = updateInPlace ? await cardTracker.getCard(ticket.id, chatId) : null;
+  let delivery = null;
+
+  if (tracked) {
+    try {
+      await larkService.updateInteractiveCard(tracked.messageId, cardContent);
+      await cardTracker.saveCard(ticket.id, chatId, { messageId: tracked.messageId, state, eventType });
+      delivery = { messageId: tracked.messageId, updated: true };
+    } catch (error) {
+      logger.warn('⚠️ Could not update existing ticket card, posting a new one', {
+        ticketId: ticket.id,
+        chatId,
+        messageId: tracked.messageId,
+        error: error.message
+      });
+    }
+  }
+
+  if (!delivery) {
+    const result = await larkService.sendInteractiveCard(chatId, cardContent);
+    if (updateInPlace && result?.message_id) {
+      await cardTracker.saveCard(ticket.id, chatId, { messageId: result.message_id, state, eventType });
+    }
+    delivery = { messageId: result?.message_id, updated: false };
+  }
+
+  // Patched cards and card mentions do not notify anyone, so a new assignee is pinged in the thread
+  const pingAssignee = eventType === 'assigned' && !!metadata.assigneeOpenId;
+
+  if (delivery.messageId && ((delivery.updated && threadReplies) || pingAssignee)) {
+    try {
+      await larkService.replyToMessage(delivery.messageId, {
+        text: describeTicketChange(tracked || {}, ticket, eventType, metadata)
+      });
+    } catch (error) {
+      // The card itself is up to date, a missing thread reply is not worth failing for
+      logger.warn('⚠️ Failed to post threaded reply for ticket card', {
+        ticketId: ticket.id,
+        chatId,
+        error: error.message
+      });
+    }
+  }
+
+  return delivery;
+}
+
+/**
+ * The Intercom admin an update's metadata assigns the ticket to
+ * @returns {Object|null} { id, email, name }, or null when the update carries no assignee
+ */
+function getAssigneeAdmin(metadata = {}) {
+  if (!metadata.assigneeId && !metadata.assigneeEmail) return null;
+  return { id: metadata.assigneeId, email: metadata.assigneeEmail, name: metadata.assignee };
+}
+
+/**
+ * Resolve @mentions for the assignee in an update's metadata (empty when they have no Lark account)
+ * @returns {Promise<Object>} { assigneeOpenId, assigneeMention, assigneeTextMention }
+ */
+async function resolveAssigneeMentions(metadata = {}) {
+  const admin = getAssigneeAdmin(metadata);
+  if (!admin) return {};
+
+  const assigneeOpenId = await identityService.getLarkUserIdForAdmin(admin);
+  if (!assigneeOpenId) return {};
+
+  return {
+    assigneeOpenId,
+    assigneeMention: await identityService.getMention(admin, 'card'),
+    assigneeTextMention: await identityService.getMention(admin, 'text')
+  };
+}
+
+/**
+ * Describe what changed since the card was last updated (used for threaded replies)
+ */
+function describeTicketChange(previous, ticket, eventType, metadata = {}) {
+  const eventLabels = {
+    opened: '🆕 Ticket opened',
+    assigned: '👤 Ticket assigned',
+    closed: '🔒 Ticket closed',
+    snoozed: '😴 Ticket snoozed',
+    unsnoozed: '⏰ Ticket unsnoozed',
+    replied: '💬 Admin reply added',
+    note_added: '📝 Note added'
+  };
+
+  const lines = [eventLabels[eventType] || `📋 Ticket updated (${eventType})`];
+  const state = ticket.state || 'open';
+
+  if (previous.state && previous.state !== state) {
+    lines.push(`State: ${previous.state} → ${state}`);
+  }
+  if (metadata.assignee) {
+    lines.push(`Assigned to: ${metadata.assigneeTextMention || metadata.assignee}`);
+  }
+  if (metadata.repliedBy) {
+    lines.push(`Replied by: ${metadata.repliedBy}`);
+  }
+  if (metadata.noteBy) {
+    lines.push(`Note by: ${metadata.noteBy}`);
+  }
+
+  return lines.join('\n');
+}
+
 /**
  * Format ticket update message for Lark
  */
 function formatTicketUpdateMessage(ticket, eventType, metadata = {}) {
-  // Check if this is an L2 onsite support ticket
-  if (isL2OnsiteSupport(ticket)) {
+  // Tickets matched by a routing rule get the detailed site inspection format
+  if (routingService.evaluate(ticket, eventType).routed) {
     return formatL2OnsiteMessage(ticket, eventType, metadata);
   }
 
@@ -902,7 +1301,7 @@ function formatTicketUpdateMessage(ticket, eventType, metadata = {}) {
     });
   }
 
-  message += `\n[View in Intercom](https://app.intercom.io/a/apps/${process.env.INTERCOM_APP_ID}/inbox/conversation/${ticket.id})`;
+  message += `\n[View in Intercom](${appConfig.getIntercomConversationUrl(ticket.id)})`;
 
   return message;
 }
@@ -937,8 +1336,7 @@ function extractMerchantName(customAttrs) {
 
   // Log all available custom attributes if merchant name not found
   logger.warn('Merchant name not found in custom attributes', {
-    availableFields: Object.keys(customAttrs),
-    customAttrs
+    availableFields: Object.keys(customAttrs)
   });
 
   return 'Unknown';
@@ -965,7 +1363,8 @@ function formatTicketAsCard(ticket, eventType, metadata = {}) {
     replied: { emoji: '💬', title: 'ADMIN REPLY ADDED', template: 'turquoise' },
     note_added: { emoji: '📝', title: 'NOTE ADDED', template: 'yellow' },
     closed: { emoji: '🔒', title: 'SITE INSPECTION CLOSED', template: 'green' },
-    reopened: { emoji: '🔄', title: 'SITE INSPECTION REOPENED', template: 'orange' }
+    reopened: { emoji: '🔄', title: 'SITE INSPECTION REOPENED', template: 'orange' },
+    visit_scheduled: { emoji: '📅', title: 'SITE VISIT SCHEDULED', template: 'blue' }
   };
 
   const config = eventConfigs[eventType] || {
@@ -974,6 +1373,13 @@ function formatTicketAsCard(ticket, eventType, metadata = {}) {
     template: 'blue'
   };
 
+  // The same card is updated across events, so its colour follows the ticket state
+  const stateTemplates = {
+    open: 'blue',
+    snoozed: 'orange',
+    closed: 'green'
+  };
+
   // Create card elements
   const elements = [];
 
@@ -1079,12 +1485,23 @@ function formatTicketAsCard(ticket, eventType, metadata = {}) {
   const footerElements = [];
 
   if (metadata.assignee) {
-    footerElements.push({
+    footerElements.push(metadata.assigneeMention ? {
+      tag: 'lark_md',
+      content: `👤 Assigned to: ${metadata.assigneeMention}`
+    } : {
       tag: 'plain_text',
       content: `👤 Assigned to: ${metadata.assignee}`
     });
   }
 
+  const visit = inspectionCalendar.getVisit(ticket.id);
+  if (visit) {
+    footerElements.push({
+      tag: 'plain_text',
+      content: `📅 Site visit: ${visit.label}`
+    });
+  }
+
   if (metadata.repliedBy) {
     footerElements.push({
       tag: 'plain_text',
@@ -1099,6 +1516,13 @@ function formatTicketAsCard(ticket, eventType, metadata = {}) {
     });
   }
 
+  if (metadata.actedBy) {
+    footerElements.push({
+      tag: 'plain_text',
+      content: metadata.actedBy
+    });
+  }
+
   footerElements.push({
     tag: 'plain_text',
     content: `Updated: ${new Date(ticket.updated_at * 1000).toLocaleString()}`
@@ -1109,25 +1533,33 @@ function formatTicketAsCard(ticket, eventType, metadata = {}) {
     elements: footerElements
   });
 
-  // Add action button
-  elements.push({
-    tag: 'action',
-    actions: [{
-      tag: 'button',
-      text: {
-        tag: 'plain_text',
-        content: 'View in Intercom'
-      },
-      type: 'primary',
-      url: `https://app.intercom.io/a/apps/${process.env.INTERCOM_APP_ID}/inbox/conversation/${ticket.id}`
-    }]
-  });
+  // Add action buttons (ticket controls handled by /webhook/lark/card-action)
+  const viewButton = {
+    tag: 'button',
+    text: {
+      tag: 'plain_text',
+      content: 'View in Intercom'
+    },
+    type: appConfig.lark.cards.actions ? 'default' : 'primary',
+    url: appConfig.getIntercomConversationUrl(ticket.id)
+  };
+
+  if (appConfig.lark.cards.actions && ticket.state !== 'closed') {
+    elements.push(...buildTicketActionElements(ticket, viewButton));
+  } else {
+    elements.push({
+      tag: 'action',
+      actions: [viewButton]
+    });
+  }
 
   // Create the card
   return {
     config: {
       wide_screen_mode: true,
-      enable_forward: true
+      enable_forward: true,
+      // Required so the card can be patched in place for later events
+      update_multi: true
     },
     header: {
       title: {
@@ -1138,12 +1570,68 @@ function formatTicketAsCard(ticket, eventType, metadata = {}) {
         content: `Ticket #${ticket.id}`,
         tag: 'plain_text'
       },
-      template: config.template
+      template: stateTemplates[ticket.state] || config.template
     },
     elements
   };
 }
 
+/**
+ * Build the interactive ticket controls: Assign to me, Snooze, Close and an Add note input
+ */
+function buildTicketActionElements(ticket, viewButton) {
+  const value = (action) => ({ action, ticketId: String(ticket.id) });
+
+  return [
+    {
+      tag: 'action',
+      actions: [
+        {
+          tag: 'button',
+          text: { tag: 'plain_text', content: '✋ Assign to me' },
+          type: 'primary',
+          value: value('assign_to_me')
+        },
+        {
+          tag: 'select_static',
+          placeholder: { tag: 'plain_text', content: '😴 Snooze' },
+          value: value('snooze'),
+          options: SNOOZE_OPTIONS.map((option) => ({
+            text: { tag: 'plain_text', content: option.label },
+            value: String(option.seconds)
+          }))
+        },
+        {
+          tag: 'button',
+          text: { tag: 'plain_text', content: '🔒 Close' },
+          type: 'danger',
+          value: value('close'),
+          confirm: {
+            title: { tag: 'plain_text', content: 'Close this ticket?' },
+            text: { tag: 'plain_text', content: `Ticket #${ticket.id} will be closed in Intercom.` }
+          }
+        },
+        // Picked times come back as "2026-10-20 14:00 +0800" in the picker's own timezone
+        ...(appConfig.lark.calendar.enabled ? [{
+          tag: 'picker_datetime',
+          placeholder: { tag: 'plain_text', content: '📅 Schedule visit' },
+          value: value('schedule_visit')
+        }] : []),
+        viewButton
+      ]
+    },
+    {
+      tag: 'action',
+      actions: [{
+        tag: 'input',
+        name: 'note',
+        placeholder: { tag: 'plain_text', content: '📝 Add an internal note and press Enter' },
+        value: value('add_note')
+      }]
+    }
+  ];
+}
+
 /**
  * Format L2 onsite support ticket message with enhanced content
  */
@@ -1283,13 +1771,13 @@ function formatL2OnsiteMessage(ticket, eventType, metadata = {}) {
   }
 
   if (eventType === 'assigned' && metadata.assignee) {
-    message += `\n**👤 Assigned to:** ${metadata.assignee}\n`;
+    message += `\n**👤 Assigned to:** ${metadata.assigneeTextMention || metadata.assignee}\n`;
   }
 
   message += `\n**Updated:** ${new Date(ticket.updated_at * 1000).toLocaleString()}\n`;
 
   // Add link to view ticket
-  message += `\n🔗 [View Ticket](https://app.intercom.io/a/apps/${process.env.INTERCOM_APP_ID}/inbox/conversation/${ticket.id})`;
+  message += `\n🔗 [View Ticket](${appConfig.getIntercomConversationUrl(ticket.id)})`;
 
   return message;
 }
@@ -1319,8 +1807,9 @@ router.get('/lark/test', async (req, res) => {
 
 /**
  * Manual message processing endpoint (for testing)
+ * Runs chatbot commands as any user in any chat, so it is admin-only.
  */
-router.post('/lark/test-message', async (req, res) => {
+router.post('/lark/test-message', authenticate, authorize('system:admin'), async (req, res) => {
   try {
     const { content, chatId, userId } = req.body;
 
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/json-store');
+
+/**
+ * Audit Service
+ * Records who exported what and which admin actions were taken, for GET /admin/audit
+ */
+class AuditService {
+  constructor() {
+    this.store = new JsonStore('audit-log');
+    this.maxEntries = config.security.audit.maxEntries;
+    this.retentionDays = config.security.audit.retentionDays;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Loads the audit log and drops entries past the retention window
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    await this.store.load();
+    const pruned = this.prune();
+
+    this.isInitialized = true;
+    logger.info('🧾 Audit log initialized', { entries: this.store.size, pruned });
+  }
+
+  /**
+   * Appends an entry to the audit log
+   * Errors are logged, never thrown, so auditing never fails the audited request.
+   * @param {Object} principal - Caller from authService.authenticate ({ id, name, role, method })
+   * @param {string} action - What was done (e.g. 'export.created', 'export.downloaded')
+   * @param {Object} details - What it was done to (data type, filters, file, ...)
+   * @returns {Promise<Object|null>} Stored entry, or null if it could not be recorded
+   */
+  async record(principal, action, details = {}) {
+    try {
+      await this.store.load();
+
+      const at = new Date().toISOString();
+      const entry = {
+        id: `aud_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        at,
+        actor: principal?.id || 'anonymous',
+        actorName: principal?.name || null,
+        role: principal?.role || null,
+        method: principal?.method || null,
+        action,
+        ...details
+      };
+
+      this.store.set(entry.id, entry);
+      // Entries are kept in insertion order, so the first ones are the oldest
+      this.store.entries()
+        .slice(0, Math.max(this.store.size - this.maxEntries, 0))
+        .forEach(([id]) => this.store.delete(id));
+
+      logger.info('🧾 Audit', entry);
+      return entry;
+    } catch (error) {
+      logger.logError('AuditService.record', error, { action });
+      return null;
+    }
+  }
+
+  /**
+   * Lists audit entries, newest first
+   * @param {Object} options - Query options
+   * @param {string} options.actor - Only entries by this principal ID (e.g. 'key:finance', 'jwt:jane')
+   * @param {string} options.action - Only entries whose action starts with this (e.g. 'export.')
+   * @param {string} options.since - Only entries at or after this ISO date
+   * @param {number} options.limit - Maximum number of entries (default: 100)
+   * @returns {Promise<Array>} Entries
+   */
+  async list({
+    actor, action, since, limit = 100
+  } = {}) {
+    await this.store.load();
+
+    return this.store.values()
+      .filter((entry) => !actor || entry.actor === actor)
+      .filter((entry) => !action || entry.action.startsWith(action))
+      .filter((entry) => !since || entry.at >= since)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  /**
+   * Removes entries older than the retention window
+   * @returns {number} Number of removed entries
+   */
+  prune() {
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    let removed = 0;
+
+    this.store.entries().forEach(([id, entry]) => {
+      if (entry.at < cutoff) {
+        this.store.delete(id);
+        removed++;
+      }
+    });
+
+    return removed;
+  }
+
+  /**
+   * Flushes pending writes to disk
+   */
+  async cleanup() {
+    await this.store.flush();
+  }
+
+  /**
+   * Gets service health status
+   * @returns {Object} Health status
+   */
+  getHealthStatus() {
+    return {
+      initialized: this.isInitialized,
+      entries: this.store.size,
+      maxEntries: this.maxEntries,
+      retentionDays: this.retentionDays
+    };
+  }
+}
+
+// Create singleton instance
+const auditService = new AuditService();
+
+module.exports = auditService;
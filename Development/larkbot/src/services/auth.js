@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Roles from least to most privileged
+const ROLES = ['viewer', 'exporter', 'admin'];
+
+// Permission -> roles that have it
+const PERMISSIONS = {
+  // Conversations, tickets, contacts and ticket history under /api
+  'data:read': ['viewer', 'exporter', 'admin'],
+  // Running exports and export jobs, listing and downloading export files
+  'export:write': ['exporter', 'admin'],
+  // Deleting export files and seeing everyone's export jobs
+  'export:manage': ['admin'],
+  // Environment and connection details, Lark chats, the event queue and the ticket mirror
+  'system:admin': ['admin']
+};
+
+// The placeholder secret in config is public, so tokens signed with it are never accepted
+const DEFAULT_JWT_SECRET = 'default-secret-change-in-production';
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest();
+
+const authError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * Auth Service
+ * Identifies callers of /api, /export and /admin by API key (X-API-Key header) or HS256 JWT
+ * (Authorization: Bearer) and checks their role against route permissions.
+ */
+class AuthService {
+  constructor() {
+    this.options = config.security.auth;
+    this.jwtSecret = config.security.jwtSecret;
+    // [{ hash, name, role }]; only SHA-256 hashes of the keys are kept in memory
+    this.apiKeys = [];
+    this.stats = {
+      authenticated: 0,
+      rejected: 0,
+      denied: 0
+    };
+    this.isInitialized = false;
+  }
+
+  /**
+   * Loads API keys from config
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    this.apiKeys = this.parseApiKeys(this.options.apiKeys);
+    this.isInitialized = true;
+
+    if (!this.options.enabled) {
+      logger.warn('⚠️ AUTH_ENABLED=false: /api, /export and /admin are open to anyone, as admin');
+    } else if (this.apiKeys.length === 0 && !this.isJwtEnabled()) {
+      logger.warn('⚠️ Neither API_KEYS nor JWT_SECRET configured: /api, /export and /admin reject every request');
+    }
+
+    logger.info('🔐 Auth service initialized', {
+      enabled: this.options.enabled,
+      apiKeys: this.apiKeys.length,
+      jwt: this.isJwtEnabled()
+    });
+  }
+
+  /**
+   * Parses the API keys JSON ({ "<key>": { "name": "...", "role": "viewer|exporter|admin" } })
+   * @param {string|Object} raw - API keys from config
+   * @returns {Array<Object>} [{ hash, name, role }]
+   */
+  parseApiKeys(raw) {
+    let keys = raw;
+    if (typeof raw === 'string') {
+      try {
+        keys = JSON.parse(raw);
+      } catch (error) {
+        throw new Error(`API_KEYS is not valid JSON: ${error.message}`);
+      }
+    }
+
+    if (!keys || typeof keys !== 'object' || Array.isArray(keys)) {
+      throw new Error('API_KEYS must be a JSON object of API key -> { name, role }');
+    }
+
+    return Object.entries(keys).map(([key, { name, role } = {}]) => {
+      if (!name || !ROLES.includes(role)) {
+        const got = JSON.stringify({ name, role });
+        throw new Error(`API_KEYS entries need a name and a role (${ROLES.join(', ')}), got ${got}`);
+      }
+      return { hash: hashKey(key), name, role };
+    });
+  }
+
+  /**
+   * @returns {boolean} True if a real JWT secret is configured
+   */
+  isJwtEnabled() {
+    return !!this.jwtSecret && this.jwtSecret !== DEFAULT_JWT_SECRET;
+  }
+
+  /**
+   * Identifies the caller of a request
+   * @param {Object} headers - Request headers (lowercased, as Express provides them)
+   * @returns {Object} Principal { id, name, role, method }
+   * @throws {Error} With statusCode 401 when credentials are missing or invalid
+   */
+  authenticate(headers = {}) {
+    if (!this.options.enabled) {
+      return {
+        id: 'anonymous', name: 'anonymous', role: 'admin', method: 'none'
+      };
+    }
+
+    try {
+      const principal = this.identify(headers);
+      this.stats.authenticated++;
+      return principal;
+    } catch (error) {
+      this.stats.rejected++;
+      throw error;
+    }
+  }
+
+  /**
+   * Reads and verifies the credentials in request headers
+   */
+  identify(headers) {
+    const apiKey = headers['x-api-key'];
+    if (apiKey) return this.verifyApiKey(apiKey);
+
+    const [scheme, token] = String(headers.authorization || '').split(' ');
+    if (scheme.toLowerCase() === 'bearer' && token) return this.verifyToken(token);
+
+    throw authError(401, 'Authentication required: send an X-API-Key header or an Authorization: Bearer token');
+  }
+
+  /**
+   * Checks an API key (constant-time comparison of hashes)
+   * @param {string} key - API key
+   * @returns {Object} Principal
+   */
+  verifyApiKey(key) {
+    const hash = hashKey(key);
+    const match = this.apiKeys.find((entry) => crypto.timingSafeEqual(entry.hash, hash));
+    if (!match) throw authError(401, 'Invalid API key');
+
+    return {
+      id: `key:${match.name}`, name: match.name, role: match.role, method: 'api-key'
+    };
+  }
+
+  /**
+   * Checks a JWT signed with JWT_SECRET
+   * Tokens need a `sub` and a `role` claim; `name` or `email` is used in audit entries when present.
+   * @param {string} token - JWT
+   * @returns {Object} Principal
+   */
+  verifyToken(token) {
+    if (!this.isJwtEnabled()) throw authError(401, 'JWT authentication is not configured');
+
+    let claims;
+    try {
+      claims = jwt.verify(token, this.jwtSecret, {
+        algorithms: ['HS256'],
+        issuer: this.options.jwtIssuer,
+        audience: this.options.jwtAudience
+      });
+    } catch (error) {
+      throw authError(401, `Invalid token: ${error.message}`);
+    }
+
+    if (!claims.sub || !ROLES.includes(claims.role)) {
+      throw authError(401, `Token needs a sub and a role claim (${ROLES.join(', ')})`);
+    }
+
+    return {
+      id: `jwt:${claims.sub}`, name: claims.name || claims.email || claims.sub, role: claims.role, method: 'jwt'
+    };
+  }
+
+  /**
+   * Checks whether a principal has a permission
+   * @param {Object} principal - Result of authenticate
+   * @param {string} permission - Key of PERMISSIONS
+   * @returns {boolean} True if allowed
+   */
+  can(principal, permission) {
+    if (!PERMISSIONS[permission]) throw new Error(`Unknown permission "${permission}"`);
+    return PERMISSIONS[permission].includes(principal?.role);
+  }
+
+  /**
+   * Throws unless a principal has a permission
+   * @throws {Error} With statusCode 403
+   */
+  authorize(principal, permission) {
+    if (this.can(principal, permission)) return;
+
+    this.stats.denied++;
+    throw authError(403, `The ${principal?.role || 'anonymous'} role does not have the ${permission} permission`);
+  }
+
+  /**
+   * Signs a JWT for a user or integration (see scripts/issue-token.js)
+   * @param {Object} claims - { sub, role, name }
+   * @param {Object} options - { expiresIn } (default: 12h)
+   * @returns {string} Token
+   */
+  issueToken({ sub, role, name }, { expiresIn = '12h' } = {}) {
+    if (!this.isJwtEnabled()) throw new Error('Set JWT_SECRET before issuing tokens');
+    if (!sub || !ROLES.includes(role)) throw new Error(`Tokens need a sub and a role (${ROLES.join(', ')})`);
+
+    return jwt.sign({ sub, role, ...(name && { name }) }, this.jwtSecret, {
+      algorithm: 'HS256',
+      expiresIn,
+      ...(this.options.jwtIssuer && { issuer: this.options.jwtIssuer }),
+      ...(this.options.jwtAudience && { audience: this.options.jwtAudience })
+    });
+  }
+
+  /**
+   * Gets service health status
+   * @returns {Object} Health status
+   */
+  getHealthStatus() {
+    return {
+      initialized: this.isInitialized,
+      enabled: this.options.enabled,
+      apiKeys: this.apiKeys.length,
+      jwt: this.isJwtEnabled(),
+      ...this.stats
+    };
+  }
+}
+
+// Create singleton instance
+const authService = new AuthService();
+
+module.exports = authService;
+module.exports.ROLES = ROLES;
+module.exports.PERMISSIONS = PERMISSIONS;
@@ -0,0 +1,292 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/json-store');
+const larkService = require('./lark');
+const slaService = require('./sla');
+
+// Base columns written by the sync; columns missing from the table are skipped
+const FIELDS = {
+  ticketId: 'Ticket ID',
+  status: 'Status',
+  merchant: 'Merchant',
+  country: 'Country',
+  picName: 'PIC Name',
+  picContact: 'PIC Contact Number',
+  express: 'Express',
+  assignee: 'Assigned Agent',
+  createdAt: 'Created Date',
+  updatedAt: 'Updated Date',
+  lastEvent: 'Last Event'
+};
+
+// Base field types each column may have (Text, Single select or Phone number unless listed)
+const TEXT_TYPES = [1, 3, 13];
+const FIELD_TYPES = {
+  [FIELDS.express]: [7], // Checkbox
+  [FIELDS.createdAt]: [5], // Date
+  [FIELDS.updatedAt]: [5]
+};
+
+/**
+ * Lark Base Sync Service
+ * Mirrors routed tickets into a Lark Base (Bitable) table, one row per ticket keyed by Ticket ID,
+ * so ops can build their own views and dashboards. Webhook events only queue the latest row for a
+ * ticket; rows are upserted in batches every `syncIntervalMs` and kept queued until a write succeeds.
+ */
+class BaseSyncService {
+  constructor() {
+    // Ticket ID -> { recordId, row, dirty, syncedAt, lastError }
+    this.store = new JsonStore('base-sync');
+    this.options = { ...config.lark.base };
+    this.tableId = null;
+    // Column names of the table, read on the first sync
+    this.fieldNames = null;
+    this.timer = null;
+    this.syncing = false;
+    this.stats = {
+      queued: 0,
+      created: 0,
+      updated: 0,
+      failed: 0
+    };
+    this.lastSyncAt = null;
+    this.lastError = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Loads queued rows and starts the sync timer
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    await this.store.load();
+
+    if (this.options.syncEnabled) {
+      if (!this.options.appToken) {
+        throw new Error('LARK_BASE_APP_TOKEN is required when LARK_BASE_SYNC_ENABLED=true');
+      }
+      this.timer = setInterval(() => this.sync(), this.options.syncIntervalMs);
+      this.timer.unref();
+    }
+
+    this.isInitialized = true;
+    logger.info('🗂️ Lark Base sync initialized', {
+      enabled: this.options.syncEnabled,
+      table: this.options.table,
+      tickets: this.store.size,
+      pending: this.getPending().length
+    });
+  }
+
+  /**
+   * Queues a ticket's current state for the Base table
+   * Routed tickets are added; tickets that are not routed are only updated if they are already in the
+   * table, so a ticket closed without a routed event still gets its final status.
+   * @param {Object} ticket - Intercom ticket
+   * @param {string} eventType - Event type (opened, assigned, closed...)
+   * @param {Object} options - Event details
+   * @param {boolean} options.routed - Whether a routing rule matched the ticket
+   * @param {string} options.merchantName - Merchant name from the ticket's custom attributes
+   * @param {string} options.assignee - Assignee name, when the event carries one
+   */
+  async handleTicketEvent(ticket, eventType, { routed = false, merchantName, assignee } = {}) {
+    if (!this.options.syncEnabled) return;
+
+    try {
+      await this.store.load();
+
+      const ticketId = String(ticket.id);
+      const existing = this.store.get(ticketId);
+      if (!routed && !existing) return;
+
+      this.store.set(ticketId, {
+        recordId: existing?.recordId || null,
+        // Fields this event does not know keep the value of earlier events
+        row: { ...existing?.row, ...this.toRow(ticket, eventType, { merchantName, assignee }) },
+        dirty: true,
+        syncedAt: existing?.syncedAt || null,
+        lastError: existing?.lastError || null
+      });
+      this.stats.queued++;
+    } catch (error) {
+      logger.logError('BaseSyncService.handleTicketEvent', error, { ticketId: ticket.id, eventType });
+    }
+  }
+
+  /**
+   * Builds the Base row for a ticket (fields without a value are left out, so they are not cleared)
+   * @returns {Object} Base field name -> value
+   */
+  toRow(ticket, eventType, { merchantName, assignee } = {}) {
+    const attributes = ticket.custom_attributes || {};
+    const row = {
+      [FIELDS.ticketId]: String(ticket.id),
+      [FIELDS.status]: ticket.state,
+      [FIELDS.merchant]: merchantName && merchantName !== 'Unknown' ? merchantName : null,
+      [FIELDS.country]: attributes['🌎 Country'],
+      [FIELDS.picName]: attributes['PIC Name'],
+      [FIELDS.picContact]: attributes['PIC Contact Number'] ? String(attributes['PIC Contact Number']) : null,
+      [FIELDS.express]: slaService.getTier(ticket) === 'express',
+      [FIELDS.assignee]: assignee || ticket.assignee?.name,
+      // Base date fields take milliseconds
+      [FIELDS.createdAt]: ticket.created_at ? ticket.created_at * 1000 : null,
+      [FIELDS.updatedAt]: ticket.updated_at ? ticket.updated_at * 1000 : Date.now(),
+      [FIELDS.lastEvent]: eventType
+    };
+
+    return Object.fromEntries(Object.entries(row).filter(([, value]) => value !== null && value !== undefined));
+  }
+
+  /**
+   * Writes queued rows to the Base table
+   * @returns {Promise<Object>} { created, updated } for this run
+   */
+  async sync() {
+    if (this.syncing || !this.options.syncEnabled) return { created: 0, updated: 0 };
+    this.syncing = true;
+
+    const pending = this.getPending();
+    try {
+      if (pending.length === 0) return { created: 0, updated: 0 };
+
+      await this.resolveTable();
+      const rows = pending.map(([, entry]) => this.onlyKnownFields(entry.row));
+      const knownRecordIds = Object.fromEntries(pending
+        .filter(([, entry]) => entry.recordId)
+        .map(([ticketId, entry]) => [ticketId, entry.recordId]));
+      const result = await larkService.upsertBitableRecords(
+        this.options.appToken, this.tableId, FIELDS.ticketId, rows, knownRecordIds
+      );
+
+      const syncedAt = new Date().toISOString();
+      pending.forEach(([ticketId, entry]) => {
+        const current = this.store.get(ticketId);
+        this.store.set(ticketId, {
+          ...current,
+          recordId: result.recordIds[ticketId] || entry.recordId,
+          // A newer event may have queued the ticket again while the write was in flight
+          dirty: current.row !== entry.row,
+          syncedAt,
+          lastError: null
+        });
+      });
+
+      this.prune();
+      this.stats.created += result.created;
+      this.stats.updated += result.updated;
+      this.lastSyncAt = syncedAt;
+      this.lastError = null;
+      return { created: result.created, updated: result.updated };
+    } catch (error) {
+      this.stats.failed++;
+      this.lastError = error.message;
+      // A row may have been deleted from the table, so look the tickets up by ID on the next run
+      pending.forEach(([ticketId]) => {
+        this.store.set(ticketId, { ...this.store.get(ticketId), recordId: null, lastError: error.message });
+      });
+      logger.logError('BaseSyncService.sync', error, { pending: pending.length });
+      return { created: 0, updated: 0 };
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  /**
+   * Finds the configured table (by ID or name) and reads its columns
+   */
+  async resolveTable() {
+    if (this.tableId && this.fieldNames) return;
+
+    const { appToken, table } = this.options;
+    if (/^tbl\w+$/.test(table)) {
+      this.tableId = table;
+    } else {
+      const match = (await larkService.listBitableTables(appToken)).find((item) => item.name === table);
+      if (!match) {
+        throw new Error(`Lark Base table "${table}" not found; set LARK_BASE_TABLE to a table name or ID`);
+      }
+      this.tableId = match.table_id;
+    }
+
+    const fields = await larkService.listBitableFields(appToken, this.tableId);
+    const types = new Map(fields.map((field) => [field.field_name, field.type]));
+    // Columns of another type (e.g. a Person column for the assignee) would fail the whole batch
+    const usable = Object.values(FIELDS)
+      .filter((name) => (FIELD_TYPES[name] || TEXT_TYPES).includes(types.get(name)));
+
+    if (!usable.includes(FIELDS.ticketId)) {
+      throw new Error(`Lark Base table "${table}" needs a "${FIELDS.ticketId}" text field`);
+    }
+    this.fieldNames = new Set(usable);
+
+    const skipped = Object.values(FIELDS).filter((name) => !this.fieldNames.has(name));
+    if (skipped.length > 0) {
+      logger.warn('⚠️ Lark Base columns missing or of another type, they will not be synced', { table, skipped });
+    }
+  }
+
+  /**
+   * Drops the fields of a row the table has no column for
+   */
+  onlyKnownFields(row) {
+    return Object.fromEntries(Object.entries(row).filter(([name]) => this.fieldNames.has(name)));
+  }
+
+  /**
+   * Forgets synced tickets with no events within the retention window (their rows stay in the table)
+   * @returns {number} Number of removed tickets
+   */
+  prune(now = Date.now()) {
+    let removed = 0;
+    this.store.entries().forEach(([ticketId, entry]) => {
+      if (!entry.dirty && now - new Date(entry.syncedAt).getTime() > config.storage.retentionMs) {
+        this.store.delete(ticketId);
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  /**
+   * @returns {Array} [ticketId, entry] pairs waiting to be written
+   */
+  getPending() {
+    return this.store.entries().filter(([, entry]) => entry.dirty);
+  }
+
+  /**
+   * Stops the sync timer, writes what is still queued and flushes the queue to disk
+   */
+  async cleanup() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      await this.sync();
+    }
+    await this.store.flush();
+  }
+
+  /**
+   * Gets service health status
+   * @returns {Object} Health status
+   */
+  getHealthStatus() {
+    return {
+      initialized: this.isInitialized,
+      enabled: this.options.syncEnabled,
+      table: this.tableId || this.options.table,
+      tickets: this.store.size,
+      pending: this.getPending().length,
+      lastSyncAt: this.lastSyncAt,
+      lastError: this.lastError,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+// Create singleton instance
+const baseSyncService = new BaseSyncService();
+
+module.exports = baseSyncService;
+module.exports.FIELDS = FIELDS;
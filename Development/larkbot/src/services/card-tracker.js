@@ -0,0 +1,140 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/json-store');
+
+/**
+ * Card Tracker Service
+ * Remembers which Lark message holds the live card for each ticket in each chat,
+ * so later events can patch that card instead of posting a new one
+ */
+class CardTrackerService {
+  constructor() {
+    this.store = new JsonStore('ticket-cards');
+    this.retentionDays = config.lark.cards.retentionDays;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Loads tracked cards from disk and drops stale entries
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    await this.store.load();
+    const pruned = this.prune();
+
+    this.isInitialized = true;
+    logger.info('🗂️ Card tracker initialized', { trackedCards: this.store.size, pruned });
+  }
+
+  /**
+   * Builds the store key for a ticket/chat pair
+   */
+  key(ticketId, chatId) {
+    return `${ticketId}:${chatId}`;
+  }
+
+  /**
+   * Gets the tracked card for a ticket in a chat
+   * @param {string} ticketId - Intercom ticket/conversation ID
+   * @param {string} chatId - Lark chat ID
+   * @returns {Promise<Object|undefined>} Card record ({ messageId, state, lastEventType, ... })
+   */
+  async getCard(ticketId, chatId) {
+    await this.store.load();
+    return this.store.get(this.key(ticketId, chatId));
+  }
+
+  /**
+   * Records the card message for a ticket in a chat
+   * @param {string} ticketId - Intercom ticket/conversation ID
+   * @param {string} chatId - Lark chat ID
+   * @param {Object} card - Card details
+   * @param {string} card.messageId - Lark message ID of the card
+   * @param {string} card.state - Ticket state shown on the card
+   * @param {string} card.eventType - Event that produced this version of the card
+   * @returns {Promise<Object>} Stored record
+   */
+  async saveCard(ticketId, chatId, { messageId, state, eventType }) {
+    await this.store.load();
+
+    const key = this.key(ticketId, chatId);
+    const existing = this.store.get(key);
+    const now = new Date().toISOString();
+    const record = {
+      ticketId: String(ticketId),
+      chatId,
+      messageId,
+      state,
+      lastEventType: eventType,
+      updates: existing && existing.messageId === messageId ? existing.updates + 1 : 0,
+      createdAt: existing && existing.messageId === messageId ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    this.store.set(key, record);
+    return record;
+  }
+
+  /**
+   * Forgets the card for a ticket in a chat (e.g. the message was deleted in Lark)
+   */
+  async removeCard(ticketId, chatId) {
+    await this.store.load();
+    return this.store.delete(this.key(ticketId, chatId));
+  }
+
+  /**
+   * Lists tracked cards for a ticket across all chats
+   * @param {string} ticketId - Intercom ticket/conversation ID
+   * @returns {Promise<Array>} Card records
+   */
+  async getCardsForTicket(ticketId) {
+    await this.store.load();
+    return this.store.values().filter((card) => card.ticketId === String(ticketId));
+  }
+
+  /**
+   * Removes cards that have not been updated within the retention window
+   * @returns {number} Number of removed cards
+   */
+  prune() {
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    let removed = 0;
+
+    this.store.entries().forEach(([key, card]) => {
+      if (new Date(card.updatedAt).getTime() < cutoff) {
+        this.store.delete(key);
+        removed++;
+      }
+    });
+
+    return removed;
+  }
+
+  /**
+   * Flushes pending writes to disk
+   */
+  async cleanup() {
+    await this.store.flush();
+  }
+
+  /**
+   * Gets service health status
+   * @returns {Object} Health status
+   */
+  getHealthStatus() {
+    return {
+      initialized: this.isInitialized,
+      trackedCards: this.store.size,
+      updateInPlace: config.lark.cards.updateInPlace,
+      threadReplies: config.lark.cards.threadReplies,
+      retentionDays: this.retentionDays
+    };
+  }
+}
+
+// Create singleton instance
+const cardTrackerService = new CardTrackerService();
+
+module.exports = cardTrackerService;
@@ -1,5 +1,8 @@
 const larkService = require('./lark');
 const { intercomService } = require('./index');
+const subscriptionService = require('./subscriptions');
+const ticketMirror = require('./ticket-mirror');
+const ticketHistory = require('./ticket-history');
 const logger = require('../utils/logger');
 
 /**
@@ -10,7 +13,6 @@ class ChatbotService {
   constructor() {
     this.isInitialized = false;
     this.commands = new Map();
-    this.subscriptions = new Map();
     this.setupCommands();
   }
 
@@ -57,6 +59,12 @@ class ChatbotService {
       handler: this.handleStatusCommand.bind(this)
     });
 
+    this.commands.set('/history', {
+      description: 'Show what the bot did with a ticket (webhooks, routing, deliveries)',
+      usage: '/history <ticket_id> [limit=15]',
+      handler: this.handleHistoryCommand.bind(this)
+    });
+
     // Conversation commands
     this.commands.set('/conversation', {
       description: 'Get conversation details',
@@ -86,16 +94,22 @@ class ChatbotService {
     // Subscription commands
     this.commands.set('/subscribe', {
       description: 'Subscribe to ticket updates',
-      usage: '/subscribe <ticket_id|filter>',
+      usage: '/subscribe <ticket_id|filter> (e.g. /subscribe country=Malaysia express=yes)',
       handler: this.handleSubscribeCommand.bind(this)
     });
 
     this.commands.set('/unsubscribe', {
       description: 'Unsubscribe from updates',
-      usage: '/unsubscribe <ticket_id|all>',
+      usage: '/unsubscribe <ticket_id|filter|all>',
       handler: this.handleUnsubscribeCommand.bind(this)
     });
 
+    this.commands.set('/subscriptions', {
+      description: 'List active subscriptions in this chat',
+      usage: '/subscriptions',
+      handler: this.handleSubscriptionsCommand.bind(this)
+    });
+
     // Enhanced filtering commands
     this.commands.set('/tickets-custom', {
       description: 'Get tickets with custom attribute filtering',
@@ -355,21 +369,28 @@ class ChatbotService {
    */
   async handleSubscribeCommand(args, chatId, userId) {
     if (args.length === 0) {
-      return await this.sendMessage(chatId, '❌ Please provide a ticket ID or filter.\nUsage: /subscribe <ticket_id>');
+      return await this.sendMessage(chatId, '❌ Please provide a ticket ID or filter.\nUsage: /subscribe <ticket_id>\n'
+        + 'Filters: /subscribe country=Malaysia express=yes');
     }
 
-    const target = args[0];
+    const target = args.join(' ');
     logger.info('🔔 Subscribing to updates', { target, chatId, userId });
 
-    // Add subscription logic here
-    this.subscriptions.set(`${chatId}_${target}`, {
-      chatId,
-      userId,
-      target,
-      createdAt: new Date().toISOString()
-    });
+    let result;
+    try {
+      result = await subscriptionService.subscribe({ chatId, userId, target });
+    } catch (error) {
+      return await this.sendMessage(chatId, `❌ ${error.message}`);
+    }
+
+    const { subscription, created } = result;
+    if (!created) {
+      return await this.sendMessage(chatId, `ℹ️ This chat is already subscribed to: ${subscription.target}`);
+    }
 
-    return await this.sendMessage(chatId, `✅ Subscribed to updates for: ${target}\n\nYou'll receive notifications when this ticket is updated.`);
+    const scope = subscription.kind === 'ticket' ? 'this ticket is' : 'a ticket matching this filter is';
+    return await this.sendMessage(chatId, `✅ Subscribed to updates for: ${subscription.target}\n\n`
+      + `You'll receive a card when ${scope} updated.`);
   }
 
   /**
@@ -377,30 +398,104 @@ class ChatbotService {
    */
   async handleUnsubscribeCommand(args, chatId, userId) {
     if (args.length === 0) {
-      return await this.sendMessage(chatId, '❌ Please provide a ticket ID or "all".\nUsage: /unsubscribe <ticket_id|all>');
+      return await this.sendMessage(chatId, '❌ Please provide a ticket ID, filter or "all".\n'
+        + 'Usage: /unsubscribe <ticket_id|filter|all>');
     }
 
-    const target = args[0];
+    const target = args.join(' ');
     logger.info('🔕 Unsubscribing from updates', { target, chatId, userId });
 
     if (target === 'all') {
       // Remove all subscriptions for this chat
-      const removed = [];
-      for (const [key, subscription] of this.subscriptions.entries()) {
-        if (subscription.chatId === chatId) {
-          this.subscriptions.delete(key);
-          removed.push(subscription.target);
-        }
-      }
-      return await this.sendMessage(chatId, `✅ Unsubscribed from all updates (${removed.length} subscriptions removed).`);
+      const removed = await subscriptionService.unsubscribeAll(chatId);
+      return await this.sendMessage(chatId, `✅ Unsubscribed from all updates (${removed} subscriptions removed).`);
     }
+
     // Remove specific subscription
-    const key = `${chatId}_${target}`;
-    if (this.subscriptions.has(key)) {
-      this.subscriptions.delete(key);
+    let removed;
+    try {
+      removed = await subscriptionService.unsubscribe(chatId, target);
+    } catch (error) {
+      return await this.sendMessage(chatId, `❌ ${error.message}`);
+    }
+
+    if (removed) {
       return await this.sendMessage(chatId, `✅ Unsubscribed from updates for: ${target}`);
     }
-    return await this.sendMessage(chatId, `❌ No subscription found for: ${target}`);
+    return await this.sendMessage(chatId, `❌ No subscription found for: ${target}\n`
+      + 'Use /subscriptions to see what this chat follows.');
+  }
+
+  /**
+   * Handle /history command
+   */
+  async handleHistoryCommand(args, chatId) {
+    if (args.length === 0) {
+      return await this.sendMessage(chatId, '❌ Please provide a ticket ID.\nUsage: /history <ticket_id> [limit=15]');
+    }
+
+    const ticketId = args[0];
+    const limit = parseInt(this.parseFilters(args.slice(1)).limit) || 15;
+    const events = await ticketHistory.getHistory(ticketId);
+
+    if (events.length === 0) {
+      return await this.sendMessage(chatId, `📭 No history for ticket ${ticketId}.\n`
+        + 'No webhook for it has reached the bot within the retention window.');
+    }
+
+    const shown = events.slice(-limit);
+    let message = `📜 **History for Ticket ${ticketId}**`;
+    message += events.length > shown.length ? ` (last ${shown.length} of ${events.length})\n\n` : '\n\n';
+    shown.forEach((event) => {
+      message += `${new Date(event.at).toLocaleString()} ${this.formatHistoryEvent(event)}\n`;
+    });
+
+    return await this.sendMessage(chatId, message);
+  }
+
+  /**
+   * Formats one ticket history event as a single line
+   */
+  formatHistoryEvent(event) {
+    if (event.type === 'webhook') {
+      return event.duplicate
+        ? `🔁 ${event.topic} (duplicate delivery, ignored)`
+        : `📥 ${event.topic}`;
+    }
+
+    if (event.type === 'routing') {
+      if (!event.routed) return `⏭️ ${event.eventType} not sent: ${event.reason}`;
+
+      const rules = event.matchedRules?.length ? event.matchedRules.join(', ') : 'no rule';
+      const chats = (event.targets?.length || 0) + (event.subscribers?.length || 0);
+      return `🧭 ${event.eventType} routed by ${rules} to ${chats} chat(s)`;
+    }
+
+    const chat = event.groupName || event.chatId;
+    if (event.outcome === 'failed') return `❌ ${event.eventType} failed for ${chat}: ${event.error}`;
+    return `${event.outcome === 'updated' ? '✏️ Updated card' : '✅ Sent card'} in ${chat} (${event.messageId})`;
+  }
+
+  /**
+   * Handle /subscriptions command
+   */
+  async handleSubscriptionsCommand(args, chatId) {
+    const subscriptions = await subscriptionService.list(chatId);
+
+    if (subscriptions.length === 0) {
+      return await this.sendMessage(chatId, '📭 No active subscriptions in this chat.\n'
+        + 'Use /subscribe <ticket_id|filter> to add one.');
+    }
+
+    let message = `🔔 **Active Subscriptions** (${subscriptions.length})\n\n`;
+    subscriptions.forEach((subscription, index) => {
+      const icon = subscription.kind === 'ticket' ? '🎫 Ticket' : '🔍 Filter';
+      message += `${index + 1}. ${icon}: ${subscription.target}\n`;
+      message += `   Since ${new Date(subscription.createdAt).toLocaleString()}\n`;
+    });
+    message += '\nUse /unsubscribe <ticket_id|filter|all> to stop updates.';
+
+    return await this.sendMessage(chatId, message);
   }
 
   /**
@@ -437,44 +532,32 @@ class ChatbotService {
         );
       }
 
-      // Get tickets from Intercom
-      const tickets = await intercomService.getTickets({ page: 1, perPage: 50 });
-
-      if (!tickets.tickets || tickets.tickets.length === 0) {
-        return await this.sendMessage(chatId, '📭 No tickets found.');
+      const filterConfig = {};
+      if (filters.customAttributes && Object.keys(filters.customAttributes).length > 0) {
+        filterConfig.customAttributes = {
+          attributes: filters.customAttributes,
+          matchMode: filters.matchMode || 'any'
+        };
+      }
+      const { ticketType } = filters;
+      if (ticketType && (ticketType.types || ticketType.categories || ticketType.sources)) {
+        filterConfig.ticketType = ticketType;
       }
 
-      // Apply custom filtering using Phase 2 filtering
+      // Search Intercom, filtering client-side only what search cannot evaluate
       const phase2 = require('../phases/phase2');
       await phase2.initialize();
 
-      let filteredTickets = tickets.tickets;
-
-      // Apply custom attributes filter
-      if (filters.customAttributes && Object.keys(filters.customAttributes).length > 0) {
-        const customFilteredData = await phase2.applyFilters(filteredTickets, {
-          customAttributes: {
-            attributes: filters.customAttributes,
-            matchMode: filters.matchMode || 'any'
-          }
-        });
-        filteredTickets = customFilteredData.filtered;
-      }
-
-      // Apply ticket type filter
-      if (filters.ticketType && (filters.ticketType.types || filters.ticketType.categories || filters.ticketType.sources)) {
-        const typeFilteredData = await phase2.applyFilters(filteredTickets, {
-          ticketType: filters.ticketType
-        });
-        filteredTickets = typeFilteredData.filtered;
-      }
+      const { filtered: filteredTickets, summary } = await phase2.searchWithFilters('tickets', filterConfig, {
+        limit: 50
+      });
 
       if (filteredTickets.length === 0) {
         return await this.sendMessage(chatId, '📭 No tickets found matching your custom criteria.');
       }
 
       // Format and send response
-      const message = this.formatCustomTicketsMessage(filteredTickets, filters);
+      const message = this.formatCustomTicketsMessage(filteredTickets, filters) + this.formatSearchExecution(summary);
       return await this.sendMessage(chatId, message);
     } catch (error) {
       return await this.sendErrorMessage(chatId, `Failed to get custom tickets: ${error.message}`);
@@ -498,27 +581,19 @@ class ChatbotService {
         );
       }
 
-      // Get tickets from Intercom
-      const tickets = await intercomService.getTickets({ page: 1, perPage: 50 });
-
-      if (!tickets.tickets || tickets.tickets.length === 0) {
-        return await this.sendMessage(chatId, '📭 No tickets found.');
-      }
-
-      // Apply type filtering using Phase 2 filtering
+      // Search Intercom, filtering client-side only what search cannot evaluate
       const phase2 = require('../phases/phase2');
       await phase2.initialize();
 
-      const filteredData = await phase2.applyFilters(tickets.tickets, {
-        ticketType: filters
-      });
+      const filteredData = await phase2.searchWithFilters('tickets', { ticketType: filters }, { limit: 50 });
 
       if (filteredData.filtered.length === 0) {
         return await this.sendMessage(chatId, '📭 No tickets found matching your type criteria.');
       }
 
       // Format and send response
-      const message = this.formatTypeTicketsMessage(filteredData.filtered, filters);
+      const message = this.formatTypeTicketsMessage(filteredData.filtered, filters)
+        + this.formatSearchExecution(filteredData.summary);
       return await this.sendMessage(chatId, message);
     } catch (error) {
       return await this.sendErrorMessage(chatId, `Failed to get tickets by type: ${error.message}`);
@@ -549,25 +624,19 @@ class ChatbotService {
         filterConfig = this.parseAdvancedFilters(args);
       }
 
-      // Get tickets from Intercom
-      const tickets = await intercomService.getTickets({ page: 1, perPage: 100 });
-
-      if (!tickets.tickets || tickets.tickets.length === 0) {
-        return await this.sendMessage(chatId, '📭 No tickets found.');
-      }
-
-      // Apply advanced filtering using Phase 2 filtering
+      // Search Intercom, filtering client-side only what search cannot evaluate
       const phase2 = require('../phases/phase2');
       await phase2.initialize();
 
-      const filteredData = await phase2.applyFilters(tickets.tickets, filterConfig);
+      const filteredData = await phase2.searchWithFilters('tickets', filterConfig, { limit: 100 });
 
       if (filteredData.filtered.length === 0) {
         return await this.sendMessage(chatId, '📭 No tickets found matching your advanced criteria.');
       }
 
       // Format and send response
-      const message = this.formatAdvancedTicketsMessage(filteredData.filtered, filterConfig);
+      const message = this.formatAdvancedTicketsMessage(filteredData.filtered, filterConfig)
+        + this.formatSearchExecution(filteredData.summary);
       return await this.sendMessage(chatId, message);
     } catch (error) {
       return await this.sendErrorMessage(chatId, `Failed to apply advanced filters: ${error.message}`);
@@ -601,58 +670,37 @@ class ChatbotService {
    */
   async getTicketDetails(ticketId) {
     try {
-      // For mock mode, generate a mock ticket
-      if (intercomService.getHealthStatus().mode === 'MOCK') {
-        return {
-          id: ticketId,
-          type: 'ticket',
-          ticket_attributes: {
-            subject: `Mock Ticket ${ticketId}`,
-            state: ['open', 'pending', 'resolved', 'closed'][Math.floor(Math.random() * 4)],
-            priority: ['low', 'normal', 'high', 'urgent'][Math.floor(Math.random() * 4)],
-            category: 'technical'
-          },
-          created_at: Date.now() - Math.floor(Math.random() * 7 * 24 * 60 * 60 * 1000),
-          updated_at: Date.now() - Math.floor(Math.random() * 24 * 60 * 60 * 1000),
-          assignee: {
-            id: 'mock_agent_1',
-            name: 'Support Agent',
-            email: 'support@company.com'
-          },
-          contacts: {
-            contacts: [{
-              id: 'mock_customer_1',
-              name: 'Customer Name',
-              email: 'customer@example.com'
-            }]
-          }
-        };
-      }
-
-      // For real Intercom API, implement actual ticket lookup
-      const tickets = await intercomService.getTickets({ page: 1, perPage: 100 });
-      return tickets.tickets.find((t) => t.id === ticketId);
+      // Resolves to null when Intercom has no ticket with this ID
+      return await intercomService.getTicket(ticketId);
     } catch (error) {
       logger.error('❌ Failed to get ticket details', { ticketId, error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Gets tickets created since a time (all tickets when since is null)
+   * Reads the local mirror when it is ready; live reads only see the latest 100 tickets.
+   */
+  async getTicketsCreatedSince(since) {
+    if (ticketMirror.isReady()) {
+      return ticketMirror.listTickets({ since }).tickets;
+    }
+
+    const tickets = await intercomService.getTickets({ page: 1, perPage: 100 });
+    return since ? tickets.tickets.filter((ticket) => new Date(ticket.created_at) >= since) : tickets.tickets;
+  }
+
   /**
    * Generate ticket summary
    */
   async generateTicketSummary(period = 'today') {
     try {
-      const tickets = await intercomService.getTickets({ page: 1, perPage: 100 });
-
       // Filter by period (simplified for demo)
       const now = new Date();
       const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
 
-      const filteredTickets = tickets.tickets.filter((ticket) => {
-        const ticketDate = new Date(ticket.created_at);
-        return ticketDate >= startOfDay;
-      });
+      const filteredTickets = await this.getTicketsCreatedSince(startOfDay);
 
       // Generate statistics
       const stats = {
@@ -663,8 +711,9 @@ class ChatbotService {
       };
 
       filteredTickets.forEach((ticket) => {
-        const state = ticket.ticket_attributes?.state || 'unknown';
-        const priority = ticket.ticket_attributes?.priority || 'unknown';
+        // Mirrored tickets are conversations, with state and priority at the top level
+        const state = ticket.ticket_attributes?.state || ticket.state || 'unknown';
+        const priority = ticket.ticket_attributes?.priority || ticket.priority || 'unknown';
         const category = ticket.ticket_attributes?.category || 'unknown';
 
         stats.byState[state] = (stats.byState[state] || 0) + 1;
@@ -1107,6 +1156,23 @@ Use \`/ticket ${ticket.id}\` for full details.`;
     return message;
   }
 
+  /**
+   * Format where each filter ran (Intercom search or locally) for filtered ticket lists
+   */
+  formatSearchExecution(summary) {
+    const byPlace = (place) => summary.execution
+      .filter((item) => item.where === place || item.where === 'both')
+      .map((item) => item.filter);
+    const server = byPlace('server');
+    const local = byPlace('client');
+
+    let message = `\n🔎 Intercom search: ${server.join(', ') || 'none'} | Local: ${local.join(', ') || 'none'}`;
+    if (local.length > 0) {
+      message += ` (checked ${summary.totalScanned} tickets${summary.complete ? '' : ', more not checked'})`;
+    }
+    return message;
+  }
+
   /**
    * Get filter examples for help
    */
@@ -1158,23 +1224,12 @@ Use \`/help\` for basic commands or contact support for complex filtering needs.
 
   async generateTicketStats(period) {
     try {
-      const tickets = await intercomService.getTickets({ page: 1, perPage: 100 });
-
       // Filter by period (simplified)
-      let filteredTickets = tickets.tickets;
       const now = new Date();
+      const days = { week: 7, month: 30 }[period];
+      const since = days ? new Date(now.getTime() - days * 24 * 60 * 60 * 1000) : null;
 
-      if (period === 'week') {
-        const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        filteredTickets = tickets.tickets.filter((ticket) =>
-          new Date(ticket.created_at) >= weekAgo
-        );
-      } else if (period === 'month') {
-        const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        filteredTickets = tickets.tickets.filter((ticket) =>
-          new Date(ticket.created_at) >= monthAgo
-        );
-      }
+      const filteredTickets = await this.getTicketsCreatedSince(since);
 
       const stats = {
         period,
@@ -1188,8 +1243,8 @@ Use \`/help\` for basic commands or contact support for complex filtering needs.
       };
 
       filteredTickets.forEach((ticket) => {
-        const state = ticket.ticket_attributes?.state || 'unknown';
-        const priority = ticket.ticket_attributes?.priority || 'unknown';
+        const state = ticket.ticket_attributes?.state || ticket.state || 'unknown';
+        const priority = ticket.ticket_attributes?.priority || ticket.priority || 'unknown';
         const assignee = ticket.assignee?.name || 'Unassigned';
 
         stats.byState[state] = (stats.byState[state] || 0) + 1;
@@ -1330,7 +1385,7 @@ Use \`/ticket ${ticket.id}\` for full details.`;
     return {
       initialized: this.isInitialized,
       commandsLoaded: this.commands.size,
-      subscriptions: this.subscriptions.size,
+      subscriptions: subscriptionService.getHealthStatus().subscriptions,
       larkService: larkService.getHealthStatus()
     };
   }
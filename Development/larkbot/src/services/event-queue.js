@@ -0,0 +1,406 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const FileQueueStore = require('./queue-stores/file');
+const RedisQueueStore = require('./queue-stores/redis');
+
+/**
+ * Event Queue Service
+ * Durable job queue for webhook processing with exponential backoff and a
+ * dead-letter store. Uses Redis when reachable and a local file store otherwise.
+ */
+class EventQueueService {
+  constructor() {
+    this.options = config.queue;
+    this.store = null;
+    this.handlers = new Map();
+    this.active = new Set();
+    this.pollTimer = null;
+    this.polling = false;
+    this.lastRecovery = 0;
+    this.lastCounts = { pending: 0, processing: 0, deadLetters: 0 };
+    this.stats = {
+      enqueued: 0,
+      completed: 0,
+      retried: 0,
+      deadLettered: 0,
+      replayed: 0
+    };
+    this.isInitialized = false;
+  }
+
+  /**
+   * Connects the queue store, recovers interrupted jobs and starts the worker
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    this.store = await this.connectStore();
+
+    // A file store belongs to this process alone, so anything left in processing was interrupted
+    const staleBefore = this.store.name === 'file' ? Date.now() : Date.now() - this.options.visibilityTimeoutMs;
+    const recovered = await this.store.recover(staleBefore);
+    this.lastRecovery = Date.now();
+    this.lastCounts = await this.store.counts();
+
+    this.isInitialized = true;
+    this.start();
+
+    logger.info('📬 Event queue initialized', {
+      backend: this.store.name,
+      recovered,
+      ...this.lastCounts
+    });
+  }
+
+  /**
+   * Picks the queue backend based on config.queue.backend
+   * @returns {Promise<Object>} Connected queue store
+   */
+  async connectStore() {
+    const { backend } = this.options;
+
+    if (backend === 'redis' || backend === 'auto') {
+      const redisStore = new RedisQueueStore({
+        url: config.redis.url,
+        password: config.redis.password,
+        keyPrefix: this.options.keyPrefix,
+        connectTimeout: config.redis.connectTimeout,
+        retryDelay: config.redis.retryDelay
+      });
+
+      try {
+        await redisStore.connect();
+        return redisStore;
+      } catch (error) {
+        if (backend === 'redis') {
+          throw new Error(`Redis queue backend is not reachable: ${error.message}`);
+        }
+        logger.warn('⚠️ Redis not reachable, using file-based event queue', {
+          redisUrl: config.redis.url.replace(/\/\/[^@]*@/, '//***@'),
+          error: error.message
+        });
+      }
+    }
+
+    const fileStore = new FileQueueStore();
+    await fileStore.connect();
+    return fileStore;
+  }
+
+  ensureInitialized() {
+    if (!this.isInitialized) {
+      throw new Error('Event queue is not initialized. Call initialize() first.');
+    }
+  }
+
+  /**
+   * Registers the function that processes jobs of a type
+   * @param {string} type - Job type
+   * @param {Function} handler - Async function receiving (payload, job)
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Adds a job to the queue. The job is persisted before this resolves.
+   * @param {string} type - Job type
+   * @param {Object} payload - JSON-serializable job payload
+   * @param {Object} options - { maxAttempts, delayMs }
+   * @returns {Promise<Object>} Queued job
+   */
+  async enqueue(type, payload, options = {}) {
+    this.ensureInitialized();
+
+    const now = Date.now();
+    const job = {
+      id: `evt_${now}_${crypto.randomBytes(4).toString('hex')}`,
+      type,
+      payload,
+      attempts: 0,
+      maxAttempts: options.maxAttempts || this.options.maxAttempts,
+      createdAt: now,
+      availableAt: now + (options.delayMs || 0),
+      lastError: null
+    };
+
+    await this.store.enqueue(job);
+    this.stats.enqueued++;
+
+    logger.debug('📥 Job queued', { jobId: job.id, type });
+
+    // Pick the job up right away instead of waiting for the next poll
+    setImmediate(() => this.poll());
+
+    return job;
+  }
+
+  /**
+   * Starts the polling worker
+   */
+  start() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(() => this.poll(), this.options.pollIntervalMs);
+    if (this.pollTimer.unref) this.pollTimer.unref();
+  }
+
+  /**
+   * Stops the polling worker (jobs already running are left to finish)
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Reserves due jobs up to the concurrency limit and runs them
+   */
+  async poll() {
+    if (!this.isInitialized || !this.pollTimer || this.polling) return;
+    this.polling = true;
+
+    try {
+      await this.recoverIfDue();
+
+      const slots = this.options.concurrency - this.active.size;
+      if (slots > 0) {
+        const jobs = await this.store.reserve(slots);
+        jobs.forEach((job) => {
+          const running = this.runJob(job).finally(() => this.active.delete(running));
+          this.active.add(running);
+        });
+      }
+
+      this.lastCounts = await this.store.counts();
+    } catch (error) {
+      logger.logError('EventQueueService.poll', error, { backend: this.store?.name });
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Re-queues jobs stuck in processing, at most once per visibility timeout
+   */
+  async recoverIfDue() {
+    const now = Date.now();
+    if (now - this.lastRecovery < this.options.visibilityTimeoutMs) return;
+
+    this.lastRecovery = now;
+    const recovered = await this.store.recover(now - this.options.visibilityTimeoutMs);
+    if (recovered > 0) {
+      logger.warn('⚠️ Re-queued jobs stuck in processing', { recovered });
+    }
+  }
+
+  /**
+   * Runs a single job and records the outcome
+   * @param {Object} job - Reserved job
+   */
+  async runJob(job) {
+    const attempt = { ...job, attempts: job.attempts + 1 };
+
+    try {
+      const handler = this.handlers.get(job.type);
+      if (!handler) {
+        throw new Error(`No handler registered for job type "${job.type}"`);
+      }
+
+      await handler(job.payload, attempt);
+      await this.store.complete(job.id);
+      this.stats.completed++;
+    } catch (error) {
+      await this.handleFailure(attempt, error);
+    }
+  }
+
+  /**
+   * Schedules a retry with exponential backoff, or dead-letters the job
+   * once it has used all its attempts
+   * @param {Object} job - Job including the failed attempt
+   * @param {Error} error - Failure
+   */
+  async handleFailure(job, error) {
+    const failed = { ...job, lastError: error.message, lastFailedAt: Date.now() };
+
+    try {
+      if (failed.attempts >= failed.maxAttempts) {
+        await this.store.deadLetter({ ...failed, failedAt: Date.now() });
+        this.stats.deadLettered++;
+        logger.error('💀 Job moved to dead-letter store', {
+          jobId: job.id,
+          type: job.type,
+          attempts: failed.attempts,
+          error: error.message
+        });
+        return;
+      }
+
+      const delayMs = this.getBackoffDelay(failed.attempts);
+      await this.store.reschedule({ ...failed, availableAt: Date.now() + delayMs });
+      this.stats.retried++;
+      logger.warn('🔁 Job failed, retrying with backoff', {
+        jobId: job.id,
+        type: job.type,
+        attempt: failed.attempts,
+        maxAttempts: failed.maxAttempts,
+        retryInMs: delayMs,
+        error: error.message
+      });
+    } catch (storeError) {
+      logger.logError('EventQueueService.handleFailure', storeError, { jobId: job.id });
+    }
+  }
+
+  /**
+   * Exponential backoff delay for the given attempt number
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in ms
+   */
+  getBackoffDelay(attempts) {
+    return Math.min(this.options.backoffMaxMs, this.options.backoffBaseMs * (2 ** (attempts - 1)));
+  }
+
+  /**
+   * Lists dead-lettered jobs, newest first
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { total, items }
+   */
+  async listDeadLetters(options = {}) {
+    this.ensureInitialized();
+    return this.store.listDeadLetters(options);
+  }
+
+  /**
+   * Gets a dead-lettered job
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} Job or null
+   */
+  async getDeadLetter(id) {
+    this.ensureInitialized();
+    return this.store.getDeadLetter(id);
+  }
+
+  /**
+   * Moves a dead-lettered job back to the queue with a fresh set of attempts
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} Re-queued job, or null if not found
+   */
+  async replayDeadLetter(id) {
+    this.ensureInitialized();
+
+    const job = await this.store.getDeadLetter(id);
+    if (!job) return null;
+
+    const now = Date.now();
+    const replayed = {
+      ...job,
+      attempts: 0,
+      availableAt: now,
+      replayedAt: now,
+      replays: (job.replays || 0) + 1
+    };
+    delete replayed.failedAt;
+
+    await this.store.enqueue(replayed);
+    await this.store.removeDeadLetter(id);
+    this.stats.replayed++;
+
+    logger.info('♻️ Dead-lettered job replayed', { jobId: id, type: job.type });
+    setImmediate(() => this.poll());
+
+    return replayed;
+  }
+
+  /**
+   * Replays every dead-lettered job
+   * @returns {Promise<number>} Number of replayed jobs
+   */
+  async replayAllDeadLetters() {
+    this.ensureInitialized();
+
+    let replayed = 0;
+    let page = await this.store.listDeadLetters({ limit: 100 });
+    while (page.items.length > 0) {
+      for (const job of page.items) {
+        if (await this.replayDeadLetter(job.id)) replayed++;
+      }
+      page = await this.store.listDeadLetters({ limit: 100 });
+    }
+
+    return replayed;
+  }
+
+  /**
+   * Deletes a single dead-lettered job
+   * @param {string} id - Job ID
+   * @returns {Promise<boolean>} True if removed
+   */
+  async removeDeadLetter(id) {
+    this.ensureInitialized();
+    return this.store.removeDeadLetter(id);
+  }
+
+  /**
+   * Deletes every dead-lettered job
+   * @returns {Promise<number>} Number of purged jobs
+   */
+  async purgeDeadLetters() {
+    this.ensureInitialized();
+
+    const purged = await this.store.purgeDeadLetters();
+    logger.info('🗑️ Dead-letter store purged', { purged });
+    return purged;
+  }
+
+  /**
+   * Gets live queue statistics
+   * @returns {Promise<Object>} Queue counts and counters
+   */
+  async getStats() {
+    this.ensureInitialized();
+
+    this.lastCounts = await this.store.counts();
+    return {
+      backend: this.store.name,
+      running: this.active.size,
+      ...this.lastCounts,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Stops the worker, waits for running jobs and closes the store
+   */
+  async cleanup() {
+    this.stop();
+    await Promise.allSettled(Array.from(this.active));
+    if (this.store) {
+      await this.store.disconnect();
+    }
+    this.isInitialized = false;
+  }
+
+  /**
+   * Gets service health status
+   * @returns {Object} Health status
+   */
+  getHealthStatus() {
+    return {
+      initialized: this.isInitialized,
+      backend: this.store?.name || null,
+      running: this.active.size,
+      ...this.lastCounts,
+      ...this.stats
+    };
+  }
+}
+
+// Create singleton instance
+const eventQueueService = new EventQueueService();
+
+module.exports = eventQueueService;
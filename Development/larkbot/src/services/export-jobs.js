@@ -0,0 +1,354 @@
+const crypto = require('crypto');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/json-store');
+const exportService = require('./export');
+const auditService = require('./audit');
+const { planExport, iterateExportPages } = require('./export-source');
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Export Jobs Service
+ * Runs streaming exports in the background so requests return right away with a job ID.
+ * Jobs run in this process, at most `maxConcurrent` at a time, and wait in a FIFO queue otherwise.
+ * Job records (status, progress, resulting file) are kept on disk for polling after a restart.
+ */
+class ExportJobsService {
+  constructor() {
+    this.store = new JsonStore('export-jobs');
+    this.options = config.export.jobs;
+    this.queue = [];
+    // Job ID -> { cancelled, promise } for jobs currently running
+    this.running = new Map();
+    // Services pages are read and filtered with (see useExportSource)
+    this.sources = {};
+    this.isInitialized = false;
+  }
+
+  /**
+   * Sets the services export pages are read and filtered with
+   * @param {Object} sources - { intercomService, phase2 } (see export-source iterateExportPages)
+   */
+  useExportSource(sources) {
+    this.sources = sources;
+  }
+
+  /**
+   * Loads job records and fails jobs a restart interrupted
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    await this.store.load();
+
+    // Jobs only run in this process, so anything unfinished on disk died with the previous one
+    const interrupted = this.store.values().filter((job) => !FINISHED_STATUSES.includes(job.status));
+    interrupted.forEach((job) => this.update(job.id, {
+      status: 'failed',
+      error: 'Interrupted by a restart',
+      finishedAt: new Date().toISOString()
+    }));
+    const pruned = this.prune();
+
+    this.isInitialized = true;
+    logger.info('📦 Export jobs initialized', { jobs: this.store.size, interrupted: interrupted.length, pruned });
+  }
+
+  /**
+   * Queues an export job
+   * @param {Object} params - Export parameters
+   * @param {string} params.dataType - 'conversations', 'tickets' or 'contacts'
+   * @param {string} params.format - 'json', 'ndjson', 'csv' or 'xlsx'
+   * @param {Object} params.filters - Phase 2 filter config
+   * @param {number|null} params.limit - Maximum number of records (null for everything that matches)
+   * @param {string} params.filename - Output filename (without extension)
+   * @param {string} params.source - 'auto', 'mirror' or 'intercom'
+   * @param {boolean} params.includeParts - Include conversation parts of mirrored conversations
+   * @param {boolean} params.maskPii - Mask PII in the file (default: EXPORT_MASK_PII)
+   * @param {Object} principal - Caller from authService.authenticate, recorded as the job's owner
+   * @returns {Object} Queued job
+   * @throws {Error} With statusCode 429 when the queue is full, 400/503 when the source cannot serve it
+   */
+  create(params, principal = null) {
+    this.ensureInitialized();
+
+    if (this.queue.length >= this.options.maxQueued) {
+      const error = new Error(`Too many export jobs waiting (${this.queue.length}), try again later`);
+      error.statusCode = 429;
+      throw error;
+    }
+
+    const {
+      dataType, format, filters = {}, limit = null, filename = null, source = 'auto', includeParts = false,
+      maskPii = exportService.maskPii
+    } = params;
+    const plan = planExport(dataType, { filters, source });
+
+    this.prune();
+
+    const now = new Date().toISOString();
+    const job = {
+      id: `exp_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      status: 'queued',
+      dataType,
+      format,
+      filters,
+      limit,
+      filename: filename || `${dataType}_export`,
+      source: plan.source,
+      includeParts,
+      maskPii,
+      execution: plan.execution,
+      createdBy: principal ? { id: principal.id, name: principal.name, role: principal.role } : null,
+      progress: {
+        current: 0, scanned: 0, total: null, page: 0, percent: null
+      },
+      file: null,
+      error: null,
+      createdAt: now,
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.store.set(job.id, job);
+    this.queue.push({ id: job.id, plan });
+    logger.info('📥 Export job queued', {
+      jobId: job.id, dataType, format, source: plan.source, queued: this.queue.length
+    });
+
+    this.drain();
+    return this.getJob(job.id);
+  }
+
+  /**
+   * Starts queued jobs while there are free slots
+   */
+  drain() {
+    while (this.running.size < this.options.maxConcurrent && this.queue.length > 0) {
+      const { id, plan } = this.queue.shift();
+      const control = { cancelled: false, promise: null };
+      this.running.set(id, control);
+      control.promise = this.run(id, plan, control).finally(() => {
+        this.running.delete(id);
+        this.drain();
+      });
+    }
+  }
+
+  /**
+   * Runs a job to completion, failure or cancellation
+   * @param {string} id - Job ID
+   * @param {Object} plan - Result of planExport
+   * @param {Object} control - { cancelled } flag set by cancel()
+   */
+  async run(id, plan, control) {
+    const job = this.update(id, { status: 'running', startedAt: new Date().toISOString() });
+
+    try {
+      const pages = this.cancellable(
+        iterateExportPages(job.dataType, plan, { includeParts: job.includeParts, ...this.sources }),
+        control
+      );
+      const result = await exportService.streamExport(job.dataType, job.format, pages, {
+        filename: job.filename,
+        limit: job.limit,
+        maskPii: job.maskPii,
+        metadata: {
+          jobId: id, source: plan.source, dataType: job.dataType, filters: job.filters, execution: plan.execution
+        },
+        onProgress: (progress) => this.update(id, { progress: this.toProgress(progress) })
+      });
+
+      const file = path.basename(result.filepath);
+      exportService.recordOwner(file, job.createdBy);
+      this.update(id, {
+        status: 'completed',
+        progress: { ...this.getJob(id).progress, percent: 100 },
+        file,
+        recordCount: result.recordCount,
+        scanned: result.scanned,
+        finishedAt: new Date().toISOString()
+      });
+      logger.info('✅ Export job completed', { jobId: id, file, records: result.recordCount });
+      await auditService.record(job.createdBy, 'export.job.completed', {
+        jobId: id,
+        dataType: job.dataType,
+        format: job.format,
+        piiMasked: job.maskPii,
+        recordCount: result.recordCount,
+        file
+      });
+    } catch (error) {
+      const finishedAt = new Date().toISOString();
+      if (control.cancelled) {
+        this.update(id, { status: 'cancelled', finishedAt });
+        logger.info('🛑 Export job cancelled', { jobId: id });
+        return;
+      }
+
+      this.update(id, { status: 'failed', error: error.message, finishedAt });
+      logger.logError('ExportJobsService.run', error, { jobId: id, dataType: job.dataType });
+    }
+  }
+
+  /**
+   * Passes pages through until the job is cancelled, then fails the export so its file is removed
+   * @param {AsyncIterable<Object>} pages - Export pages
+   * @param {Object} control - { cancelled } flag
+   */
+  async* cancellable(pages, control) {
+    for await (const page of pages) {
+      if (control.cancelled) throw new Error('Export job cancelled');
+      yield page;
+    }
+    if (control.cancelled) throw new Error('Export job cancelled');
+  }
+
+  /**
+   * Converts streamExport progress to the shape getAllConversations reports ({ current, total, page })
+   * @param {Object} progress - { recordCount, scanned, total, page }
+   * @returns {Object} { current, scanned, total, page, percent }; total and percent count records
+   *   read before filtering, so they are null when the source gives no total
+   */
+  toProgress({
+    recordCount, scanned, total, page
+  }) {
+    return {
+      current: recordCount,
+      scanned,
+      total,
+      page,
+      percent: total ? Math.min(99, Math.floor((scanned / total) * 100)) : null
+    };
+  }
+
+  /**
+   * Cancels a queued or running job
+   * Running jobs stop after the page they are reading; their partial file is deleted.
+   * @param {string} id - Job ID
+   * @returns {Object|null} Job, or null if not found
+   * @throws {Error} With statusCode 409 if the job has already finished
+   */
+  cancel(id) {
+    const job = this.getJob(id);
+    if (!job) return null;
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+      const error = new Error(`Export job is already ${job.status}`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const queued = this.queue.findIndex((entry) => entry.id === id);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+      logger.info('🛑 Export job cancelled', { jobId: id });
+      return this.update(id, { status: 'cancelled', finishedAt: new Date().toISOString() });
+    }
+
+    const control = this.running.get(id);
+    if (control) control.cancelled = true;
+    return this.update(id, { status: 'cancelling' });
+  }
+
+  /**
+   * Gets a job
+   * @param {string} id - Job ID
+   * @returns {Object|null} Job with its queue position and download URL, or null if not found
+   */
+  getJob(id) {
+    const job = this.store.get(String(id));
+    if (!job) return null;
+
+    const position = this.queue.findIndex((entry) => entry.id === job.id);
+    return {
+      ...job,
+      queuePosition: position === -1 ? null : position + 1,
+      downloadUrl: job.file ? `/export/files/${encodeURIComponent(job.file)}` : null
+    };
+  }
+
+  /**
+   * Lists jobs, newest first
+   * @param {Object} options - { status, limit, createdBy } (createdBy is a principal ID)
+   * @returns {Array} Jobs
+   */
+  listJobs({ status, limit = 50, createdBy = null } = {}) {
+    return this.store.values()
+      .filter((job) => !status || job.status === status)
+      .filter((job) => !createdBy || job.createdBy?.id === createdBy)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit)
+      .map((job) => this.getJob(job.id));
+  }
+
+  /**
+   * Merges changes into a stored job
+   * @returns {Object} Updated job record
+   */
+  update(id, changes) {
+    const job = { ...this.store.get(id), ...changes };
+    this.store.set(id, job);
+    return job;
+  }
+
+  /**
+   * Forgets finished jobs older than the retention window (their files are left alone)
+   * @returns {number} Number of removed jobs
+   */
+  prune() {
+    const cutoff = Date.now() - this.options.retentionHours * 60 * 60 * 1000;
+    let removed = 0;
+
+    this.store.values().forEach((job) => {
+      if (FINISHED_STATUSES.includes(job.status) && new Date(job.finishedAt).getTime() < cutoff) {
+        this.store.delete(job.id);
+        removed++;
+      }
+    });
+
+    return removed;
+  }
+
+  ensureInitialized() {
+    if (!this.isInitialized) {
+      throw new Error('Export jobs service is not initialized. Call initialize() first.');
+    }
+  }
+
+  /**
+   * Cancels running jobs, waits for them to stop and flushes job records
+   * Queued jobs are marked failed by the next initialize().
+   */
+  async cleanup() {
+    this.queue = [];
+    for (const control of this.running.values()) {
+      control.cancelled = true;
+    }
+    await Promise.allSettled(Array.from(this.running.values()).map((control) => control.promise));
+    await this.store.flush();
+    this.isInitialized = false;
+  }
+
+  /**
+   * Gets service health status
+   * @returns {Object} Health status
+   */
+  getHealthStatus() {
+    return {
+      initialized: this.isInitialized,
+      running: this.running.size,
+      queued: this.queue.length,
+      maxConcurrent: this.options.maxConcurrent,
+      maxQueued: this.options.maxQueued,
+      jobs: this.store.size
+    };
+  }
+}
+
+// Create singleton instance
+const exportJobsService = new ExportJobsService();
+
+module.exports = exportJobsService;
@@ -0,0 +1,103 @@
+const ticketMirror = require('./ticket-mirror');
+const logger = require('../utils/logger');
+const { buildSearchQuery } = require('../utils/intercom-query');
+
+/**
+ * Export Source
+ * Reads records for streaming exports one page at a time, from the local ticket mirror when it can
+ * serve the request or from Intercom's cursor otherwise. Filters go through the Phase 2 filter
+ * registry: Intercom search evaluates what it can and the rest runs on each page.
+ * Callers pass in the Intercom service and Phase 2, which both depend on the services index.
+ */
+
+/**
+ * Applies client-side filters to one page of records
+ */
+async function applyClientFilters(phase2, records, filters) {
+  if (!phase2 || Object.keys(filters).length === 0) return records;
+  const { filtered } = await phase2.applyFilters(records, filters);
+  return filtered;
+}
+
+/**
+ * Plans where the pages of an export come from
+ * @param {string} dataType - 'conversations', 'tickets' or 'contacts'
+ * @param {Object} options - Source options
+ * @param {Object} options.filters - Phase 2 filter config
+ * @param {string} options.source - 'auto' (mirror when ready), 'mirror' or 'intercom'
+ * @returns {Object} { source, query, clientFilters, execution }
+ */
+function planExport(dataType, { filters = {}, source = 'auto' } = {}) {
+  const allClient = {
+    query: null,
+    clientFilters: filters,
+    execution: Object.keys(filters).map((filter) => ({ filter, where: 'client' }))
+  };
+
+  // Only conversations are mirrored; everything is filtered locally there
+  if (dataType === 'conversations' && ticketMirror.shouldServe(source)) {
+    return { source: 'mirror', ...allClient };
+  }
+  if (source === 'mirror') {
+    const error = new Error(`The ticket mirror only holds conversations, not ${dataType}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (dataType === 'contacts') return { source: 'intercom', ...allClient };
+  return { source: 'intercom', ...buildSearchQuery(filters, { resource: dataType }) };
+}
+
+/**
+ * Yields pages of matching records
+ * @param {string} dataType - 'conversations', 'tickets' or 'contacts'
+ * @param {Object} plan - Result of planExport
+ * @param {Object} options - Paging options
+ * @param {number} options.perPage - Records read per page (default: 150, Intercom's maximum)
+ * @param {boolean} options.includeParts - Include conversation parts of mirrored conversations
+ * @param {Object} options.intercomService - Intercom service (real or mock) pages are read from
+ * @param {Object} options.phase2 - Phase 2 instance running the client-side filters
+ * @returns {AsyncGenerator<Object>} Pages of { records, scanned, total }; total counts records before
+ *   client-side filters, or is null when the source does not say
+ */
+async function* iterateExportPages(dataType, plan, {
+  perPage = 150, includeParts = false, intercomService, phase2
+}) {
+  if (Object.keys(plan.clientFilters).length > 0) await phase2.initialize();
+
+  if (plan.source === 'mirror') {
+    const total = ticketMirror.countTickets();
+    for (const tickets of ticketMirror.iterateTickets({ pageSize: perPage, includeParts })) {
+      yield {
+        records: await applyClientFilters(phase2, tickets, plan.clientFilters),
+        scanned: tickets.length,
+        total
+      };
+    }
+    return;
+  }
+
+  let cursor = null;
+  let hasMore = true;
+  while (hasMore) {
+    const page = dataType === 'contacts'
+      ? await intercomService.getContacts({ perPage, cursor })
+      : await intercomService.search(dataType, plan.query, { perPage, cursor });
+    const items = page[dataType] || [];
+
+    yield {
+      records: await applyClientFilters(phase2, items, plan.clientFilters),
+      scanned: items.length,
+      total: page.totalCount ?? null
+    };
+
+    cursor = page.nextCursor;
+    hasMore = page.hasMore && items.length > 0 && !!cursor;
+    logger.debug('Export page read', { dataType, scanned: items.length, hasMore });
+  }
+}
+
+module.exports = {
+  planExport,
+  iterateExportPages
+};
@@ -1,18 +1,45 @@
 const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const { once } = require('events');
+const readline = require('readline');
 const path = require('path');
 const csvWriter = require('csv-writer');
+const ExcelJS = require('exceljs');
 const config = require('../config');
 const logger = require('../utils/logger');
+const JsonStore = require('../utils/json-store');
+const { createRedactor, partialMask } = require('../utils/redact');
+
+// Columns written as Excel dates in XLSX exports (besides any *_at column)
+const DATE_COLUMNS = ['waiting_since', 'snoozed_until'];
+// Sheet names for each data type in XLSX exports (contacts have no parts)
+const SHEET_NAMES = {
+  conversations: { records: 'Conversations', parts: 'Conversation Parts' },
+  tickets: { records: 'Tickets', parts: 'Ticket Parts' },
+  contacts: { records: 'Contacts', parts: null }
+};
+// Excel rejects cells longer than this
+const MAX_CELL_LENGTH = 32767;
 
 /**
  * Export Service
- * Handles data export in various formats (JSON, CSV, etc.)
+ * Handles data export in various formats (JSON, NDJSON, CSV, XLSX)
  */
 class ExportService {
   constructor() {
     this.isInitialized = false;
     this.outputDir = config.export.outputDir;
     this.supportedFormats = config.export.supportedFormats;
+    // File name -> { id, name, role } of whoever created the export
+    this.owners = new JsonStore('export-owners');
+    // Default for exports that do not say whether to mask PII
+    this.maskPii = config.privacy.maskExports;
+    // Exports keep the domain of emails and the last digits of phone numbers so masked rows stay recognisable
+    this.piiRedactor = createRedactor({
+      fields: config.privacy.redactFields,
+      patterns: config.privacy.redactPatterns,
+      mask: partialMask
+    });
   }
 
   /**
@@ -22,6 +49,7 @@ class ExportService {
     try {
       // Create output directory if it doesn't exist
       await this.ensureOutputDirectory();
+      await this.owners.load();
 
       this.isInitialized = true;
       logger.info('Export service initialized successfully', {
@@ -141,24 +169,229 @@ class ExportService {
     }
   }
 
+  /**
+   * Exports data to an XLSX workbook
+   * Every sheet gets a bold, frozen, filterable header row; *_at columns are written as Excel dates.
+   * @param {Array<Object>} sheets - [{ name, rows, columns }] (columns default to every key in rows)
+   * @param {string} filename - Output filename (without extension)
+   * @param {Object} options - Export options
+   * @param {Object} options.metadata - Stored in the workbook properties
+   * @returns {Promise<string>} File path
+   */
+  async exportToXLSX(sheets, filename, options = {}) {
+    this.ensureInitialized();
+
+    const { metadata = {} } = options;
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const fullFilename = `${filename}_${timestamp}.xlsx`;
+    const filepath = path.join(this.outputDir, fullFilename);
+
+    try {
+      const workbook = new ExcelJS.Workbook();
+      workbook.creator = 'larkbot';
+      workbook.created = new Date();
+      workbook.subject = metadata.dataType || '';
+      workbook.description = JSON.stringify(metadata);
+
+      sheets.forEach((sheet) => this.addWorksheet(workbook, sheet));
+      await workbook.xlsx.writeFile(filepath);
+
+      logger.info('Data exported to XLSX', {
+        filename: fullFilename,
+        filepath,
+        sheets: sheets.map((sheet) => ({ name: sheet.name, rows: sheet.rows.length }))
+      });
+
+      return filepath;
+    } catch (error) {
+      logger.logError('ExportService.exportToXLSX', error, { filename, filepath });
+      throw error;
+    }
+  }
+
+  /**
+   * Adds a sheet of flat rows to a workbook
+   * @param {Object} workbook - ExcelJS workbook
+   * @param {Object} sheet - { name, rows, columns }
+   */
+  addWorksheet(workbook, { name, rows, columns = null }) {
+    const keys = columns || this.detectHeaders(rows);
+    const worksheet = this.createWorksheet(workbook, name, keys);
+
+    rows.forEach((row) => worksheet.addRow(this.toSheetRow(keys, row)));
+    return worksheet;
+  }
+
+  /**
+   * Adds a sheet with a bold, frozen, filterable header row (works with streaming workbooks too)
+   * @param {Object} workbook - ExcelJS workbook or streaming WorkbookWriter
+   * @param {string} name - Sheet name
+   * @param {Array<string>} keys - Column keys
+   * @returns {Object} Worksheet
+   */
+  createWorksheet(workbook, name, keys) {
+    const worksheet = workbook.addWorksheet(name, {
+      views: [{ state: 'frozen', ySplit: 1 }]
+    });
+
+    worksheet.columns = keys.map((key) => {
+      const isDate = this.isDateColumn(key);
+      return {
+        header: key,
+        key,
+        width: isDate ? 20 : Math.min(Math.max(key.length + 2, 12), 50),
+        style: isDate ? { numFmt: 'yyyy-mm-dd hh:mm' } : {}
+      };
+    });
+
+    worksheet.getRow(1).font = { bold: true };
+    if (keys.length > 0) {
+      worksheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: keys.length } };
+    }
+    return worksheet;
+  }
+
+  /**
+   * Converts a flat row into cell values for the given columns
+   */
+  toSheetRow(keys, row) {
+    return Object.fromEntries(keys.map((key) => [key, this.toCellValue(key, row[key])]));
+  }
+
+  /**
+   * Whether a column holds timestamps
+   */
+  isDateColumn(key) {
+    return key.endsWith('_at') || DATE_COLUMNS.includes(key);
+  }
+
+  /**
+   * Converts a value to what ExcelJS should write: Dates for timestamp columns
+   * (unix seconds, milliseconds or ISO strings), capped strings for text
+   */
+  toCellValue(key, value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    if (this.isDateColumn(key)) {
+      let date = new Date(value);
+      if (typeof value === 'number') date = new Date(value > 1e12 ? value : value * 1000);
+      return Number.isNaN(date.getTime()) ? value : date;
+    }
+
+    if (typeof value === 'object') return JSON.stringify(value).slice(0, MAX_CELL_LENGTH);
+    if (typeof value === 'string') return value.slice(0, MAX_CELL_LENGTH);
+    return value;
+  }
+
+  /**
+   * Builds the sheets of an XLSX export: the records, their conversation parts (when there are any)
+   * and a summary with counts by state, country and assignee
+   * @param {string} dataType - 'conversations', 'tickets' or 'contacts'
+   * @param {Array} records - Records to export
+   * @returns {Array<Object>} Sheets for exportToXLSX
+   */
+  buildWorkbookSheets(dataType, records) {
+    const { records: recordsSheet, parts: partsSheet } = SHEET_NAMES[dataType];
+    const summary = this.createSummary(dataType);
+    const rows = records.map((record) => {
+      const row = this.toExportRow(dataType, record);
+      summary.add(record, row);
+      return row;
+    });
+    const parts = partsSheet ? records.flatMap((record) => this.transformPartsForExport(record)) : [];
+
+    const sheets = [{ name: recordsSheet, rows }];
+    if (parts.length > 0) {
+      sheets.push({ name: partsSheet, rows: parts });
+    }
+    sheets.push({ name: 'Summary', rows: summary.rows() });
+    return sheets;
+  }
+
+  /**
+   * Flattens a record into the row written to CSV and XLSX exports
+   * @param {string} dataType - 'conversations', 'tickets' or 'contacts'
+   * @param {Object} record - Intercom record
+   * @returns {Object} Flat row
+   */
+  toExportRow(dataType, record) {
+    if (dataType === 'contacts') return this.flattenObject(record);
+
+    return {
+      ...(dataType === 'tickets' ? this.transformTicketForCSV(record) : this.transformConversationForCSV(record)),
+      country: this.getCountry(record)
+    };
+  }
+
+  /**
+   * Creates a running count of records by state, country and assignee (role and country for contacts)
+   * @param {string} dataType - 'conversations', 'tickets' or 'contacts'
+   * @returns {Object} { add(record, row), rows() } where rows() gives { group, value, count } rows,
+   *   largest counts first within each group
+   */
+  createSummary(dataType) {
+    const groupings = dataType === 'contacts'
+      ? {
+        role: (contact) => contact.role,
+        country: (contact) => contact.location?.country
+      }
+      : {
+        state: (record, row) => row.state || record.ticket_state || record.state,
+        country: (record, row) => row.country,
+        assignee: (record, row) => row.assignee_name || record.admin_assignee_id
+      };
+    const counts = new Map(Object.keys(groupings).map((group) => [group, new Map()]));
+    let total = 0;
+
+    return {
+      add: (record, row = {}) => {
+        total++;
+        Object.entries(groupings).forEach(([group, getValue]) => {
+          const value = String(getValue(record, row) || (group === 'assignee' ? 'Unassigned' : 'Unknown'));
+          counts.get(group).set(value, (counts.get(group).get(value) || 0) + 1);
+        });
+      },
+      rows: () => [
+        { group: 'total', value: dataType, count: total },
+        ...[...counts.entries()].flatMap(([group, values]) => [...values.entries()]
+          .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+          .map(([value, count]) => ({ group, value, count })))
+      ]
+    };
+  }
+
   /**
    * Exports conversations data with proper formatting
-   * @param {Array} conversations - Conversations data
-   * @param {string} format - Export format ('json' or 'csv')
+   * @param {Array} rawRecords - Conversations data
+   * @param {string} format - Export format ('json', 'ndjson', 'csv' or 'xlsx')
    * @param {Object} options - Export options
+   * @param {boolean} options.maskPii - Mask PII (default: EXPORT_MASK_PII)
    * @returns {Promise<string>} File path
    */
-  async exportConversations(conversations, format = 'json', options = {}) {
+  async exportConversations(rawRecords, format = 'json', options = {}) {
     this.ensureInitialized();
 
+    const { maskPii = this.maskPii } = options;
+    const conversations = maskPii ? this.maskRecords(rawRecords) : rawRecords;
     const filename = `conversations_${conversations.length}_records`;
     const metadata = {
       source: 'Intercom',
       dataType: 'conversations',
       totalRecords: conversations.length,
+      piiMasked: maskPii,
       extractedAt: new Date().toISOString()
     };
 
+    if (format === 'xlsx') {
+      return await this.exportToXLSX(this.buildWorkbookSheets('conversations', conversations), filename, { metadata });
+    }
+    if (format === 'ndjson') {
+      // Already masked above
+      const result = await this.streamExport('conversations', 'ndjson', [{ records: conversations }], {
+        filename, maskPii: false
+      });
+      return result.filepath;
+    }
     if (format === 'csv') {
       // Transform conversations for CSV export
       const csvData = conversations.map((conv) => this.transformConversationForCSV(conv));
@@ -169,22 +402,36 @@ class ExportService {
 
   /**
    * Exports tickets data with proper formatting
-   * @param {Array} tickets - Tickets data
-   * @param {string} format - Export format ('json' or 'csv')
+   * @param {Array} rawRecords - Tickets data
+   * @param {string} format - Export format ('json', 'ndjson', 'csv' or 'xlsx')
    * @param {Object} options - Export options
+   * @param {boolean} options.maskPii - Mask PII (default: EXPORT_MASK_PII)
    * @returns {Promise<string>} File path
    */
-  async exportTickets(tickets, format = 'json', options = {}) {
+  async exportTickets(rawRecords, format = 'json', options = {}) {
     this.ensureInitialized();
 
+    const { maskPii = this.maskPii } = options;
+    const tickets = maskPii ? this.maskRecords(rawRecords) : rawRecords;
     const filename = `tickets_${tickets.length}_records`;
     const metadata = {
       source: 'Intercom',
       dataType: 'tickets',
       totalRecords: tickets.length,
+      piiMasked: maskPii,
       extractedAt: new Date().toISOString()
     };
 
+    if (format === 'xlsx') {
+      return await this.exportToXLSX(this.buildWorkbookSheets('tickets', tickets), filename, { metadata });
+    }
+    if (format === 'ndjson') {
+      // Already masked above
+      const result = await this.streamExport('tickets', 'ndjson', [{ records: tickets }], {
+        filename, maskPii: false
+      });
+      return result.filepath;
+    }
     if (format === 'csv') {
       const csvData = tickets.map((ticket) => this.transformTicketForCSV(ticket));
       return await this.exportToCSV(csvData, filename, { ...options, metadata });
@@ -192,6 +439,259 @@ class ExportService {
     return await this.exportToJSON(tickets, filename, { ...options, metadata });
   }
 
+  /**
+   * Exports contacts data
+   * @param {Array} rawContacts - Contacts data
+   * @param {string} format - Export format ('json', 'ndjson', 'csv' or 'xlsx')
+   * @param {Object} options - Export options
+   * @param {boolean} options.maskPii - Mask PII (default: EXPORT_MASK_PII)
+   * @returns {Promise<string>} File path
+   */
+  async exportContacts(rawContacts, format = 'json', options = {}) {
+    this.ensureInitialized();
+
+    const { maskPii = this.maskPii } = options;
+    const contacts = maskPii ? this.maskRecords(rawContacts) : rawContacts;
+    const metadata = {
+      source: 'Intercom',
+      dataType: 'contacts',
+      totalRecords: contacts.length,
+      piiMasked: maskPii,
+      extractedAt: new Date().toISOString()
+    };
+
+    if (format === 'xlsx') {
+      return await this.exportToXLSX(this.buildWorkbookSheets('contacts', contacts), 'contacts', { metadata });
+    }
+    if (format === 'ndjson') {
+      // Already masked above
+      const result = await this.streamExport('contacts', 'ndjson', [{ records: contacts }], {
+        filename: 'contacts', maskPii: false
+      });
+      return result.filepath;
+    }
+    if (format === 'csv') {
+      return await this.exportToCSV(contacts, 'contacts', { ...options, metadata });
+    }
+    return await this.exportToJSON(contacts, 'contacts', { ...options, metadata });
+  }
+
+  /**
+   * Streams pages of records to an export file, so large exports never sit in memory
+   * The file is written under a `.partial` name and renamed once complete.
+   * @param {string} dataType - 'conversations', 'tickets' or 'contacts'
+   * @param {string} format - 'ndjson', 'json', 'csv' or 'xlsx'
+   * @param {AsyncIterable<Object>} pages - Pages of { records, scanned, total }
+   * @param {Object} options - Export options
+   * @param {string} options.filename - Output filename (without extension)
+   * @param {number} options.limit - Stop after this many records (default: no limit)
+   * @param {Object} options.metadata - Export metadata (JSON and XLSX only)
+   * @param {Function} options.onProgress - Called with { recordCount, scanned, total, page } after each page
+   * @param {boolean} options.maskPii - Mask PII (default: EXPORT_MASK_PII)
+   * @returns {Promise<Object>} { filepath, recordCount, scanned }
+   */
+  async streamExport(dataType, format, pages, options = {}) {
+    this.ensureInitialized();
+
+    const {
+      filename = `${dataType}_export`, limit = null, metadata = {}, onProgress = null, maskPii = this.maskPii
+    } = options;
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filepath = path.join(this.outputDir, `${filename}_${timestamp}.${format}`);
+    const partialPath = `${filepath}.partial`;
+    const writer = this.createStreamWriter(dataType, format, partialPath);
+
+    let recordCount = 0;
+    let scanned = 0;
+    let pageCount = 0;
+
+    try {
+      for await (const page of pages) {
+        const records = limit ? page.records.slice(0, limit - recordCount) : page.records;
+        await writer.write(maskPii ? this.maskRecords(records) : records);
+        recordCount += records.length;
+        scanned += page.scanned ?? page.records.length;
+        pageCount++;
+        if (onProgress) {
+          onProgress({
+            recordCount, scanned, total: page.total ?? null, page: pageCount
+          });
+        }
+        if (limit && recordCount >= limit) break;
+      }
+
+      await writer.close({
+        exportedAt: new Date().toISOString(),
+        totalRecords: recordCount,
+        format,
+        piiMasked: maskPii,
+        ...metadata
+      });
+      await fs.rename(partialPath, filepath);
+    } catch (error) {
+      await writer.abort();
+      logger.logError('ExportService.streamExport', error, { dataType, format, filepath, recordCount });
+      throw error;
+    }
+
+    logger.info('Data streamed to file', {
+      filename: path.basename(filepath), dataType, format, records: recordCount, scanned
+    });
+    return { filepath, recordCount, scanned };
+  }
+
+  /**
+   * Masks PII in records before they are written: denylisted fields (PIC name and contact number,
+   * store address, emails, phones), contact names, and emails, phones and addresses in message bodies
+   * @param {Array<Object>} records - Conversations, tickets or contacts
+   * @returns {Array<Object>} Masked copies
+   */
+  maskRecords(records) {
+    return records.map((record) => this.piiRedactor.redact(record));
+  }
+
+  /**
+   * Creates a writer that appends records to an export file as they arrive
+   * @param {string} dataType - 'conversations', 'tickets' or 'contacts'
+   * @param {string} format - 'ndjson', 'json', 'csv' or 'xlsx'
+   * @param {string} filepath - Output file
+   * @returns {Object} { write(records), close(metadata), abort() }
+   */
+  createStreamWriter(dataType, format, filepath) {
+    if (format === 'xlsx') return this.createXLSXStreamWriter(dataType, filepath);
+
+    const file = createWriteStream(filepath, 'utf8');
+    const append = async (chunk) => {
+      if (chunk && !file.write(chunk)) await once(file, 'drain');
+    };
+    const end = async (chunk = '') => {
+      file.end(chunk);
+      await once(file, 'finish');
+    };
+    const abort = async () => {
+      file.destroy();
+      await fs.rm(filepath, { force: true });
+    };
+
+    if (format === 'ndjson') {
+      return {
+        write: (records) => append(records.map((record) => `${JSON.stringify(record)}\n`).join('')),
+        close: () => end(),
+        abort
+      };
+    }
+
+    if (format === 'csv') {
+      // Columns come from the first page; keys that only appear later are dropped
+      let stringifier = null;
+      return {
+        write: async (records) => {
+          const rows = records.map((record) => this.toExportRow(dataType, record));
+          if (rows.length === 0) return;
+          if (!stringifier) {
+            stringifier = csvWriter.createObjectCsvStringifier({
+              header: this.detectHeaders(rows).map((header) => ({ id: header, title: header }))
+            });
+            await append(stringifier.getHeaderString());
+          }
+          await append(stringifier.stringifyRecords(rows));
+        },
+        close: () => end(),
+        abort
+      };
+    }
+
+    // JSON keeps the { metadata, data } shape of exportToJSON, with metadata last since it is only known at the end
+    let empty = true;
+    return {
+      write: async (records) => {
+        if (records.length === 0) return;
+        await append(`${empty ? '{"data":[' : ','}${records.map((record) => JSON.stringify(record)).join(',')}`);
+        empty = false;
+      },
+      close: (metadata) => end(`${empty ? '{"data":[' : ''}],"metadata":${JSON.stringify(metadata)}}`),
+      abort
+    };
+  }
+
+  /**
+   * Creates a streaming XLSX writer
+   * Records are committed to their sheet as they arrive. Conversation parts go to a temporary NDJSON
+   * file and are copied into their own sheet at the end, because a streamed workbook has to finish
+   * one sheet before the next.
+   * @returns {Object} { write(records), close(metadata), abort() }
+   */
+  createXLSXStreamWriter(dataType, filepath) {
+    const { records: recordsSheet, parts: partsSheet } = SHEET_NAMES[dataType];
+    const partsPath = `${filepath}.parts.tmp`;
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: filepath, useStyles: true });
+    const summary = this.createSummary(dataType);
+    const parts = partsSheet ? createWriteStream(partsPath, 'utf8') : null;
+    let worksheet = null;
+    let keys = null;
+    let partCount = 0;
+
+    const removeParts = () => fs.rm(partsPath, { force: true });
+
+    return {
+      write: async (records) => {
+        const rows = records.map((record) => {
+          const row = this.toExportRow(dataType, record);
+          summary.add(record, row);
+          return row;
+        });
+        if (rows.length > 0 && !worksheet) {
+          keys = this.detectHeaders(rows);
+          worksheet = this.createWorksheet(workbook, recordsSheet, keys);
+        }
+        rows.forEach((row) => worksheet.addRow(this.toSheetRow(keys, row)).commit());
+
+        if (parts) {
+          const partRows = records.flatMap((record) => this.transformPartsForExport(record));
+          partCount += partRows.length;
+          const chunk = partRows.map((row) => `${JSON.stringify(row)}\n`).join('');
+          if (chunk && !parts.write(chunk)) await once(parts, 'drain');
+        }
+      },
+      close: async (metadata) => {
+        workbook.subject = dataType;
+        workbook.description = JSON.stringify(metadata);
+        if (!worksheet) worksheet = this.createWorksheet(workbook, recordsSheet, []);
+        worksheet.commit();
+
+        if (parts) {
+          parts.end();
+          await once(parts, 'finish');
+        }
+        if (partCount > 0) {
+          let partsWorksheet = null;
+          let partKeys = null;
+          const lines = readline.createInterface({ input: createReadStream(partsPath, 'utf8'), crlfDelay: Infinity });
+          for await (const line of lines) {
+            const row = JSON.parse(line);
+            if (!partsWorksheet) {
+              partKeys = Object.keys(row);
+              partsWorksheet = this.createWorksheet(workbook, partsSheet, partKeys);
+            }
+            partsWorksheet.addRow(this.toSheetRow(partKeys, row)).commit();
+          }
+          partsWorksheet.commit();
+        }
+        await removeParts();
+
+        const summarySheet = this.createWorksheet(workbook, 'Summary', ['group', 'value', 'count']);
+        summary.rows().forEach((row) => summarySheet.addRow(row).commit());
+        summarySheet.commit();
+        await workbook.commit();
+      },
+      abort: async () => {
+        if (parts) parts.destroy();
+        await removeParts();
+        await fs.rm(filepath, { force: true });
+      }
+    };
+  }
+
   /**
    * Transforms conversation data for CSV export
    * @param {Object} conversation - Conversation object
@@ -250,6 +750,35 @@ class ExportService {
     };
   }
 
+  /**
+   * Gets the country of a conversation or ticket from its attributes
+   */
+  getCountry(record) {
+    return record.custom_attributes?.['🌎 Country']
+      || record.ticket_attributes?.['🌎 Country']
+      || record.custom_attributes?.country
+      || '';
+  }
+
+  /**
+   * Turns the conversation (or ticket) parts of a record into flat rows
+   * @param {Object} record - Conversation or ticket
+   * @returns {Array<Object>} One row per part
+   */
+  transformPartsForExport(record) {
+    const parts = record.conversation_parts?.conversation_parts || record.ticket_parts?.ticket_parts || [];
+    return parts.map((part) => ({
+      ticket_id: record.id,
+      part_id: part.id,
+      part_type: part.part_type,
+      author_type: part.author?.type || '',
+      author_name: part.author?.name || '',
+      author_email: part.author?.email || '',
+      body: String(part.body || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim(),
+      created_at: part.created_at
+    }));
+  }
+
   /**
    * Flattens nested object data for CSV export
    * @param {Array} data - Array of objects
@@ -299,15 +828,27 @@ class ExportService {
     return Array.from(headers);
   }
 
+  /**
+   * Records who created an export file, so only they (and export managers) can list and download it
+   * @param {string} filepath - Path or name of the export file
+   * @param {Object} principal - Caller ({ id, name, role }); files without an owner are for managers only
+   */
+  recordOwner(filepath, principal) {
+    if (!principal) return;
+    this.owners.set(path.basename(filepath), { id: principal.id, name: principal.name, role: principal.role });
+  }
+
   /**
    * Lists all exported files
-   * @returns {Promise<Array>} Array of file information
+   * @returns {Promise<Array>} Array of file information, each with its owner (or null)
    */
   async listExportedFiles() {
     this.ensureInitialized();
 
     try {
-      const files = await fs.readdir(this.outputDir);
+      // Streaming exports still being written end in .partial (and .parts.tmp for XLSX parts)
+      const files = (await fs.readdir(this.outputDir))
+        .filter((file) => !file.endsWith('.partial') && !file.endsWith('.tmp'));
       const fileStats = await Promise.all(
         files.map(async (file) => {
           const filepath = path.join(this.outputDir, file);
@@ -319,7 +860,8 @@ class ExportService {
             sizeKB: Math.round(stats.size / 1024),
             created: stats.birthtime,
             modified: stats.mtime,
-            extension: path.extname(file)
+            extension: path.extname(file),
+            owner: this.owners.get(file) || null
           };
         })
       );
@@ -331,6 +873,30 @@ class ExportService {
     }
   }
 
+  /**
+   * Resolves a finished export file by name for download
+   * @param {string} filename - File name as listed by listExportedFiles
+   * @returns {Promise<Object|null>} { filename, filepath, size, owner }, or null if there is no such export
+   */
+  async getExportedFile(filename) {
+    this.ensureInitialized();
+
+    // Plain file names with a supported extension only: no paths, no hidden or in-progress files
+    const extension = path.extname(String(filename)).slice(1);
+    if (!/^[\w-][\w.-]*$/.test(filename) || !this.supportedFormats.includes(extension)) return null;
+
+    const filepath = path.join(this.outputDir, filename);
+    try {
+      const stats = await fs.stat(filepath);
+      return stats.isFile() ? {
+        filename, filepath, size: stats.size, owner: this.owners.get(filename) || null
+      } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
   /**
    * Deletes old export files
    * @param {number} maxAge - Maximum age in days
@@ -349,6 +915,7 @@ class ExportService {
       for (const file of files) {
         if (file.created < cutoffDate) {
           await fs.unlink(file.filepath);
+          this.owners.delete(file.filename);
           deletedCount++;
           logger.info('Deleted old export file', {
             filename: file.filename,
@@ -365,6 +932,13 @@ class ExportService {
     }
   }
 
+  /**
+   * Flushes pending writes to disk
+   */
+  async cleanup() {
+    await this.owners.flush();
+  }
+
   /**
    * Checks if the service is initialized
    * @throws {Error} If service is not initialized
@@ -0,0 +1,211 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/json-store');
+const larkService = require('./lark');
+
+// Intercom admins rarely change, so the list is cached for a while
+const ADMIN_CACHE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Identity Service
+ * Links Intercom teammates to Lark users (matched by email, with manual overrides)
+ * so cards and messages can @mention the right person
+ */
+class IdentityService {
+  constructor() {
+    this.intercomService = null;
+    this.admins = [];
+    this.adminsFetchedAt = 0;
+    this.store = new JsonStore('lark-identities');
+    this.overrides = new Map();
+    this.cacheTtlMs = config.identity.cacheTtlMs;
+    this.missTtlMs = config.identity.missTtlMs;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Loads the overrides from config and the cached email lookups from disk
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    this.overrides = this.parseOverrides(config.identity.overrides);
+    await this.store.load();
+
+    this.isInitialized = true;
+    logger.info('🪪 Identity service initialized', {
+      overrides: this.overrides.size,
+      cachedIdentities: this.store.size
+    });
+  }
+
+  /**
+   * Parses the overrides JSON ({ "<admin id or email>": "<lark open_id>" })
+   * @param {string|Object} raw - Overrides from config
+   * @returns {Map} Lowercased admin ID/email -> Lark open_id
+   */
+  parseOverrides(raw) {
+    let overrides = raw;
+    if (typeof raw === 'string') {
+      try {
+        overrides = JSON.parse(raw);
+      } catch (error) {
+        throw new Error(`LARK_IDENTITY_OVERRIDES is not valid JSON: ${error.message}`);
+      }
+    }
+
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new Error('LARK_IDENTITY_OVERRIDES must be a JSON object of Intercom admin ID or email -> Lark open_id');
+    }
+
+    return new Map(Object.entries(overrides).map(([key, openId]) => [String(key).toLowerCase(), openId]));
+  }
+
+  /**
+   * Sets the Intercom service used to look up admins (real or mock, chosen by the services manager)
+   * @param {Object} intercomService - Intercom service instance
+   */
+  useIntercomService(intercomService) {
+    this.intercomService = intercomService;
+  }
+
+  /**
+   * Gets Intercom admins, refreshing the cached list when it is stale
+   * @returns {Promise<Array>} Admins
+   */
+  async getIntercomAdmins() {
+    if (Date.now() - this.adminsFetchedAt > ADMIN_CACHE_TTL_MS) {
+      this.admins = await this.intercomService.listAdmins();
+      this.adminsFetchedAt = Date.now();
+    }
+    return this.admins;
+  }
+
+  /**
+   * Finds an Intercom admin by email (case-insensitive)
+   * @param {string} email - Email address
+   * @returns {Promise<Object|null>} Admin or null
+   */
+  async findIntercomAdminByEmail(email) {
+    if (!email) return null;
+
+    const admins = await this.getIntercomAdmins();
+    return admins.find((admin) => admin.email?.toLowerCase() === email.toLowerCase()) || null;
+  }
+
+  /**
+   * Finds the Intercom admin whose override points at a Lark user
+   * @param {string} openId - Lark open_id
+   * @returns {Promise<Object|null>} Admin or null
+   */
+  async findIntercomAdminByOverride(openId) {
+    const key = [...this.overrides].find(([, id]) => id === openId)?.[0];
+    if (!key) return null;
+
+    const admins = await this.getIntercomAdmins();
+    return admins.find((admin) => String(admin.id).toLowerCase() === key || admin.email?.toLowerCase() === key) || null;
+  }
+
+  /**
+   * Resolves the Intercom admin for a Lark user
+   * @param {string} openId - Lark open_id of the user
+   * @returns {Promise<Object>} { larkUser, admin } (admin is null when no teammate matches)
+   */
+  async getIntercomAdminForLarkUser(openId) {
+    const larkUser = await larkService.getUserInfo(openId, 'open_id');
+
+    const email = larkUser?.enterprise_email || larkUser?.email;
+    // An override pointing at this Lark user wins over the email match
+    const admin = await this.findIntercomAdminByOverride(openId) || await this.findIntercomAdminByEmail(email);
+
+    if (!admin) {
+      logger.warn('⚠️ No Intercom teammate matches Lark user', { openId, email });
+    }
+
+    return { larkUser, admin };
+  }
+
+  /**
+   * Resolves the Lark open_id for an Intercom admin
+   * Lookup failures are logged and treated as "no match" so notifications still go out
+   * @param {Object} admin - Intercom admin ({ id, email, name }); only one of id/email is required
+   * @returns {Promise<string|null>} Lark open_id or null
+   */
+  async getLarkUserIdForAdmin(admin) {
+    if (!admin?.id && !admin?.email) return null;
+
+    const override = this.overrides.get(String(admin.id).toLowerCase())
+      || (admin.email && this.overrides.get(admin.email.toLowerCase()));
+    if (override) return override;
+
+    try {
+      let { email } = admin;
+      if (!email) {
+        const admins = await this.getIntercomAdmins();
+        email = admins.find((item) => String(item.id) === String(admin.id))?.email;
+      }
+      if (!email) return null;
+
+      email = email.toLowerCase();
+      await this.store.load();
+
+      const cached = this.store.get(email);
+      const ttl = cached?.openId ? this.cacheTtlMs : this.missTtlMs;
+      if (cached && Date.now() - cached.resolvedAt < ttl) {
+        return cached.openId;
+      }
+
+      const ids = await larkService.getUserIdsByEmails([email]);
+      const openId = ids[email] || null;
+      this.store.set(email, { openId, resolvedAt: Date.now() });
+
+      if (!openId) {
+        logger.warn('⚠️ No Lark user matches Intercom teammate', { adminId: admin.id, email });
+      }
+
+      return openId;
+    } catch (error) {
+      logger.logError('IdentityService.getLarkUserIdForAdmin', error, { adminId: admin.id });
+      return null;
+    }
+  }
+
+  /**
+   * Builds an @mention for an Intercom admin, falling back to their plain name
+   * @param {Object} admin - Intercom admin ({ id, email, name })
+   * @param {string} format - 'card' for lark_md card text, 'text' for text messages
+   * @returns {Promise<string>} Mention markup or name
+   */
+  async getMention(admin, format = 'card') {
+    const name = admin?.name || 'Unknown';
+    const openId = await this.getLarkUserIdForAdmin(admin);
+
+    if (!openId) return name;
+    return format === 'text' ? `<at user_id="${openId}">${name}</at>` : `<at id=${openId}></at>`;
+  }
+
+  /**
+   * Flushes cached lookups to disk
+   */
+  async cleanup() {
+    await this.store.flush();
+  }
+
+  /**
+   * Gets service health status
+   * @returns {Object} Health status
+   */
+  getHealthStatus() {
+    return {
+      initialized: this.isInitialized,
+      overrides: this.overrides.size,
+      cachedIdentities: this.store.size,
+      cachedAdmins: this.admins.length
+    };
+  }
+}
+
+// Create singleton instance
+const identityService = new IdentityService();
+
+module.exports = identityService;
@@ -1,5 +1,21 @@
 const config = require('../config');
 const exportService = require('./export');
+const larkService = require('./lark');
+const exportJobsService = require('./export-jobs');
+const routingService = require('./routing');
+const cardTrackerService = require('./card-tracker');
+const webhookDedupeService = require('./webhook-dedupe');
+const eventQueueService = require('./event-queue');
+const identityService = require('./identity');
+const slaService = require('./sla');
+const baseSyncService = require('./base-sync');
+const inspectionCalendarService = require('./inspection-calendar');
+const ticketTaskService = require('./ticket-tasks');
+const subscriptionService = require('./subscriptions');
+const ticketMirrorService = require('./ticket-mirror');
+const ticketHistoryService = require('./ticket-history');
+const authService = require('./auth');
+const auditService = require('./audit');
 const logger = require('../utils/logger');
 
 // Use mock service if no token is available or if it's a mock token
@@ -13,6 +29,10 @@ if (config.intercom.token && !mockTokens.includes(config.intercom.token)) {
   logger.info('🎭 Using mock Intercom service (no token configured)');
 }
 
+// Lark user <-> Intercom teammate lookups go through the selected Intercom service
+identityService.useIntercomService(intercomService);
+ticketMirrorService.useIntercomService(intercomService);
+
 /**
  * Services Manager
  * Handles initialization and management of all services
@@ -21,7 +41,22 @@ class ServicesManager {
   constructor() {
     this.services = {
       intercom: intercomService,
-      export: exportService
+      export: exportService,
+      exportJobs: exportJobsService,
+      routing: routingService,
+      cardTracker: cardTrackerService,
+      webhookDedupe: webhookDedupeService,
+      eventQueue: eventQueueService,
+      identity: identityService,
+      sla: slaService,
+      baseSync: baseSyncService,
+      inspectionCalendar: inspectionCalendarService,
+      ticketTasks: ticketTaskService,
+      subscriptions: subscriptionService,
+      ticketMirror: ticketMirrorService,
+      ticketHistory: ticketHistoryService,
+      auth: authService,
+      audit: auditService
     };
     this.initialized = false;
   }
@@ -33,6 +68,12 @@ class ServicesManager {
     try {
       logger.info('Initializing services...');
 
+      // Load API keys first so a bad API_KEYS value stops startup before anything else runs
+      await this.services.auth.initialize();
+
+      // Load the audit trail of exports and admin actions
+      await this.services.audit.initialize();
+
       // Initialize Intercom service (optional - continue if it fails)
       try {
         await this.services.intercom.initialize();
@@ -47,6 +88,45 @@ class ServicesManager {
       // Initialize Export service
       await this.services.export.initialize();
 
+      // Load background export job records (jobs a restart interrupted are marked failed)
+      await this.services.exportJobs.initialize();
+
+      // Initialize routing rules (fail fast on an invalid rules file)
+      await this.services.routing.initialize();
+
+      // Load tracked Lark card messages so ticket cards can be updated in place
+      await this.services.cardTracker.initialize();
+
+      // Load recently processed webhook deliveries so retries are dropped after a restart
+      await this.services.webhookDedupe.initialize();
+
+      // Load identity overrides and cached Intercom teammate -> Lark user lookups
+      await this.services.identity.initialize();
+
+      // Resume SLA clocks for tickets that were open before the restart
+      await this.services.sla.initialize();
+
+      // Load tickets queued for the Lark Base table and start the batch sync
+      await this.services.baseSync.initialize();
+
+      // Load site inspections scheduled on Lark Calendar
+      await this.services.inspectionCalendar.initialize();
+
+      // Load the Lark tasks created for assigned tickets
+      await this.services.ticketTasks.initialize();
+
+      // Load chatbot subscriptions matched against incoming ticket events
+      await this.services.subscriptions.initialize();
+
+      // Load the local ticket mirror and start its incremental sync
+      await this.services.ticketMirror.initialize();
+
+      // Load the per-ticket audit trail (webhooks, routing decisions, Lark deliveries)
+      await this.services.ticketHistory.initialize();
+
+      // Connect the durable event queue (Redis or local file) and start its worker
+      await this.services.eventQueue.initialize();
+
       this.initialized = true;
       logger.info('All services initialized successfully');
     } catch (error) {
@@ -64,7 +144,24 @@ class ServicesManager {
       initialized: this.initialized,
       services: {
         intercom: this.services.intercom.getHealthStatus(),
-        export: this.services.export.getHealthStatus()
+        // Lark is initialized on first use, but its request counters are useful from the start
+        lark: larkService.getHealthStatus(),
+        export: this.services.export.getHealthStatus(),
+        exportJobs: this.services.exportJobs.getHealthStatus(),
+        routing: this.services.routing.getHealthStatus(),
+        cardTracker: this.services.cardTracker.getHealthStatus(),
+        webhookDedupe: this.services.webhookDedupe.getHealthStatus(),
+        eventQueue: this.services.eventQueue.getHealthStatus(),
+        identity: this.services.identity.getHealthStatus(),
+        sla: this.services.sla.getHealthStatus(),
+        baseSync: this.services.baseSync.getHealthStatus(),
+        inspectionCalendar: this.services.inspectionCalendar.getHealthStatus(),
+        ticketTasks: this.services.ticketTasks.getHealthStatus(),
+        subscriptions: this.services.subscriptions.getHealthStatus(),
+        ticketMirror: this.services.ticketMirror.getHealthStatus(),
+        ticketHistory: this.services.ticketHistory.getHealthStatus(),
+        auth: this.services.auth.getHealthStatus(),
+        audit: this.services.audit.getHealthStatus()
       }
     };
   }
@@ -111,5 +208,20 @@ module.exports = {
 
   // Direct service exports for convenience
   intercomService: servicesManager.services.intercom,
-  exportService: servicesManager.services.export
+  exportService: servicesManager.services.export,
+  exportJobsService: servicesManager.services.exportJobs,
+  routingService: servicesManager.services.routing,
+  cardTrackerService: servicesManager.services.cardTracker,
+  webhookDedupeService: servicesManager.services.webhookDedupe,
+  eventQueueService: servicesManager.services.eventQueue,
+  identityService: servicesManager.services.identity,
+  slaService: servicesManager.services.sla,
+  baseSyncService: servicesManager.services.baseSync,
+  inspectionCalendarService: servicesManager.services.inspectionCalendar,
+  ticketTaskService: servicesManager.services.ticketTasks,
+  subscriptionService: servicesManager.services.subscriptions,
+  ticketMirrorService: servicesManager.services.ticketMirror,
+  ticketHistoryService: servicesManager.services.ticketHistory,
+  authService: servicesManager.services.auth,
+  auditService: servicesManager.services.audit
 };
@@ -0,0 +1,381 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/json-store');
+const { parseAppointment, formatAppointment } = require('../utils/appointment');
+const larkService = require('./lark');
+const identityService = require('./identity');
+
+const REMINDER_MINUTES = 60;
+
+/**
+ * Inspection Calendar Service
+ * Puts scheduled site inspections on Lark Calendar. The appointment comes from a ticket custom attribute
+ * or the date picker on the ticket card; the event is created on the bot's calendar with the assigned
+ * technician invited, moved when the appointment, technician or store details change, and cancelled
+ * when the ticket closes before the visit.
+ */
+class InspectionCalendarService {
+  constructor() {
+    // Ticket ID -> { eventId, calendarId, startAt, allDay, technicianOpenId, attributeValue, source,
+    //   detailsHash, status: scheduled|cancelled|completed, updatedAt }
+    this.store = new JsonStore('inspection-events');
+    this.options = { ...config.lark.calendar };
+    this.calendarId = this.options.calendarId || null;
+    this.stats = {
+      created: 0,
+      updated: 0,
+      cancelled: 0,
+      failed: 0
+    };
+    this.lastError = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Loads scheduled visits
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    await this.store.load();
+    this.prune();
+
+    this.isInitialized = true;
+    logger.info('📅 Inspection calendar initialized', {
+      enabled: this.options.enabled,
+      attribute: this.options.appointmentAttribute,
+      scheduled: this.getScheduled().length
+    });
+  }
+
+  /**
+   * Keeps a ticket's calendar event in line with its appointment attribute, assignee and state
+   * Only routed events schedule or move visits (other payloads may lack the custom attributes), but any
+   * close cancels an upcoming visit.
+   * Failed calendar calls are counted in the health status (`failed`, `lastError`).
+   * @param {Object} ticket - Intercom ticket
+   * @param {string} eventType - Event type (opened, assigned, closed...)
+   * @param {Object} options - Event details
+   * @param {boolean} options.routed - Whether a routing rule matched the ticket
+   * @param {string} options.merchantName - Merchant name from the ticket's custom attributes
+   * @param {Object} options.assignee - Assigned Intercom admin ({ id, email, name }), when the event carries one
+   */
+  async handleTicketEvent(ticket, eventType, { routed = false, merchantName, assignee } = {}) {
+    if (!this.options.enabled) return;
+
+    const ticketId = String(ticket.id);
+    try {
+      await this.store.load();
+      const existing = this.store.get(ticketId);
+
+      if (eventType === 'closed' || ticket.state === 'closed') {
+        if (existing?.status === 'scheduled') await this.finish(ticketId, existing);
+        return;
+      }
+      if (!routed) return;
+
+      const rawValue = ticket.custom_attributes?.[this.options.appointmentAttribute];
+      const attributeValue = rawValue === null || rawValue === undefined || rawValue === '' ? null : String(rawValue);
+      const appointment = parseAppointment(rawValue, { timeZone: this.options.timezone });
+
+      if (attributeValue && !appointment && attributeValue !== existing?.attributeValue) {
+        logger.warn('⚠️ Could not read the site inspection appointment', {
+          ticketId,
+          attribute: this.options.appointmentAttribute,
+          value: attributeValue
+        });
+      }
+
+      // A new attribute value wins; otherwise a scheduled visit only follows assignee and detail changes
+      if (appointment && (attributeValue !== existing?.attributeValue || existing?.status !== 'scheduled')) {
+        await this.schedule(ticket, appointment, { merchantName, assignee, attributeValue, source: 'attribute' });
+      } else if (existing?.status === 'scheduled') {
+        await this.schedule(ticket, existing, { merchantName, assignee, attributeValue, source: existing.source });
+      }
+    } catch (error) {
+      this.stats.failed++;
+      this.lastError = error.message;
+      logger.logError('InspectionCalendarService.handleTicketEvent', error, { ticketId, eventType });
+    }
+  }
+
+  /**
+   * Schedules (or moves) a ticket's visit to a time picked on its card
+   * @param {Object} ticket - Intercom ticket
+   * @param {string} value - Picked date/time
+   * @param {Object} options
+   * @param {string} options.merchantName - Merchant name from the ticket's custom attributes
+   * @param {string} options.schedulerOpenId - Lark user who picked the time, invited when nobody is assigned
+   * @returns {Promise<Object>} Scheduled visit
+   */
+  async scheduleFromCard(ticket, value, { merchantName, schedulerOpenId } = {}) {
+    if (!this.options.enabled) {
+      throw Object.assign(new Error('Lark Calendar scheduling is not enabled'), { statusCode: 400 });
+    }
+
+    const appointment = parseAppointment(value, { timeZone: this.options.timezone });
+    if (!appointment) {
+      throw Object.assign(new Error('Pick a date and time for the visit'), { statusCode: 400 });
+    }
+    if (this.isOver(appointment)) {
+      throw Object.assign(new Error('Pick a time in the future for the visit'), { statusCode: 400 });
+    }
+
+    await this.store.load();
+    const existing = this.store.get(String(ticket.id));
+    return this.schedule(ticket, appointment, {
+      merchantName,
+      // The attribute is remembered as is, so only a later change to it overrides the picked time
+      attributeValue: existing?.attributeValue ?? null,
+      source: 'card',
+      fallbackOpenId: schedulerOpenId
+    });
+  }
+
+  /**
+   * Creates or updates the calendar event for a visit
+   * @returns {Promise<Object|null>} Stored visit, or null for an appointment already over
+   */
+  async schedule(ticket, appointment, {
+    merchantName, assignee, attributeValue, source, fallbackOpenId
+  }) {
+    const ticketId = String(ticket.id);
+    const existing = this.store.get(ticketId);
+    const scheduled = existing?.status === 'scheduled' ? existing : null;
+
+    if (this.isOver(appointment)) {
+      if (!scheduled) {
+        logger.info('⏭️ Site inspection appointment is in the past, no calendar event', { ticketId });
+        this.store.set(ticketId, {
+          ...existing,
+          startAt: appointment.startAt,
+          attributeValue,
+          status: existing?.status || 'completed'
+        });
+      }
+      return null;
+    }
+
+    const technicianOpenId = await this.resolveTechnician(ticket, assignee)
+      || scheduled?.technicianOpenId
+      || fallbackOpenId
+      || null;
+    const event = this.buildEvent(ticket, appointment, merchantName);
+    const detailsHash = crypto.createHash('sha1')
+      .update(JSON.stringify([event.summary, event.description, event.location]))
+      .digest('hex');
+
+    if (scheduled && scheduled.startAt === appointment.startAt && scheduled.allDay === appointment.allDay
+      && scheduled.technicianOpenId === technicianOpenId && scheduled.detailsHash === detailsHash) {
+      if (scheduled.attributeValue !== attributeValue) this.store.set(ticketId, { ...scheduled, attributeValue });
+      return scheduled;
+    }
+
+    const calendarId = await this.getCalendarId();
+    let eventId;
+
+    if (scheduled && scheduled.technicianOpenId === technicianOpenId) {
+      await larkService.updateCalendarEvent(scheduled.calendarId, scheduled.eventId, event);
+      ({ eventId } = scheduled);
+      this.stats.updated++;
+    } else {
+      // A new technician gets a fresh event, so the previous one drops off their calendar
+      if (scheduled) await this.deleteEvent(scheduled);
+      ({ event_id: eventId } = await larkService.createCalendarEvent(calendarId, event));
+      if (technicianOpenId) {
+        await larkService.addCalendarEventAttendees(calendarId, eventId, [technicianOpenId]);
+      }
+      this.stats.created++;
+    }
+
+    const visit = {
+      eventId,
+      calendarId: scheduled && eventId === scheduled.eventId ? scheduled.calendarId : calendarId,
+      startAt: appointment.startAt,
+      allDay: appointment.allDay,
+      date: appointment.date || null,
+      technicianOpenId,
+      attributeValue,
+      source,
+      detailsHash,
+      status: 'scheduled',
+      updatedAt: new Date().toISOString()
+    };
+    this.store.set(ticketId, visit);
+
+    logger.info('📅 Site inspection on Lark Calendar', {
+      ticketId,
+      eventId,
+      startAt: new Date(visit.startAt).toISOString(),
+      technicianOpenId,
+      source,
+      rescheduled: !!scheduled
+    });
+    return visit;
+  }
+
+  /**
+   * Closes out a visit when its ticket closes: an upcoming visit is cancelled, a past one kept
+   */
+  async finish(ticketId, visit) {
+    if (this.isOver(visit)) {
+      this.store.set(ticketId, { ...visit, status: 'completed', updatedAt: new Date().toISOString() });
+      return;
+    }
+
+    await this.deleteEvent(visit);
+    this.store.set(ticketId, { ...visit, status: 'cancelled', updatedAt: new Date().toISOString() });
+    this.stats.cancelled++;
+    logger.info('🗑️ Ticket closed before the site inspection, calendar event cancelled', {
+      ticketId,
+      eventId: visit.eventId
+    });
+  }
+
+  /**
+   * Deletes a visit's event; one already deleted in Lark is not an error
+   */
+  async deleteEvent(visit) {
+    try {
+      await larkService.deleteCalendarEvent(visit.calendarId, visit.eventId);
+    } catch (error) {
+      // HTTP errors carry Lark's own message in the response body, not in error.message
+      const gone = [404, 410].includes(error.response?.status)
+        || /not ?found|deleted/i.test(error.response?.data?.msg || error.message);
+      if (!gone) throw error;
+    }
+  }
+
+  /**
+   * Builds the Lark Calendar event for a visit
+   */
+  buildEvent(ticket, appointment, merchantName) {
+    const attributes = ticket.custom_attributes || {};
+    const merchant = merchantName && merchantName !== 'Unknown' ? merchantName : null;
+    const address = attributes['FULL Store Address'];
+    const intercomUrl = config.getIntercomConversationUrl(ticket.id);
+
+    const description = [
+      merchant && `Merchant: ${merchant}`,
+      address && `Address: ${address}`,
+      attributes['PIC Name'] && `PIC: ${attributes['PIC Name']}`,
+      attributes['PIC Contact Number'] && `PIC Contact: ${attributes['PIC Contact Number']}`,
+      attributes['Onsite request description'] && `Request: ${attributes['Onsite request description']}`,
+      `Ticket: ${intercomUrl}`
+    ].filter(Boolean).join('\n');
+
+    const event = {
+      summary: `🏪 Site inspection: ${merchant || `Ticket #${ticket.id}`}`,
+      description,
+      need_notification: true,
+      visibility: 'default'
+    };
+
+    if (appointment.allDay) {
+      event.start_time = { date: appointment.date };
+      event.end_time = { date: appointment.date };
+    } else {
+      const start = Math.floor(appointment.startAt / 1000);
+      const end = start + this.options.durationMinutes * 60;
+      event.start_time = { timestamp: String(start), timezone: this.options.timezone };
+      event.end_time = { timestamp: String(end), timezone: this.options.timezone };
+      event.reminders = [{ minutes: REMINDER_MINUTES }];
+    }
+
+    if (address || merchant) {
+      event.location = { name: merchant || address, address: address || '' };
+    }
+
+    return event;
+  }
+
+  /**
+   * Finds the Lark user for the ticket's assignee
+   * @returns {Promise<string|null>} Lark open_id
+   */
+  async resolveTechnician(ticket, assignee) {
+    const admin = assignee?.id || assignee?.email
+      ? assignee
+      : { id: ticket.admin_assignee_id || ticket.assignee?.id, email: ticket.assignee?.email };
+    return identityService.getLarkUserIdForAdmin(admin);
+  }
+
+  /**
+   * @returns {Promise<string>} Calendar the events are created on
+   */
+  async getCalendarId() {
+    if (!this.calendarId) {
+      this.calendarId = await larkService.getPrimaryCalendarId();
+    }
+    return this.calendarId;
+  }
+
+  /**
+   * Whether an appointment has already ended
+   */
+  isOver({ startAt, allDay }, now = Date.now()) {
+    const length = allDay ? 24 * 60 : this.options.durationMinutes;
+    return startAt + length * 60000 <= now;
+  }
+
+  /**
+   * Gets a ticket's upcoming or ongoing visit, for cards
+   * @param {string} ticketId - Intercom ticket ID
+   * @returns {Object|null} Visit with a `label` in the inspection timezone
+   */
+  getVisit(ticketId) {
+    const visit = this.store.get(String(ticketId));
+    if (!this.options.enabled || visit?.status !== 'scheduled') return null;
+    return { ...visit, label: formatAppointment(visit, this.options.timezone) };
+  }
+
+  /**
+   * @returns {Array} [ticketId, visit] pairs with an event on the calendar
+   */
+  getScheduled() {
+    return this.store.entries().filter(([, visit]) => visit.status === 'scheduled');
+  }
+
+  /**
+   * Forgets visits that were cancelled or ended past the retention window
+   * @returns {number} Number of removed visits
+   */
+  prune(now = Date.now()) {
+    let removed = 0;
+    this.store.entries().forEach(([ticketId, visit]) => {
+      if (visit.status !== 'scheduled' && now - (visit.startAt || 0) > config.storage.retentionMs) {
+        this.store.delete(ticketId);
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  /**
+   * Flushes scheduled visits to disk
+   */
+  async cleanup() {
+    await this.store.flush();
+  }
+
+  /**
+   * Gets service health status
+   * @returns {Object} Health status
+   */
+  getHealthStatus() {
+    return {
+      initialized: this.isInitialized,
+      enabled: this.options.enabled,
+      calendarId: this.calendarId,
+      scheduled: this.getScheduled().length,
+      lastError: this.lastError,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+// Create singleton instance
+const inspectionCalendarService = new InspectionCalendarService();
+
+module.exports = inspectionCalendarService;
@@ -12,6 +12,8 @@ class MockIntercomService {
       resetTime: Date.now() + 60000,
       lastCheck: Date.now()
     };
+    // Changes made through the mock write methods, applied on top of generated conversations
+    this.conversationChanges = new Map();
   }
 
   /**
@@ -35,11 +37,19 @@ class MockIntercomService {
     };
   }
 
+  /**
+   * Resolves the page for mock list calls (mock cursors are `page_<n>`)
+   */
+  getMockPage(options = {}) {
+    const page = options.cursor ? parseInt(String(options.cursor).replace('page_', ''), 10) : options.page;
+    return { ...options, page: page || 1 };
+  }
+
   /**
    * Mock conversations data
    */
   async getConversations(options = {}) {
-    const { page = 1, perPage = 50 } = options;
+    const { page, perPage = 50 } = this.getMockPage(options);
 
     logger.info('🎭 Mock: Getting conversations', { page, perPage });
 
@@ -94,7 +104,8 @@ class MockIntercomService {
         next: page < 6 ? `page_${page + 1}` : null,
         prev: page > 1 ? `page_${page - 1}` : null
       },
-      hasMore: page < 6
+      hasMore: page < 6,
+      nextCursor: page < 6 ? `page_${page + 1}` : null
     };
   }
 
@@ -107,7 +118,8 @@ class MockIntercomService {
     const conversations = await this.getConversations({ perPage: 1 });
     return {
       ...conversations.conversations[0],
-      id: conversationId
+      id: conversationId,
+      ...this.conversationChanges.get(conversationId)
     };
   }
 
@@ -115,7 +127,7 @@ class MockIntercomService {
    * Mock tickets data
    */
   async getTickets(options = {}) {
-    const { page = 1, perPage = 50 } = options;
+    const { page, perPage = 50 } = this.getMockPage(options);
 
     logger.info('🎭 Mock: Getting tickets', { page, perPage });
 
@@ -168,15 +180,35 @@ class MockIntercomService {
         next: page < 4 ? `page_${page + 1}` : null,
         prev: page > 1 ? `page_${page - 1}` : null
       },
-      hasMore: page < 4
+      hasMore: page < 4,
+      nextCursor: page < 4 ? `page_${page + 1}` : null
     };
   }
 
+  /**
+   * Mock search (the query is not evaluated; callers still apply their client-side filters)
+   */
+  async search(resource, query, options = {}) {
+    logger.info('🎭 Mock: Searching', { resource, query });
+
+    return resource === 'conversations' ? this.getConversations(options) : this.getTickets(options);
+  }
+
+  /**
+   * Mock single ticket
+   */
+  async getTicket(ticketId) {
+    logger.info('🎭 Mock: Getting ticket', { ticketId });
+
+    const tickets = await this.getTickets({ perPage: 1 });
+    return { ...tickets.tickets[0], id: ticketId };
+  }
+
   /**
    * Mock contacts data
    */
   async getContacts(options = {}) {
-    const { page = 1, perPage = 50 } = options;
+    const { page, perPage = 50 } = this.getMockPage(options);
 
     logger.info('🎭 Mock: Getting contacts', { page, perPage });
 
@@ -213,7 +245,8 @@ class MockIntercomService {
         next: page < 7 ? `page_${page + 1}` : null,
         prev: page > 1 ? `page_${page - 1}` : null
       },
-      hasMore: page < 7
+      hasMore: page < 7,
+      nextCursor: page < 7 ? `page_${page + 1}` : null
     };
   }
 
@@ -251,6 +284,143 @@ class MockIntercomService {
     return allConversations.slice(0, limit);
   }
 
+  /**
+   * Mock admins
+   */
+  async listAdmins() {
+    logger.info('🎭 Mock: Listing admins');
+
+    return ['Alice Smith', 'Bob Johnson', 'Carol Davis', 'David Wilson', 'Eve Brown'].map((name, i) => ({
+      type: 'admin',
+      id: `mock_admin_${i + 1}`,
+      name,
+      email: `agent${i + 1}@company.com`
+    }));
+  }
+
+  /**
+   * Records a mock write and returns the updated conversation
+   */
+  async applyMockChange(operation, conversationId, changes, part) {
+    logger.info(`🎭 Mock: ${operation}`, { conversationId, ...part });
+
+    const previous = this.conversationChanges.get(conversationId) || {};
+    const parts = [...(previous.mockParts || []), { ...part, created_at: Math.floor(Date.now() / 1000) }];
+    this.conversationChanges.set(conversationId, {
+      ...previous,
+      ...changes,
+      mockParts: parts,
+      updated_at: Math.floor(Date.now() / 1000)
+    });
+
+    return this.getConversation(conversationId);
+  }
+
+  /**
+   * Mock assignment
+   */
+  async assignConversation(conversationId, {
+    adminId, assigneeId, assigneeType = 'admin', body
+  } = {}) {
+    return this.applyMockChange('assignConversation', conversationId, {
+      [assigneeType === 'team' ? 'team_assignee_id' : 'admin_assignee_id']: assigneeId,
+      state: 'open'
+    }, {
+      part_type: 'assignment', admin_id: adminId, assignee_id: assigneeId, assignee_type: assigneeType, body
+    });
+  }
+
+  /**
+   * Mock team assignment
+   */
+  async assignToTeam(conversationId, { adminId, teamId, body } = {}) {
+    return this.assignConversation(conversationId, {
+      adminId, assigneeId: teamId, assigneeType: 'team', body
+    });
+  }
+
+  /**
+   * Mock snooze
+   */
+  async snoozeConversation(conversationId, { adminId, snoozedUntil } = {}) {
+    return this.applyMockChange('snoozeConversation', conversationId, {
+      state: 'snoozed',
+      snoozed_until: snoozedUntil
+    }, { part_type: 'snoozed', admin_id: adminId });
+  }
+
+  /**
+   * Mock close
+   */
+  async closeConversation(conversationId, { adminId, body } = {}) {
+    return this.applyMockChange('closeConversation', conversationId, {
+      state: 'closed',
+      open: false
+    }, { part_type: 'close', admin_id: adminId, body });
+  }
+
+  /**
+   * Mock reopen
+   */
+  async openConversation(conversationId, { adminId } = {}) {
+    return this.applyMockChange('openConversation', conversationId, {
+      state: 'open',
+      open: true,
+      snoozed_until: null
+    }, { part_type: 'open', admin_id: adminId });
+  }
+
+  /**
+   * Mock admin reply
+   */
+  async replyToConversation(conversationId, { adminId, body } = {}) {
+    return this.applyMockChange('replyToConversation', conversationId, {}, {
+      part_type: 'comment', admin_id: adminId, body
+    });
+  }
+
+  /**
+   * Mock internal note
+   */
+  async addNote(conversationId, { adminId, body } = {}) {
+    return this.applyMockChange('addNote', conversationId, {}, { part_type: 'note', admin_id: adminId, body });
+  }
+
+  /**
+   * Gets the mock tags applied to a conversation
+   */
+  getMockTags(conversationId) {
+    return this.conversationChanges.get(conversationId)?.tags?.tags || [];
+  }
+
+  /**
+   * Mock tagging (tags are identified by name)
+   */
+  async addTags(conversationId, { adminId, tags = [] } = {}) {
+    const applied = tags.map((name) => ({ type: 'tag', id: `mock_tag_${String(name).toLowerCase()}`, name }));
+    const existing = this.getMockTags(conversationId);
+    const merged = [...existing, ...applied.filter((tag) => !existing.some((item) => item.id === tag.id))];
+
+    await this.applyMockChange('addTags', conversationId, { tags: { type: 'tag.list', tags: merged } }, {
+      part_type: 'conversation_tags_added', admin_id: adminId, tags: applied.map((tag) => tag.name)
+    });
+    return applied;
+  }
+
+  /**
+   * Mock untagging
+   */
+  async removeTags(conversationId, { adminId, tags = [] } = {}) {
+    const names = tags.map((name) => String(name).toLowerCase());
+    const existing = this.getMockTags(conversationId);
+    const removed = existing.filter((tag) => names.includes(tag.name.toLowerCase()) || names.includes(tag.id));
+
+    await this.applyMockChange('removeTags', conversationId, {
+      tags: { type: 'tag.list', tags: existing.filter((tag) => !removed.includes(tag)) }
+    }, { part_type: 'conversation_tags_removed', admin_id: adminId, tags: removed.map((tag) => tag.name) });
+    return removed;
+  }
+
   /**
    * Mock rate limit info
    */
@@ -1,3 +1,4 @@
+const axios = require('axios');
 const { IntercomClient } = require('intercom-client');
 const config = require('../config');
 const logger = require('../utils/logger');
@@ -10,6 +11,7 @@ class IntercomService {
   constructor() {
     this.client = null;
     this.isInitialized = false;
+    this.tags = null;
     this.rateLimitInfo = {
       remaining: 10000,
       resetTime: null,
@@ -27,7 +29,9 @@ class IntercomService {
       }
 
       this.client = new IntercomClient({
-        tokenAuth: { token: config.intercom.token }
+        token: config.intercom.token,
+        // Regional API host (US, EU or AU workspace)
+        baseUrl: config.intercom.baseUrl
       });
 
       // Test connection to ensure API is working
@@ -95,101 +99,138 @@ class IntercomService {
 
   /**
    * Updates rate limit information from response headers
-   * @param {Object} response - HTTP response object
+   * @param {Object} response - HTTP response object (headers as a plain object or fetch Headers)
    */
   updateRateLimitInfo(response) {
     if (response.headers) {
+      const header = (name) => (typeof response.headers.get === 'function'
+        ? response.headers.get(name)
+        : response.headers[name]);
       this.rateLimitInfo = {
-        remaining: parseInt(response.headers['x-ratelimit-remaining']) || this.rateLimitInfo.remaining,
-        resetTime: parseInt(response.headers['x-ratelimit-reset']) * 1000 || this.rateLimitInfo.resetTime,
+        remaining: parseInt(header('x-ratelimit-remaining')) || this.rateLimitInfo.remaining,
+        resetTime: parseInt(header('x-ratelimit-reset')) * 1000 || this.rateLimitInfo.resetTime,
         lastCheck: Date.now()
       };
     }
   }
 
   /**
-   * Retrieves conversations with pagination support
+   * Fetches one page of a cursor-paginated list
+   * Intercom lists are cursor based; `page` is still accepted and emulated by following
+   * cursors from the first page, so prefer passing the returned `nextCursor` back as `cursor`.
+   * The SDK's list and search methods keep the cursor and total count to themselves, so these
+   * pages are read straight from the REST API with the same token, host and API version.
+   * @param {string} operation - Operation name for logs
+   * @param {Object} list - The list endpoint
+   * @param {string} list.method - 'GET' for lists, 'POST' for searches
+   * @param {string} list.endpoint - API path
+   * @param {string} list.itemsKey - Response field holding the items
+   * @param {Function} list.request - Builds the query or body of a page: ({ perPage, startingAfter }) => { params, data }
    * @param {Object} options - Query options
-   * @param {number} options.page - Page number (default: 1)
+   * @param {number} options.page - Page number (default: 1, ignored when cursor is set)
    * @param {number} options.perPage - Items per page (default: 50, max: 150)
-   * @param {string} options.sort - Sort order ('created_at' or 'updated_at')
-   * @param {string} options.order - Sort direction ('asc' or 'desc')
-   * @returns {Promise<Object>} Conversations data
+   * @param {string} options.cursor - `starting_after` cursor from a previous page's nextCursor
+   * @returns {Promise<Object>} { items, totalCount, pages, hasMore, nextCursor }
    */
-  async getConversations(options = {}) {
+  async listPage(operation, {
+    method, endpoint, itemsKey, request
+  }, options = {}) {
     this.ensureInitialized();
     await this.checkRateLimit();
 
     const params = {
-      page: options.page || 1,
+      page: options.cursor ? null : Math.max(parseInt(options.page) || 1, 1),
       per_page: Math.min(options.perPage || 50, 150),
-      sort: options.sort || 'created_at',
-      order: options.order || 'desc'
+      starting_after: options.cursor || undefined
+    };
+    const fetchPage = async (startingAfter) => {
+      const response = await this.requestRaw(method, endpoint, request({ perPage: params.per_page, startingAfter }));
+      this.updateRateLimitInfo(response);
+      return response.data || {};
     };
 
     try {
       const startTime = Date.now();
-      logger.logApiRequest('Intercom', 'GET', '/conversations', params);
+      logger.logApiRequest('Intercom', method, endpoint, params);
 
-      // For v6.4.0, list returns a pageable response
-      // We need to handle pagination differently now
-      const pageableResponse = await this.client.conversations.list({
-        per_page: params.per_page
-      });
-
-      // Collect conversations for the requested "page"
-      const conversations = [];
-      let currentPage = 1;
-      let hasMore = false;
-
-      for await (const conversation of pageableResponse) {
-        // Skip conversations until we reach the requested page
-        if (currentPage < params.page) {
-          if (conversations.length >= params.per_page) {
-            conversations.length = 0; // Clear array for next page
-            currentPage++;
-          }
-          conversations.push(conversation);
-          continue;
-        }
-
-        // Collect conversations for the current page
-        if (currentPage === params.page && conversations.length < params.per_page) {
-          conversations.push(conversation);
-        } else {
-          hasMore = true;
-          break;
-        }
+      let body = await fetchPage(params.starting_after);
+      let pageNumber = 1;
+      while (params.page && pageNumber < params.page && body.pages?.next?.starting_after) {
+        body = await fetchPage(body.pages.next.starting_after);
+        pageNumber++;
       }
 
-      const response = {
-        conversations,
-        total_count: -1, // Unknown with new API
-        pages: { next: hasMore ? {} : null }
+      const pastEnd = params.page && pageNumber < params.page;
+      const nextCursor = pastEnd ? null : body.pages?.next?.starting_after || null;
+      const result = {
+        items: pastEnd ? [] : body[itemsKey] || [],
+        totalCount: body.total_count || 0,
+        pages: body.pages || {},
+        hasMore: !!nextCursor,
+        nextCursor
       };
       const duration = Date.now() - startTime;
 
-      logger.logApiResponse('Intercom', 'GET', '/conversations', 200, response);
-      logger.logPerformance('Intercom.getConversations', duration, {
+      logger.logApiResponse('Intercom', method, endpoint, 200, { count: result.items.length, nextCursor });
+      logger.logPerformance(`Intercom.${operation}`, duration, {
         page: params.page,
         perPage: params.per_page,
-        totalCount: response.total_count
+        totalCount: result.totalCount
       });
 
-      this.updateRateLimitInfo(response);
-
-      return {
-        conversations: response.conversations || [],
-        totalCount: response.total_count || 0,
-        pages: response.pages || {},
-        hasMore: response.pages?.next !== null
-      };
+      return result;
     } catch (error) {
-      logger.logError('IntercomService.getConversations', error, { params });
+      logger.logError(`IntercomService.${operation}`, error, { params });
       throw error;
     }
   }
 
+  /**
+   * Calls the Intercom REST API directly
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API path
+   * @param {Object} request - { params, data }
+   * @returns {Promise<Object>} Axios response
+   */
+  async requestRaw(method, endpoint, { params, data } = {}) {
+    try {
+      return await axios({
+        method,
+        url: `${config.intercom.baseUrl}${endpoint}`,
+        params,
+        data,
+        headers: {
+          Authorization: `Bearer ${config.intercom.token}`,
+          'Intercom-Version': config.intercom.apiVersion,
+          Accept: 'application/json'
+        },
+        timeout: 30000
+      });
+    } catch (error) {
+      // Same shape as the SDK's errors, so callers can check statusCode either way
+      throw Object.assign(error, { statusCode: error.response?.status });
+    }
+  }
+
+  /**
+   * Retrieves conversations with cursor pagination
+   * @param {Object} options - Query options (see listPage)
+   * @param {number} options.page - Page number (default: 1)
+   * @param {number} options.perPage - Items per page (default: 50, max: 150)
+   * @param {string} options.cursor - `starting_after` cursor from a previous page
+   * @returns {Promise<Object>} { conversations, totalCount, pages, hasMore, nextCursor }
+   */
+  async getConversations(options = {}) {
+    const { items, ...page } = await this.listPage('getConversations', {
+      method: 'GET',
+      endpoint: '/conversations',
+      itemsKey: 'conversations',
+      request: ({ perPage, startingAfter }) => ({ params: { per_page: perPage, starting_after: startingAfter } })
+    }, options);
+
+    return { conversations: items, ...page };
+  }
+
   /**
    * Retrieves a specific conversation by ID
    * @param {string} conversationId - Conversation ID
@@ -217,169 +258,98 @@ class IntercomService {
   }
 
   /**
-   * Retrieves tickets (Help Desk conversations)
-   * @param {Object} options - Query options
-   * @returns {Promise<Object>} Tickets data
+   * Searches tickets or conversations with cursor pagination
+   * @param {string} resource - 'tickets' or 'conversations'
+   * @param {Object|null} query - Intercom search query (see utils/intercom-query); null matches everything
+   * @param {Object} options - Query options (see listPage)
+   * @returns {Promise<Object>} { tickets|conversations, totalCount, pages, hasMore, nextCursor }
    */
-  async getTickets(options = {}) {
-    this.ensureInitialized();
-    await this.checkRateLimit();
-
-    const params = {
-      page: options.page || 1,
-      per_page: Math.min(options.perPage || 50, 150),
-      sort: options.sort || 'created_at',
-      order: options.order || 'desc'
-    };
-
-    try {
-      const startTime = Date.now();
-      logger.logApiRequest('Intercom', 'GET', '/tickets', params);
-
-      // For v6.4.0, tickets use search instead of list
-      // We need to search for all tickets created after timestamp 0
-      const pageableResponse = await this.client.tickets.search({
-        query: {
-          field: 'created_at',
-          operator: '>',
-          value: '0'
-        },
-        pagination: {
-          per_page: params.per_page
-        }
-      });
+  async search(resource, query, options = {}) {
+    if (!['tickets', 'conversations'].includes(resource)) {
+      throw new Error(`Cannot search ${resource}`);
+    }
 
-      // Collect tickets for the requested "page"
-      const tickets = [];
-      let currentPage = 1;
-      let hasMore = false;
-
-      for await (const ticket of pageableResponse) {
-        // Skip tickets until we reach the requested page
-        if (currentPage < params.page) {
-          if (tickets.length >= params.per_page) {
-            tickets.length = 0; // Clear array for next page
-            currentPage++;
+    const { items, ...page } = await this.listPage(`search.${resource}`, {
+      method: 'POST',
+      endpoint: `/${resource}/search`,
+      itemsKey: resource,
+      request: ({ perPage, startingAfter }) => ({
+        data: {
+          // Search requires a query; everything was created after timestamp 0
+          query: query || { field: 'created_at', operator: '>', value: '0' },
+          pagination: {
+            per_page: perPage,
+            starting_after: startingAfter
           }
-          tickets.push(ticket);
-          continue;
-        }
-
-        // Collect tickets for the current page
-        if (currentPage === params.page && tickets.length < params.per_page) {
-          tickets.push(ticket);
-        } else {
-          hasMore = true;
-          break;
         }
-      }
+      })
+    }, options);
 
-      const response = {
-        tickets,
-        total_count: -1, // Unknown with new API
-        pages: { next: hasMore ? {} : null }
-      };
-      const duration = Date.now() - startTime;
-
-      logger.logApiResponse('Intercom', 'GET', '/tickets', 200, response);
-      logger.logPerformance('Intercom.getTickets', duration, {
-        page: params.page,
-        perPage: params.per_page,
-        totalCount: response.total_count
-      });
-
-      this.updateRateLimitInfo(response);
+    return { [resource]: items, ...page };
+  }
 
-      return {
-        tickets: response.tickets || [],
-        totalCount: response.total_count || 0,
-        pages: response.pages || {},
-        hasMore: response.pages?.next !== null
-      };
-    } catch (error) {
-      logger.logError('IntercomService.getTickets', error, { params });
-      throw error;
-    }
+  /**
+   * Retrieves tickets (Help Desk conversations) with cursor pagination
+   * @param {Object} options - Query options (see listPage)
+   * @param {number} options.page - Page number (default: 1)
+   * @param {number} options.perPage - Items per page (default: 50, max: 150)
+   * @param {string} options.cursor - `starting_after` cursor from a previous page
+   * @returns {Promise<Object>} { tickets, totalCount, pages, hasMore, nextCursor }
+   */
+  async getTickets(options = {}) {
+    // Tickets have no list endpoint, so this is an unfiltered search
+    return this.search('tickets', null, options);
   }
 
   /**
-   * Retrieves contacts with pagination support
-   * @param {Object} options - Query options
-   * @returns {Promise<Object>} Contacts data
+   * Retrieves a specific ticket by ID
+   * @param {string} ticketId - Ticket ID
+   * @returns {Promise<Object|null>} Ticket, or null if Intercom has no ticket with this ID
    */
-  async getContacts(options = {}) {
+  async getTicket(ticketId) {
     this.ensureInitialized();
     await this.checkRateLimit();
 
-    const params = {
-      page: options.page || 1,
-      per_page: Math.min(options.perPage || 50, 150),
-      sort: options.sort || 'created_at',
-      order: options.order || 'desc'
-    };
-
     try {
       const startTime = Date.now();
-      logger.logApiRequest('Intercom', 'GET', '/contacts', params);
+      logger.logApiRequest('Intercom', 'GET', `/tickets/${ticketId}`);
 
-      // For v6.4.0, list returns a pageable response
-      const pageableResponse = await this.client.contacts.list({
-        per_page: params.per_page
-      });
-
-      // Collect contacts for the requested "page"
-      const contacts = [];
-      let currentPage = 1;
-      let hasMore = false;
-
-      for await (const contact of pageableResponse) {
-        // Skip contacts until we reach the requested page
-        if (currentPage < params.page) {
-          if (contacts.length >= params.per_page) {
-            contacts.length = 0; // Clear array for next page
-            currentPage++;
-          }
-          contacts.push(contact);
-          continue;
-        }
-
-        // Collect contacts for the current page
-        if (currentPage === params.page && contacts.length < params.per_page) {
-          contacts.push(contact);
-        } else {
-          hasMore = true;
-          break;
-        }
-      }
-
-      const response = {
-        contacts,
-        total_count: -1, // Unknown with new API
-        pages: { next: hasMore ? {} : null }
-      };
+      const response = await this.client.tickets.get({ ticket_id: String(ticketId) });
       const duration = Date.now() - startTime;
 
-      logger.logApiResponse('Intercom', 'GET', '/contacts', 200, response);
-      logger.logPerformance('Intercom.getContacts', duration, {
-        page: params.page,
-        perPage: params.per_page,
-        totalCount: response.total_count
-      });
-
-      this.updateRateLimitInfo(response);
+      logger.logApiResponse('Intercom', 'GET', `/tickets/${ticketId}`, 200, { id: response?.id });
+      logger.logPerformance('Intercom.getTicket', duration, { ticketId });
 
-      return {
-        contacts: response.contacts || [],
-        totalCount: response.total_count || 0,
-        pages: response.pages || {},
-        hasMore: response.pages?.next !== null
-      };
+      return response;
     } catch (error) {
-      logger.logError('IntercomService.getContacts', error, { params });
+      if (error.statusCode === 404) {
+        logger.info('Intercom ticket not found', { ticketId });
+        return null;
+      }
+      logger.logError('IntercomService.getTicket', error, { ticketId });
       throw error;
     }
   }
 
+  /**
+   * Retrieves contacts with cursor pagination
+   * @param {Object} options - Query options (see listPage)
+   * @param {number} options.page - Page number (default: 1)
+   * @param {number} options.perPage - Items per page (default: 50, max: 150)
+   * @param {string} options.cursor - `starting_after` cursor from a previous page
+   * @returns {Promise<Object>} { contacts, totalCount, pages, hasMore, nextCursor }
+   */
+  async getContacts(options = {}) {
+    const { items, ...page } = await this.listPage('getContacts', {
+      method: 'GET',
+      endpoint: '/contacts',
+      itemsKey: 'data',
+      request: ({ perPage, startingAfter }) => ({ params: { per_page: perPage, starting_after: startingAfter } })
+    }, options);
+
+    return { contacts: items, ...page };
+  }
+
   /**
    * Retrieves all conversations with automatic pagination
    * @param {Object} options - Query options
@@ -391,6 +361,7 @@ class IntercomService {
     const { limit = 1000, onProgress } = options;
     const allConversations = [];
     let page = 1;
+    let cursor = null;
     let hasMore = true;
     const perPage = 150; // Maximum allowed
 
@@ -398,10 +369,11 @@ class IntercomService {
 
     while (hasMore && allConversations.length < limit) {
       try {
-        const response = await this.getConversations({ page, perPage });
+        const response = await this.getConversations({ perPage, cursor });
 
         allConversations.push(...response.conversations);
         hasMore = response.hasMore;
+        cursor = response.nextCursor;
         page++;
 
         // Call progress callback if provided
@@ -440,6 +412,328 @@ class IntercomService {
     return allConversations.slice(0, limit);
   }
 
+  /**
+   * Lists the workspace's admins (teammates)
+   * @returns {Promise<Array>} Admins
+   */
+  async listAdmins() {
+    this.ensureInitialized();
+    await this.checkRateLimit();
+
+    try {
+      logger.logApiRequest('Intercom', 'GET', '/admins');
+      const response = await this.client.admins.list();
+      logger.logApiResponse('Intercom', 'GET', '/admins', 200, response);
+
+      return response.admins || [];
+    } catch (error) {
+      logger.logError('IntercomService.listAdmins', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Works out how long to wait before retrying a failed request
+   * Rate limited (429) and unavailable (503) responses were turned away before Intercom did anything,
+   * so any request is retried. A 502/504 can arrive after Intercom already applied the write, so
+   * only reads are retried on those: repeating a reply, note or close could post it twice.
+   * @param {Error} error - Error thrown by the SDK
+   * @param {number} attempt - Attempt that failed (1-based)
+   * @param {string} method - HTTP method of the request
+   * @returns {number|null} Delay in ms, or null if the error is not retryable
+   */
+  getRetryDelay(error, attempt, method = 'POST') {
+    const { baseDelayMs, maxDelayMs } = config.intercom.retry;
+    const backoff = Math.min(maxDelayMs, baseDelayMs * (2 ** (attempt - 1)));
+
+    if (error.statusCode === 429) {
+      // x-ratelimit-reset is the unix time (seconds) the window resets
+      const reset = parseInt(error.rawResponse?.headers?.get?.('x-ratelimit-reset'));
+      if (reset) {
+        this.rateLimitInfo = { remaining: 0, resetTime: reset * 1000, lastCheck: Date.now() };
+        return Math.min(maxDelayMs, Math.max(reset * 1000 - Date.now(), baseDelayMs));
+      }
+      return backoff;
+    }
+
+    if (error.statusCode === 503) return backoff;
+    return method === 'GET' && [502, 504].includes(error.statusCode) ? backoff : null;
+  }
+
+  /**
+   * Runs an SDK call with request logging and rate-limit-aware retries
+   * @param {string} operation - Operation name for logs
+   * @param {Object} target - Log details
+   * @param {string} target.endpoint - API path
+   * @param {string} target.method - HTTP method (default: POST)
+   * @param {string} target.conversationId - Conversation being written to
+   * @param {Function} request - Function performing the SDK call; receives SDK request options
+   * @returns {Promise<Object>} Response (the updated conversation for conversation writes)
+   */
+  async callWithRetries(operation, { endpoint, method = 'POST', conversationId }, request) {
+    this.ensureInitialized();
+    await this.checkRateLimit();
+
+    const { maxRetries } = config.intercom.retry;
+    const startTime = Date.now();
+    logger.logApiRequest('Intercom', method, endpoint);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        // Retries are handled here so rate limit headers are honoured, not by the SDK
+        const pending = request({ maxRetries: 0 });
+        const { data: response, rawResponse } = typeof pending.withRawResponse === 'function'
+          ? await pending.withRawResponse()
+          : { data: await pending };
+        const duration = Date.now() - startTime;
+
+        if (rawResponse) this.updateRateLimitInfo(rawResponse);
+
+        logger.logApiResponse('Intercom', method, endpoint, 200, { id: response?.id, state: response?.state });
+        logger.logPerformance(`Intercom.${operation}`, duration, { conversationId, attempts: attempt });
+
+        return response;
+      } catch (error) {
+        const delay = this.getRetryDelay(error, attempt, method);
+        if (delay === null || attempt > maxRetries) {
+          logger.logError(`IntercomService.${operation}`, error, { conversationId, attempts: attempt });
+          throw error;
+        }
+
+        logger.warn(`🔁 Intercom ${operation} failed, retrying in ${delay}ms`, {
+          conversationId,
+          attempt,
+          statusCode: error.statusCode
+        });
+        await new Promise((resolve) => { setTimeout(resolve, delay); });
+      }
+    }
+  }
+
+  /**
+   * Assigns a conversation to an admin or team
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} options - Assignment options
+   * @param {string} options.adminId - Admin performing the assignment
+   * @param {string} options.assigneeId - Admin or team ID to assign to ('0' unassigns)
+   * @param {string} options.assigneeType - 'admin' (default) or 'team'
+   * @param {string} options.body - Optional note shown with the assignment
+   * @returns {Promise<Object>} Updated conversation
+   */
+  async assignConversation(conversationId, {
+    adminId, assigneeId, assigneeType = 'admin', body
+  } = {}) {
+    return this.callWithRetries('assignConversation', {
+      endpoint: `/conversations/${conversationId}/parts`, conversationId
+    }, (requestOptions) => this.client.conversations.manage({
+      conversation_id: conversationId,
+      body: {
+        message_type: 'assignment',
+        type: assigneeType,
+        admin_id: String(adminId),
+        assignee_id: String(assigneeId),
+        ...(body && { body })
+      }
+    }, requestOptions));
+  }
+
+  /**
+   * Assigns a conversation to a team
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} options - Assignment options
+   * @param {string} options.adminId - Admin performing the assignment
+   * @param {string} options.teamId - Team to assign to
+   * @param {string} options.body - Optional note shown with the assignment
+   * @returns {Promise<Object>} Updated conversation
+   */
+  async assignToTeam(conversationId, { adminId, teamId, body } = {}) {
+    return this.assignConversation(conversationId, {
+      adminId, assigneeId: teamId, assigneeType: 'team', body
+    });
+  }
+
+  /**
+   * Snoozes a conversation until a timestamp
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} options - Snooze options
+   * @param {string} options.adminId - Admin performing the snooze
+   * @param {number} options.snoozedUntil - Unix timestamp (seconds) to reopen at
+   * @returns {Promise<Object>} Updated conversation
+   */
+  async snoozeConversation(conversationId, { adminId, snoozedUntil } = {}) {
+    return this.callWithRetries('snoozeConversation', {
+      endpoint: `/conversations/${conversationId}/parts`, conversationId
+    }, (requestOptions) => this.client.conversations.manage({
+      conversation_id: conversationId,
+      body: {
+        message_type: 'snoozed',
+        admin_id: String(adminId),
+        snoozed_until: snoozedUntil
+      }
+    }, requestOptions));
+  }
+
+  /**
+   * Closes a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} options - Close options
+   * @param {string} options.adminId - Admin closing the conversation
+   * @param {string} options.body - Optional closing message
+   * @returns {Promise<Object>} Updated conversation
+   */
+  async closeConversation(conversationId, { adminId, body } = {}) {
+    return this.callWithRetries('closeConversation', {
+      endpoint: `/conversations/${conversationId}/parts`, conversationId
+    }, (requestOptions) => this.client.conversations.manage({
+      conversation_id: conversationId,
+      body: {
+        message_type: 'close',
+        type: 'admin',
+        admin_id: String(adminId),
+        ...(body && { body })
+      }
+    }, requestOptions));
+  }
+
+  /**
+   * Reopens a closed or snoozed conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} options - Open options
+   * @param {string} options.adminId - Admin reopening the conversation
+   * @returns {Promise<Object>} Updated conversation
+   */
+  async openConversation(conversationId, { adminId } = {}) {
+    return this.callWithRetries('openConversation', {
+      endpoint: `/conversations/${conversationId}/parts`, conversationId
+    }, (requestOptions) => this.client.conversations.manage({
+      conversation_id: conversationId,
+      body: {
+        message_type: 'open',
+        admin_id: String(adminId)
+      }
+    }, requestOptions));
+  }
+
+  /**
+   * Adds an admin reply visible to the customer
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} options - Reply options
+   * @param {string} options.adminId - Admin replying
+   * @param {string} options.body - Reply text/HTML
+   * @returns {Promise<Object>} Updated conversation
+   */
+  async replyToConversation(conversationId, { adminId, body } = {}) {
+    return this.callWithRetries('replyToConversation', {
+      endpoint: `/conversations/${conversationId}/reply`, conversationId
+    }, (requestOptions) => this.client.conversations.reply({
+      conversation_id: conversationId,
+      body: {
+        message_type: 'comment',
+        type: 'admin',
+        admin_id: String(adminId),
+        body
+      }
+    }, requestOptions));
+  }
+
+  /**
+   * Adds an internal note (only visible to teammates)
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} options - Note options
+   * @param {string} options.adminId - Admin adding the note
+   * @param {string} options.body - Note text/HTML
+   * @returns {Promise<Object>} Updated conversation
+   */
+  async addNote(conversationId, { adminId, body } = {}) {
+    return this.callWithRetries('addNote', {
+      endpoint: `/conversations/${conversationId}/reply`, conversationId
+    }, (requestOptions) => this.client.conversations.reply({
+      conversation_id: conversationId,
+      body: {
+        message_type: 'note',
+        type: 'admin',
+        admin_id: String(adminId),
+        body
+      }
+    }, requestOptions));
+  }
+
+  /**
+   * Finds a workspace tag by ID or name, optionally creating it
+   * The tag list is cached and refreshed once when a name is not found.
+   * @param {string} tag - Tag ID or name
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.create - Create the tag if no tag has this name
+   * @returns {Promise<Object|null>} Tag ({ id, name }) or null
+   */
+  async resolveTag(tag, { create = false } = {}) {
+    const key = String(tag).toLowerCase();
+    const find = () => this.tags.find((item) => String(item.id) === key || item.name.toLowerCase() === key);
+
+    if (this.tags && find()) return find();
+
+    const list = await this.callWithRetries('listTags', { endpoint: '/tags', method: 'GET' }, (requestOptions) =>
+      this.client.tags.list(requestOptions));
+    this.tags = list?.data || [];
+    if (find()) return find();
+    if (!create) return null;
+
+    const created = await this.callWithRetries('createTag', { endpoint: '/tags' }, (requestOptions) =>
+      this.client.tags.create({ name: String(tag) }, requestOptions));
+    this.tags.push(created);
+    return created;
+  }
+
+  /**
+   * Adds tags to a conversation, creating tags that do not exist yet
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} options - Tag options
+   * @param {string} options.adminId - Admin adding the tags
+   * @param {Array<string>} options.tags - Tag IDs or names
+   * @returns {Promise<Array>} Applied tags
+   */
+  async addTags(conversationId, { adminId, tags = [] } = {}) {
+    const applied = [];
+    for (const name of tags) {
+      const tag = await this.resolveTag(name, { create: true });
+      applied.push(await this.callWithRetries('addTag', {
+        endpoint: `/conversations/${conversationId}/tags`, conversationId
+      }, (requestOptions) => this.client.tags.tagConversation({
+        conversation_id: conversationId,
+        id: String(tag.id),
+        admin_id: String(adminId)
+      }, requestOptions)));
+    }
+    return applied;
+  }
+
+  /**
+   * Removes tags from a conversation (unknown tags are skipped)
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} options - Tag options
+   * @param {string} options.adminId - Admin removing the tags
+   * @param {Array<string>} options.tags - Tag IDs or names
+   * @returns {Promise<Array>} Removed tags
+   */
+  async removeTags(conversationId, { adminId, tags = [] } = {}) {
+    const removed = [];
+    for (const name of tags) {
+      const tag = await this.resolveTag(name);
+      if (!tag) {
+        logger.warn('⚠️ Unknown Intercom tag, skipping', { conversationId, tag: name });
+      } else {
+        removed.push(await this.callWithRetries('removeTag', {
+          endpoint: `/conversations/${conversationId}/tags/${tag.id}`, method: 'DELETE', conversationId
+        }, (requestOptions) => this.client.tags.untagConversation({
+          conversation_id: conversationId,
+          tag_id: String(tag.id),
+          admin_id: String(adminId)
+        }, requestOptions)));
+      }
+    }
+    return removed;
+  }
+
   /**
    * Gets rate limit information
    * @returns {Object} Rate limit info
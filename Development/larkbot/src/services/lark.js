@@ -1,16 +1,44 @@
+const crypto = require('crypto');
 const axios = require('axios');
 const logger = require('../utils/logger');
 const config = require('../config');
 
+// Lark Base (Bitable) API limits
+const BITABLE_BATCH_SIZE = 500;
+const BITABLE_PAGE_SIZE = 100;
+const BITABLE_SEARCH_CHUNK = 20;
+
+// Lark error codes: missing/invalid/expired access token, and the app's rate limit
+const TOKEN_ERROR_CODES = [99991661, 99991663, 99991668];
+const RATE_LIMIT_CODE = 99991400;
+// Throttle slots kept before old ones are swept
+const MAX_THROTTLE_KEYS = 500;
+
+const sleep = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
 /**
  * Lark Suite API Service
  * Handles integration with Lark Suite (Feishu) APIs
  */
 class LarkService {
   constructor() {
-    this.baseURL = 'https://open.feishu.cn/open-apis';
+    // Feishu or Lark international, per LARK_DOMAIN
+    this.baseURL = config.lark.apiBaseUrl;
     this.accessToken = null;
     this.tokenExpiry = null;
+    // In-flight token fetch shared by concurrent requests
+    this.tokenRequest = null;
+    // Throttle key ('app' or 'chat:<id>') -> time the next request may start
+    this.nextSlots = new Map();
+    this.requestStats = {
+      requests: 0,
+      retries: 0,
+      tokenRefreshes: 0,
+      rateLimited: 0,
+      throttled: 0,
+      retryableErrors: 0,
+      permanentErrors: 0
+    };
     this.isInitialized = false;
 
     // API endpoints
@@ -21,6 +49,9 @@ class LarkService {
       messages: '/im/v1/messages',
       documents: '/docx/v1/documents',
       spreadsheets: '/sheets/v3/spreadsheets',
+      bitable: '/bitable/v1/apps',
+      calendars: '/calendar/v4/calendars',
+      tasks: '/task/v2/tasks',
       bots: '/bot/v3/info',
       webhooks: '/bot/v2/hook'
     };
@@ -63,13 +94,27 @@ class LarkService {
       return this.accessToken;
     }
 
+    // A burst of requests after expiry waits on one fetch instead of each asking for a token
+    if (!this.tokenRequest) {
+      this.tokenRequest = this.fetchAccessToken().finally(() => {
+        this.tokenRequest = null;
+      });
+    }
+    return this.tokenRequest;
+  }
+
+  /**
+   * Fetch a new tenant access token
+   */
+  async fetchAccessToken() {
     logger.info('🔑 Getting Lark Suite access token');
+    this.requestStats.tokenRefreshes++;
 
     try {
       const response = await axios.post(`${this.baseURL}${this.endpoints.auth}`, {
         app_id: config.lark.appId,
         app_secret: config.lark.appSecret
-      });
+      }, { timeout: config.lark.requests.timeoutMs });
 
       const { code, msg, tenant_access_token, expire } = response.data;
 
@@ -110,37 +155,187 @@ class LarkService {
 
   /**
    * Make authenticated request to Lark API
+   * Requests are throttled to the app's rate limit (and the chat's, for messages sent to a chat).
+   * Expired tokens are refreshed once and rate limits are retried with jittered backoff. Timeouts and
+   * 5xx responses (gateway errors included) are retried only for GETs and for writes carrying a `uuid`
+   * Lark de-duplicates on, since the write may already have gone through.
+   * Responses with other non-zero codes are returned for the caller to check, as before.
+   * @returns {Promise<Object>} Response body ({ code, msg, data })
    */
   async makeRequest(method, endpoint, data = null, params = {}) {
-    await this.getAccessToken();
-
-    const config = {
-      method,
-      url: `${this.baseURL}${endpoint}`,
-      headers: {
-        Authorization: `Bearer ${this.accessToken}`,
-        'Content-Type': 'application/json'
-      },
-      params
-    };
+    const { maxRetries, timeoutMs } = config.lark.requests;
+    const chatId = params.receive_id_type === 'chat_id' ? data?.receive_id : null;
+    const repeatable = method.toUpperCase() === 'GET' || Boolean(data?.uuid);
+    let tokenRefreshed = false;
+    this.requestStats.requests++;
 
-    if (data) {
-      config.data = data;
-    }
+    for (let attempt = 1; ; attempt++) {
+      await this.throttle(chatId);
+      const token = await this.getAccessToken();
 
-    try {
-      const response = await axios(config);
-      return response.data;
-    } catch (error) {
-      logger.error('❌ Lark API request failed', {
+      const request = {
+        method,
+        url: `${this.baseURL}${endpoint}`,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        params,
+        timeout: timeoutMs
+      };
+
+      if (data) {
+        request.data = data;
+      }
+
+      let body;
+      let error;
+      try {
+        body = (await axios(request)).data;
+      } catch (requestError) {
+        error = requestError;
+      }
+
+      const failure = this.classifyFailure(repeatable, body, error);
+      if (!failure) return body;
+
+      if (failure.reason === 'token') {
+        this.invalidateToken(token);
+      } else if (failure.reason === 'rate_limit') {
+        this.requestStats.rateLimited++;
+      }
+
+      // A token that is rejected right after a refresh means the credentials themselves are wrong
+      const retryable = failure.retryable && !(failure.reason === 'token' && tokenRefreshed);
+      if (!retryable || attempt > maxRetries) {
+        this.requestStats[retryable ? 'retryableErrors' : 'permanentErrors']++;
+        logger.error('❌ Lark API request failed', {
+          method,
+          endpoint,
+          attempts: attempt,
+          reason: failure.reason,
+          retryable,
+          code: failure.code,
+          status: failure.status,
+          error: error?.response?.data || error?.message || body?.msg
+        });
+
+        if (!error) return body;
+        throw Object.assign(error, { retryable, larkCode: failure.code });
+      }
+
+      tokenRefreshed = tokenRefreshed || failure.reason === 'token';
+      const delay = this.getRetryDelay(failure, attempt);
+      this.requestStats.retries++;
+      logger.warn(`🔁 Lark API ${failure.reason} error, retrying in ${delay}ms`, {
         method,
         endpoint,
-        error: error.response?.data || error.message
+        attempt,
+        code: failure.code,
+        status: failure.status
       });
-      throw error;
+      await sleep(delay);
     }
   }
 
+  /**
+   * Works out whether a Lark response or error is a failure worth retrying
+   * @param {boolean} repeatable - Whether sending the request twice is harmless (reads, de-duplicated writes)
+   * @param {Object} body - Response body, when the request got a 2xx
+   * @param {Error} error - Axios error, when it did not
+   * @returns {Object|null} { reason, retryable, code, status, resetSeconds }, or null if the request succeeded
+   *   (or failed in a way the caller handles, such as a non-zero code for a bad request)
+   */
+  classifyFailure(repeatable, body, error) {
+    const status = error?.response?.status;
+    const code = error ? error.response?.data?.code : body?.code;
+
+    if (TOKEN_ERROR_CODES.includes(code)) {
+      return { reason: 'token', retryable: true, code, status };
+    }
+    if (code === RATE_LIMIT_CODE || status === 429) {
+      // Seconds until the app's rate limit window resets
+      const resetSeconds = parseInt(error?.response?.headers?.['x-ogw-ratelimit-reset']) || null;
+      return {
+        reason: 'rate_limit', retryable: true, code, status, resetSeconds
+      };
+    }
+    if (!error) return null;
+
+    // No response (timeout, connection reset) or a 5xx: a gateway error can come after the write was applied
+    if (!error.response || status >= 500) {
+      return {
+        reason: error.response ? 'server' : 'network',
+        retryable: repeatable,
+        code: code || error.code,
+        status
+      };
+    }
+    return { reason: 'client', retryable: false, code, status };
+  }
+
+  /**
+   * Works out how long to wait before retrying a failed request
+   * @param {Object} failure - Result of classifyFailure
+   * @param {number} attempt - Attempt that failed (1-based)
+   * @returns {number} Delay in ms
+   */
+  getRetryDelay(failure, attempt) {
+    const { baseDelayMs, maxDelayMs } = config.lark.requests;
+    if (failure.reason === 'token') return 0;
+
+    const backoff = Math.min(maxDelayMs, baseDelayMs * (2 ** (attempt - 1)));
+    const wait = failure.resetSeconds ? Math.min(maxDelayMs, Math.max(failure.resetSeconds * 1000, backoff)) : backoff;
+    // Jitter spreads out the retries of a burst of requests that were limited together
+    return Math.round(wait / 2 + Math.random() * (wait / 2));
+  }
+
+  /**
+   * Drops a rejected token so the next request fetches a new one
+   * (unless another request already replaced it)
+   */
+  invalidateToken(token) {
+    if (this.accessToken === token) {
+      this.accessToken = null;
+      this.tokenExpiry = null;
+    }
+  }
+
+  /**
+   * Waits for a free slot under the app's request rate and, for messages to a chat, the chat's
+   * @param {string} chatId - Chat the request sends a message to, if any
+   */
+  async throttle(chatId) {
+    const { appRatePerSecond, chatRatePerSecond } = config.lark.requests;
+    const waits = [this.reserveSlot('app', appRatePerSecond)];
+    if (chatId) {
+      waits.push(this.reserveSlot(`chat:${chatId}`, chatRatePerSecond));
+    }
+
+    const wait = Math.max(...waits);
+    if (wait > 0) {
+      this.requestStats.throttled++;
+      await sleep(wait);
+    }
+  }
+
+  /**
+   * Reserves the next request slot for a throttle key, spacing requests evenly
+   * @returns {number} Milliseconds until the reserved slot
+   */
+  reserveSlot(key, perSecond) {
+    const now = Date.now();
+    if (this.nextSlots.size > MAX_THROTTLE_KEYS) {
+      this.nextSlots.forEach((slot, slotKey) => {
+        if (slot < now) this.nextSlots.delete(slotKey);
+      });
+    }
+
+    const slot = Math.max(now, this.nextSlots.get(key) || 0);
+    this.nextSlots.set(key, slot + 1000 / perSecond);
+    return slot - now;
+  }
+
   /**
    * Send message to Lark chat
    */
@@ -151,7 +346,9 @@ class LarkService {
       const response = await this.makeRequest('POST', this.endpoints.messages, {
         receive_id: chatId,
         msg_type: messageType,
-        content: JSON.stringify(content)
+        content: JSON.stringify(content),
+        // Lark drops a repeat of the same uuid within an hour, so a retried send cannot post twice
+        uuid: crypto.randomUUID()
       }, {
         receive_id_type: 'chat_id'
       });
@@ -177,7 +374,8 @@ class LarkService {
       const response = await this.makeRequest('POST', this.endpoints.messages, {
         receive_id: chatId,
         msg_type: 'interactive',
-        content: JSON.stringify(cardContent)
+        content: JSON.stringify(cardContent),
+        uuid: crypto.randomUUID()
       }, {
         receive_id_type: 'chat_id'
       });
@@ -193,6 +391,53 @@ class LarkService {
     }
   }
 
+  /**
+   * Update an interactive card message in place
+   * (the card must have been sent with config.update_multi = true)
+   */
+  async updateInteractiveCard(messageId, cardContent) {
+    logger.info('✏️ Updating interactive card in Lark', { messageId });
+
+    try {
+      const response = await this.makeRequest('PATCH', `${this.endpoints.messages}/${messageId}`, {
+        content: JSON.stringify(cardContent)
+      });
+
+      if (response.code === 0) {
+        logger.info('✅ Interactive card updated successfully', { messageId });
+        return { message_id: messageId };
+      }
+      throw new Error(`Failed to update interactive card: ${response.msg}`);
+    } catch (error) {
+      logger.error('❌ Failed to update Lark interactive card', { messageId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Reply to a message, creating a thread under it
+   */
+  async replyToMessage(messageId, content, messageType = 'text') {
+    logger.info('💬 Replying to Lark message', { messageId, messageType });
+
+    try {
+      const response = await this.makeRequest('POST', `${this.endpoints.messages}/${messageId}/reply`, {
+        msg_type: messageType,
+        content: JSON.stringify(content),
+        uuid: crypto.randomUUID()
+      });
+
+      if (response.code === 0) {
+        logger.info('✅ Reply sent successfully', { messageId: response.data.message_id });
+        return response.data;
+      }
+      throw new Error(`Failed to reply to message: ${response.msg}`);
+    } catch (error) {
+      logger.error('❌ Failed to reply to Lark message', { messageId, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Create document in Lark Docs
    */
@@ -276,6 +521,370 @@ class LarkService {
     }
   }
 
+  /**
+   * List the tables of a Lark Base (Bitable) app
+   * @param {string} appToken - Base app token (from the Base URL, /base/<app_token>)
+   * @returns {Promise<Array>} Tables ({ table_id, name, revision })
+   */
+  async listBitableTables(appToken) {
+    logger.info('🗂️ Listing Lark Base tables', { appToken });
+
+    try {
+      return await this.listBitablePages(`${this.endpoints.bitable}/${appToken}/tables`);
+    } catch (error) {
+      logger.error('❌ Failed to list Lark Base tables', { appToken, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * List the fields (columns) of a Base table
+   * @param {string} appToken - Base app token
+   * @param {string} tableId - Table ID (tbl...)
+   * @returns {Promise<Array>} Fields ({ field_id, field_name, type })
+   */
+  async listBitableFields(appToken, tableId) {
+    try {
+      return await this.listBitablePages(`${this.endpoints.bitable}/${appToken}/tables/${tableId}/fields`);
+    } catch (error) {
+      logger.error('❌ Failed to list Lark Base fields', { appToken, tableId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find Base records whose field equals one of the given values
+   * @param {string} appToken - Base app token
+   * @param {string} tableId - Table ID
+   * @param {string} fieldName - Field to match (e.g. 'Ticket ID')
+   * @param {Array<string>} values - Values to look for
+   * @returns {Promise<Array>} Records ({ record_id, fields })
+   */
+  async findBitableRecords(appToken, tableId, fieldName, values) {
+    const endpoint = `${this.endpoints.bitable}/${appToken}/tables/${tableId}/records/search`;
+    const records = [];
+
+    try {
+      // Search filters take a limited number of conditions, so look values up a few at a time
+      for (let i = 0; i < values.length; i += BITABLE_SEARCH_CHUNK) {
+        const conditions = values.slice(i, i + BITABLE_SEARCH_CHUNK)
+          .map((value) => ({ field_name: fieldName, operator: 'is', value: [String(value)] }));
+
+        records.push(...await this.listBitablePages(endpoint, {
+          method: 'POST',
+          data: { filter: { conjunction: 'or', conditions } }
+        }));
+      }
+      return records;
+    } catch (error) {
+      logger.error('❌ Failed to search Lark Base records', { appToken, tableId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create Base records in batches
+   * @param {string} appToken - Base app token
+   * @param {string} tableId - Table ID
+   * @param {Array<Object>} rows - Field name -> value maps
+   * @returns {Promise<Array>} Created records ({ record_id, fields }), in the order of `rows`
+   */
+  async batchCreateBitableRecords(appToken, tableId, rows) {
+    return this.writeBitableBatches('batch_create', appToken, tableId, rows.map((fields) => ({ fields })));
+  }
+
+  /**
+   * Update Base records in batches
+   * @param {string} appToken - Base app token
+   * @param {string} tableId - Table ID
+   * @param {Array<Object>} records - { record_id, fields } (only the given fields change)
+   * @returns {Promise<Array>} Updated records
+   */
+  async batchUpdateBitableRecords(appToken, tableId, records) {
+    return this.writeBitableBatches('batch_update', appToken, tableId, records);
+  }
+
+  /**
+   * Create or update Base records keyed by a field (e.g. 'Ticket ID')
+   * Records whose key is not in the table yet are created, the others are updated in place.
+   * Only keys without a known record ID are searched for.
+   * @param {string} appToken - Base app token
+   * @param {string} tableId - Table ID
+   * @param {string} keyField - Field that identifies a record
+   * @param {Array<Object>} rows - Field name -> value maps, each with a value for keyField
+   * @param {Object} knownRecordIds - Key -> record ID of rows written before
+   * @returns {Promise<Object>} { created, updated, recordIds } (recordIds maps key -> record ID)
+   */
+  async upsertBitableRecords(appToken, tableId, keyField, rows, knownRecordIds = {}) {
+    const keyOf = (fields) => String(fields[keyField]);
+    const recordIds = {};
+    rows.forEach((fields) => {
+      if (knownRecordIds[keyOf(fields)]) recordIds[keyOf(fields)] = knownRecordIds[keyOf(fields)];
+    });
+
+    const unknown = rows.map(keyOf).filter((key) => !recordIds[key]);
+    const existing = unknown.length > 0
+      ? await this.findBitableRecords(appToken, tableId, keyField, unknown)
+      : [];
+
+    existing.forEach((record) => {
+      // Text fields come back as plain strings or as rich text segments
+      const value = record.fields?.[keyField];
+      const key = Array.isArray(value) ? value.map((segment) => segment.text).join('') : String(value);
+      recordIds[key] = record.record_id;
+    });
+
+    const updates = rows.filter((fields) => recordIds[keyOf(fields)])
+      .map((fields) => ({ record_id: recordIds[keyOf(fields)], fields }));
+    const inserts = rows.filter((fields) => !recordIds[keyOf(fields)]);
+
+    if (updates.length > 0) {
+      await this.batchUpdateBitableRecords(appToken, tableId, updates);
+    }
+    if (inserts.length > 0) {
+      const created = await this.batchCreateBitableRecords(appToken, tableId, inserts);
+      created.forEach((record, index) => {
+        recordIds[keyOf(inserts[index])] = record.record_id;
+      });
+    }
+
+    logger.info('✅ Lark Base records upserted', { tableId, created: inserts.length, updated: updates.length });
+    return { created: inserts.length, updated: updates.length, recordIds };
+  }
+
+  /**
+   * Sends records to a Base batch endpoint, BITABLE_BATCH_SIZE at a time
+   */
+  async writeBitableBatches(action, appToken, tableId, records) {
+    const endpoint = `${this.endpoints.bitable}/${appToken}/tables/${tableId}/records/${action}`;
+    const written = [];
+
+    try {
+      for (let i = 0; i < records.length; i += BITABLE_BATCH_SIZE) {
+        const batch = records.slice(i, i + BITABLE_BATCH_SIZE);
+        const response = await this.makeRequest('POST', endpoint, { records: batch });
+
+        if (response.code !== 0) {
+          throw new Error(`Failed to ${action.replace('_', ' ')} Base records: ${response.msg}`);
+        }
+        written.push(...(response.data.records || []));
+      }
+      return written;
+    } catch (error) {
+      logger.error('❌ Failed to write Lark Base records', {
+        action, appToken, tableId, error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Reads every page of a paginated Base endpoint
+   * @param {string} endpoint - Endpoint path
+   * @param {Object} options - { method, data } (GET by default)
+   * @returns {Promise<Array>} Items of all pages
+   */
+  async listBitablePages(endpoint, { method = 'GET', data = null } = {}) {
+    const items = [];
+    let pageToken;
+
+    do {
+      const params = { page_size: BITABLE_PAGE_SIZE, ...(pageToken && { page_token: pageToken }) };
+      const response = await this.makeRequest(method, endpoint, data, params);
+
+      if (response.code !== 0) {
+        throw new Error(`Lark Base request failed: ${response.msg}`);
+      }
+      items.push(...(response.data.items || []));
+      pageToken = response.data.has_more ? response.data.page_token : null;
+    } while (pageToken);
+
+    return items;
+  }
+
+  /**
+   * Get the ID of the app's own primary calendar
+   * @returns {Promise<string>} Calendar ID
+   */
+  async getPrimaryCalendarId() {
+    try {
+      const response = await this.makeRequest('POST', `${this.endpoints.calendars}/primary`);
+
+      if (response.code === 0) {
+        return response.data.calendars[0].calendar.calendar_id;
+      }
+      throw new Error(`Failed to get primary calendar: ${response.msg}`);
+    } catch (error) {
+      logger.error('❌ Failed to get Lark primary calendar', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a calendar event
+   * @param {string} calendarId - Calendar ID
+   * @param {Object} event - { summary, description, start_time, end_time, location, reminders, ... }
+   * @returns {Promise<Object>} Created event (with event_id)
+   */
+  async createCalendarEvent(calendarId, event) {
+    logger.info('📅 Creating Lark calendar event', { calendarId, summary: event.summary });
+
+    try {
+      const response = await this.makeRequest('POST', `${this.endpoints.calendars}/${calendarId}/events`, event);
+
+      if (response.code === 0) {
+        return response.data.event;
+      }
+      throw new Error(`Failed to create calendar event: ${response.msg}`);
+    } catch (error) {
+      logger.error('❌ Failed to create Lark calendar event', { calendarId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a calendar event (only the given fields change)
+   * @param {string} calendarId - Calendar ID
+   * @param {string} eventId - Event ID
+   * @param {Object} changes - Event fields to change
+   * @returns {Promise<Object>} Updated event
+   */
+  async updateCalendarEvent(calendarId, eventId, changes) {
+    logger.info('📅 Updating Lark calendar event', { calendarId, eventId });
+
+    try {
+      const endpoint = `${this.endpoints.calendars}/${calendarId}/events/${eventId}`;
+      const response = await this.makeRequest('PATCH', endpoint, changes);
+
+      if (response.code === 0) {
+        return response.data.event;
+      }
+      throw new Error(`Failed to update calendar event: ${response.msg}`);
+    } catch (error) {
+      logger.error('❌ Failed to update Lark calendar event', { calendarId, eventId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a calendar event, notifying its attendees
+   * @param {string} calendarId - Calendar ID
+   * @param {string} eventId - Event ID
+   */
+  async deleteCalendarEvent(calendarId, eventId) {
+    logger.info('🗑️ Deleting Lark calendar event', { calendarId, eventId });
+
+    try {
+      const endpoint = `${this.endpoints.calendars}/${calendarId}/events/${eventId}`;
+      const response = await this.makeRequest('DELETE', endpoint, null, { need_notification: true });
+
+      if (response.code !== 0) {
+        throw new Error(`Failed to delete calendar event: ${response.msg}`);
+      }
+    } catch (error) {
+      logger.error('❌ Failed to delete Lark calendar event', { calendarId, eventId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Invite Lark users to a calendar event, which puts it on their own calendars
+   * @param {string} calendarId - Calendar ID
+   * @param {string} eventId - Event ID
+   * @param {Array<string>} openIds - Lark open_ids
+   * @returns {Promise<Array>} Attendees
+   */
+  async addCalendarEventAttendees(calendarId, eventId, openIds) {
+    try {
+      const endpoint = `${this.endpoints.calendars}/${calendarId}/events/${eventId}/attendees`;
+      const response = await this.makeRequest('POST', endpoint, {
+        attendees: openIds.map((openId) => ({ type: 'user', user_id: openId })),
+        need_notification: true
+      }, { user_id_type: 'open_id' });
+
+      if (response.code === 0) {
+        return response.data.attendees;
+      }
+      throw new Error(`Failed to add calendar event attendees: ${response.msg}`);
+    } catch (error) {
+      logger.error('❌ Failed to add Lark calendar event attendees', { calendarId, eventId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a task (Tasks v2)
+   * @param {Object} task - { summary, description, due, origin, members, ... }; member IDs are open_ids
+   * @returns {Promise<Object>} Created task (with guid)
+   */
+  async createTask(task) {
+    logger.info('✅ Creating Lark task', { summary: task.summary });
+
+    try {
+      const response = await this.makeRequest('POST', this.endpoints.tasks, task, { user_id_type: 'open_id' });
+
+      if (response.code === 0) {
+        return response.data.task;
+      }
+      throw new Error(`Failed to create task: ${response.msg}`);
+    } catch (error) {
+      logger.error('❌ Failed to create Lark task', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a task as completed
+   * @param {string} taskGuid - Task GUID
+   * @returns {Promise<Object>} Updated task
+   */
+  async completeTask(taskGuid) {
+    logger.info('✅ Completing Lark task', { taskGuid });
+
+    try {
+      const response = await this.makeRequest('PATCH', `${this.endpoints.tasks}/${taskGuid}`, {
+        task: { completed_at: String(Date.now()) },
+        update_fields: ['completed_at']
+      });
+
+      if (response.code === 0) {
+        return response.data.task;
+      }
+      throw new Error(`Failed to complete task: ${response.msg}`);
+    } catch (error) {
+      logger.error('❌ Failed to complete Lark task', { taskGuid, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Add or remove task assignees
+   * @param {string} taskGuid - Task GUID
+   * @param {Object} changes - { add: [open_id], remove: [open_id] }
+   */
+  async updateTaskAssignees(taskGuid, { add = [], remove = [] }) {
+    const change = async (operation, openIds) => {
+      if (openIds.length === 0) return;
+
+      const response = await this.makeRequest('POST', `${this.endpoints.tasks}/${taskGuid}/${operation}`, {
+        members: openIds.map((id) => ({ id, type: 'user', role: 'assignee' }))
+      }, { user_id_type: 'open_id' });
+
+      if (response.code !== 0) {
+        throw new Error(`Failed to update task assignees: ${response.msg}`);
+      }
+    };
+
+    try {
+      // Add first, so the task is never left without an assignee
+      await change('add_members', add);
+      await change('remove_members', remove);
+    } catch (error) {
+      logger.error('❌ Failed to update Lark task assignees', { taskGuid, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Get user information
    */
@@ -296,6 +905,55 @@ class LarkService {
     }
   }
 
+  /**
+   * Get a single user's profile (name, email...)
+   */
+  async getUserInfo(userId, userIdType = 'open_id') {
+    logger.info('👤 Getting Lark user info', { userId, userIdType });
+
+    try {
+      const response = await this.makeRequest('GET', `${this.endpoints.users}/${userId}`, null, {
+        user_id_type: userIdType
+      });
+
+      if (response.code === 0) {
+        return response.data.user;
+      }
+      throw new Error(`Failed to get user info: ${response.msg}`);
+    } catch (error) {
+      logger.error('❌ Failed to get Lark user info', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Look up Lark user IDs by email (emails without a Lark account are left out)
+   * @returns {Promise<Object>} Map of lowercased email -> user ID
+   */
+  async getUserIdsByEmails(emails, userIdType = 'open_id') {
+    logger.info('📇 Looking up Lark users by email', { count: emails.length });
+
+    try {
+      const response = await this.makeRequest('POST', `${this.endpoints.users}/batch_get_id`, { emails }, {
+        user_id_type: userIdType
+      });
+
+      if (response.code === 0) {
+        const ids = {};
+        (response.data.user_list || []).forEach((user) => {
+          if (user.email && user.user_id) {
+            ids[user.email.toLowerCase()] = user.user_id;
+          }
+        });
+        return ids;
+      }
+      throw new Error(`Failed to look up users by email: ${response.msg}`);
+    } catch (error) {
+      logger.error('❌ Failed to look up Lark users by email', { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Get departments
    */
@@ -588,6 +1246,7 @@ Generated by Intercom-Lark Automation System`;
       hasToken: !!this.accessToken,
       tokenExpiry: this.tokenExpiry ? new Date(this.tokenExpiry).toISOString() : null,
       baseURL: this.baseURL,
+      requests: { ...this.requestStats },
       lastCheck: new Date().toISOString()
     };
   }
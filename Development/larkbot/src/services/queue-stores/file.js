@@ -0,0 +1,100 @@
+const JsonStore = require('../../utils/json-store');
+
+/**
+ * File Queue Store
+ * Keeps queued jobs and dead letters in JSON files under the data directory.
+ * Used when Redis is not configured or not reachable.
+ */
+class FileQueueStore {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.jobs = new JsonStore('event-queue', options);
+    this.deadLetters = new JsonStore('event-dead-letters', options);
+  }
+
+  async connect() {
+    await Promise.all([this.jobs.load(), this.deadLetters.load()]);
+  }
+
+  /**
+   * Persists a job before returning so it survives a crash
+   */
+  async enqueue(job) {
+    this.jobs.set(job.id, { ...job, status: 'pending' });
+    await this.jobs.flush();
+  }
+
+  /**
+   * Takes up to `limit` jobs that are due and marks them as processing
+   */
+  async reserve(limit, now = Date.now()) {
+    const due = this.jobs.values()
+      .filter((job) => job.status === 'pending' && job.availableAt <= now)
+      .sort((a, b) => a.availableAt - b.availableAt)
+      .slice(0, limit);
+
+    due.forEach((job) => this.jobs.set(job.id, { ...job, status: 'processing', reservedAt: now }));
+    return due;
+  }
+
+  async complete(id) {
+    this.jobs.delete(id);
+  }
+
+  async reschedule(job) {
+    this.jobs.set(job.id, { ...job, status: 'pending' });
+    await this.jobs.flush();
+  }
+
+  async deadLetter(job) {
+    this.jobs.delete(job.id);
+    this.deadLetters.set(job.id, job);
+    await Promise.all([this.jobs.flush(), this.deadLetters.flush()]);
+  }
+
+  /**
+   * Puts jobs reserved before `staleBefore` (crashed or stuck workers) back in the queue
+   * @returns {number} Number of recovered jobs
+   */
+  async recover(staleBefore) {
+    const stuck = this.jobs.values()
+      .filter((job) => job.status === 'processing' && job.reservedAt <= staleBefore);
+    stuck.forEach((job) => this.jobs.set(job.id, { ...job, status: 'pending' }));
+    return stuck.length;
+  }
+
+  async listDeadLetters({ limit = 50, offset = 0 } = {}) {
+    const all = this.deadLetters.values().sort((a, b) => b.failedAt - a.failedAt);
+    return { total: all.length, items: all.slice(offset, offset + limit) };
+  }
+
+  async getDeadLetter(id) {
+    return this.deadLetters.get(id) || null;
+  }
+
+  async removeDeadLetter(id) {
+    return this.deadLetters.delete(id);
+  }
+
+  async purgeDeadLetters() {
+    const count = this.deadLetters.size;
+    this.deadLetters.entries().forEach(([id]) => this.deadLetters.delete(id));
+    await this.deadLetters.flush();
+    return count;
+  }
+
+  async counts() {
+    const jobs = this.jobs.values();
+    return {
+      pending: jobs.filter((job) => job.status === 'pending').length,
+      processing: jobs.filter((job) => job.status === 'processing').length,
+      deadLetters: this.deadLetters.size
+    };
+  }
+
+  async disconnect() {
+    await Promise.all([this.jobs.flush(), this.deadLetters.flush()]);
+  }
+}
+
+module.exports = FileQueueStore;
@@ -0,0 +1,186 @@
+const Redis = require('ioredis');
+const logger = require('../../utils/logger');
+
+/**
+ * Redis Queue Store
+ * Jobs live in a hash; due times and in-flight jobs are tracked in sorted sets
+ * so several app instances can share one queue.
+ */
+class RedisQueueStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.url - Redis URL
+   * @param {string} options.password - Redis password
+   * @param {string} options.keyPrefix - Prefix for all queue keys
+   * @param {number} options.connectTimeout - Connection timeout in ms
+   * @param {number} options.retryDelay - Base reconnect delay in ms
+   */
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.options = options;
+    this.connected = false;
+    this.client = null;
+
+    const prefix = options.keyPrefix || 'larkbot:queue';
+    this.keys = {
+      jobs: `${prefix}:jobs`,
+      scheduled: `${prefix}:scheduled`,
+      processing: `${prefix}:processing`,
+      dead: `${prefix}:dead`,
+      deadIndex: `${prefix}:dead:index`
+    };
+  }
+
+  /**
+   * Connects and pings Redis
+   * @throws {Error} If Redis is not reachable
+   */
+  async connect() {
+    this.client = new Redis(this.options.url, {
+      password: this.options.password,
+      lazyConnect: true,
+      enableOfflineQueue: false,
+      maxRetriesPerRequest: 2,
+      connectTimeout: this.options.connectTimeout || 2000,
+      // Do not keep retrying if the first connection fails (we fall back to the file store)
+      retryStrategy: (times) => (this.connected ? Math.min(times * (this.options.retryDelay || 1000), 10000) : null)
+    });
+
+    this.client.on('error', (error) => {
+      if (this.connected) {
+        logger.warn('⚠️ Redis queue connection error', { error: error.message });
+      }
+    });
+
+    try {
+      await this.client.connect();
+      await this.client.ping();
+      this.connected = true;
+    } catch (error) {
+      this.client.disconnect();
+      this.client = null;
+      throw error;
+    }
+  }
+
+  async enqueue(job) {
+    await this.client.multi()
+      .hset(this.keys.jobs, job.id, JSON.stringify(job))
+      .zadd(this.keys.scheduled, job.availableAt, job.id)
+      .exec();
+  }
+
+  /**
+   * Takes up to `limit` due jobs. ZREM decides ownership when several workers race.
+   */
+  async reserve(limit, now = Date.now()) {
+    const ids = await this.client.zrangebyscore(this.keys.scheduled, '-inf', now, 'LIMIT', 0, limit);
+    const jobs = [];
+
+    for (const id of ids) {
+      const claimed = await this.client.zrem(this.keys.scheduled, id);
+      if (claimed) {
+        await this.client.zadd(this.keys.processing, now, id);
+        const raw = await this.client.hget(this.keys.jobs, id);
+        if (raw) {
+          jobs.push(JSON.parse(raw));
+        } else {
+          await this.client.zrem(this.keys.processing, id);
+        }
+      }
+    }
+
+    return jobs;
+  }
+
+  async complete(id) {
+    await this.client.multi()
+      .hdel(this.keys.jobs, id)
+      .zrem(this.keys.processing, id)
+      .exec();
+  }
+
+  async reschedule(job) {
+    await this.client.multi()
+      .hset(this.keys.jobs, job.id, JSON.stringify(job))
+      .zrem(this.keys.processing, job.id)
+      .zadd(this.keys.scheduled, job.availableAt, job.id)
+      .exec();
+  }
+
+  async deadLetter(job) {
+    await this.client.multi()
+      .hdel(this.keys.jobs, job.id)
+      .zrem(this.keys.processing, job.id)
+      .hset(this.keys.dead, job.id, JSON.stringify(job))
+      .zadd(this.keys.deadIndex, job.failedAt, job.id)
+      .exec();
+  }
+
+  /**
+   * Puts jobs reserved before `staleBefore` (crashed workers) back in the queue
+   * @returns {number} Number of recovered jobs
+   */
+  async recover(staleBefore) {
+    const ids = await this.client.zrangebyscore(this.keys.processing, '-inf', staleBefore);
+    let recovered = 0;
+
+    for (const id of ids) {
+      const removed = await this.client.zrem(this.keys.processing, id);
+      if (removed) {
+        await this.client.zadd(this.keys.scheduled, Date.now(), id);
+        recovered++;
+      }
+    }
+
+    return recovered;
+  }
+
+  async listDeadLetters({ limit = 50, offset = 0 } = {}) {
+    const total = await this.client.zcard(this.keys.deadIndex);
+    const ids = await this.client.zrevrange(this.keys.deadIndex, offset, offset + limit - 1);
+    const raw = ids.length > 0 ? await this.client.hmget(this.keys.dead, ...ids) : [];
+
+    return { total, items: raw.filter(Boolean).map((item) => JSON.parse(item)) };
+  }
+
+  async getDeadLetter(id) {
+    const raw = await this.client.hget(this.keys.dead, id);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async removeDeadLetter(id) {
+    const [[, removed]] = await this.client.multi()
+      .hdel(this.keys.dead, id)
+      .zrem(this.keys.deadIndex, id)
+      .exec();
+    return removed > 0;
+  }
+
+  async purgeDeadLetters() {
+    const [[, count]] = await this.client.multi()
+      .hlen(this.keys.dead)
+      .del(this.keys.dead, this.keys.deadIndex)
+      .exec();
+    return count;
+  }
+
+  async counts() {
+    const [[, pending], [, processing], [, deadLetters]] = await this.client.multi()
+      .zcard(this.keys.scheduled)
+      .zcard(this.keys.processing)
+      .hlen(this.keys.dead)
+      .exec();
+    return { pending, processing, deadLetters };
+  }
+
+  async disconnect() {
+    if (this.client) {
+      this.connected = false;
+      await this.client.quit();
+      this.client = null;
+    }
+  }
+}
+
+module.exports = RedisQueueStore;
@@ -0,0 +1,307 @@
+const fs = require('fs');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { OPERATORS, compareValues } = require('../utils/compare');
+
+// Operators available to routing rules on top of the shared comparison operators
+const LIST_OPERATORS = ['in', 'notIn'];
+const SUPPORTED_OPERATORS = [...OPERATORS, ...LIST_OPERATORS, 'exists'];
+
+/**
+ * Routing Service
+ * Evaluates declarative routing rules to decide which Lark chat groups
+ * receive a notification for an Intercom ticket event
+ */
+class RoutingService {
+  constructor() {
+    this.rulesFile = config.routing.rulesFile;
+    this.reloadCheckMs = config.routing.reloadCheckMs;
+    this.ruleSet = { rules: [], fallbackTargets: [], placeholders: [] };
+    this.loadedAt = null;
+    this.fileMtime = null;
+    this.lastReloadCheck = 0;
+    this.lastError = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Loads the rules file
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    this.loadRules();
+    this.isInitialized = true;
+    logger.info('🧭 Routing service initialized', {
+      rulesFile: this.rulesFile,
+      rules: this.ruleSet.rules.length
+    });
+  }
+
+  /**
+   * Reads, parses and validates the rules file
+   * @throws {Error} If the file cannot be read or contains invalid rules
+   */
+  loadRules() {
+    try {
+      const stats = fs.statSync(this.rulesFile);
+      const parsed = JSON.parse(fs.readFileSync(this.rulesFile, 'utf8'));
+
+      this.ruleSet = this.validateRuleSet(parsed);
+      this.fileMtime = stats.mtimeMs;
+      this.loadedAt = new Date().toISOString();
+      this.lastError = null;
+
+      logger.info('🧭 Routing rules loaded', {
+        rulesFile: this.rulesFile,
+        rules: this.ruleSet.rules.map((rule) => ({ name: rule.name, enabled: rule.enabled }))
+      });
+    } catch (error) {
+      this.lastError = error.message;
+      logger.logError('RoutingService.loadRules', error, { rulesFile: this.rulesFile });
+      throw error;
+    }
+  }
+
+  /**
+   * Reloads the rules file if it changed on disk since the last load.
+   * Invalid edits are logged and the previous rules stay active.
+   */
+  reloadIfChanged() {
+    const now = Date.now();
+    if (now - this.lastReloadCheck < this.reloadCheckMs) return;
+    this.lastReloadCheck = now;
+
+    try {
+      const { mtimeMs } = fs.statSync(this.rulesFile);
+      if (mtimeMs !== this.fileMtime) {
+        logger.info('🔄 Routing rules file changed, reloading', { rulesFile: this.rulesFile });
+        // Remember the attempted version so a broken edit is not re-parsed on every check
+        this.fileMtime = mtimeMs;
+        this.loadRules();
+      }
+    } catch (error) {
+      logger.warn('⚠️ Keeping previous routing rules', { error: error.message });
+    }
+  }
+
+  /**
+   * Validates the parsed rules file and applies defaults
+   * @param {Object} ruleSet - Parsed rules file
+   * @returns {Object} Normalized rule set
+   */
+  validateRuleSet(ruleSet) {
+    if (!ruleSet || !Array.isArray(ruleSet.rules)) {
+      throw new Error('Routing rules file must contain a "rules" array');
+    }
+
+    const rules = ruleSet.rules.map((rule, index) => {
+      if (!rule.name) {
+        throw new Error(`Routing rule at index ${index} is missing a name`);
+      }
+      if (!Array.isArray(rule.targets) || rule.targets.length === 0) {
+        throw new Error(`Routing rule "${rule.name}" must define at least one target`);
+      }
+      if (rule.conditions) {
+        this.validateConditions(rule.conditions, rule.name);
+      }
+
+      return {
+        ...rule,
+        enabled: rule.enabled !== false
+      };
+    });
+
+    return {
+      rules,
+      fallbackTargets: ruleSet.fallbackTargets || [],
+      placeholders: ruleSet.placeholders || []
+    };
+  }
+
+  /**
+   * Recursively validates a condition tree
+   * @param {Object} node - Condition node
+   * @param {string} ruleName - Rule name for error messages
+   */
+  validateConditions(node, ruleName) {
+    if (node.all || node.any) {
+      const children = node.all || node.any;
+      if (!Array.isArray(children)) {
+        throw new Error(`Routing rule "${ruleName}": "all"/"any" must be arrays`);
+      }
+      children.forEach((child) => this.validateConditions(child, ruleName));
+      return;
+    }
+
+    if (node.not) {
+      this.validateConditions(node.not, ruleName);
+      return;
+    }
+
+    if (!node.attribute && !node.field) {
+      throw new Error(`Routing rule "${ruleName}": condition needs an "attribute" or "field"`);
+    }
+
+    const operator = node.operator || 'equals';
+    if (!SUPPORTED_OPERATORS.includes(operator)) {
+      throw new Error(`Routing rule "${ruleName}": unsupported operator "${operator}"`);
+    }
+    if (LIST_OPERATORS.includes(operator) && !Array.isArray(node.value)) {
+      throw new Error(`Routing rule "${ruleName}": operator "${operator}" expects an array value`);
+    }
+    if (operator === 'regex') {
+      try {
+        RegExp(node.value);
+      } catch (error) {
+        throw new Error(`Routing rule "${ruleName}": invalid regex "${node.value}" (${error.message})`);
+      }
+    }
+  }
+
+  /**
+   * Decides where a ticket event should be delivered
+   * @param {Object} ticket - Intercom ticket/conversation
+   * @param {string} eventType - Short event type (opened, assigned, closed...)
+   * @returns {Object} Routing decision with matched rules and resolved targets
+   */
+  evaluate(ticket, eventType) {
+    this.reloadIfChanged();
+
+    const context = { ...ticket, event: eventType };
+    const matchedRules = this.ruleSet.rules.filter((rule) =>
+      rule.enabled && (!rule.conditions || this.evaluateConditions(rule.conditions, context))
+    );
+
+    if (matchedRules.length === 0) {
+      return {
+        routed: false,
+        matchedRules: [],
+        targets: [],
+        reason: 'No routing rule matched'
+      };
+    }
+
+    const targets = [];
+    matchedRules.forEach((rule) => {
+      this.resolveTargets(rule.targets).forEach((target) => {
+        if (!targets.some((existing) => existing.chatId === target.chatId)) {
+          targets.push({ ...target, rule: rule.name });
+        }
+      });
+    });
+
+    let reason = null;
+    if (targets.length === 0) {
+      // Matched rules whose groups are not configured fall back to the default groups
+      this.resolveTargets(this.ruleSet.fallbackTargets).forEach((target) => {
+        targets.push({ ...target, rule: 'fallback' });
+      });
+      reason = targets.length > 0
+        ? 'Rule targets not configured, using fallback targets'
+        : 'Matched rules have no configured chat groups';
+    }
+
+    return {
+      routed: targets.length > 0,
+      matchedRules: matchedRules.map((rule) => rule.name),
+      targets,
+      reason
+    };
+  }
+
+  /**
+   * Evaluates a condition tree against the ticket context
+   * @param {Object} node - Condition node ({ all }, { any }, { not } or a leaf)
+   * @param {Object} context - Ticket plus event type
+   * @returns {boolean} True if the node matches
+   */
+  evaluateConditions(node, context) {
+    if (node.all) return node.all.every((child) => this.evaluateConditions(child, context));
+    if (node.any) return node.any.some((child) => this.evaluateConditions(child, context));
+    if (node.not) return !this.evaluateConditions(node.not, context);
+
+    return this.matchCondition(node, context);
+  }
+
+  /**
+   * Matches a single leaf condition
+   * @param {Object} condition - Leaf condition
+   * @param {Object} context - Ticket plus event type
+   * @returns {boolean} True if the condition holds
+   */
+  matchCondition(condition, context) {
+    const operator = condition.operator || 'equals';
+    const rawValue = this.resolveValue(condition, context);
+
+    if (operator === 'exists') {
+      const exists = rawValue !== undefined && rawValue !== null && rawValue !== '';
+      return condition.value === false ? !exists : exists;
+    }
+
+    const normalize = (value) => {
+      const text = condition.asString && value !== undefined && value !== null ? String(value) : value;
+      return condition.ignoreCase && typeof text === 'string' ? text.toLowerCase() : text;
+    };
+    const actual = normalize(rawValue);
+
+    if (LIST_OPERATORS.includes(operator)) {
+      const included = condition.value.map(normalize).includes(actual);
+      return operator === 'in' ? included : !included;
+    }
+
+    if (rawValue === undefined || rawValue === null) {
+      return operator === 'notEquals';
+    }
+
+    return compareValues(actual, normalize(condition.value), operator);
+  }
+
+  /**
+   * Reads the value a condition refers to
+   * @param {Object} condition - Leaf condition
+   * @param {Object} context - Ticket plus event type
+   * @returns {*} Resolved value
+   */
+  resolveValue(condition, context) {
+    if (condition.attribute) {
+      return context.custom_attributes?.[condition.attribute];
+    }
+
+    return condition.field.split('.').reduce((obj, prop) => obj?.[prop], context);
+  }
+
+  /**
+   * Expands ${ENV_VAR} references and drops unconfigured or placeholder chat IDs
+   * @param {Array} targets - Target definitions from the rules file
+   * @returns {Array} Targets with a usable chatId
+   */
+  resolveTargets(targets = []) {
+    return targets
+      .map((target) => ({
+        name: target.name || target.chatId,
+        chatId: String(target.chatId || '').replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] || '').trim()
+      }))
+      .filter((target) => target.chatId && !this.ruleSet.placeholders.includes(target.chatId));
+  }
+
+  /**
+   * Gets service health status
+   * @returns {Object} Health status
+   */
+  getHealthStatus() {
+    return {
+      initialized: this.isInitialized,
+      rulesFile: this.rulesFile,
+      rules: this.ruleSet.rules.length,
+      enabledRules: this.ruleSet.rules.filter((rule) => rule.enabled).length,
+      loadedAt: this.loadedAt,
+      lastError: this.lastError
+    };
+  }
+}
+
+// Create singleton instance
+const routingService = new RoutingService();
+
+module.exports = routingService;
@@ -0,0 +1,462 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/json-store');
+const { formatAppointment } = require('../utils/appointment');
+const larkService = require('./lark');
+const identityService = require('./identity');
+
+const EXPRESS_ATTRIBUTE = 'Express Request - 3 hours Onsite Request';
+const MINUTE_MS = 60 * 1000;
+
+// Events that stop the clock; stopped tickets are remembered so an unsnoozed clock resumes where it stopped
+const STOP_EVENTS = ['closed', 'snoozed'];
+const STOPPED_RETENTION_MS = 7 * 24 * 60 * MINUTE_MS;
+
+/**
+ * SLA Service
+ * Tracks the response clock for routed tickets (Express 3-hour requests and standard requests),
+ * posts warning cards as the deadline gets close and a breach card that @mentions the escalation list
+ */
+class SlaService {
+  constructor() {
+    this.store = new JsonStore('sla-timers');
+    this.options = { ...config.sla };
+    this.timer = null;
+    this.checking = false;
+    this.stats = {
+      started: 0,
+      stopped: 0,
+      resumed: 0,
+      restarted: 0,
+      warningsSent: 0,
+      breaches: 0
+    };
+    this.lastCheckAt = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Loads running timers from disk and starts the checker
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    await this.store.load();
+
+    if (this.options.enabled) {
+      this.timer = setInterval(() => this.check(), this.options.checkIntervalMs);
+      this.timer.unref();
+    }
+
+    this.isInitialized = true;
+    logger.info('⏱️ SLA service initialized', {
+      enabled: this.options.enabled,
+      activeTimers: this.getActiveTimers().length,
+      expressTargetMinutes: this.options.express.targetMinutes,
+      standardTargetMinutes: this.options.standard.targetMinutes
+    });
+  }
+
+  /**
+   * Gets the SLA tier of a ticket
+   * @param {Object} ticket - Intercom ticket
+   * @returns {string} 'express' or 'standard'
+   */
+  getTier(ticket) {
+    const expressRequest = ticket.custom_attributes?.[EXPRESS_ATTRIBUTE];
+    return String(expressRequest || '').toLowerCase() === 'yes' ? 'express' : 'standard';
+  }
+
+  /**
+   * Gets when a ticket is due: the deadline of its SLA clock, or its tier's target counted from creation
+   * @param {Object} ticket - Intercom ticket
+   * @returns {number} Due time in milliseconds
+   */
+  getDueAt(ticket) {
+    const record = this.store.get(String(ticket.id));
+    if (record) return record.dueAt;
+
+    const startedAt = ticket.created_at ? ticket.created_at * 1000 : Date.now();
+    return startedAt + this.options[this.getTier(ticket)].targetMinutes * MINUTE_MS;
+  }
+
+  /**
+   * Starts or stops the clock for a ticket event
+   * Closed and snoozed tickets stop their clock; any other event starts it if it is not running yet,
+   * resumes it after a snooze or restarts it for a reopened ticket.
+   * A failure is logged and leaves the ticket's clock as it was.
+   * @param {Object} ticket - Intercom ticket
+   * @param {string} eventType - Event type (opened, assigned, closed...)
+   * @param {Object} options - Where alerts go
+   * @param {Array<string>} options.chatIds - Lark chats the ticket was routed to (required to start)
+   * @param {string} options.merchantName - Merchant shown on alert cards
+   */
+  async handleTicketEvent(ticket, eventType, { chatIds = [], merchantName } = {}) {
+    if (!this.options.enabled) return;
+
+    try {
+      await this.store.load();
+
+      if (STOP_EVENTS.includes(eventType) || STOP_EVENTS.includes(ticket.state)) {
+        this.stop(ticket.id, eventType === 'snoozed' || ticket.state === 'snoozed' ? 'snoozed' : 'closed');
+        return;
+      }
+
+      const existing = this.store.get(String(ticket.id));
+      if (existing?.status === 'stopped') {
+        this.resume(ticket, existing, { chatIds, merchantName });
+      } else if (chatIds.length > 0) {
+        this.start(ticket, { chatIds, merchantName });
+      }
+    } catch (error) {
+      logger.logError('SlaService.handleTicketEvent', error, { ticketId: ticket.id, eventType });
+    }
+  }
+
+  /**
+   * Starts the clock for a ticket, counting from when it was created (no-op if already tracked)
+   * @returns {Object|null} Timer record, or null if the ticket's clock is stopped (see resume)
+   */
+  start(ticket, { chatIds, merchantName }) {
+    const ticketId = String(ticket.id);
+    const existing = this.store.get(ticketId);
+
+    if (existing) {
+      if (existing.status !== 'running') return null;
+
+      // Keep alerts going to every chat the ticket has been routed to
+      const merged = [...new Set([...existing.chatIds, ...chatIds])];
+      if (merged.length !== existing.chatIds.length) {
+        this.store.set(ticketId, { ...existing, chatIds: merged });
+      }
+      return existing;
+    }
+
+    const tier = this.getTier(ticket);
+    const startedAt = ticket.created_at ? ticket.created_at * 1000 : Date.now();
+    const record = {
+      ticketId,
+      tier,
+      title: ticket.title || ticket.source?.subject || `Ticket #${ticketId}`,
+      merchantName: merchantName || null,
+      chatIds: [...chatIds],
+      status: 'running',
+      startedAt,
+      dueAt: startedAt + this.options[tier].targetMinutes * MINUTE_MS,
+      warningsSent: [],
+      breachedAt: null
+    };
+
+    this.store.set(ticketId, record);
+    this.stats.started++;
+
+    logger.info('⏱️ SLA clock started', {
+      ticketId,
+      tier,
+      dueAt: new Date(record.dueAt).toISOString()
+    });
+
+    return record;
+  }
+
+  /**
+   * Runs a stopped clock again
+   * A snoozed ticket picks up where it stopped: the time spent snoozed is added to its deadline and the
+   * warnings already sent stay sent. A reopened ticket gets a fresh clock counted from now.
+   * @param {Object} ticket - Intercom ticket
+   * @param {Object} record - Stopped timer record
+   * @returns {Object} Running timer record
+   */
+  resume(ticket, record, { chatIds = [], merchantName } = {}) {
+    const ticketId = String(ticket.id);
+    const now = Date.now();
+    const snoozed = record.stopReason === 'snoozed';
+    const tier = snoozed ? record.tier : this.getTier(ticket);
+
+    const resumed = {
+      ...record,
+      tier,
+      merchantName: merchantName || record.merchantName,
+      chatIds: [...new Set([...record.chatIds, ...chatIds])],
+      status: 'running',
+      stoppedAt: null,
+      stopReason: null,
+      ...(snoozed ? { dueAt: record.dueAt + (now - record.stoppedAt) } : {
+        startedAt: now,
+        dueAt: now + this.options[tier].targetMinutes * MINUTE_MS,
+        warningsSent: [],
+        breachedAt: null
+      })
+    };
+
+    this.store.set(ticketId, resumed);
+    this.stats[snoozed ? 'resumed' : 'restarted']++;
+
+    logger.info(snoozed ? '▶️ SLA clock resumed' : '🔄 SLA clock restarted', {
+      ticketId,
+      tier,
+      dueAt: new Date(resumed.dueAt).toISOString()
+    });
+
+    return resumed;
+  }
+
+  /**
+   * Stops the clock for a ticket
+   * @param {string} ticketId - Ticket ID
+   * @param {string} reason - Why the clock stopped (closed, snoozed)
+   * @returns {boolean} True if a running clock was stopped
+   */
+  stop(ticketId, reason) {
+    const record = this.store.get(String(ticketId));
+    if (!record || record.status !== 'running') return false;
+
+    this.store.set(String(ticketId), {
+      ...record,
+      status: 'stopped',
+      stoppedAt: Date.now(),
+      stopReason: reason
+    });
+    this.stats.stopped++;
+
+    logger.info('⏹️ SLA clock stopped', { ticketId, reason, breached: !!record.breachedAt });
+    return true;
+  }
+
+  /**
+   * Sends due warnings and breach alerts, and forgets long-stopped tickets
+   */
+  async check() {
+    if (this.checking) return;
+    this.checking = true;
+
+    try {
+      const now = Date.now();
+
+      for (const record of this.getActiveTimers()) {
+        await this.checkTimer(record, now);
+      }
+
+      this.prune(now);
+      this.lastCheckAt = new Date(now).toISOString();
+    } catch (error) {
+      logger.logError('SlaService.check', error);
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Sends the alert due for one timer, if any
+   */
+  async checkTimer(record, now) {
+    if (record.breachedAt) return;
+
+    const remainingMs = record.dueAt - now;
+
+    if (remainingMs <= 0) {
+      if (await this.sendAlert(record, 'breach')) {
+        this.store.set(record.ticketId, { ...this.store.get(record.ticketId), breachedAt: now });
+        this.stats.breaches++;
+      }
+      return;
+    }
+
+    // Only the most urgent threshold passed is announced (e.g. after a restart)
+    const due = this.options[record.tier].warningMinutes
+      .filter((minutes) => !record.warningsSent.includes(minutes) && remainingMs <= minutes * MINUTE_MS);
+    if (due.length === 0) return;
+
+    const minutes = Math.min(...due);
+    if (await this.sendAlert(record, 'warning', Math.ceil(remainingMs / MINUTE_MS))) {
+      this.store.set(record.ticketId, {
+        ...this.store.get(record.ticketId),
+        warningsSent: [...record.warningsSent, ...due]
+      });
+      this.stats.warningsSent++;
+      logger.info('⚠️ SLA warning sent', { ticketId: record.ticketId, tier: record.tier, threshold: minutes });
+    }
+  }
+
+  /**
+   * Posts an alert card to every chat the ticket was routed to
+   * @returns {Promise<boolean>} True if at least one chat received it
+   */
+  async sendAlert(record, kind, remainingMinutes) {
+    const mentions = kind === 'breach' ? await this.getEscalationMentions() : [];
+    const card = this.formatAlertCard(record, kind, { remainingMinutes, mentions });
+
+    const results = await Promise.all(record.chatIds.map(async (chatId) => {
+      try {
+        await larkService.sendInteractiveCard(chatId, card);
+        return true;
+      } catch (error) {
+        logger.error('❌ Failed to send SLA alert', {
+          ticketId: record.ticketId,
+          kind,
+          chatId,
+          error: error.message
+        });
+        return false;
+      }
+    }));
+
+    if (kind === 'breach' && results.includes(true)) {
+      logger.warn('🚨 SLA breached', { ticketId: record.ticketId, tier: record.tier, escalated: mentions.length });
+    }
+
+    return results.includes(true);
+  }
+
+  /**
+   * Resolves the escalation list to card @mentions
+   * Entries are Lark open_ids (ou_...), Intercom admin emails or Intercom admin IDs.
+   * @returns {Promise<Array<string>>} Mentions (plain text for entries without a Lark account)
+   */
+  async getEscalationMentions() {
+    return Promise.all(this.options.escalation.map(async (entry) => {
+      if (entry.startsWith('ou_')) return `<at id=${entry}></at>`;
+
+      const admin = entry.includes('@') ? { email: entry, name: entry } : { id: entry, name: entry };
+      return identityService.getMention(admin, 'card');
+    }));
+  }
+
+  /**
+   * Builds a warning or breach card
+   */
+  formatAlertCard(record, kind, { remainingMinutes, mentions = [] } = {}) {
+    const tierLabel = record.tier === 'express' ? '⚡ EXPRESS (3 HOURS)' : '⏱️ STANDARD REQUEST';
+    const isBreach = kind === 'breach';
+
+    const lines = [
+      `**${record.title}**`,
+      `${tierLabel} | **Merchant:** ${record.merchantName || 'Unknown'}`,
+      `**Due:** ${formatAppointment({ startAt: record.dueAt }, this.options.timezone)} (${this.options.timezone})`,
+      isBreach
+        ? `🚨 **SLA breached** ${Math.round((Date.now() - record.dueAt) / MINUTE_MS)} min ago`
+        : `⏳ **${remainingMinutes} min** left to resolve this request`
+    ];
+
+    if (isBreach && mentions.length > 0) {
+      lines.push(`**Escalation:** ${mentions.join(' ')}`);
+    }
+
+    return {
+      config: {
+        wide_screen_mode: true,
+        enable_forward: true
+      },
+      header: {
+        title: {
+          tag: 'plain_text',
+          content: isBreach ? '🚨 SLA BREACHED' : '⚠️ SLA WARNING'
+        },
+        template: isBreach ? 'red' : 'orange'
+      },
+      elements: [
+        {
+          tag: 'div',
+          text: {
+            tag: 'lark_md',
+            content: lines.join('\n')
+          }
+        },
+        {
+          tag: 'action',
+          actions: [{
+            tag: 'button',
+            text: {
+              tag: 'plain_text',
+              content: 'View in Intercom'
+            },
+            type: isBreach ? 'danger' : 'primary',
+            url: config.getIntercomConversationUrl(record.ticketId)
+          }]
+        }
+      ]
+    };
+  }
+
+  /**
+   * Gets timers whose clock is running
+   * @returns {Array<Object>} Timer records
+   */
+  getActiveTimers() {
+    return this.store.values().filter((record) => record.status === 'running');
+  }
+
+  /**
+   * Forgets tickets whose clock stopped a while ago
+   * @returns {number} Number of removed records
+   */
+  prune(now = Date.now()) {
+    let removed = 0;
+    this.store.entries().forEach(([ticketId, record]) => {
+      if (record.status === 'stopped' && now - record.stoppedAt > STOPPED_RETENTION_MS) {
+        this.store.delete(ticketId);
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  /**
+   * Gets running timers for reporting (most urgent first)
+   * @returns {Array<Object>} Timers with minutes remaining
+   */
+  getReport() {
+    const now = Date.now();
+    return this.getActiveTimers()
+      .sort((a, b) => a.dueAt - b.dueAt)
+      .map((record) => ({
+        ticketId: record.ticketId,
+        tier: record.tier,
+        title: record.title,
+        dueAt: new Date(record.dueAt).toISOString(),
+        remainingMinutes: Math.round((record.dueAt - now) / MINUTE_MS),
+        warningsSent: record.warningsSent,
+        breached: !!record.breachedAt
+      }));
+  }
+
+  /**
+   * Stops the checker and flushes timers to disk
+   */
+  async cleanup() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.store.flush();
+  }
+
+  /**
+   * Gets service health status
+   * @returns {Object} Health status
+   */
+  getHealthStatus() {
+    const active = this.getActiveTimers();
+
+    return {
+      initialized: this.isInitialized,
+      enabled: this.options.enabled,
+      activeTimers: active.length,
+      express: active.filter((record) => record.tier === 'express').length,
+      standard: active.filter((record) => record.tier === 'standard').length,
+      breached: active.filter((record) => record.breachedAt).length,
+      targets: {
+        express: this.options.express,
+        standard: this.options.standard
+      },
+      escalationContacts: this.options.escalation.length,
+      lastCheckAt: this.lastCheckAt,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+// Create singleton instance
+const slaService = new SlaService();
+
+module.exports = slaService;
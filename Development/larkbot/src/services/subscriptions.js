@@ -0,0 +1,216 @@
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/json-store');
+const routingService = require('./routing');
+
+// Filter keys usable in /subscribe expressions, mapped to routing rule conditions
+const FILTER_FIELDS = {
+  country: { attribute: '🌎 Country', operator: 'contains' },
+  express: { attribute: 'Express Request - 3 hours Onsite Request', operator: 'equals' },
+  type: { attribute: 'Onsite Request Type', operator: 'contains' },
+  merchant: { attribute: '🆔 Merchant Account Name', operator: 'contains' },
+  state: { field: 'state', operator: 'equals' },
+  event: { field: 'event', operator: 'equals' },
+  // Intercom sends IDs as numbers; filter values are always text
+  team: { field: 'team_assignee_id', operator: 'equals', asString: true },
+  assignee: { field: 'admin_assignee_id', operator: 'equals', asString: true }
+};
+
+/**
+ * Subscription Service
+ * Persists chatbot subscriptions (ticket IDs or filter expressions such as `country=Malaysia express=yes`)
+ * and finds the chats to notify when a ticket event arrives
+ */
+class SubscriptionService {
+  constructor() {
+    this.store = new JsonStore('chat-subscriptions');
+    this.isInitialized = false;
+  }
+
+  /**
+   * Loads subscriptions from disk
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    await this.store.load();
+
+    this.isInitialized = true;
+    logger.info('🔔 Subscription service initialized', { subscriptions: this.store.size });
+  }
+
+  /**
+   * Parses a subscription target into a ticket ID or a filter condition tree
+   * Filters are space-separated `key=value` terms that must all match; `key!=value` negates a term
+   * and `key=a,b` matches any of the values.
+   * @param {string} target - Ticket ID or filter expression
+   * @returns {Object} { kind, target, ticketId } or { kind, target, conditions }
+   * @throws {Error} If the expression is invalid
+   */
+  parseTarget(target) {
+    const terms = String(target || '').trim().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) {
+      throw new Error('Please provide a ticket ID or filter');
+    }
+
+    if (terms.length === 1 && !terms[0].includes('=')) {
+      return { kind: 'ticket', target: terms[0], ticketId: terms[0] };
+    }
+
+    const conditions = terms.map((term) => {
+      const match = term.match(/^([a-z_]+)(!?=)(.+)$/i);
+      if (!match) {
+        throw new Error(`Invalid filter "${term}" - use key=value`);
+      }
+
+      const [, rawKey, sign, value] = match;
+      const key = rawKey.toLowerCase();
+      const field = FILTER_FIELDS[key];
+      if (!field) {
+        throw new Error(`Unknown filter "${key}" - use one of: ${Object.keys(FILTER_FIELDS).join(', ')}`);
+      }
+
+      const values = value.split(',').filter(Boolean);
+      const alternatives = values.map((item) => ({ ...field, value: item, ignoreCase: true }));
+      const condition = alternatives.length === 1 ? alternatives[0] : { any: alternatives };
+      return sign === '!=' ? { not: condition } : condition;
+    });
+
+    // Normalized so `express=yes country=Malaysia` and `country=Malaysia express=yes` are the same subscription
+    const normalized = terms.map((term) => term.replace(/^[^!=]+/, (key) => key.toLowerCase())).sort().join(' ');
+    return { kind: 'filter', target: normalized, conditions: { all: conditions } };
+  }
+
+  /**
+   * Builds the store key for a chat/target pair
+   */
+  key(chatId, target) {
+    return `${chatId}:${target}`;
+  }
+
+  /**
+   * Subscribes a chat to a ticket ID or filter
+   * @param {Object} subscription - Subscription details
+   * @param {string} subscription.chatId - Lark chat to notify (a group or a private chat with the bot)
+   * @param {string} subscription.userId - User who subscribed
+   * @param {string} subscription.target - Ticket ID or filter expression
+   * @returns {Promise<Object>} { subscription, created }
+   */
+  async subscribe({ chatId, userId, target }) {
+    await this.store.load();
+
+    const parsed = this.parseTarget(target);
+    const key = this.key(chatId, parsed.target);
+    const existing = this.store.get(key);
+    if (existing) {
+      return { subscription: existing, created: false };
+    }
+
+    const subscription = {
+      chatId,
+      userId,
+      ...parsed,
+      createdAt: new Date().toISOString()
+    };
+    this.store.set(key, subscription);
+
+    logger.info('🔔 Subscription added', { chatId, userId, kind: parsed.kind, target: parsed.target });
+    return { subscription, created: true };
+  }
+
+  /**
+   * Removes a chat's subscription to a ticket ID or filter
+   * @returns {Promise<boolean>} True if a subscription was removed
+   */
+  async unsubscribe(chatId, target) {
+    await this.store.load();
+
+    const key = this.key(chatId, this.parseTarget(target).target);
+    if (!this.store.has(key)) return false;
+
+    this.store.delete(key);
+    logger.info('🔕 Subscription removed', { chatId, target });
+    return true;
+  }
+
+  /**
+   * Removes every subscription of a chat
+   * @returns {Promise<number>} Number of removed subscriptions
+   */
+  async unsubscribeAll(chatId) {
+    const subscriptions = await this.list(chatId);
+    subscriptions.forEach((subscription) => this.store.delete(this.key(chatId, subscription.target)));
+
+    logger.info('🔕 All subscriptions removed for chat', { chatId, removed: subscriptions.length });
+    return subscriptions.length;
+  }
+
+  /**
+   * Lists subscriptions, oldest first
+   * @param {string} chatId - Only this chat's subscriptions (all when omitted)
+   * @returns {Promise<Array>} Subscriptions
+   */
+  async list(chatId) {
+    await this.store.load();
+
+    return this.store.values()
+      .filter((subscription) => !chatId || subscription.chatId === chatId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Finds the chats subscribed to a ticket event
+   * @param {Object} ticket - Intercom ticket/conversation
+   * @param {string} eventType - Short event type (opened, assigned, closed...)
+   * @returns {Promise<Array>} Targets ({ name, chatId, rule }) like the routing service returns
+   */
+  async match(ticket, eventType) {
+    await this.store.load();
+
+    const context = { ...ticket, event: eventType };
+    const targets = [];
+
+    this.store.values().forEach((subscription) => {
+      const matches = subscription.kind === 'ticket'
+        ? String(subscription.ticketId) === String(ticket.id)
+        : routingService.evaluateConditions(subscription.conditions, context);
+
+      if (matches && !targets.some((target) => target.chatId === subscription.chatId)) {
+        targets.push({
+          name: `Subscription: ${subscription.target}`,
+          chatId: subscription.chatId,
+          rule: 'subscription'
+        });
+      }
+    });
+
+    return targets;
+  }
+
+  /**
+   * Flushes subscriptions to disk
+   */
+  async cleanup() {
+    await this.store.flush();
+  }
+
+  /**
+   * Gets service health status
+   * @returns {Object} Health status
+   */
+  getHealthStatus() {
+    const subscriptions = this.store.values();
+
+    return {
+      initialized: this.isInitialized,
+      subscriptions: subscriptions.length,
+      ticketSubscriptions: subscriptions.filter((subscription) => subscription.kind === 'ticket').length,
+      filterSubscriptions: subscriptions.filter((subscription) => subscription.kind === 'filter').length,
+      chats: new Set(subscriptions.map((subscription) => subscription.chatId)).size
+    };
+  }
+}
+
+// Create singleton instance
+const subscriptionService = new SubscriptionService();
+
+module.exports = subscriptionService;
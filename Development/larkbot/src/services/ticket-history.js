@@ -0,0 +1,188 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/json-store');
+
+/**
+ * Ticket History Service
+ * Audit trail of what the bot did with each ticket: webhooks received, routing decisions
+ * (the rules that matched or why the ticket was skipped) and every Lark delivery attempt
+ */
+class TicketHistoryService {
+  constructor() {
+    this.store = new JsonStore('ticket-history');
+    this.maxEvents = config.history.maxEventsPerTicket;
+    this.retentionDays = config.history.retentionDays;
+    this.pruneIntervalMs = config.history.pruneIntervalMs;
+    this.timer = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Loads the history from disk, drops tickets that have been quiet past the retention window
+   * and keeps dropping them while the process runs
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    await this.store.load();
+    const pruned = this.prune();
+
+    this.timer = setInterval(() => {
+      const removed = this.prune();
+      if (removed > 0) logger.info('📜 Pruned ticket history', { removed, tickets: this.store.size });
+    }, this.pruneIntervalMs);
+    this.timer.unref();
+
+    this.isInitialized = true;
+    logger.info('📜 Ticket history initialized', { tickets: this.store.size, pruned });
+  }
+
+  /**
+   * Appends an event to a ticket's history
+   * Never throws: a history entry that cannot be written must not stop the delivery it describes.
+   * @param {string} ticketId - Intercom conversation ID
+   * @param {string} type - 'webhook', 'routing' or 'delivery'
+   * @param {Object} details - Event details
+   * @returns {Promise<Object|null>} Stored event, or null if it could not be recorded
+   */
+  async record(ticketId, type, details = {}) {
+    if (!ticketId) return null;
+
+    try {
+      await this.store.load();
+
+      const id = String(ticketId);
+      const events = this.store.get(id)?.events || [];
+      const event = { at: new Date().toISOString(), type, ...details };
+
+      this.store.set(id, {
+        ticketId: id,
+        events: [...events, event].slice(-this.maxEvents),
+        updatedAt: event.at
+      });
+      return event;
+    } catch (error) {
+      logger.logError('TicketHistoryService.record', error, { ticketId, type });
+      return null;
+    }
+  }
+
+  /**
+   * Records a received Intercom webhook
+   * @param {Object} payload - Webhook body
+   * @param {Object} meta - Extra details (e.g. { duplicate: true })
+   */
+  recordWebhook(payload = {}, meta = {}) {
+    const item = payload.data?.item || payload.data?.conversation;
+    return this.record(item?.id, 'webhook', {
+      topic: payload.type === 'notification_event' ? payload.topic : (payload.topic || payload.type),
+      notificationId: payload.id || null,
+      state: item?.state,
+      ...meta
+    });
+  }
+
+  /**
+   * Records a routing decision
+   * @param {string} ticketId - Intercom conversation ID
+   * @param {string} eventType - Bot event type (assigned, closed, ...)
+   * @param {Object} routing - Result of routingService.evaluate
+   * @param {Array} subscribers - Chats subscribed with /subscribe
+   */
+  recordRouting(ticketId, eventType, routing, subscribers = []) {
+    return this.record(ticketId, 'routing', {
+      eventType,
+      routed: routing.routed || subscribers.length > 0,
+      matchedRules: routing.matchedRules,
+      targets: routing.targets.map(({ chatId, name, rule }) => ({ chatId, name, rule })),
+      subscribers: subscribers.map(({ chatId }) => chatId),
+      reason: routing.reason || null
+    });
+  }
+
+  /**
+   * Records a Lark delivery attempt
+   * @param {string} ticketId - Intercom conversation ID
+   * @param {Object} delivery - { eventType, chatId, groupName, rule, messageId, updated, error }
+   */
+  recordDelivery(ticketId, {
+    eventType, chatId, groupName, rule, messageId, updated, error
+  }) {
+    let outcome = updated ? 'updated' : 'sent';
+    if (error) outcome = 'failed';
+
+    return this.record(ticketId, 'delivery', {
+      eventType,
+      chatId,
+      groupName,
+      rule,
+      outcome,
+      messageId: messageId || null,
+      error: error?.message || error || null
+    });
+  }
+
+  /**
+   * Gets a ticket's history, oldest first
+   * @param {string} ticketId - Intercom conversation ID
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Only the most recent events (default: all)
+   * @param {string} options.type - Only events of this type
+   * @returns {Promise<Array>} Events
+   */
+  async getHistory(ticketId, { limit, type } = {}) {
+    await this.store.load();
+
+    const events = (this.store.get(String(ticketId))?.events || [])
+      .filter((event) => !type || event.type === type);
+    return limit ? events.slice(-limit) : events;
+  }
+
+  /**
+   * Removes tickets with no events within the retention window
+   * @returns {number} Number of removed tickets
+   */
+  prune() {
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    let removed = 0;
+
+    this.store.entries().forEach(([id, record]) => {
+      if (new Date(record.updatedAt).getTime() < cutoff) {
+        this.store.delete(id);
+        removed++;
+      }
+    });
+
+    return removed;
+  }
+
+  /**
+   * Stops pruning and flushes pending writes to disk
+   */
+  async cleanup() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.store.flush();
+  }
+
+  /**
+   * Gets service health status
+   * @returns {Object} Health status
+   */
+  getHealthStatus() {
+    return {
+      initialized: this.isInitialized,
+      tickets: this.store.size,
+      maxEventsPerTicket: this.maxEvents,
+      retentionDays: this.retentionDays,
+      pruneIntervalMs: this.pruneIntervalMs
+    };
+  }
+}
+
+// Create singleton instance
+const ticketHistoryService = new TicketHistoryService();
+
+module.exports = ticketHistoryService;
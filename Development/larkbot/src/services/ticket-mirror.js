@@ -0,0 +1,389 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/json-store');
+const TicketDatabase = require('../utils/ticket-db');
+
+// Intercom timestamps are unix seconds; mock data uses milliseconds
+const toSeconds = (timestamp) => (timestamp > 1e12 ? Math.floor(timestamp / 1000) : timestamp || 0);
+
+/**
+ * Ticket Mirror Service
+ * Keeps a local copy of Intercom tickets (conversations, their parts and custom attributes) in a SQLite
+ * database so commands, exports and the API can read everything without paging through Intercom.
+ * Webhook payloads are recorded as they arrive and a periodic incremental sync on updated_at
+ * catches anything the webhooks missed; resync() rebuilds the mirror from scratch.
+ */
+class TicketMirrorService {
+  constructor() {
+    this.intercomService = null;
+    this.db = new TicketDatabase('ticket-mirror');
+    this.state = new JsonStore('ticket-mirror-state');
+    this.options = { ...config.mirror };
+    this.timer = null;
+    this.running = null;
+    this.stats = {
+      webhookUpdates: 0,
+      syncedTickets: 0,
+      syncErrors: 0
+    };
+    this.isInitialized = false;
+  }
+
+  /**
+   * Sets the Intercom service used for syncing (real or mock, chosen by the services manager)
+   * @param {Object} intercomService - Intercom service instance
+   */
+  useIntercomService(intercomService) {
+    this.intercomService = intercomService;
+  }
+
+  /**
+   * Loads the mirror from disk and starts the periodic sync
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    await this.state.load();
+    this.db.open();
+
+    if (this.options.enabled) {
+      this.timer = setInterval(() => {
+        this.sync().catch(() => {});
+      }, this.options.syncIntervalMs);
+      this.timer.unref();
+
+      // Catch up on what changed while we were down (a full sync the first time)
+      this.sync().catch(() => {});
+    }
+
+    this.isInitialized = true;
+    logger.info('🪞 Ticket mirror initialized', {
+      enabled: this.options.enabled,
+      tickets: this.db.count(),
+      lastSyncAt: this.state.get('lastSyncAt') || null
+    });
+  }
+
+  /**
+   * Whether reads can be served from the mirror (enabled and fully synced at least once)
+   * @returns {boolean} True if the mirror is ready
+   */
+  isReady() {
+    return this.options.enabled && !!this.state.get('lastFullSyncAt');
+  }
+
+  /**
+   * Decides whether a read should be served from the mirror
+   * @param {string} source - 'mirror' (required), 'intercom' (never) or 'auto' (default: when ready)
+   * @returns {boolean} True to read from the mirror
+   * @throws {Error} If the mirror was required but is not ready (statusCode 503)
+   */
+  shouldServe(source = 'auto') {
+    if (source === 'intercom') return false;
+    if (source === 'mirror' && !this.isReady()) {
+      const error = new Error('Ticket mirror is not ready (enable TICKET_MIRROR_ENABLED and wait for the first sync)');
+      error.statusCode = 503;
+      throw error;
+    }
+    return this.isReady();
+  }
+
+  /**
+   * Stores a ticket, adding its conversation parts to the ones already mirrored
+   * Older copies never overwrite newer ones.
+   * @param {Object} ticket - Intercom conversation (conversation_parts optional)
+   * @param {string} source - Where the copy came from ('webhook' or 'sync')
+   * @returns {boolean} True if the mirror changed
+   */
+  upsert(ticket, source) {
+    if (!ticket?.id) return false;
+
+    const id = String(ticket.id);
+    const storedUpdatedAt = this.db.getUpdatedAt(id);
+    const updatedAt = toSeconds(ticket.updated_at);
+    if (storedUpdatedAt !== null && storedUpdatedAt > updatedAt) return false;
+
+    const { conversation_parts: conversationParts, ...fields } = ticket;
+    this.db.put({
+      id,
+      ticket: fields,
+      parts: conversationParts?.conversation_parts || [],
+      updatedAt,
+      mirroredAt: Date.now(),
+      source
+    });
+    return true;
+  }
+
+  /**
+   * Records the ticket carried by an Intercom webhook
+   * Never throws; a webhook the mirror misses is picked up by the next incremental sync.
+   * @param {Object} ticket - Webhook `data.item`
+   */
+  async recordWebhook(ticket) {
+    if (!this.options.enabled || ticket?.type !== 'conversation') return;
+
+    try {
+      if (this.upsert(ticket, 'webhook')) this.stats.webhookUpdates++;
+    } catch (error) {
+      logger.logError('TicketMirrorService.recordWebhook', error, { ticketId: ticket.id });
+    }
+  }
+
+  /**
+   * Runs an incremental sync (or a full resync if the mirror has never been fully synced)
+   * Concurrent calls share the sync already running.
+   * @returns {Promise<Object>} Sync result
+   */
+  sync() {
+    if (this.running) return this.running;
+
+    const full = !this.state.get('lastFullSyncAt');
+    return this.run(full);
+  }
+
+  /**
+   * Rebuilds the mirror from Intercom, dropping tickets that no longer exist
+   * @returns {Promise<Object>} Sync result
+   */
+  async resync() {
+    if (this.running) await this.running.catch(() => {});
+    return this.run(true);
+  }
+
+  /**
+   * Starts a sync run and tracks it so runs never overlap
+   */
+  run(full) {
+    this.running = this.syncFromIntercom(full).finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  /**
+   * Pages through Intercom search results and mirrors every changed ticket
+   * @param {boolean} full - Sync everything instead of what changed since the last sync
+   * @returns {Promise<Object>} { full, scanned, updated, removed, watermark }
+   */
+  async syncFromIntercom(full) {
+    const startedAt = Date.now();
+
+    try {
+      await this.state.load();
+
+      const previousWatermark = this.state.get('watermark') || 0;
+      const since = full ? 0 : Math.max(previousWatermark - this.options.overlapSeconds, 0);
+      const query = since > 0 ? { field: 'updated_at', operator: '>', value: since } : null;
+      logger.info('🔄 Ticket mirror sync started', { full, since: since || null });
+
+      const seen = new Set();
+      let watermark = previousWatermark;
+      let scanned = 0;
+      let updated = 0;
+      let cursor = null;
+      let hasMore = true;
+
+      while (hasMore) {
+        const page = await this.intercomService.search('conversations', query, { perPage: 150, cursor });
+
+        for (const summary of page.conversations) {
+          const id = String(summary.id);
+          seen.add(id);
+          scanned++;
+          watermark = Math.max(watermark, toSeconds(summary.updated_at));
+
+          const storedUpdatedAt = this.db.getUpdatedAt(id);
+          if (storedUpdatedAt === null || storedUpdatedAt < toSeconds(summary.updated_at)) {
+            // Search results carry no conversation parts; fetching the ticket includes them
+            const ticket = this.options.syncParts
+              ? await this.intercomService.getConversation(id)
+              : summary;
+            if (this.upsert(ticket, 'sync')) updated++;
+          }
+        }
+
+        cursor = page.nextCursor;
+        hasMore = page.hasMore && page.conversations.length > 0;
+      }
+
+      let removed = 0;
+      if (full) {
+        this.db.ids().forEach((id) => {
+          if (!seen.has(id) && this.db.delete(id)) removed++;
+        });
+      }
+
+      const finishedAt = new Date().toISOString();
+      this.state.set('watermark', watermark);
+      this.state.set('lastSyncAt', finishedAt);
+      if (full) this.state.set('lastFullSyncAt', finishedAt);
+      this.stats.syncedTickets += updated;
+
+      const result = {
+        full,
+        scanned,
+        updated,
+        removed,
+        watermark,
+        durationMs: Date.now() - startedAt
+      };
+      logger.info('✅ Ticket mirror sync completed', result);
+      return result;
+    } catch (error) {
+      this.stats.syncErrors++;
+      this.state.set('lastError', { message: error.message, at: new Date().toISOString() });
+      logger.logError('TicketMirrorService.sync', error, { full });
+      throw error;
+    }
+  }
+
+  /**
+   * Rebuilds a mirrored ticket with its conversation parts
+   * @param {Object} record - Mirror record
+   * @returns {Object} Intercom conversation
+   */
+  toTicket(record) {
+    return {
+      ...record.ticket,
+      conversation_parts: {
+        type: 'conversation_part.list',
+        conversation_parts: record.parts,
+        total_count: record.parts.length
+      }
+    };
+  }
+
+  /**
+   * Gets a mirrored ticket
+   * @param {string} ticketId - Ticket (conversation) ID
+   * @returns {Object|null} Ticket with its conversation parts, or null if it is not mirrored
+   */
+  getTicket(ticketId) {
+    const record = this.db.get(String(ticketId));
+    return record ? this.toTicket(record) : null;
+  }
+
+  /**
+   * Lists mirrored tickets, most recent first
+   * @param {Object} options - Query options
+   * @param {Date|number} options.since - Only tickets whose `field` is at or after this time
+   * @param {Date|number} options.until - Only tickets whose `field` is before this time
+   * @param {string} options.field - Timestamp to filter and sort on (default: created_at)
+   * @param {Function} options.filter - Extra predicate applied to each ticket
+   * @param {boolean} options.includeParts - Include conversation parts (default: false)
+   * @param {number} options.offset - Tickets to skip (default: 0)
+   * @param {number} options.limit - Maximum number of tickets (default: all)
+   * @returns {Object} { tickets, total }
+   */
+  listTickets({
+    since, until, field = 'created_at', filter, includeParts = false, offset = 0, limit
+  } = {}) {
+    const range = this.toRange({ since, until, field });
+    const toTicket = (record) => (includeParts ? this.toTicket(record) : record.ticket);
+
+    // Without a predicate the database pages and counts on its own
+    if (!filter) {
+      return {
+        tickets: [...this.db.query({
+          ...range, offset, limit: limit || -1, includeParts
+        })].map(toTicket),
+        total: this.db.countRange(range)
+      };
+    }
+
+    const tickets = [];
+    let total = 0;
+    for (const record of this.db.query({ ...range, includeParts })) {
+      const ticket = toTicket(record);
+      if (filter(ticket)) {
+        if (total >= offset && (!limit || tickets.length < limit)) tickets.push(ticket);
+        total++;
+      }
+    }
+    return { tickets, total };
+  }
+
+  /**
+   * Reads mirrored tickets a page at a time, most recent first
+   * Only the current page is held in memory, so exports of the whole mirror stay small.
+   * @param {Object} options - Query options
+   * @param {Date|number} options.since - Only tickets whose `field` is at or after this time
+   * @param {Date|number} options.until - Only tickets whose `field` is before this time
+   * @param {string} options.field - Timestamp to filter and sort on (default: created_at)
+   * @param {boolean} options.includeParts - Include conversation parts (default: false)
+   * @param {number} options.pageSize - Tickets per page (default: 150)
+   * @returns {Generator<Array<Object>>} Pages of tickets
+   */
+  * iterateTickets({
+    since, until, field = 'created_at', includeParts = false, pageSize = 150
+  } = {}) {
+    const range = this.toRange({ since, until, field });
+    let after = null;
+
+    do {
+      const page = this.db.page({
+        ...range, after, limit: pageSize, includeParts
+      });
+      if (page.records.length === 0) return;
+
+      yield page.records.map((record) => (includeParts ? this.toTicket(record) : record.ticket));
+      ({ after } = page);
+    } while (after);
+  }
+
+  /**
+   * Counts mirrored tickets, optionally within a time range (see iterateTickets)
+   * @returns {number} Number of tickets
+   */
+  countTickets({ since, until, field = 'created_at' } = {}) {
+    return this.db.countRange(this.toRange({ since, until, field }));
+  }
+
+  /**
+   * Converts since/until times to the unix seconds the database stores
+   */
+  toRange({ since, until, field }) {
+    return {
+      field,
+      since: since ? toSeconds(new Date(since).getTime()) : null,
+      until: until ? toSeconds(new Date(until).getTime()) : null
+    };
+  }
+
+  /**
+   * Stops the periodic sync and flushes the mirror to disk
+   */
+  async cleanup() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.state.flush();
+    this.db.close();
+  }
+
+  /**
+   * Gets service health status
+   * @returns {Object} Health status
+   */
+  getHealthStatus() {
+    return {
+      initialized: this.isInitialized,
+      enabled: this.options.enabled,
+      ready: this.isReady(),
+      syncing: !!this.running,
+      tickets: this.db.count(),
+      watermark: this.state.get('watermark') || null,
+      lastSyncAt: this.state.get('lastSyncAt') || null,
+      lastFullSyncAt: this.state.get('lastFullSyncAt') || null,
+      lastError: this.state.get('lastError') || null,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+// Create singleton instance
+const ticketMirrorService = new TicketMirrorService();
+
+module.exports = ticketMirrorService;
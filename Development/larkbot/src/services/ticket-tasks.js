@@ -0,0 +1,197 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/json-store');
+const larkService = require('./lark');
+const identityService = require('./identity');
+const slaService = require('./sla');
+
+/**
+ * Ticket Task Service
+ * Gives the assignee of a routed onsite ticket a Lark task, due at the ticket's SLA deadline and linked
+ * back to Intercom. The task moves to the new assignee when the ticket is reassigned and is completed
+ * when the ticket closes.
+ */
+class TicketTaskService {
+  constructor() {
+    // Ticket ID -> { taskGuid, assigneeOpenId, dueAt, status: open|completed, createdAt, completedAt }
+    this.store = new JsonStore('ticket-tasks');
+    this.options = { ...config.lark.tasks };
+    this.stats = {
+      created: 0,
+      reassigned: 0,
+      completed: 0,
+      failed: 0
+    };
+    this.lastError = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Loads tracked tasks
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    await this.store.load();
+    this.prune();
+
+    this.isInitialized = true;
+    logger.info('✅ Ticket tasks initialized', {
+      enabled: this.options.enabled,
+      openTasks: this.getOpenTasks().length
+    });
+  }
+
+  /**
+   * Creates, reassigns or completes the Lark task for a ticket event
+   * Only assignments of routed tickets create tasks; a task that exists follows every reassignment
+   * and close. Lark task errors are logged and counted, not thrown.
+   * @param {Object} ticket - Intercom ticket
+   * @param {string} eventType - Event type (opened, assigned, closed...)
+   * @param {Object} options - Event details
+   * @param {boolean} options.routed - Whether a routing rule matched the ticket
+   * @param {string} options.merchantName - Merchant name from the ticket's custom attributes
+   * @param {Object} options.assignee - Assigned Intercom admin ({ id, email, name }), for assigned events
+   */
+  async handleTicketEvent(ticket, eventType, { routed = false, merchantName, assignee } = {}) {
+    if (!this.options.enabled) return;
+
+    const ticketId = String(ticket.id);
+    try {
+      await this.store.load();
+      const task = this.store.get(ticketId);
+      const open = task?.status === 'open' ? task : null;
+
+      if (eventType === 'closed' || ticket.state === 'closed') {
+        if (open) await this.complete(ticketId, open);
+        return;
+      }
+      if (eventType !== 'assigned' || (!routed && !open)) return;
+
+      const assigneeOpenId = await identityService.getLarkUserIdForAdmin(assignee);
+      if (!assigneeOpenId) {
+        logger.warn('⚠️ Assignee has no Lark account, no task for them', { ticketId, assignee: assignee?.name });
+        return;
+      }
+
+      if (!open) {
+        await this.create(ticket, assigneeOpenId, merchantName);
+      } else if (open.assigneeOpenId !== assigneeOpenId) {
+        await larkService.updateTaskAssignees(open.taskGuid, { add: [assigneeOpenId], remove: [open.assigneeOpenId] });
+        this.store.set(ticketId, { ...open, assigneeOpenId });
+        this.stats.reassigned++;
+        logger.info('🔁 Lark task reassigned', { ticketId, taskGuid: open.taskGuid, assigneeOpenId });
+      }
+    } catch (error) {
+      this.stats.failed++;
+      this.lastError = error.message;
+      logger.logError('TicketTaskService.handleTicketEvent', error, { ticketId, eventType });
+    }
+  }
+
+  /**
+   * Creates the task for a ticket's assignee
+   */
+  async create(ticket, assigneeOpenId, merchantName) {
+    const ticketId = String(ticket.id);
+    const attributes = ticket.custom_attributes || {};
+    const merchant = merchantName && merchantName !== 'Unknown' ? merchantName : null;
+    const express = slaService.getTier(ticket) === 'express';
+    const dueAt = slaService.getDueAt(ticket);
+    const intercomUrl = config.getIntercomConversationUrl(ticketId);
+
+    const description = [
+      attributes['FULL Store Address'] && `Address: ${attributes['FULL Store Address']}`,
+      attributes['PIC Name'] && `PIC: ${attributes['PIC Name']}`,
+      attributes['PIC Contact Number'] && `PIC Contact: ${attributes['PIC Contact Number']}`,
+      attributes['Onsite request description'] && `Request: ${attributes['Onsite request description']}`,
+      `Ticket: ${intercomUrl}`
+    ].filter(Boolean).join('\n');
+
+    const created = await larkService.createTask({
+      summary: `${express ? '⚡ EXPRESS ' : ''}Site inspection: ${merchant || `Ticket #${ticketId}`}`,
+      description,
+      due: { timestamp: String(dueAt), is_all_day: false },
+      origin: {
+        platform_i18n_name: { en_us: 'Intercom' },
+        href: { url: intercomUrl, title: `Ticket #${ticketId}` }
+      },
+      members: [{ id: assigneeOpenId, type: 'user', role: 'assignee' }]
+    });
+
+    this.store.set(ticketId, {
+      taskGuid: created.guid,
+      assigneeOpenId,
+      dueAt,
+      status: 'open',
+      createdAt: new Date().toISOString(),
+      completedAt: null
+    });
+    this.stats.created++;
+
+    logger.info('✅ Lark task created for assigned ticket', {
+      ticketId,
+      taskGuid: created.guid,
+      assigneeOpenId,
+      dueAt: new Date(dueAt).toISOString()
+    });
+  }
+
+  /**
+   * Completes a ticket's task
+   */
+  async complete(ticketId, task) {
+    await larkService.completeTask(task.taskGuid);
+    this.store.set(ticketId, { ...task, status: 'completed', completedAt: new Date().toISOString() });
+    this.stats.completed++;
+    logger.info('✅ Lark task completed, ticket closed', { ticketId, taskGuid: task.taskGuid });
+  }
+
+  /**
+   * @returns {Array} [ticketId, task] pairs of tasks not completed yet
+   */
+  getOpenTasks() {
+    return this.store.entries().filter(([, task]) => task.status === 'open');
+  }
+
+  /**
+   * Forgets tasks completed past the retention window
+   * @returns {number} Number of removed tasks
+   */
+  prune(now = Date.now()) {
+    let removed = 0;
+    this.store.entries().forEach(([ticketId, task]) => {
+      if (task.status === 'completed' && now - new Date(task.completedAt).getTime() > config.storage.retentionMs) {
+        this.store.delete(ticketId);
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  /**
+   * Flushes tracked tasks to disk
+   */
+  async cleanup() {
+    await this.store.flush();
+  }
+
+  /**
+   * Gets service health status
+   * @returns {Object} Health status
+   */
+  getHealthStatus() {
+    return {
+      initialized: this.isInitialized,
+      enabled: this.options.enabled,
+      openTasks: this.getOpenTasks().length,
+      lastError: this.lastError,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+// Create singleton instance
+const ticketTaskService = new TicketTaskService();
+
+module.exports = ticketTaskService;
@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/json-store');
+
+// When several events for one conversation are coalesced, the update keeps the
+// most significant event type (later events win ties)
+const EVENT_PRIORITY = {
+  note_added: 1,
+  replied: 1,
+  snoozed: 2,
+  unsnoozed: 2,
+  assigned: 3,
+  opened: 3,
+  closed: 3
+};
+
+/**
+ * Webhook Dedupe Service
+ * Drops Intercom webhook deliveries that were already processed (retries) and
+ * coalesces bursts of events for the same conversation into a single Lark update
+ */
+class WebhookDedupeService {
+  constructor() {
+    this.store = new JsonStore('webhook-deliveries');
+    this.ttlMs = config.webhook.dedupe.ttlMs;
+    this.coalesceWindowMs = config.webhook.dedupe.coalesceWindowMs;
+    this.pending = new Map();
+    this.lastPrune = 0;
+    this.stats = {
+      processed: 0,
+      duplicates: 0,
+      coalesced: 0
+    };
+    this.isInitialized = false;
+  }
+
+  /**
+   * Loads recently processed deliveries so retries are recognized after a restart
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    await this.store.load();
+    this.prune();
+
+    this.isInitialized = true;
+    logger.info('🧹 Webhook dedupe initialized', {
+      rememberedDeliveries: this.store.size,
+      ttlMs: this.ttlMs,
+      coalesceWindowMs: this.coalesceWindowMs
+    });
+  }
+
+  /**
+   * Builds the dedupe key for a webhook payload: the notification ID when Intercom
+   * sends one, otherwise a hash of topic + conversation ID + updated_at
+   * @param {Object} payload - Parsed webhook body
+   * @returns {string|null} Dedupe key, or null if the payload cannot be identified
+   */
+  buildKey(payload = {}) {
+    if (payload.id) {
+      return `id:${payload.id}`;
+    }
+
+    const item = payload.data?.item || payload.data?.conversation;
+    if (!item?.id) {
+      return null;
+    }
+
+    const topic = payload.topic || payload.type;
+    const hash = crypto.createHash('sha256')
+      .update(`${topic}|${item.id}|${item.updated_at ?? ''}`)
+      .digest('hex');
+
+    return `hash:${hash}`;
+  }
+
+  /**
+   * Claims a delivery for processing
+   * @param {Object} payload - Parsed webhook body
+   * @returns {Promise<Object>} { key, duplicate }
+   */
+  async claim(payload) {
+    await this.store.load();
+    this.pruneIfDue();
+
+    const key = this.buildKey(payload);
+    if (!key) {
+      return { key: null, duplicate: false };
+    }
+
+    const expiresAt = this.store.get(key);
+    if (expiresAt && expiresAt > Date.now()) {
+      this.stats.duplicates++;
+      return { key, duplicate: true };
+    }
+
+    this.store.set(key, Date.now() + this.ttlMs);
+    this.stats.processed++;
+    return { key, duplicate: false };
+  }
+
+  /**
+   * Releases a claimed delivery so an Intercom retry is processed again
+   * (used when handling the delivery failed)
+   * @param {string} key - Dedupe key returned by claim()
+   */
+  release(key) {
+    if (key) {
+      this.store.delete(key);
+    }
+  }
+
+  /**
+   * Coalesces ticket updates for one conversation that arrive within the window.
+   * The first update opens the window; later ones are merged into it and a single
+   * delivery runs when the window closes.
+   * @param {string} conversationId - Intercom conversation ID
+   * @param {Object} update - { ticket, eventType, metadata }
+   * @param {Function} deliver - Async function receiving the merged update
+   * @returns {Promise} Settles with the delivery of the merged update; only the update that opened the
+   *   window rejects when it fails, so a queue retries the merged card once rather than once per event
+   */
+  coalesce(conversationId, update, deliver) {
+    if (!this.coalesceWindowMs || !conversationId) {
+      return deliver(update);
+    }
+
+    const pending = this.pending.get(conversationId);
+    if (pending) {
+      pending.update = this.mergeUpdates(pending.update, update);
+      pending.events.push(update.eventType);
+      this.stats.coalesced++;
+      return pending.result.catch(() => undefined);
+    }
+
+    const entry = {
+      update,
+      events: [update.eventType],
+      deliver,
+      timer: setTimeout(() => this.flushPending(conversationId).catch(() => {}), this.coalesceWindowMs)
+    };
+    if (entry.timer.unref) entry.timer.unref();
+    entry.result = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+
+    this.pending.set(conversationId, entry);
+    return entry.result;
+  }
+
+  /**
+   * Delivers the pending update for a conversation now
+   * @param {string} conversationId - Intercom conversation ID
+   * @returns {Promise} Delivery result
+   */
+  async flushPending(conversationId) {
+    const entry = this.pending.get(conversationId);
+    if (!entry) return undefined;
+
+    clearTimeout(entry.timer);
+    this.pending.delete(conversationId);
+
+    if (entry.events.length > 1) {
+      logger.info('🧩 Coalesced ticket events into one Lark update', {
+        ticketId: conversationId,
+        events: entry.events,
+        eventType: entry.update.eventType
+      });
+    }
+
+    try {
+      const result = await entry.deliver(entry.update);
+      entry.resolve(result);
+      return result;
+    } catch (error) {
+      entry.reject(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merges a newer update into a pending one
+   * @param {Object} current - Pending update
+   * @param {Object} next - Newer update for the same conversation
+   * @returns {Object} Merged update
+   */
+  mergeUpdates(current, next) {
+    const currentPriority = EVENT_PRIORITY[current.eventType] || 0;
+    const nextPriority = EVENT_PRIORITY[next.eventType] || 0;
+
+    return {
+      // The latest payload reflects the current ticket state
+      ticket: {
+        ...current.ticket,
+        ...next.ticket,
+        custom_attributes: {
+          ...current.ticket?.custom_attributes,
+          ...next.ticket?.custom_attributes
+        }
+      },
+      eventType: nextPriority >= currentPriority ? next.eventType : current.eventType,
+      metadata: { ...current.metadata, ...next.metadata }
+    };
+  }
+
+  /**
+   * Prunes expired deliveries at most once a minute
+   */
+  pruneIfDue() {
+    if (Date.now() - this.lastPrune > 60000) {
+      this.prune();
+    }
+  }
+
+  /**
+   * Removes expired deliveries
+   * @returns {number} Number of removed entries
+   */
+  prune() {
+    const now = Date.now();
+    let removed = 0;
+
+    this.store.entries().forEach(([key, expiresAt]) => {
+      if (expiresAt <= now) {
+        this.store.delete(key);
+        removed++;
+      }
+    });
+
+    this.lastPrune = now;
+    return removed;
+  }
+
+  /**
+   * Delivers pending coalesced updates and flushes the store (graceful shutdown)
+   */
+  async cleanup() {
+    await Promise.allSettled(Array.from(this.pending.keys()).map((id) => this.flushPending(id)));
+    await this.store.flush();
+  }
+
+  /**
+   * Gets service health status
+   * @returns {Object} Health status
+   */
+  getHealthStatus() {
+    return {
+      initialized: this.isInitialized,
+      ttlMs: this.ttlMs,
+      coalesceWindowMs: this.coalesceWindowMs,
+      rememberedDeliveries: this.store.size,
+      pendingUpdates: this.pending.size,
+      ...this.stats
+    };
+  }
+}
+
+// Create singleton instance
+const webhookDedupeService = new WebhookDedupeService();
+
+module.exports = webhookDedupeService;
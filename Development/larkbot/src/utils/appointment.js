@@ -0,0 +1,156 @@
+/**
+ * Site inspection appointment times
+ *
+ * Parses the appointment a ticket carries in a custom attribute, or that someone picks on a card,
+ * into a point in time. Intercom date attributes are Unix seconds; text attributes are typed by
+ * agents, so "2026-10-20 14:00", "20/10/2026 2:00 pm" and ISO strings are accepted too. Times without
+ * an offset are read in the inspection timezone, and a date without a time is an all-day visit.
+ */
+
+// ISO 8601 and "YYYY-MM-DD HH:mm", optionally with an offset ("+08:00", "+0800", "Z")
+const ISO_PATTERN = new RegExp('^(\\d{4})-(\\d{1,2})-(\\d{1,2})'
+  + '(?:[T ](\\d{1,2}):(\\d{2})(?::\\d{2}(?:\\.\\d+)?)?)?\\s*(Z|[+-]\\d{2}:?\\d{2})?$', 'i');
+// Day first, as written in Malaysia and Singapore
+const DMY_PATTERN = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ ,T]+(\d{1,2})[:.](\d{2})\s*(am|pm)?)?$/i;
+
+/**
+ * Milliseconds a timezone is ahead of UTC at a given instant
+ */
+function getTimezoneOffset(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(timestamp));
+  const value = (type) => Number(parts.find((part) => part.type === type).value);
+
+  const asUtc = Date.UTC(
+    value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second')
+  );
+  return asUtc - (timestamp - (timestamp % 1000));
+}
+
+/**
+ * Converts a wall-clock time in a timezone to a timestamp
+ */
+function zonedTimeToUtc({ year, month, day, hour, minute }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getTimezoneOffset(wallClock, timeZone);
+  const timestamp = wallClock - offset;
+  // Around a DST change the offset at the result can differ from the first guess
+  const corrected = getTimezoneOffset(timestamp, timeZone);
+  return corrected === offset ? timestamp : wallClock - corrected;
+}
+
+/**
+ * Parses "+08:00", "+0800" or "Z" into minutes ahead of UTC
+ */
+function parseOffset(offset) {
+  if (offset.toUpperCase() === 'Z') return 0;
+  const digits = offset.replace(':', '');
+  const minutes = Number(digits.slice(1, 3)) * 60 + Number(digits.slice(3, 5));
+  return digits[0] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Checks the numbers of a matched date/time are a real calendar date and clock time
+ */
+function isValidParts({ year, month, day, hour = 0, minute = 0 }) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+    && hour < 24 && minute < 60;
+}
+
+function fromTimestamp(number) {
+  // Intercom dates are seconds; anything this large is already milliseconds
+  const startAt = number > 1e12 ? number : number * 1000;
+  return { startAt, allDay: false };
+}
+
+function fromParts(parts, { offset, timeZone }) {
+  if (!isValidParts(parts)) return null;
+
+  const { year, month, day, hour, minute } = parts;
+  const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+  if (hour === undefined) {
+    return { startAt: zonedTimeToUtc({ ...parts, hour: 0, minute: 0 }, timeZone), allDay: true, date };
+  }
+  if (offset) {
+    return { startAt: Date.UTC(year, month - 1, day, hour, minute) - parseOffset(offset) * 60000, allDay: false };
+  }
+  return { startAt: zonedTimeToUtc(parts, timeZone), allDay: false };
+}
+
+/**
+ * Parses an appointment value
+ * @param {number|string} value - Unix timestamp or date/time text
+ * @param {Object} options
+ * @param {string} options.timeZone - IANA timezone for times without an offset
+ * @returns {Object|null} { startAt (ms), allDay, date ('YYYY-MM-DD', all-day only) } or null if unparseable
+ */
+function parseAppointment(value, { timeZone = 'UTC' } = {}) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value > 0 ? fromTimestamp(value) : null;
+  }
+
+  const text = String(value).trim();
+  if (/^\d{9,13}$/.test(text)) {
+    return fromTimestamp(Number(text));
+  }
+
+  let match = text.match(ISO_PATTERN);
+  if (match) {
+    const [, year, month, day, hour, minute, offset] = match;
+    return fromParts({
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      hour: hour === undefined ? undefined : Number(hour),
+      minute: minute === undefined ? undefined : Number(minute)
+    }, { offset, timeZone });
+  }
+
+  match = text.match(DMY_PATTERN);
+  if (match) {
+    const [, day, month, year, hour, minute, meridiem] = match;
+    let hours = hour === undefined ? undefined : Number(hour);
+    if (meridiem && (hours < 1 || hours > 12)) return null;
+    if (meridiem) {
+      hours = (hours % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+    }
+    return fromParts({
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      hour: hours,
+      minute: minute === undefined ? undefined : Number(minute)
+    }, { timeZone });
+  }
+
+  return null;
+}
+
+/**
+ * Formats an appointment for cards and notes, e.g. "20 Oct 2026, 14:00"
+ * @param {Object} appointment - { startAt, allDay }
+ * @param {string} timeZone - IANA timezone
+ * @returns {string}
+ */
+function formatAppointment({ startAt, allDay }, timeZone = 'UTC') {
+  const options = allDay ? { dateStyle: 'medium' } : { dateStyle: 'medium', timeStyle: 'short', hourCycle: 'h23' };
+  return new Intl.DateTimeFormat('en-GB', { timeZone, ...options }).format(new Date(startAt));
+}
+
+module.exports = {
+  parseAppointment,
+  formatAppointment,
+  zonedTimeToUtc
+};
@@ -0,0 +1,55 @@
+/**
+ * Value comparison helpers shared by the Phase 2 filters and the routing rules engine
+ */
+
+const OPERATORS = [
+  'equals',
+  'notEquals',
+  'contains',
+  'startsWith',
+  'endsWith',
+  'greaterThan',
+  'lessThan',
+  'greaterThanOrEqual',
+  'lessThanOrEqual',
+  'regex'
+];
+
+/**
+ * Compares two values using the given operator
+ * @param {*} actualValue - Value taken from the ticket/conversation
+ * @param {*} expectedValue - Value from the filter or rule definition
+ * @param {string} operator - One of OPERATORS (defaults to strict equality)
+ * @returns {boolean} True if the comparison holds
+ */
+function compareValues(actualValue, expectedValue, operator) {
+  switch (operator) {
+    case 'equals':
+      return actualValue === expectedValue;
+    case 'contains':
+      return String(actualValue).includes(String(expectedValue));
+    case 'startsWith':
+      return String(actualValue).startsWith(String(expectedValue));
+    case 'endsWith':
+      return String(actualValue).endsWith(String(expectedValue));
+    case 'greaterThan':
+      return Number(actualValue) > Number(expectedValue);
+    case 'lessThan':
+      return Number(actualValue) < Number(expectedValue);
+    case 'greaterThanOrEqual':
+      return Number(actualValue) >= Number(expectedValue);
+    case 'lessThanOrEqual':
+      return Number(actualValue) <= Number(expectedValue);
+    case 'regex':
+      return new RegExp(expectedValue).test(String(actualValue));
+    case 'notEquals':
+      return actualValue !== expectedValue;
+    default:
+      return actualValue === expectedValue;
+  }
+}
+
+module.exports = {
+  OPERATORS,
+  compareValues
+};
@@ -0,0 +1,231 @@
+/**
+ * Turns Phase 2 filter configs into Intercom search queries
+ *
+ * Each filter is translated to a search predicate when Intercom can evaluate it; everything else
+ * is returned as a client-side filter config for Phase 2's applyFilters. Server-side custom
+ * attribute matches only look at the conversation's attributes (not the contact's), and ticket
+ * attributes cannot be searched by name, so they always run client-side for tickets.
+ */
+
+// Phase 2 comparison operators with an Intercom search equivalent
+const OPERATOR_MAP = {
+  equals: '=',
+  notEquals: '!=',
+  contains: '~',
+  startsWith: '^',
+  endsWith: '$',
+  greaterThan: '>',
+  lessThan: '<'
+};
+
+// Intercom limits: 15 conditions per AND/OR group and two levels of nested groups
+const MAX_GROUP_SIZE = 15;
+const MAX_NESTING = 2;
+
+const DATE_FIELDS = ['created_at', 'updated_at'];
+
+/**
+ * Wraps conditions in an AND/OR group (a single condition is returned as is)
+ */
+function group(operator, conditions) {
+  return conditions.length === 1 ? conditions[0] : { operator, value: conditions };
+}
+
+/**
+ * Counts nested AND/OR groups in a query
+ * @returns {number} 0 for a single condition
+ */
+function nestingDepth(query) {
+  if (!Array.isArray(query?.value) || !query.value.some((item) => typeof item === 'object' && item !== null)) {
+    return 0;
+  }
+  return 1 + Math.max(...query.value.map(nestingDepth));
+}
+
+/**
+ * Checks that every group in a query respects the group size limit
+ */
+function withinGroupLimits(query) {
+  if (!query.operator || !['AND', 'OR'].includes(query.operator)) return true;
+  return query.value.length <= MAX_GROUP_SIZE && query.value.every(withinGroupLimits);
+}
+
+const toSeconds = (value) => Math.floor(new Date(value).getTime() / 1000);
+const toList = (value) => (Array.isArray(value) ? value : [value]).filter((item) => item !== undefined);
+const unsupported = (reason) => ({ query: null, reason });
+
+/**
+ * Builds an "is one of these IDs (or unassigned)" condition
+ */
+function assigneeCondition(field, ids = [], includeUnassigned = false) {
+  const conditions = [];
+  if (ids.length > 0) conditions.push({ field, operator: 'IN', value: ids.map(String) });
+  if (includeUnassigned) conditions.push({ field, operator: '=', value: null });
+  return conditions.length > 0 ? { query: group('OR', conditions) } : unsupported('no IDs given');
+}
+
+/**
+ * Builds the condition for one custom attribute (null when the operator has no search equivalent)
+ */
+function attributeCondition(key, expected) {
+  const field = `custom_attributes.${key}`;
+
+  if (Array.isArray(expected)) return { field, operator: 'IN', value: expected };
+  if (expected && typeof expected === 'object') {
+    const operator = OPERATOR_MAP[expected.operator];
+    return operator ? { field, operator, value: expected.value } : null;
+  }
+  return { field, operator: '=', value: expected };
+}
+
+/**
+ * Predicate builders, keyed by Phase 2 filter name
+ * Each returns { query } when Intercom can evaluate the whole filter, { query, remaining } when part
+ * of it has to run client-side, or { query: null, reason } when none of it can run server-side.
+ * Builders are called with (criteria, context, buildPredicate), so compound filters can build their conditions.
+ */
+const PREDICATES = {
+  state: ({ states, state }) => {
+    const values = toList(states || state);
+    if (values.length === 0) return unsupported('no states given');
+    return { query: { field: 'state', operator: 'IN', value: values } };
+  },
+
+  dateRange: ({ startDate, endDate, field = 'created_at' }) => {
+    if (!DATE_FIELDS.includes(field)) return unsupported(`${field} is not searchable`);
+
+    const conditions = [];
+    // Search only has strict comparisons, so the bounds are widened by a second to stay inclusive
+    if (startDate) conditions.push({ field, operator: '>', value: toSeconds(startDate) - 1 });
+    if (endDate) conditions.push({ field, operator: '<', value: toSeconds(endDate) + 1 });
+
+    if (conditions.some((condition) => Number.isNaN(condition.value))) return unsupported('invalid date');
+    return conditions.length > 0 ? { query: group('AND', conditions) } : unsupported('no dates given');
+  },
+
+  assignee: ({ assigneeIds, includeUnassigned }) => assigneeCondition(
+    'admin_assignee_id', toList(assigneeIds), includeUnassigned
+  ),
+
+  team: ({ teamIds, includeUnassigned }) => assigneeCondition('team_assignee_id', toList(teamIds), includeUnassigned),
+
+  customAttributes: ({ attributes = {}, matchMode = 'any' }, context) => {
+    if (context.resource !== 'conversations') {
+      return unsupported('ticket attributes can only be searched by attribute ID');
+    }
+
+    const entries = Object.entries(attributes).map(([key, expected]) => [key, attributeCondition(key, expected)]);
+    const supported = entries.filter(([, condition]) => condition).map(([, condition]) => condition);
+    const unsupportedKeys = entries.filter(([, condition]) => !condition).map(([key]) => key);
+
+    if (entries.length === 0) return unsupported('no attributes given');
+    if (unsupportedKeys.length === 0) {
+      return { query: group(matchMode === 'all' ? 'AND' : 'OR', supported) };
+    }
+
+    const reason = `operator not searchable for ${unsupportedKeys.join(', ')}`;
+    // "any" is an OR: dropping a branch server-side would lose its matches
+    if (matchMode !== 'all' || supported.length === 0) return unsupported(reason);
+
+    return {
+      query: group('AND', supported),
+      remaining: {
+        attributes: Object.fromEntries(unsupportedKeys.map((key) => [key, attributes[key]])),
+        matchMode: 'all'
+      },
+      reason
+    };
+  },
+
+  compound: ({ conditions = [], logic = 'AND' }, context, buildNested) => {
+    const parts = conditions.map((condition) => buildNested(condition.filter, condition.criteria, context));
+
+    if (logic === 'OR') {
+      const failed = parts.find((part) => !part.query || part.remaining);
+      if (failed) return unsupported(`OR group cannot be split (${failed.reason})`);
+      return { query: group('OR', parts.map((part) => part.query)) };
+    }
+
+    const server = parts.filter((part) => part.query).map((part) => part.query);
+    const remaining = conditions
+      .map((condition, index) => {
+        const part = parts[index];
+        if (!part.query) return condition;
+        return part.remaining ? { filter: condition.filter, criteria: part.remaining } : null;
+      })
+      .filter(Boolean);
+
+    if (server.length === 0) return unsupported('no condition is searchable');
+    if (remaining.length === 0) return { query: group('AND', server) };
+
+    return {
+      query: group('AND', server),
+      remaining: { conditions: remaining, logic: 'AND' },
+      reason: `${remaining.map((condition) => condition.filter).join(', ')} not searchable`
+    };
+  }
+};
+
+/**
+ * Builds the search predicate for one filter
+ * @returns {Object} { query, remaining, reason } (query is null when the filter must run client-side)
+ */
+function buildPredicate(filterName, criteria, context) {
+  const builder = PREDICATES[filterName];
+  if (!builder) return unsupported('no Intercom search field');
+  if (!criteria || typeof criteria !== 'object') return unsupported('invalid criteria');
+
+  const predicate = builder(criteria, context, buildPredicate);
+  if (predicate.query && (nestingDepth(predicate.query) > MAX_NESTING || !withinGroupLimits(predicate.query))) {
+    return unsupported('too complex for Intercom search');
+  }
+  return predicate;
+}
+
+/**
+ * Builds an Intercom search query from a Phase 2 filter config
+ * @param {Object} filterConfig - Filter name -> criteria (as accepted by Phase 2's applyFilters)
+ * @param {Object} options - Build options
+ * @param {string} options.resource - 'tickets' (default) or 'conversations'
+ * @returns {Object} { query, clientFilters, execution }
+ *   query is null when nothing can run server-side; clientFilters still need applyFilters;
+ *   execution lists each filter with where it ran ('server', 'client' or 'both') and why
+ */
+function buildSearchQuery(filterConfig = {}, { resource = 'tickets' } = {}) {
+  const context = { resource };
+  const server = [];
+  const clientFilters = {};
+  const execution = [];
+
+  Object.entries(filterConfig).forEach(([filterName, criteria]) => {
+    const predicate = server.length < MAX_GROUP_SIZE
+      ? buildPredicate(filterName, criteria, context)
+      : unsupported('too many search conditions');
+
+    if (!predicate.query) {
+      clientFilters[filterName] = criteria;
+      execution.push({ filter: filterName, where: 'client', reason: predicate.reason });
+      return;
+    }
+
+    server.push(predicate.query);
+    if (predicate.remaining) {
+      clientFilters[filterName] = predicate.remaining;
+      execution.push({ filter: filterName, where: 'both', reason: predicate.reason });
+    } else {
+      execution.push({ filter: filterName, where: 'server' });
+    }
+  });
+
+  return {
+    query: server.length > 0 ? group('AND', server) : null,
+    clientFilters,
+    execution
+  };
+}
+
+module.exports = {
+  OPERATOR_MAP,
+  buildSearchQuery,
+  nestingDepth
+};
@@ -0,0 +1,155 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+
+/**
+ * JSON File Store
+ * Small key/value store persisted as a JSON file under the data directory.
+ * Reads are served from memory; writes are batched and flushed atomically.
+ */
+class JsonStore {
+  /**
+   * @param {string} name - Store name, used as the file name
+   * @param {Object} options - Store options
+   * @param {string} options.dir - Directory holding the file (default: config.storage.dataDir)
+   * @param {number} options.flushDelayMs - Delay used to batch writes (default: config.storage.flushDelayMs)
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.filePath = path.join(options.dir || config.storage.dataDir, `${name}.json`);
+    this.flushDelayMs = options.flushDelayMs ?? config.storage.flushDelayMs;
+    this.data = new Map();
+    this.loadPromise = null;
+    this.flushTimer = null;
+    this.flushing = Promise.resolve();
+  }
+
+  /**
+   * Loads the file into memory (only once)
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.readFile();
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Reads the backing file, starting empty if it does not exist yet
+   */
+  async readFile() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      this.data = new Map(Object.entries(JSON.parse(content)));
+      logger.debug(`Loaded ${this.data.size} entries from ${this.name} store`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.logError(`JsonStore.load.${this.name}`, error, { filePath: this.filePath });
+      }
+      this.data = new Map();
+    }
+  }
+
+  /**
+   * Gets a value
+   * @param {string} key - Entry key
+   * @returns {*} Stored value or undefined
+   */
+  get(key) {
+    return this.data.get(key);
+  }
+
+  /**
+   * Checks whether a key exists
+   * @param {string} key - Entry key
+   * @returns {boolean} True if present
+   */
+  has(key) {
+    return this.data.has(key);
+  }
+
+  /**
+   * Sets a value and schedules a flush
+   * @param {string} key - Entry key
+   * @param {*} value - JSON-serializable value
+   */
+  set(key, value) {
+    this.data.set(key, value);
+    this.scheduleFlush();
+  }
+
+  /**
+   * Deletes a value and schedules a flush
+   * @param {string} key - Entry key
+   * @returns {boolean} True if an entry was removed
+   */
+  delete(key) {
+    const removed = this.data.delete(key);
+    if (removed) this.scheduleFlush();
+    return removed;
+  }
+
+  /**
+   * @returns {Array} [key, value] pairs
+   */
+  entries() {
+    return Array.from(this.data.entries());
+  }
+
+  /**
+   * @returns {Array} Stored values
+   */
+  values() {
+    return Array.from(this.data.values());
+  }
+
+  /**
+   * @returns {number} Number of entries
+   */
+  get size() {
+    return this.data.size;
+  }
+
+  /**
+   * Batches writes that happen close together into a single flush
+   */
+  scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(() => {});
+    }, this.flushDelayMs);
+
+    if (this.flushTimer.unref) this.flushTimer.unref();
+  }
+
+  /**
+   * Writes the store to disk (temp file + rename so readers never see a partial file)
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    this.flushing = this.flushing.catch(() => {}).then(async () => {
+      const tmpPath = `${this.filePath}.tmp`;
+      try {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tmpPath, JSON.stringify(Object.fromEntries(this.data)), 'utf8');
+        await fs.rename(tmpPath, this.filePath);
+      } catch (error) {
+        logger.logError(`JsonStore.flush.${this.name}`, error, { filePath: this.filePath });
+        throw error;
+      }
+    });
+
+    return this.flushing;
+  }
+}
+
+module.exports = JsonStore;
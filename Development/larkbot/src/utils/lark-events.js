@@ -0,0 +1,217 @@
+/**
+ * Lark event subscription helpers: payload decryption, request signatures and
+ * normalization of the v1 (type: event_callback) and v2 (schema: 2.0) envelopes
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Error raised for requests that cannot be decoded or fail verification
+ */
+class LarkEventError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'LarkEventError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Decrypts an `encrypt` payload (AES-256-CBC, key = sha256(Encrypt Key), IV = first 16 bytes)
+ * @param {string} encrypted - Base64 payload from the `encrypt` field
+ * @param {string} encryptKey - The app's Encrypt Key
+ * @returns {Object} Decrypted JSON payload
+ */
+function decryptPayload(encrypted, encryptKey) {
+  try {
+    const key = crypto.createHash('sha256').update(encryptKey).digest();
+    const data = Buffer.from(encrypted, 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-cbc', key, data.subarray(0, 16));
+    const plain = Buffer.concat([decipher.update(data.subarray(16)), decipher.final()]).toString('utf8');
+    return JSON.parse(plain);
+  } catch (error) {
+    throw new LarkEventError(`Failed to decrypt Lark payload: ${error.message}`);
+  }
+}
+
+/**
+ * Encrypts a payload the way Lark does (used by tests and local tooling)
+ * @param {Object} payload - JSON payload
+ * @param {string} encryptKey - The app's Encrypt Key
+ * @returns {string} Base64 value for the `encrypt` field
+ */
+function encryptPayload(payload, encryptKey) {
+  const key = crypto.createHash('sha256').update(encryptKey).digest();
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+  return Buffer.concat([iv, encrypted]).toString('base64');
+}
+
+/**
+ * Computes the X-Lark-Signature header: sha256(timestamp + nonce + encryptKey + body)
+ * (legacy card callbacks use sha1 with the Verification Token instead of the Encrypt Key)
+ * @param {string} timestamp - X-Lark-Request-Timestamp header
+ * @param {string} nonce - X-Lark-Request-Nonce header
+ * @param {string} key - The app's Encrypt Key (or Verification Token for legacy card callbacks)
+ * @param {string} rawBody - Request body exactly as received
+ * @param {string} algorithm - Hash algorithm (default: sha256)
+ * @returns {string} Hex signature
+ */
+function computeSignature(timestamp, nonce, key, rawBody, algorithm = 'sha256') {
+  return crypto.createHash(algorithm)
+    .update(timestamp + nonce + key + rawBody)
+    .digest('hex');
+}
+
+/**
+ * Compares signatures in constant time
+ * @returns {boolean} True if they match
+ */
+function signaturesMatch(received, expected) {
+  const a = Buffer.from(String(received));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Rejects requests whose signed timestamp is too far from now, so captured requests cannot be replayed
+ * @param {string} timestamp - X-Lark-Request-Timestamp header (unix seconds)
+ * @param {number} maxAgeSeconds - Largest accepted difference from the current time
+ * @param {number} now - Current time in ms
+ */
+function assertFreshTimestamp(timestamp, maxAgeSeconds, now) {
+  const seconds = Number(timestamp);
+  if (!Number.isFinite(seconds) || Math.abs(now / 1000 - seconds) > maxAgeSeconds) {
+    throw new LarkEventError('Request timestamp is too old or invalid', 401);
+  }
+}
+
+/**
+ * Normalizes a (decrypted) payload from either schema
+ * @param {Object} payload - Event or callback payload
+ * @returns {Object} { schema, type, challenge, token, eventId, eventType, createTime, event, payload }
+ *   type is 'url_verification', 'event_callback' or 'card_action'
+ */
+function normalizePayload(payload) {
+  if (payload.type === 'url_verification') {
+    return {
+      schema: '1.0',
+      type: 'url_verification',
+      challenge: payload.challenge,
+      token: payload.token,
+      payload
+    };
+  }
+
+  if (payload.schema === '2.0') {
+    const header = payload.header || {};
+    return {
+      schema: '2.0',
+      type: header.event_type === 'card.action.trigger' ? 'card_action' : 'event_callback',
+      token: header.token,
+      eventId: header.event_id,
+      eventType: header.event_type,
+      createTime: header.create_time,
+      event: payload.event || {},
+      payload
+    };
+  }
+
+  // v1 card callbacks have no envelope, just the action and who clicked it
+  if (payload.action && payload.open_message_id) {
+    return {
+      schema: '1.0',
+      type: 'card_action',
+      token: payload.token,
+      event: payload,
+      payload
+    };
+  }
+
+  return {
+    schema: '1.0',
+    type: payload.type,
+    token: payload.token,
+    eventId: payload.uuid,
+    eventType: payload.event?.type,
+    createTime: payload.ts,
+    event: payload.event || {},
+    payload
+  };
+}
+
+/**
+ * Decodes a Lark request: verifies the signature, decrypts `encrypt` payloads,
+ * checks the verification token and normalizes the envelope
+ * @param {Object} request - Request parts
+ * @param {string} request.rawBody - Body exactly as received
+ * @param {Object} request.headers - Lowercased request headers
+ * @param {Object} options - App credentials
+ * @param {string} options.encryptKey - Encrypt Key (needed for encrypted and signed requests)
+ * @param {string} options.verificationToken - Verification Token (checked when set)
+ * @param {boolean} options.verify - Check the signature, timestamp and token (default: true)
+ * @param {number} options.maxAgeSeconds - Oldest signed request accepted (default: 300)
+ * @param {number} options.now - Current time in ms (default: Date.now())
+ * @returns {Object} Normalized event (see normalizePayload)
+ */
+function decodeLarkRequest({ rawBody, headers = {} }, {
+  encryptKey, verificationToken, verify = true, maxAgeSeconds = 300, now = Date.now()
+} = {}) {
+  let body;
+  try {
+    body = JSON.parse(rawBody);
+  } catch (error) {
+    throw new LarkEventError('Invalid JSON body');
+  }
+
+  let payload = body;
+  if (body.encrypt) {
+    if (!encryptKey) {
+      throw new LarkEventError('Received an encrypted Lark payload but LARK_ENCRYPT_KEY is not configured', 500);
+    }
+    payload = decryptPayload(body.encrypt, encryptKey);
+  }
+
+  const decoded = normalizePayload(payload);
+  if (!verify) return decoded;
+
+  const signature = headers['x-lark-signature'];
+  const timestamp = headers['x-lark-request-timestamp'];
+  const nonce = headers['x-lark-request-nonce'];
+
+  if (decoded.type === 'card_action' && decoded.schema === '1.0') {
+    // Legacy card callbacks are never encrypted and are signed with the Verification Token
+    if (signature && verificationToken) {
+      const expected = computeSignature(timestamp, nonce, verificationToken, rawBody, 'sha1');
+      if (!signaturesMatch(signature, expected)) {
+        throw new LarkEventError('Invalid signature', 401);
+      }
+      assertFreshTimestamp(timestamp, maxAgeSeconds, now);
+    }
+  } else if (encryptKey && (signature || decoded.type !== 'url_verification')) {
+    // Lark signs requests once an Encrypt Key is set; the URL verification challenge is not signed
+    if (!signature || !timestamp || !nonce) {
+      throw new LarkEventError('Missing required signature headers', 401);
+    }
+    if (!signaturesMatch(signature, computeSignature(timestamp, nonce, encryptKey, rawBody))) {
+      throw new LarkEventError('Invalid signature', 401);
+    }
+    assertFreshTimestamp(timestamp, maxAgeSeconds, now);
+  }
+
+  if (verificationToken && decoded.token !== verificationToken) {
+    throw new LarkEventError('Invalid verification token', 401);
+  }
+
+  return decoded;
+}
+
+module.exports = {
+  LarkEventError,
+  decryptPayload,
+  encryptPayload,
+  computeSignature,
+  normalizePayload,
+  decodeLarkRequest
+};
@@ -1,6 +1,29 @@
 const winston = require('winston');
 const path = require('path');
 const config = require('../config');
+const { createRedactor } = require('./redact');
+
+const redactor = createRedactor({
+  fields: config.privacy.redactFields,
+  patterns: config.privacy.redactPatterns
+});
+
+/**
+ * Masks PII (denylisted fields, emails, phone numbers, addresses) in the message and metadata
+ * of every log entry before any transport sees it
+ */
+const redactFormat = winston.format((info) => {
+  if (!config.privacy.redactLogs) return info;
+
+  const redacted = Object.fromEntries(Object.keys(info)
+    .filter((key) => key !== 'level' && key !== 'timestamp')
+    .map((key) => [key, key === 'message' && typeof info.message === 'string'
+      ? redactor.redactText(info.message)
+      : redactor.redact(info[key])]));
+
+  // Winston keeps its own (symbol) keys on the same object, so it is updated in place
+  return Object.assign(info, redacted);
+});
 
 /**
  * Creates a Winston logger instance with appropriate transports and formatting
@@ -75,7 +98,7 @@ const createLogger = () => {
   // Create and return logger
   return winston.createLogger({
     level: config.app.logLevel,
-    format: logFormat,
+    format: winston.format.combine(redactFormat(), logFormat),
     transports,
     exitOnError: false
   });
@@ -97,7 +120,8 @@ logger.logApiRequest = (service, method, url, data = {}) => {
       service,
       method,
       url,
-      data: typeof data === 'object' ? JSON.stringify(data) : data
+      // Serialised here, so redacted here too
+      data: typeof data === 'object' ? JSON.stringify(config.privacy.redactLogs ? redactor.redact(data) : data) : data
     });
   }
 };
@@ -0,0 +1,147 @@
+/**
+ * PII redaction for logs and exports
+ *
+ * Values are masked when their key matches the field denylist (PIC name and contact number, store
+ * address, emails, phones, credentials) and free text is scrubbed with email, phone and street address
+ * patterns. Redaction returns copies; the objects passed in are never modified.
+ */
+
+const REDACTED = '[REDACTED]';
+
+// Intercom object types that describe a person; their `name` is masked along with the denylist
+const PERSON_TYPES = ['contact', 'user', 'lead'];
+
+const STREET_WORDS = 'street|st|road|rd|avenue|ave|boulevard|blvd|lane|ln|drive|dr|highway|hwy';
+const STREET_PREFIXES = 'jalan|jln|lorong|persiaran';
+// "12 ", "No. 5, ", "12-3A "
+const HOUSE_NUMBER = '\\b(?:no\\.?\\s*)?\\d{1,5}[a-z]?(?:[-/]\\d{1,5}[a-z]?)?,?\\s+';
+
+const PATTERNS = {
+  email: {
+    regex: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+    replace: () => '[EMAIL]'
+  },
+  // Needs a leading + or separators between digit groups, so bare IDs and timestamps are left alone
+  phone: {
+    regex: /(?:\+\d{1,3}[\s-]?)?(?:\(\d{1,4}\)[\s-]?)?\d{2,4}(?:[\s-]\d{2,4}){1,3}\b|\+\d{8,15}\b/g,
+    replace: (match) => {
+      const digits = match.replace(/\D/g, '').length;
+      const isDate = /^\d{4}-\d{1,2}-\d{1,2}/.test(match);
+      return digits >= 8 && digits <= 15 && !isDate ? '[PHONE]' : match;
+    }
+  },
+  // "12 Main Street", "No. 5, Jalan Ampang", "Lorong Maarof 3"
+  address: {
+    regex: new RegExp(
+      `(?:${HOUSE_NUMBER})?\\b(?:${STREET_PREFIXES})\\s+[\\w'.-]+(?:\\s+\\d{1,5}[a-z]?\\b)?`
+      + `|${HOUSE_NUMBER}(?:[\\w'.-]+\\s+){0,4}(?:${STREET_WORDS})\\b\\.?`,
+      'gi'
+    ),
+    replace: () => '[ADDRESS]'
+  }
+};
+
+// Keys are compared lowercased with spaces, punctuation and emoji removed ("🆔 PIC Name" -> "picname")
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const isPlainObject = (value) => {
+  if (!value || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+/**
+ * Masks a sensitive value but keeps enough to recognise it: the first letter and domain of an email,
+ * the last 3 digits of a phone number. Anything else becomes [REDACTED].
+ * @param {*} value - Value of a denylisted field
+ * @returns {string} Masked value
+ */
+function partialMask(value) {
+  const text = String(value);
+
+  const email = text.match(/^([^@\s])[^@\s]*(@[^@\s]+)$/);
+  if (email) return `${email[1]}***${email[2]}`;
+
+  const digits = text.replace(/\D/g, '').length;
+  if (/^[\d\s()+.-]+$/.test(text) && digits >= 7) {
+    let seen = 0;
+    return text.replace(/\d/g, (digit) => {
+      seen++;
+      return seen > digits - 3 ? digit : '*';
+    });
+  }
+
+  return REDACTED;
+}
+
+/**
+ * Creates a redactor
+ * @param {Object} options - Redaction options
+ * @param {Array<string>} options.fields - Denylisted keys; a key containing any of them is masked
+ * @param {Array<string>} options.patterns - Free-text patterns to apply: 'email', 'phone', 'address'
+ * @param {Function} options.mask - Masks a denylisted value (default: always [REDACTED])
+ * @returns {Object} { redact(value), redactText(text), isSensitiveKey(key) }
+ */
+function createRedactor({ fields = [], patterns = [], mask = () => REDACTED } = {}) {
+  const terms = fields.map(normalizeKey).filter(Boolean);
+  const active = patterns.map((name) => {
+    if (!PATTERNS[name]) {
+      throw new Error(`Unknown redaction pattern "${name}" (expected ${Object.keys(PATTERNS).join(', ')})`);
+    }
+    return PATTERNS[name];
+  });
+
+  const isSensitiveKey = (key) => {
+    const normalized = normalizeKey(key);
+    return terms.some((term) => normalized.includes(term));
+  };
+
+  const redactText = (text) => active.reduce((result, { regex, replace }) => result.replace(regex, replace), text);
+
+  const maskLeaf = (value) => {
+    if (value === null || value === undefined || typeof value === 'boolean' || value === '') return value;
+    return mask(value);
+  };
+
+  const walk = (value, sensitive, seen) => {
+    if (typeof value === 'string') return sensitive ? maskLeaf(value) : redactText(value);
+    if (typeof value === 'number' || typeof value === 'bigint') return sensitive ? maskLeaf(value) : value;
+
+    if (Array.isArray(value) || isPlainObject(value)) {
+      if (seen.has(value)) return '[Circular]';
+      seen.add(value);
+
+      let result;
+      if (Array.isArray(value)) {
+        result = value.map((item) => walk(item, sensitive, seen));
+      } else {
+        const isPerson = PERSON_TYPES.includes(value.type);
+        result = {};
+        Object.entries(value).forEach(([key, item]) => {
+          const sensitiveKey = sensitive || isSensitiveKey(key) || (isPerson && key === 'name');
+          result[key] = walk(item, sensitiveKey, seen);
+        });
+      }
+
+      seen.delete(value);
+      return result;
+    }
+
+    // Errors, dates, buffers and class instances are left to their own serialisation
+    return value;
+  };
+
+  return {
+    redact: (value) => walk(value, false, new WeakSet()),
+    redactText: (text) => redactText(String(text)),
+    isSensitiveKey
+  };
+}
+
+module.exports = {
+  REDACTED,
+  PATTERNS,
+  createRedactor,
+  partialMask,
+  normalizeKey
+};
@@ -0,0 +1,296 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../config');
+const logger = require('./logger');
+
+// Intercom timestamps are unix seconds; mock data uses milliseconds
+const toSeconds = (timestamp) => (timestamp > 1e12 ? Math.floor(timestamp / 1000) : timestamp || 0);
+
+const toWhere = (clauses) => (clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '');
+
+// Columns tickets can be ordered and filtered on
+const TIME_FIELDS = ['created_at', 'updated_at'];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS tickets (
+    id TEXT PRIMARY KEY,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    ticket TEXT NOT NULL,
+    mirrored_at INTEGER NOT NULL,
+    source TEXT
+  );
+  CREATE INDEX IF NOT EXISTS tickets_created_at ON tickets (created_at, id);
+  CREATE INDEX IF NOT EXISTS tickets_updated_at ON tickets (updated_at, id);
+  CREATE TABLE IF NOT EXISTS parts (
+    ticket_id TEXT NOT NULL,
+    id TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    part TEXT NOT NULL,
+    PRIMARY KEY (ticket_id, id)
+  );
+`;
+
+/**
+ * Ticket Database
+ * SQLite file holding mirrored tickets (with their custom attributes) and their conversation parts
+ * under the data directory. Each write only touches the rows it changes, and reads go to disk, so
+ * neither the memory used nor the cost of a webhook grows with the size of the mirror.
+ */
+class TicketDatabase {
+  /**
+   * @param {string} name - Database name, used as the file name
+   * @param {Object} options - Database options
+   * @param {string} options.dir - Directory holding the file (default: config.storage.dataDir)
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.dir = options.dir || config.storage.dataDir;
+    this.filePath = path.join(this.dir, `${name}.db`);
+    this.db = null;
+    this.statements = null;
+  }
+
+  /**
+   * Opens the database, creating it if needed (only once)
+   * @returns {TicketDatabase} This database
+   */
+  open() {
+    if (this.db) return this;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      get: this.db.prepare('SELECT * FROM tickets WHERE id = ?'),
+      getUpdatedAt: this.db.prepare('SELECT updated_at FROM tickets WHERE id = ?'),
+      putTicket: this.db.prepare(`
+        INSERT OR REPLACE INTO tickets (id, created_at, updated_at, ticket, mirrored_at, source)
+        VALUES (@id, @createdAt, @updatedAt, @ticket, @mirroredAt, @source)
+      `),
+      putPart: this.db.prepare(
+        'INSERT OR REPLACE INTO parts (ticket_id, id, created_at, part) VALUES (?, ?, ?, ?)'
+      ),
+      parts: this.db.prepare('SELECT part FROM parts WHERE ticket_id = ? ORDER BY created_at, rowid'),
+      deleteTicket: this.db.prepare('DELETE FROM tickets WHERE id = ?'),
+      deleteParts: this.db.prepare('DELETE FROM parts WHERE ticket_id = ?'),
+      ids: this.db.prepare('SELECT id FROM tickets').pluck(),
+      count: this.db.prepare('SELECT COUNT(*) FROM tickets').pluck()
+    };
+
+    this.importJsonStore();
+    return this;
+  }
+
+  /**
+   * Imports the JSON file earlier versions kept the mirror in, then renames it out of the way
+   */
+  importJsonStore() {
+    const jsonPath = path.join(this.dir, `${this.name}.json`);
+    if (!fs.existsSync(jsonPath) || this.count() > 0) return;
+
+    try {
+      const records = Object.values(JSON.parse(fs.readFileSync(jsonPath, 'utf8')));
+      this.db.transaction(() => records.forEach((record) => this.put(record)))();
+      fs.renameSync(jsonPath, `${jsonPath}.imported`);
+      logger.info(`📦 Imported ${records.length} tickets from ${path.basename(jsonPath)}`);
+    } catch (error) {
+      logger.logError(`TicketDatabase.import.${this.name}`, error, { jsonPath });
+    }
+  }
+
+  /**
+   * Converts a row to a mirror record
+   */
+  toRecord(row, { includeParts = true } = {}) {
+    return {
+      id: row.id,
+      ticket: JSON.parse(row.ticket),
+      parts: includeParts ? this.getParts(row.id) : [],
+      updatedAt: row.updated_at,
+      mirroredAt: row.mirrored_at,
+      source: row.source
+    };
+  }
+
+  /**
+   * Gets a ticket
+   * @param {string} id - Ticket ID
+   * @returns {Object|null} { id, ticket, parts, updatedAt, mirroredAt, source }, or null if not stored
+   */
+  get(id) {
+    const row = this.open().statements.get.get(id);
+    return row ? this.toRecord(row) : null;
+  }
+
+  /**
+   * Gets when a stored ticket was last updated in Intercom
+   * @param {string} id - Ticket ID
+   * @returns {number|null} Unix seconds, or null if not stored
+   */
+  getUpdatedAt(id) {
+    const row = this.open().statements.getUpdatedAt.get(id);
+    return row ? row.updated_at : null;
+  }
+
+  /**
+   * Gets a ticket's conversation parts, oldest first
+   * @param {string} id - Ticket ID
+   * @returns {Array<Object>} Parts
+   */
+  getParts(id) {
+    return this.open().statements.parts.all(id).map((row) => JSON.parse(row.part));
+  }
+
+  /**
+   * Stores a ticket and adds (or replaces) the given conversation parts; parts already stored are kept
+   * @param {Object} record - { id, ticket, parts, updatedAt, mirroredAt, source }
+   */
+  put({
+    id, ticket, parts = [], updatedAt, mirroredAt, source
+  }) {
+    const { statements } = this.open();
+
+    this.db.transaction(() => {
+      statements.putTicket.run({
+        id,
+        createdAt: toSeconds(ticket.created_at),
+        updatedAt,
+        ticket: JSON.stringify(ticket),
+        mirroredAt,
+        source: source || null
+      });
+      parts.forEach((part) => {
+        statements.putPart.run(id, String(part.id), toSeconds(part.created_at), JSON.stringify(part));
+      });
+    })();
+  }
+
+  /**
+   * Deletes a ticket and its parts
+   * @param {string} id - Ticket ID
+   * @returns {boolean} True if a ticket was removed
+   */
+  delete(id) {
+    const { statements } = this.open();
+    return this.db.transaction(() => {
+      statements.deleteParts.run(id);
+      return statements.deleteTicket.run(id).changes > 0;
+    })();
+  }
+
+  /**
+   * Lists tickets newest first, optionally within a time range
+   * @param {Object} options - Query options
+   * @param {string} options.field - 'created_at' or 'updated_at' (default: created_at)
+   * @param {number} options.since - Only tickets whose `field` is at or after this (unix seconds)
+   * @param {number} options.until - Only tickets whose `field` is before this (unix seconds)
+   * @param {number} options.offset - Tickets to skip (default: 0)
+   * @param {number} options.limit - Maximum number of tickets (default: all)
+   * @param {boolean} options.includeParts - Include conversation parts (default: false)
+   * @returns {Iterable<Object>} Records, read from disk as they are iterated. Finish iterating without
+   *   awaiting anything: the connection cannot write until the iteration ends.
+   */
+  * query({
+    field = 'created_at', since = null, until = null, offset = 0, limit = -1, includeParts = false
+  } = {}) {
+    const { clauses, params } = this.buildRange(field, since, until);
+    const statement = this.open().db.prepare(
+      `SELECT * FROM tickets ${toWhere(clauses)} ORDER BY ${field} DESC, id DESC LIMIT ? OFFSET ?`
+    );
+
+    for (const row of statement.iterate(...params, limit, offset)) {
+      yield this.toRecord(row, { includeParts });
+    }
+  }
+
+  /**
+   * Reads one page of tickets newest first, continuing after the last ticket of the previous page
+   * Seeks through the index instead of skipping rows, so every page costs the same however deep it is.
+   * @param {Object} options - Query options (field, since, until and includeParts as for query)
+   * @param {Object} options.after - { value, id } of the previous page's last ticket (default: first page)
+   * @param {number} options.limit - Page size
+   * @returns {Object} { records, after } where after is null once there are no more tickets
+   */
+  page({
+    field = 'created_at', since = null, until = null, after = null, limit, includeParts = false
+  }) {
+    const { clauses, params } = this.buildRange(field, since, until);
+    if (after) {
+      clauses.push(`(${field} < ? OR (${field} = ? AND id < ?))`);
+      params.push(after.value, after.value, after.id);
+    }
+
+    const rows = this.open().db.prepare(
+      `SELECT * FROM tickets ${toWhere(clauses)} ORDER BY ${field} DESC, id DESC LIMIT ?`
+    ).all(...params, limit);
+    const last = rows[rows.length - 1];
+
+    return {
+      records: rows.map((row) => this.toRecord(row, { includeParts })),
+      after: rows.length === limit ? { value: last[field], id: last.id } : null
+    };
+  }
+
+  /**
+   * Counts tickets within a time range (see query)
+   * @returns {number} Number of tickets
+   */
+  countRange({ field = 'created_at', since = null, until = null } = {}) {
+    const { clauses, params } = this.buildRange(field, since, until);
+    return this.open().db.prepare(`SELECT COUNT(*) FROM tickets ${toWhere(clauses)}`).pluck().get(...params);
+  }
+
+  /**
+   * Builds the conditions of a time range query
+   * @returns {Object} { clauses, params }
+   */
+  buildRange(field, since, until) {
+    if (!TIME_FIELDS.includes(field)) {
+      throw Object.assign(new Error(`Tickets can only be ordered by ${TIME_FIELDS.join(' or ')}`), {
+        statusCode: 400
+      });
+    }
+
+    const clauses = [];
+    const params = [];
+    if (since !== null) {
+      clauses.push(`${field} >= ?`);
+      params.push(since);
+    }
+    if (until !== null) {
+      clauses.push(`${field} < ?`);
+      params.push(until);
+    }
+    return { clauses, params };
+  }
+
+  /**
+   * @returns {Array<string>} IDs of every stored ticket
+   */
+  ids() {
+    return this.open().statements.ids.all();
+  }
+
+  /**
+   * @returns {number} Number of stored tickets
+   */
+  count() {
+    return this.open().statements.count.get();
+  }
+
+  /**
+   * Closes the database (it is reopened on the next call)
+   */
+  close() {
+    if (!this.db) return;
+    this.db.close();
+    this.db = null;
+    this.statements = null;
+  }
+}
+
+module.exports = TicketDatabase;
@@ -0,0 +1,354 @@
+/**
+ * Deterministic ticket metrics computed from Intercom conversations and tickets
+ *
+ * Timings come from conversation part timestamps (falling back to Intercom's `statistics` when a
+ * payload has no parts), sentiment from a small support-oriented lexicon and similarity from
+ * TF-IDF cosine over cleaned message bodies. Nothing here calls an API or depends on the clock.
+ */
+
+// Parts that count as a reply to the customer (notes and assignments do not)
+const RESPONSE_PART_TYPES = ['comment', 'quick_reply'];
+const CUSTOMER_AUTHORS = ['user', 'lead', 'contact'];
+
+// Word -> weight; negative words outnumber positive ones because support conversations skew that way
+const SENTIMENT_LEXICON = {
+  thanks: 2,
+  thank: 2,
+  appreciate: 2,
+  great: 3,
+  good: 2,
+  excellent: 3,
+  awesome: 3,
+  amazing: 3,
+  perfect: 3,
+  love: 3,
+  happy: 2,
+  glad: 2,
+  pleased: 2,
+  satisfied: 2,
+  helpful: 2,
+  wonderful: 3,
+  fantastic: 3,
+  nice: 1,
+  quick: 1,
+  fast: 1,
+  smooth: 1,
+  resolved: 2,
+  fixed: 2,
+  works: 1,
+  working: 1,
+  bad: -2,
+  terrible: -3,
+  awful: -3,
+  horrible: -3,
+  worst: -3,
+  hate: -3,
+  angry: -3,
+  upset: -2,
+  annoyed: -2,
+  frustrated: -2,
+  frustrating: -2,
+  disappointed: -2,
+  disappointing: -2,
+  unhappy: -2,
+  unacceptable: -3,
+  ridiculous: -3,
+  useless: -3,
+  poor: -2,
+  slow: -1,
+  delay: -1,
+  delayed: -1,
+  late: -1,
+  waiting: -1,
+  stuck: -2,
+  broken: -2,
+  error: -2,
+  errors: -2,
+  fail: -2,
+  failed: -2,
+  failing: -2,
+  crash: -2,
+  crashed: -2,
+  wrong: -2,
+  problem: -1,
+  issue: -1,
+  complaint: -2,
+  refund: -1,
+  cancel: -1,
+  urgent: -1
+};
+
+const NEGATORS = new Set(['not', 'no', 'never', 'without', 'hardly', 'cannot']);
+// A negator flips words this many tokens after it ("not working", "never fixed properly")
+const NEGATION_WINDOW = 2;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'if', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with', 'from',
+  'is', 'are', 'was', 'were', 'be', 'been', 'am', 'do', 'does', 'did', 'have', 'has', 'had', 'it', 'its',
+  'this', 'that', 'these', 'those', 'i', 'me', 'my', 'we', 'our', 'you', 'your', 'he', 'she', 'they',
+  'them', 'their', 'as', 'so', 'can', 'could', 'would', 'should', 'will', 'just', 'please', 'hi', 'hello',
+  'thanks', 'thank', 'regards', 'there', 'here', 'what', 'when', 'how', 'any', 'all', 'also', 'not', 'no'
+]);
+
+// Intercom timestamps are unix seconds; mock data uses milliseconds
+const toSeconds = (timestamp) => (timestamp > 1e12 ? Math.floor(timestamp / 1000) : timestamp || 0);
+
+/**
+ * Gets the parts of a conversation or ticket, oldest first
+ * @param {Object} item - Intercom conversation (conversation_parts) or ticket (ticket_parts)
+ * @returns {Array} Parts
+ */
+function getParts(item) {
+  const parts = item.conversation_parts?.conversation_parts || item.ticket_parts?.ticket_parts || [];
+  return [...parts].sort((a, b) => toSeconds(a.created_at) - toSeconds(b.created_at));
+}
+
+/**
+ * Strips HTML, URLs and email addresses from a message body and lowercases it
+ * @param {string} text - Raw body (Intercom bodies are HTML)
+ * @returns {string} Cleaned text
+ */
+function cleanText(text) {
+  return String(text || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&[a-z]+;|&#\d+;/gi, ' ')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/\S+@\S+\.\S+/g, ' ')
+    .toLowerCase()
+    .replace(/n['’]t\b/g, ' not')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Splits cleaned text into word tokens (letters and digits in any script)
+ */
+function tokenize(text) {
+  return cleanText(text).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Collects the text of a conversation or ticket
+ * @param {Object} item - Intercom conversation or ticket
+ * @param {Object} options - Text options
+ * @param {Array<string>} options.authors - Only include messages by these author types (default: everyone)
+ * @returns {string} Title, opening message and comment bodies joined together
+ */
+function getConversationText(item, { authors } = {}) {
+  const byAuthor = (author) => !authors || authors.includes(author?.type);
+  const texts = [];
+
+  if (!authors) {
+    texts.push(item.title, item.subject, item.ticket_attributes?._default_title_);
+  }
+  if (byAuthor(item.source?.author)) {
+    texts.push(item.source?.subject, item.source?.body);
+  }
+  if (!authors || authors.some((author) => CUSTOMER_AUTHORS.includes(author))) {
+    texts.push(item.ticket_attributes?._default_description_);
+  }
+
+  getParts(item)
+    .filter((part) => RESPONSE_PART_TYPES.includes(part.part_type) && byAuthor(part.author))
+    .forEach((part) => texts.push(part.body));
+
+  return texts.filter(Boolean).map(cleanText).join(' ');
+}
+
+const isCustomerMessage = (part) => part.part_type === 'comment' && CUSTOMER_AUTHORS.includes(part.author?.type);
+const isClose = (part) => part.part_type === 'close' || part.ticket_state === 'resolved';
+
+/**
+ * Seconds from the customer's first message to the first admin reply
+ * @param {Object} item - Intercom conversation or ticket
+ * @returns {number|null} Seconds, or null if nobody has replied yet
+ */
+function firstResponseSeconds(item) {
+  const parts = getParts(item);
+  let start = toSeconds(item.created_at);
+
+  // Outbound conversations start when the customer first writes back
+  if (item.source?.author?.type === 'admin') {
+    const firstMessage = parts.find(isCustomerMessage);
+    if (!firstMessage) return null;
+    start = toSeconds(firstMessage.created_at);
+  }
+
+  const reply = parts.find((part) => RESPONSE_PART_TYPES.includes(part.part_type)
+    && part.author?.type === 'admin'
+    && toSeconds(part.created_at) >= start);
+  if (reply) return toSeconds(reply.created_at) - start;
+
+  const repliedAt = toSeconds(item.statistics?.first_admin_reply_at);
+  return parts.length === 0 && repliedAt ? Math.max(repliedAt - start, 0) : null;
+}
+
+/**
+ * Walks the state changes in a conversation's parts
+ * A close is undone by an explicit reopen or by the customer writing again.
+ * @returns {Object} { lastClose, reopens }
+ */
+function traceStateChanges(item) {
+  let lastClose = null;
+  let reopens = 0;
+
+  getParts(item).forEach((part) => {
+    if (isClose(part)) {
+      lastClose = toSeconds(part.created_at);
+    } else if (lastClose !== null && (part.part_type === 'open' || isCustomerMessage(part))) {
+      lastClose = null;
+      reopens++;
+    }
+  });
+
+  return { lastClose, reopens };
+}
+
+/**
+ * Seconds from creation to the close that resolved the conversation (the last one)
+ * @param {Object} item - Intercom conversation or ticket
+ * @returns {number|null} Seconds, or null if it is still open
+ */
+function resolutionSeconds(item) {
+  const state = item.ticket_state || item.state;
+  if (state && !['closed', 'resolved'].includes(state)) return null;
+
+  const created = toSeconds(item.created_at);
+  const hasParts = getParts(item).length > 0;
+  const closedAt = hasParts ? traceStateChanges(item).lastClose : toSeconds(item.statistics?.last_close_at);
+
+  return closedAt ? Math.max(closedAt - created, 0) : null;
+}
+
+/**
+ * Counts how many times a conversation was reopened after being closed
+ */
+function countReopens(item) {
+  return traceStateChanges(item).reopens;
+}
+
+/**
+ * Scores text against the sentiment lexicon
+ * @param {string} text - Text to score
+ * @returns {Object} { score, comparative, label, positive, negative }
+ *   score is the sum of word weights, comparative the score per token, label positive/neutral/negative
+ */
+function scoreSentiment(text) {
+  const tokens = tokenize(text);
+  const positive = [];
+  const negative = [];
+  let score = 0;
+  let negatedUntil = -1;
+
+  tokens.forEach((token, index) => {
+    if (NEGATORS.has(token)) {
+      negatedUntil = index + NEGATION_WINDOW;
+      return;
+    }
+
+    const weight = SENTIMENT_LEXICON[token];
+    if (!weight) return;
+
+    const value = index <= negatedUntil ? -weight : weight;
+    score += value;
+    (value > 0 ? positive : negative).push(token);
+  });
+
+  let label = 'neutral';
+  if (score > 0) label = 'positive';
+  if (score < 0) label = 'negative';
+
+  return {
+    score,
+    comparative: tokens.length > 0 ? Math.round((score / tokens.length) * 1000) / 1000 : 0,
+    label,
+    positive,
+    negative
+  };
+}
+
+/**
+ * Builds a TF-IDF index over documents
+ * @param {Array<Object>} documents - [{ id, text }]
+ * @returns {Map} Document ID -> unit-length term weight vector (Map of term -> weight)
+ */
+function buildTfIdfIndex(documents) {
+  const termLists = documents.map((document) => tokenize(document.text)
+    .filter((token) => token.length > 1 && !STOPWORDS.has(token)));
+
+  const documentFrequency = new Map();
+  termLists.forEach((terms) => new Set(terms).forEach((term) => {
+    documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }));
+
+  const index = new Map();
+  documents.forEach((document, i) => {
+    const counts = new Map();
+    termLists[i].forEach((term) => counts.set(term, (counts.get(term) || 0) + 1));
+
+    // Smoothed IDF so terms in every document still count a little
+    const vector = new Map();
+    counts.forEach((count, term) => {
+      const idf = Math.log((1 + documents.length) / (1 + documentFrequency.get(term))) + 1;
+      vector.set(term, (count / termLists[i].length) * idf);
+    });
+
+    const norm = Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+    vector.forEach((weight, term) => vector.set(term, weight / norm));
+    index.set(String(document.id), vector);
+  });
+
+  return index;
+}
+
+/**
+ * Cosine similarity between two unit-length vectors
+ */
+function cosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  small.forEach((weight, term) => {
+    dot += weight * (large.get(term) || 0);
+  });
+  return dot;
+}
+
+/**
+ * Finds the documents most similar to one in the index
+ * @param {Map} index - Index from buildTfIdfIndex
+ * @param {string} id - Document to compare against the others
+ * @param {Object} options - Search options
+ * @param {number} options.limit - Maximum number of matches (default: 3)
+ * @param {number} options.minScore - Minimum cosine similarity (default: 0.1)
+ * @returns {Array<Object>} [{ id, score }], most similar first (ties by ID)
+ */
+function findSimilar(index, id, { limit = 3, minScore = 0.1 } = {}) {
+  const vector = index.get(String(id));
+  if (!vector || vector.size === 0) return [];
+
+  const matches = [];
+  index.forEach((other, otherId) => {
+    if (otherId === String(id)) return;
+    const score = Math.round(cosine(vector, other) * 1000) / 1000;
+    if (score >= minScore) matches.push({ id: otherId, score });
+  });
+
+  return matches
+    .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id))
+    .slice(0, limit);
+}
+
+module.exports = {
+  CUSTOMER_AUTHORS,
+  getParts,
+  cleanText,
+  tokenize,
+  getConversationText,
+  firstResponseSeconds,
+  resolutionSeconds,
+  countReopens,
+  scoreSentiment,
+  buildTfIdfIndex,
+  findSimilar
+};
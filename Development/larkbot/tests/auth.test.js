@@ -0,0 +1,106 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { useTempDataDir } = require('./helpers/data-dir');
+
+const tmpDir = useTempDataDir('auth');
+process.env.API_KEYS = JSON.stringify({
+  'viewer-key': { name: 'dashboard', role: 'viewer' },
+  'admin-key': { name: 'ops', role: 'admin' }
+});
+process.env.JWT_SECRET = 'test-jwt-secret';
+delete process.env.AUTH_ENABLED;
+
+const { authService, auditService, exportService } = require('../src/services');
+const { setupRoutes } = require('../src/routes');
+
+const app = express();
+app.use(express.json());
+setupRoutes(app);
+
+describe('Authentication and roles', () => {
+  beforeAll(async () => {
+    await authService.initialize();
+    await auditService.initialize();
+    exportService.outputDir = tmpDir;
+    await exportService.initialize();
+  });
+
+  afterAll(async () => {
+    await auditService.cleanup();
+    await exportService.cleanup();
+  });
+
+  test('keeps health public and checks credentials and roles everywhere else', async () => {
+    await request(app).get('/health').expect(200);
+
+    const anonymous = await request(app).get('/api/debug/env').expect(401);
+    expect(anonymous.headers['www-authenticate']).toBe('Bearer');
+    await request(app).get('/api/debug/env').set('X-API-Key', 'wrong').expect(401);
+    await request(app).get('/api/debug/env').set('X-API-Key', 'viewer-key').expect(403);
+    await request(app).get('/api/debug/env').set('X-API-Key', 'admin-key').expect(200);
+
+    await request(app).get('/export/files').set('X-API-Key', 'viewer-key').expect(403);
+    await request(app).get('/admin/queue').set('X-API-Key', 'viewer-key').expect(403);
+    // Running SLA clocks name tickets and merchants, so they are not on the public health check
+    await request(app).get('/admin/sla').expect(401);
+    expect((await request(app).get('/health/detailed')).body.sla).toBeUndefined();
+
+    const exporter = jwt.sign({ sub: 'jane', role: 'exporter', name: 'Jane' }, 'test-jwt-secret');
+    await request(app).get('/export/files').set('Authorization', `Bearer ${exporter}`).expect(200);
+    await request(app).delete('/export/cleanup').set('Authorization', `Bearer ${exporter}`).expect(403);
+
+    const forged = jwt.sign({ sub: 'jane', role: 'admin' }, 'default-secret-change-in-production');
+    await request(app).get('/export/files').set('Authorization', `Bearer ${forged}`).expect(401);
+    const expired = jwt.sign({ sub: 'jane', role: 'exporter', exp: 1 }, 'test-jwt-secret');
+    await request(app).get('/export/files').set('Authorization', `Bearer ${expired}`).expect(401);
+  });
+
+  test('records who exported what in the audit log', async () => {
+    const token = authService.issueToken({ sub: 'jane', role: 'exporter', name: 'Jane' });
+
+    const res = await request(app)
+      .post('/export/custom')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        dataType: 'tickets', format: 'ndjson', limit: 3, source: 'intercom'
+      })
+      .expect(200);
+
+    const [entry] = await auditService.list({ actor: 'jwt:jane', action: 'export.' });
+    expect(entry).toMatchObject({
+      actorName: 'Jane',
+      role: 'exporter',
+      method: 'jwt',
+      action: 'export.created',
+      dataType: 'tickets',
+      format: 'ndjson',
+      recordCount: 3,
+      file: res.body.data.filepath
+    });
+
+    const audit = await request(app).get('/admin/audit?action=export.').set('X-API-Key', 'admin-key').expect(200);
+    expect(audit.body.data[0].id).toBe(entry.id);
+  });
+
+  test('lists and serves export files to their owner and admins only', async () => {
+    const jane = authService.issueToken({ sub: 'jane', role: 'exporter', name: 'Jane' });
+    const bob = authService.issueToken({ sub: 'bob', role: 'exporter', name: 'Bob' });
+    const { body } = await request(app)
+      .post('/export/custom')
+      .set('Authorization', `Bearer ${jane}`)
+      .send({ dataType: 'tickets', format: 'ndjson', limit: 1, source: 'intercom' })
+      .expect(200);
+    const file = body.data.filepath;
+    const listed = async (auth) => (await request(app).get('/export/files').set(...auth).expect(200)).body.data
+      .map((item) => item.filename);
+
+    expect(await listed(['Authorization', `Bearer ${jane}`])).toContain(file);
+    expect(await listed(['Authorization', `Bearer ${bob}`])).not.toContain(file);
+    expect(await listed(['X-API-Key', 'admin-key'])).toContain(file);
+
+    await request(app).get(`/export/files/${file}`).set('Authorization', `Bearer ${jane}`).expect(200);
+    await request(app).get(`/export/files/${file}`).set('Authorization', `Bearer ${bob}`).expect(404);
+    await request(app).get(`/export/files/${file}`).set('X-API-Key', 'admin-key').expect(200);
+  });
+});
@@ -0,0 +1,127 @@
+const { useTempDataDir } = require('./helpers/data-dir');
+
+useTempDataDir('base-sync');
+process.env.LARK_BASE_SYNC_ENABLED = 'true';
+process.env.LARK_BASE_APP_TOKEN = 'bascnApp';
+process.env.LARK_BASE_TABLE = 'Tickets';
+
+const larkService = require('../src/services/lark');
+const baseSyncService = require('../src/services/base-sync');
+
+const ticket = (id, state, extra = {}) => ({
+  id,
+  state,
+  created_at: 1704067200,
+  updated_at: 1704070800,
+  custom_attributes: {
+    '🌎 Country': 'Malaysia',
+    'PIC Name': 'Aisyah',
+    'PIC Contact Number': 60123456789,
+    'Express Request - 3 hours Onsite Request': 'Yes'
+  },
+  ...extra
+});
+
+describe('Lark Base sync', () => {
+  // In-memory Base table behind the Bitable endpoints
+  let records;
+  let requests;
+
+  beforeAll(async () => {
+    await baseSyncService.initialize();
+  });
+
+  beforeEach(() => {
+    records = [{ record_id: 'rec_manual', fields: { 'Ticket ID': [{ type: 'text', text: 't0' }], Status: 'open' } }];
+    requests = [];
+
+    jest.spyOn(larkService, 'makeRequest').mockImplementation(async (method, endpoint, data) => {
+      requests.push({ method, endpoint, data });
+      const ok = (payload) => ({ code: 0, data: { has_more: false, ...payload } });
+
+      if (endpoint === '/bitable/v1/apps/bascnApp/tables') {
+        return ok({ items: [{ table_id: 'tblTickets', name: 'Tickets' }] });
+      }
+      if (endpoint.endsWith('/fields')) {
+        // Assigned Agent is a Person column, so it is skipped like the missing ones
+        const types = [
+          ['Ticket ID', 1], ['Status', 3], ['Country', 1], ['PIC Name', 1], ['PIC Contact Number', 13],
+          ['Express', 7], ['Last Event', 1], ['Assigned Agent', 11]
+        ];
+        return ok({ items: types.map(([name, type]) => ({ field_name: name, type })) });
+      }
+      if (endpoint.endsWith('/records/search')) {
+        const wanted = data.filter.conditions.map((condition) => condition.value[0]);
+        const keyOf = ({ fields }) => fields['Ticket ID'].map?.((s) => s.text).join('') ?? fields['Ticket ID'];
+        return ok({ items: records.filter((record) => wanted.includes(keyOf(record))) });
+      }
+      if (endpoint.endsWith('/records/batch_create')) {
+        const created = data.records.map((record, i) => ({ record_id: `rec_${records.length + i}`, ...record }));
+        records.push(...created);
+        return ok({ records: created });
+      }
+      if (endpoint.endsWith('/records/batch_update')) {
+        data.records.forEach((update) => {
+          const record = records.find((item) => item.record_id === update.record_id);
+          record.fields = { ...record.fields, ...update.fields };
+        });
+        return ok({ records: data.records });
+      }
+      throw new Error(`Unexpected request ${method} ${endpoint}`);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await baseSyncService.cleanup();
+  });
+
+  test('upserts routed tickets by Ticket ID in one batch, skipping unknown columns', async () => {
+    await baseSyncService.handleTicketEvent(ticket('t0', 'open'), 'assigned', { routed: true, assignee: 'Ben' });
+    await baseSyncService.handleTicketEvent(ticket('t1', 'open'), 'opened', { routed: true, merchantName: 'Kopi' });
+    // Not routed and never synced: left out
+    await baseSyncService.handleTicketEvent(ticket('t2', 'open'), 'opened', { routed: false });
+
+    expect(await baseSyncService.sync()).toEqual({ created: 1, updated: 1 });
+    expect(requests.filter((r) => r.endpoint.includes('batch_'))).toHaveLength(2);
+
+    expect(records.find((r) => r.record_id === 'rec_manual').fields)
+      .toMatchObject({ Status: 'open', 'Last Event': 'assigned' });
+    expect(records[0].fields).not.toHaveProperty('Assigned Agent');
+    const created = records.find((r) => r.fields['Ticket ID'] === 't1');
+    expect(created.fields).toEqual({
+      'Ticket ID': 't1',
+      Status: 'open',
+      Country: 'Malaysia',
+      'PIC Name': 'Aisyah',
+      'PIC Contact Number': '60123456789',
+      Express: true,
+      'Last Event': 'opened'
+    });
+    expect(baseSyncService.getHealthStatus()).toMatchObject({ table: 'tblTickets', pending: 0, tickets: 2 });
+
+    // Tickets synced before are updated by their stored record ID, without searching again
+    requests = [];
+    await baseSyncService.handleTicketEvent(ticket('t1', 'open'), 'replied', { routed: true });
+    expect(await baseSyncService.sync()).toEqual({ created: 0, updated: 1 });
+    expect(requests.map((r) => r.endpoint.split('/').pop())).toEqual(['batch_update']);
+    expect(created.fields['Last Event']).toBe('replied');
+  });
+
+  test('keeps rows queued when the write fails, then finds them by Ticket ID (even when not routed)', async () => {
+    await baseSyncService.handleTicketEvent(ticket('t1', 'closed'), 'closed', { routed: false });
+
+    larkService.makeRequest.mockResolvedValueOnce({ code: 1254001, msg: 'WrongRequestBody' });
+    await baseSyncService.sync();
+    expect(baseSyncService.getHealthStatus())
+      .toMatchObject({ pending: 1, lastError: expect.stringMatching(/WrongRequestBody/) });
+
+    records.push({ record_id: 'rec_t1', fields: { 'Ticket ID': 't1', Status: 'open' } });
+    expect(await baseSyncService.sync()).toEqual({ created: 0, updated: 1 });
+    expect(records.find((r) => r.record_id === 'rec_t1').fields.Status).toBe('closed');
+    expect(baseSyncService.getHealthStatus().pending).toBe(0);
+  });
+});
@@ -0,0 +1,126 @@
+const request = require('supertest');
+const { useTempDataDir } = require('./helpers/data-dir');
+
+useTempDataDir('card-actions');
+process.env.LARK_VERIFICATION_TOKEN = 'test-verification-token';
+process.env.LARK_ENCRYPT_KEY = 'test-encrypt-key';
+delete process.env.INTERCOM_TOKEN;
+// test-message is admin-only
+process.env.AUTH_ENABLED = 'false';
+
+const larkService = require('../src/services/lark');
+const cardTracker = require('../src/services/card-tracker');
+const { intercomService } = require('../src/services');
+const chatbotService = require('../src/services/chatbot');
+const Application = require('../src/index');
+const webhookRoutes = require('../src/routes/webhook');
+const { computeSignature } = require('../src/utils/lark-events');
+
+// The application's own body parsers, so signed callbacks get the raw body and other routes parsed JSON
+const application = new Application();
+application.setupMiddleware();
+const { app } = application;
+app.use('/webhook', webhookRoutes);
+
+const cardAction = (action, extra = {}) => ({
+  token: 'test-verification-token',
+  open_id: 'ou_agent1',
+  open_message_id: 'om_card',
+  open_chat_id: 'oc_support',
+  action: { value: { action, ticketId: '215470000000001' }, ...extra }
+});
+
+// Resolves with the card once the action has been applied and the card patched
+const cardPatched = () => new Promise((resolve) => {
+  larkService.updateInteractiveCard.mockImplementationOnce(async (messageId, card) => {
+    resolve({ messageId, card });
+    return { message_id: messageId };
+  });
+});
+
+describe('Lark card actions', () => {
+  beforeAll(() => {
+    jest.spyOn(larkService, 'getUserInfo').mockResolvedValue({ name: 'Alice', email: 'agent1@company.com' });
+    jest.spyOn(larkService, 'getUserIdsByEmails').mockResolvedValue({});
+    jest.spyOn(larkService, 'updateInteractiveCard').mockResolvedValue({});
+    jest.spyOn(larkService, 'replyToMessage').mockResolvedValue({});
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await cardTracker.cleanup();
+  });
+
+  test('rejects callbacks with the wrong verification token', async () => {
+    const response = await request(app)
+      .post('/webhook/lark/card-action')
+      .send({ ...cardAction('close'), token: 'wrong' });
+
+    expect(response.status).toBe(401);
+  });
+
+  test('assigns the ticket to the matching Intercom teammate and shows who acted', async () => {
+    const patched = cardPatched();
+    const response = await request(app)
+      .post('/webhook/lark/card-action')
+      .send(cardAction('assign_to_me'));
+
+    // Answered before Intercom is called; the card is patched once the assignment is done
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({});
+    const { messageId, card } = await patched;
+    expect(messageId).toBe('om_card');
+    expect(JSON.stringify(card)).toContain('Alice Smith claimed this ticket via Lark');
+
+    const ticket = await intercomService.getConversation('215470000000001');
+    expect(ticket.admin_assignee_id).toBe('mock_admin_1');
+    expect(await cardTracker.getCard('215470000000001', 'oc_support')).toMatchObject({ messageId: 'om_card' });
+  });
+
+  test('snoozes for the selected duration and answers schema 2.0 callbacks with a toast', async () => {
+    const sendV2 = (action) => {
+      const body = JSON.stringify({
+        schema: '2.0',
+        header: { event_type: 'card.action.trigger', token: 'test-verification-token' },
+        event: {
+          operator: { open_id: 'ou_agent1' },
+          context: { open_message_id: 'om_card', open_chat_id: 'oc_support' },
+          action: { value: { ticketId: '215470000000001', ...action.value }, option: action.option }
+        }
+      });
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      return request(app)
+        .post('/webhook/lark/card-action')
+        .set('Content-Type', 'application/json')
+        .set('X-Lark-Request-Timestamp', timestamp)
+        .set('X-Lark-Request-Nonce', 'nonce')
+        .set('X-Lark-Signature', computeSignature(timestamp, 'nonce', 'test-encrypt-key', body))
+        .send(body);
+    };
+
+    // Mistakes that need no Intercom call are answered with an error toast
+    const missing = await sendV2({ value: { action: 'snooze' } });
+    expect(missing.body.toast).toEqual({ type: 'error', content: 'Pick how long to snooze the ticket for' });
+
+    const patched = cardPatched();
+    const response = await sendV2({ value: { action: 'snooze' }, option: '3600' });
+    expect(response.body).toEqual({ toast: { type: 'info', content: 'Updating the ticket in Intercom…' } });
+    expect(JSON.stringify((await patched).card)).toContain('Alice Smith snoozed this ticket for 1 hour via Lark');
+
+    const ticket = await intercomService.getConversation('215470000000001');
+    expect(ticket.state).toBe('snoozed');
+  });
+
+  test('leaves the JSON body of other Lark routes parsed', async () => {
+    jest.spyOn(chatbotService, 'initialize').mockResolvedValue();
+    jest.spyOn(chatbotService, 'processMessage').mockResolvedValue({ handled: true });
+
+    const response = await request(app)
+      .post('/webhook/lark/test-message')
+      .send({ content: '/help', chatId: 'oc_support' })
+      .expect(200);
+
+    expect(response.body.result).toEqual({ handled: true });
+    expect(chatbotService.processMessage).toHaveBeenCalledWith(expect.objectContaining({ content: '/help' }));
+  });
+});
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonStore = require('../src/utils/json-store');
+const cardTracker = require('../src/services/card-tracker');
+
+describe('Card Tracker', () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cards-'));
+    cardTracker.store = new JsonStore('ticket-cards', { dir: tmpDir, flushDelayMs: 0 });
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('tracks one card per ticket and chat and persists it', async () => {
+    await cardTracker.saveCard('123', 'oc_a', { messageId: 'om_1', state: 'open', eventType: 'opened' });
+    await cardTracker.saveCard('123', 'oc_a', { messageId: 'om_1', state: 'closed', eventType: 'closed' });
+    await cardTracker.saveCard('123', 'oc_b', { messageId: 'om_2', state: 'open', eventType: 'opened' });
+
+    const card = await cardTracker.getCard('123', 'oc_a');
+    expect(card).toMatchObject({ messageId: 'om_1', state: 'closed', lastEventType: 'closed', updates: 1 });
+    expect(await cardTracker.getCardsForTicket('123')).toHaveLength(2);
+
+    await cardTracker.cleanup();
+    const reloaded = new JsonStore('ticket-cards', { dir: tmpDir });
+    await reloaded.load();
+    expect(reloaded.get('123:oc_b').messageId).toBe('om_2');
+  });
+
+  test('prunes cards older than the retention window', async () => {
+    await cardTracker.saveCard('old', 'oc_a', { messageId: 'om_old', state: 'closed', eventType: 'closed' });
+    cardTracker.store.get('old:oc_a').updatedAt = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString();
+
+    expect(cardTracker.prune()).toBe(1);
+    expect(await cardTracker.getCard('old', 'oc_a')).toBeUndefined();
+  });
+});
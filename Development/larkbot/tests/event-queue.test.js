@@ -0,0 +1,75 @@
+const { useTempDataDir } = require('./helpers/data-dir');
+
+useTempDataDir('queue');
+process.env.QUEUE_BACKEND = 'file';
+
+const eventQueue = require('../src/services/event-queue');
+
+const waitFor = async (condition, timeoutMs = 2000) => {
+  const started = Date.now();
+  while (!(await condition())) {
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for condition');
+    await new Promise((resolve) => { setTimeout(resolve, 10); });
+  }
+};
+
+describe('Event Queue', () => {
+  beforeAll(async () => {
+    eventQueue.options = {
+      ...eventQueue.options,
+      pollIntervalMs: 10,
+      maxAttempts: 3,
+      backoffBaseMs: 10,
+      backoffMaxMs: 40
+    };
+    await eventQueue.initialize();
+  });
+
+  afterAll(async () => {
+    await eventQueue.cleanup();
+  });
+
+  test('uses exponential backoff capped at the maximum delay', () => {
+    expect([1, 2, 3, 4].map((attempt) => eventQueue.getBackoffDelay(attempt))).toEqual([10, 20, 40, 40]);
+  });
+
+  test('processes jobs and persists them until completed', async () => {
+    const handled = [];
+    eventQueue.registerHandler('test.ok', async (payload) => { handled.push(payload.n); });
+
+    await eventQueue.enqueue('test.ok', { n: 1 });
+    await eventQueue.enqueue('test.ok', { n: 2 });
+
+    await waitFor(() => handled.length === 2);
+    expect(handled.sort()).toEqual([1, 2]);
+    await waitFor(async () => (await eventQueue.getStats()).pending === 0);
+  });
+
+  test('retries failing jobs, dead-letters them, and supports replay and purge', async () => {
+    let calls = 0;
+    let healthy = false;
+    eventQueue.registerHandler('test.flaky', async () => {
+      calls++;
+      if (!healthy) throw new Error('Lark unavailable');
+    });
+
+    const job = await eventQueue.enqueue('test.flaky', { ticketId: '123' });
+    await waitFor(async () => (await eventQueue.listDeadLetters()).total === 1);
+
+    const [dead] = (await eventQueue.listDeadLetters()).items;
+    expect(calls).toBe(3);
+    expect(dead).toMatchObject({ id: job.id, attempts: 3, lastError: 'Lark unavailable' });
+
+    healthy = true;
+    await eventQueue.replayDeadLetter(job.id);
+    await waitFor(() => calls === 4);
+    await waitFor(async () => (await eventQueue.getStats()).processing === 0);
+    expect((await eventQueue.listDeadLetters()).total).toBe(0);
+
+    healthy = false;
+    await eventQueue.enqueue('test.flaky', { ticketId: '456' });
+    await waitFor(async () => (await eventQueue.listDeadLetters()).total === 1);
+    expect(await eventQueue.purgeDeadLetters()).toBe(1);
+    expect((await eventQueue.listDeadLetters()).total).toBe(0);
+  });
+});
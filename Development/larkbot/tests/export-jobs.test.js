@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonStore = require('../src/utils/json-store');
+const { exportService, exportJobsService, intercomService } = require('../src/services');
+
+const page = (ids, nextCursor) => ({
+  conversations: ids.map((id) => ({ id, state: 'open', created_at: 1704067200 })),
+  totalCount: 4,
+  hasMore: !!nextCursor,
+  nextCursor
+});
+
+const waitFor = async (condition, timeoutMs = 2000) => {
+  const started = Date.now();
+  while (!(await condition())) {
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for condition');
+    await new Promise((resolve) => { setTimeout(resolve, 10); });
+  }
+};
+
+describe('Export Jobs', () => {
+  let tmpDir;
+  let search;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-jobs-'));
+    exportService.outputDir = tmpDir;
+    exportService.owners = new JsonStore('export-owners', { dir: tmpDir, flushDelayMs: 0 });
+    await exportService.initialize();
+
+    exportJobsService.store = new JsonStore('export-jobs', { dir: tmpDir, flushDelayMs: 0 });
+    exportJobsService.options = { ...exportJobsService.options, maxConcurrent: 1, maxQueued: 1 };
+    exportJobsService.isInitialized = false;
+    exportJobsService.useExportSource({ intercomService });
+    await exportJobsService.initialize();
+
+    search = jest.spyOn(intercomService, 'search');
+  });
+
+  afterEach(async () => {
+    search.mockRestore();
+    await exportJobsService.cleanup();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('runs a job in the background, reports progress and serves the finished file', async () => {
+    search
+      .mockResolvedValueOnce(page(['1', '2'], 'c2'))
+      .mockResolvedValueOnce(page(['3', '4'], null));
+
+    const queued = exportJobsService.create({
+      dataType: 'conversations', format: 'ndjson', limit: null, source: 'intercom'
+    });
+    expect(queued.status).toMatch(/queued|running/);
+
+    await waitFor(() => exportJobsService.getJob(queued.id).status === 'completed');
+    const job = exportJobsService.getJob(queued.id);
+    expect(job).toMatchObject({ recordCount: 4, progress: { current: 4, total: 4, page: 2, percent: 100 } });
+    expect(job.downloadUrl).toBe(`/export/files/${job.file}`);
+
+    const file = await exportService.getExportedFile(job.file);
+    expect(fs.readFileSync(file.filepath, 'utf8').trim().split('\n')).toHaveLength(4);
+    expect(await exportService.getExportedFile('../package.json')).toBeNull();
+    expect(await exportService.getExportedFile(`${job.file}.partial`)).toBeNull();
+  });
+
+  test('queues past the concurrency limit and cancels queued and running jobs', async () => {
+    let release;
+    search.mockImplementation(() => new Promise((resolve) => {
+      release = () => resolve(page(['1'], 'next'));
+    }));
+
+    const params = { dataType: 'conversations', format: 'json', source: 'intercom' };
+    const running = exportJobsService.create(params);
+    const waiting = exportJobsService.create(params);
+    expect(waiting).toMatchObject({ status: 'queued', queuePosition: 1 });
+    expect(() => exportJobsService.create(params)).toThrow(expect.objectContaining({ statusCode: 429 }));
+
+    expect(exportJobsService.cancel(waiting.id).status).toBe('cancelled');
+    expect(() => exportJobsService.cancel(waiting.id)).toThrow(expect.objectContaining({ statusCode: 409 }));
+
+    await waitFor(() => !!release);
+    expect(exportJobsService.cancel(running.id).status).toBe('cancelling');
+    release();
+
+    await waitFor(() => exportJobsService.getJob(running.id).status === 'cancelled');
+    expect(fs.readdirSync(tmpDir).filter((name) => name.startsWith('conversations'))).toEqual([]);
+    expect(search).toHaveBeenCalledTimes(1);
+  });
+});
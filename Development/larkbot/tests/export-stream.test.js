@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const exportService = require('../src/services/export');
+const { intercomService } = require('../src/services');
+const phase2 = require('../src/phases/phase2');
+const { planExport, iterateExportPages } = require('../src/services/export-source');
+
+const conversation = (id, tags = []) => ({
+  id,
+  state: 'open',
+  created_at: 1704067200,
+  tags: { tags: tags.map((name) => ({ name })) },
+  conversation_parts: {
+    conversation_parts: [{ id: `${id}_p1`, part_type: 'comment', body: 'Hi', created_at: 1704067300 }]
+  }
+});
+
+async function* pages(...batches) {
+  for (const records of batches) yield { records, scanned: records.length };
+}
+
+describe('Streaming export', () => {
+  let tmpDir;
+
+  beforeAll(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-'));
+    exportService.outputDir = tmpDir;
+    await exportService.initialize();
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('writes pages as NDJSON, JSON and CSV and stops at the limit', async () => {
+    const batches = [[conversation('1'), conversation('2')], [], [conversation('3'), conversation('4')]];
+
+    const ndjson = await exportService.streamExport('conversations', 'ndjson', pages(...batches), { limit: 3 });
+    expect(ndjson).toMatchObject({ recordCount: 3, scanned: 4 });
+    const lines = fs.readFileSync(ndjson.filepath, 'utf8').trim().split('\n').map((line) => JSON.parse(line).id);
+    expect(lines).toEqual(['1', '2', '3']);
+
+    const json = await exportService.streamExport('conversations', 'json', pages(...batches), { metadata: { a: 1 } });
+    const parsed = JSON.parse(fs.readFileSync(json.filepath, 'utf8'));
+    expect(parsed.data.map((item) => item.id)).toEqual(['1', '2', '3', '4']);
+    expect(parsed.metadata).toMatchObject({ totalRecords: 4, format: 'json', a: 1 });
+
+    const empty = await exportService.streamExport('conversations', 'json', pages([]));
+    expect(JSON.parse(fs.readFileSync(empty.filepath, 'utf8')).data).toEqual([]);
+
+    const csv = await exportService.streamExport('conversations', 'csv', pages(...batches));
+    const rows = fs.readFileSync(csv.filepath, 'utf8').trim().split('\n');
+    expect(rows).toHaveLength(5);
+    expect(rows[0].split(',')).toContain('country');
+  });
+
+  test('streams XLSX with parts copied into their own sheet', async () => {
+    const { filepath } = await exportService.streamExport(
+      'conversations', 'xlsx', pages([conversation('1')], [conversation('2')])
+    );
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filepath);
+    expect(workbook.worksheets.map((sheet) => sheet.name)).toEqual(['Conversations', 'Conversation Parts', 'Summary']);
+    expect(workbook.getWorksheet('Conversations').rowCount).toBe(3);
+    expect(workbook.getWorksheet('Conversation Parts').rowCount).toBe(3);
+    expect(workbook.getWorksheet('Summary').getRow(2).values.slice(1)).toEqual(['total', 'conversations', 2]);
+    expect(fs.existsSync(`${filepath}.parts.tmp`)).toBe(false);
+  });
+
+  test('searches Intercom with what it can evaluate and filters the rest page by page', async () => {
+    const search = jest.spyOn(intercomService, 'search')
+      .mockResolvedValueOnce({
+        conversations: [conversation('1', ['vip']), conversation('2')], hasMore: true, nextCursor: 'c2'
+      })
+      .mockResolvedValueOnce({ conversations: [conversation('3', ['vip'])], hasMore: false, nextCursor: null });
+
+    const plan = planExport('conversations', {
+      source: 'intercom',
+      filters: { state: { states: ['open'] }, tags: { tags: ['vip'] } }
+    });
+    expect(plan.execution.map(({ filter, where }) => [filter, where]))
+      .toEqual([['state', 'server'], ['tags', 'client']]);
+
+    const read = [];
+    const options = { perPage: 2, intercomService, phase2 };
+    for await (const page of iterateExportPages('conversations', plan, options)) read.push(page);
+
+    expect(read.map((page) => page.records.map((item) => item.id))).toEqual([['1'], ['3']]);
+    expect(search).toHaveBeenLastCalledWith('conversations', plan.query, { perPage: 2, cursor: 'c2' });
+    search.mockRestore();
+  });
+});
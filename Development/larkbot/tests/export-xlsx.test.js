@@ -0,0 +1,86 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const exportService = require('../src/services/export');
+
+const conversation = (id, state, country, assignee) => ({
+  id,
+  type: 'conversation',
+  state,
+  created_at: 1704067200,
+  updated_at: 1704070800,
+  assignee: assignee ? { id: `admin_${assignee}`, name: assignee } : undefined,
+  custom_attributes: { '🌎 Country': country },
+  conversation_parts: {
+    conversation_parts: [
+      {
+        id: `${id}_p1`,
+        part_type: 'comment',
+        body: '<p>Terminal <b>offline</b></p>',
+        author: { type: 'admin', name: 'Aisha' },
+        created_at: 1704068000
+      }
+    ]
+  }
+});
+
+describe('XLSX export', () => {
+  let tmpDir;
+
+  beforeAll(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-'));
+    exportService.outputDir = tmpDir;
+    await exportService.initialize();
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('writes records, conversation parts and a summary with typed dates and frozen headers', async () => {
+    const filepath = await exportService.exportConversations([
+      conversation('1', 'open', 'Malaysia', 'Aisha'),
+      conversation('2', 'closed', 'Malaysia', null),
+      conversation('3', 'open', 'Thailand', 'Aisha')
+    ], 'xlsx');
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filepath);
+    expect(workbook.worksheets.map((sheet) => sheet.name)).toEqual(['Conversations', 'Conversation Parts', 'Summary']);
+
+    const sheet = workbook.getWorksheet('Conversations');
+    expect(sheet.views[0]).toMatchObject({ state: 'frozen', ySplit: 1 });
+    const header = sheet.getRow(1).values;
+    const createdAt = sheet.getRow(2).getCell(header.indexOf('created_at')).value;
+    expect(createdAt).toBeInstanceOf(Date);
+    expect(createdAt.toISOString()).toBe('2024-01-01T00:00:00.000Z');
+
+    const parts = workbook.getWorksheet('Conversation Parts');
+    expect(parts.rowCount).toBe(4);
+    expect(parts.getRow(2).getCell(parts.getRow(1).values.indexOf('body')).value).toBe('Terminal offline');
+
+    const summary = workbook.getWorksheet('Summary').getSheetValues().slice(2).map((row) => row.slice(1));
+    expect(summary).toEqual([
+      ['total', 'conversations', 3],
+      ['state', 'open', 2],
+      ['state', 'closed', 1],
+      ['country', 'Malaysia', 2],
+      ['country', 'Thailand', 1],
+      ['assignee', 'Aisha', 2],
+      ['assignee', 'Unassigned', 1]
+    ]);
+  });
+
+  test('exports contacts with a summary by role and country', async () => {
+    const filepath = await exportService.exportContacts([
+      { id: 'c1', role: 'user', location: { country: 'Malaysia' }, signed_up_at: 1704067200 },
+      { id: 'c2', role: 'lead', location: {} }
+    ], 'xlsx');
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filepath);
+    expect(workbook.worksheets.map((sheet) => sheet.name)).toEqual(['Contacts', 'Summary']);
+    expect(workbook.getWorksheet('Summary').getRow(5).values.slice(1)).toEqual(['country', 'Malaysia', 1]);
+  });
+});
@@ -0,0 +1,18 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Points DATA_DIR at a fresh temporary directory for one test file and removes it after the file's tests
+ * Call it before requiring anything that loads the config, which reads DATA_DIR once.
+ * @param {string} prefix - Directory name prefix
+ * @returns {string} Directory path
+ */
+function useTempDataDir(prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+  process.env.DATA_DIR = dir;
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+module.exports = { useTempDataDir };
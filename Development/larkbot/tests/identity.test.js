@@ -0,0 +1,60 @@
+const { useTempDataDir } = require('./helpers/data-dir');
+
+useTempDataDir('identity');
+process.env.LARK_IDENTITY_OVERRIDES = JSON.stringify({ admin_3: 'ou_carol', 'Bob@Company.com': 'ou_bob' });
+
+const larkService = require('../src/services/lark');
+const identityService = require('../src/services/identity');
+
+describe('Identity Service', () => {
+  beforeAll(async () => {
+    identityService.useIntercomService({
+      listAdmins: async () => [
+        { id: 'admin_1', name: 'Alice', email: 'alice@company.com' },
+        { id: 'admin_2', name: 'Bob', email: 'bob@company.com' },
+        { id: 'admin_3', name: 'Carol', email: 'carol@company.com' },
+        { id: 'admin_4', name: 'Dave', email: 'dave@company.com' }
+      ]
+    });
+    await identityService.initialize();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await identityService.cleanup();
+  });
+
+  test('matches admins to Lark users by email and caches hits and misses', async () => {
+    const lookup = jest.spyOn(larkService, 'getUserIdsByEmails')
+      .mockImplementation(async ([email]) => (email === 'alice@company.com' ? { [email]: 'ou_alice' } : {}));
+
+    expect(await identityService.getLarkUserIdForAdmin({ id: 'admin_1' })).toBe('ou_alice');
+    expect(await identityService.getLarkUserIdForAdmin({ id: 'admin_1', email: 'Alice@company.com' })).toBe('ou_alice');
+    expect(await identityService.getLarkUserIdForAdmin({ id: 'admin_4' })).toBeNull();
+    expect(await identityService.getLarkUserIdForAdmin({ id: 'admin_4' })).toBeNull();
+    expect(lookup).toHaveBeenCalledTimes(2);
+  });
+
+  test('prefers config overrides by admin ID or email', async () => {
+    const lookup = jest.spyOn(larkService, 'getUserIdsByEmails').mockResolvedValue({});
+
+    expect(await identityService.getLarkUserIdForAdmin({ id: 'admin_3' })).toBe('ou_carol');
+    expect(await identityService.getLarkUserIdForAdmin({ id: 'admin_2', email: 'bob@company.com' })).toBe('ou_bob');
+    expect(lookup).not.toHaveBeenCalled();
+
+    jest.spyOn(larkService, 'getUserInfo').mockResolvedValue({ name: 'Carol L', email: 'carol.l@company.com' });
+    const { admin } = await identityService.getIntercomAdminForLarkUser('ou_carol');
+    expect(admin.id).toBe('admin_3');
+  });
+
+  test('formats mentions for cards and text messages, falling back to the name', async () => {
+    const admin = { id: 'admin_3', name: 'Carol' };
+
+    expect(await identityService.getMention(admin, 'card')).toBe('<at id=ou_carol></at>');
+    expect(await identityService.getMention(admin, 'text')).toBe('<at user_id="ou_carol">Carol</at>');
+    expect(await identityService.getMention({ id: 'admin_4', name: 'Dave' })).toBe('Dave');
+  });
+});
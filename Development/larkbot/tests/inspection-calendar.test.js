@@ -0,0 +1,141 @@
+const { useTempDataDir } = require('./helpers/data-dir');
+
+useTempDataDir('inspection-calendar');
+process.env.LARK_CALENDAR_ENABLED = 'true';
+process.env.LARK_CALENDAR_ID = 'cal_ops';
+process.env.INSPECTION_TIMEZONE = 'Asia/Kuala_Lumpur';
+
+const larkService = require('../src/services/lark');
+const identityService = require('../src/services/identity');
+const inspectionCalendar = require('../src/services/inspection-calendar');
+const { parseAppointment } = require('../src/utils/appointment');
+
+const DAY = 24 * 60 * 60;
+const inDays = (days) => Math.floor(Date.now() / 1000) + days * DAY;
+
+const ticket = (id, appointment, extra = {}) => ({
+  id,
+  state: 'open',
+  admin_assignee_id: 'admin_1',
+  custom_attributes: {
+    'Appointment Date/Time': appointment,
+    'FULL Store Address': '12 Jalan Ampang, Kuala Lumpur',
+    'PIC Name': 'Aisyah',
+    'PIC Contact Number': '60123456789'
+  },
+  ...extra
+});
+
+describe('Inspection calendar', () => {
+  beforeAll(async () => {
+    await inspectionCalendar.initialize();
+  });
+
+  beforeEach(() => {
+    let events = 0;
+    jest.spyOn(larkService, 'createCalendarEvent').mockImplementation(async () => ({ event_id: `evt_${++events}` }));
+    jest.spyOn(larkService, 'updateCalendarEvent').mockResolvedValue({});
+    jest.spyOn(larkService, 'deleteCalendarEvent').mockResolvedValue();
+    jest.spyOn(larkService, 'addCalendarEventAttendees').mockResolvedValue([]);
+    jest.spyOn(identityService, 'getLarkUserIdForAdmin')
+      .mockImplementation(async (admin) => (admin.id ? `ou_${admin.id}` : null));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await inspectionCalendar.cleanup();
+  });
+
+  test('reads appointments in the inspection timezone', () => {
+    const timeZone = 'Asia/Kuala_Lumpur';
+    const at = Date.parse('2026-10-20T06:00:00Z');
+
+    expect(parseAppointment('2026-10-20 14:00', { timeZone })).toEqual({ startAt: at, allDay: false });
+    expect(parseAppointment('20/10/2026 2:00 pm', { timeZone })).toEqual({ startAt: at, allDay: false });
+    expect(parseAppointment('2026-10-20 14:00 +0800', { timeZone })).toEqual({ startAt: at, allDay: false });
+    expect(parseAppointment(at / 1000, { timeZone })).toEqual({ startAt: at, allDay: false });
+    expect(parseAppointment('2026-10-20', { timeZone })).toMatchObject({ allDay: true, date: '2026-10-20' });
+    expect(parseAppointment('31/02/2026 10:00', { timeZone })).toBeNull();
+  });
+
+  test('schedules routed tickets for the assignee, moves them and cancels them on an early close', async () => {
+    const start = inDays(2);
+    await inspectionCalendar.handleTicketEvent(ticket('t1', start), 'assigned', { routed: true, merchantName: 'Kopi' });
+    // Not routed: nothing scheduled
+    await inspectionCalendar.handleTicketEvent(ticket('t2', start), 'opened', { routed: false });
+
+    expect(larkService.createCalendarEvent).toHaveBeenCalledTimes(1);
+    const [calendarId, event] = larkService.createCalendarEvent.mock.calls[0];
+    expect(calendarId).toBe('cal_ops');
+    expect(event).toMatchObject({
+      summary: '🏪 Site inspection: Kopi',
+      start_time: { timestamp: String(start), timezone: 'Asia/Kuala_Lumpur' },
+      end_time: { timestamp: String(start + 3600) },
+      location: { name: 'Kopi', address: '12 Jalan Ampang, Kuala Lumpur' }
+    });
+    expect(event.description).toMatch(/PIC Contact: 60123456789/);
+    expect(event.description).toMatch(/inbox\/conversation\/t1$/);
+    expect(larkService.addCalendarEventAttendees).toHaveBeenCalledWith('cal_ops', 'evt_1', ['ou_admin_1']);
+
+    // Same details again: no calendar call
+    await inspectionCalendar.handleTicketEvent(ticket('t1', start), 'replied', { routed: true, merchantName: 'Kopi' });
+    expect(larkService.updateCalendarEvent).not.toHaveBeenCalled();
+
+    const moved = inDays(3);
+    await inspectionCalendar.handleTicketEvent(ticket('t1', moved), 'replied', { routed: true, merchantName: 'Kopi' });
+    expect(larkService.updateCalendarEvent).toHaveBeenCalledWith('cal_ops', 'evt_1', expect.objectContaining({
+      start_time: expect.objectContaining({ timestamp: String(moved) })
+    }));
+
+    // A new technician gets a fresh event
+    await inspectionCalendar.handleTicketEvent(ticket('t1', moved), 'assigned', {
+      routed: true,
+      merchantName: 'Kopi',
+      assignee: { id: 'admin_2', name: 'Ben' }
+    });
+    expect(larkService.deleteCalendarEvent).toHaveBeenCalledWith('cal_ops', 'evt_1');
+    expect(larkService.addCalendarEventAttendees).toHaveBeenLastCalledWith('cal_ops', 'evt_2', ['ou_admin_2']);
+    expect(inspectionCalendar.getVisit('t1')).toMatchObject({ eventId: 'evt_2', technicianOpenId: 'ou_admin_2' });
+
+    // Closing before the visit cancels it, even when the close is not routed
+    await inspectionCalendar.handleTicketEvent(ticket('t1', moved, { state: 'closed' }), 'closed');
+    expect(larkService.deleteCalendarEvent).toHaveBeenLastCalledWith('cal_ops', 'evt_2');
+    expect(inspectionCalendar.getVisit('t1')).toBeNull();
+  });
+
+  test('schedules from the card date picker, inviting the scheduler when nobody is assigned', async () => {
+    const unassigned = ticket('t3', null, { admin_assignee_id: null });
+
+    await expect(inspectionCalendar.scheduleFromCard(unassigned, '2020-01-01 10:00 +0800'))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const visit = await inspectionCalendar.scheduleFromCard(unassigned, '2099-03-01 10:30 +0800', {
+      merchantName: 'Unknown',
+      schedulerOpenId: 'ou_scheduler'
+    });
+
+    expect(visit).toMatchObject({
+      source: 'card',
+      technicianOpenId: 'ou_scheduler',
+      startAt: Date.parse('2099-03-01T02:30:00Z')
+    });
+    expect(larkService.createCalendarEvent.mock.calls[0][1].summary).toBe('🏪 Site inspection: Ticket #t3');
+    expect(inspectionCalendar.getVisit('t3').label).toBe('1 Mar 2099, 10:30');
+  });
+
+  test('cancels a visit whose event was already deleted in Lark', async () => {
+    await inspectionCalendar.handleTicketEvent(ticket('t4', inDays(2)), 'assigned', { routed: true });
+
+    // What makeRequest rethrows for an HTTP 404
+    larkService.deleteCalendarEvent.mockRejectedValue(Object.assign(new Error('Request failed with status code 404'), {
+      response: { status: 404, data: { msg: 'event not exist' } }
+    }));
+    await inspectionCalendar.handleTicketEvent(ticket('t4', inDays(2), { state: 'closed' }), 'closed');
+
+    expect(inspectionCalendar.getVisit('t4')).toBeNull();
+    expect(inspectionCalendar.store.get('t4').status).toBe('cancelled');
+  });
+});
@@ -0,0 +1,64 @@
+const axios = require('axios');
+const intercomService = require('../src/services/intercom');
+
+jest.mock('axios');
+
+const TICKET_PAGES = [
+  { items: [{ id: '1' }, { id: '2' }], next: 'c2' },
+  { items: [{ id: '3' }, { id: '4' }], next: 'c3' },
+  { items: [{ id: '5' }], next: null }
+];
+
+// Answers POST /tickets/search like Intercom: the cursor and total come with each page's body
+const searchResponse = ({ data }) => {
+  const index = { c2: 1, c3: 2 }[data.pagination.starting_after] || 0;
+  const page = TICKET_PAGES[index];
+  return {
+    headers: { 'x-ratelimit-remaining': '9000' },
+    data: {
+      tickets: page.items,
+      total_count: 5,
+      pages: { next: page.next ? { starting_after: page.next } : null }
+    }
+  };
+};
+
+describe('Intercom reads', () => {
+  beforeEach(() => {
+    intercomService.isInitialized = true;
+  });
+
+  test('returns the next cursor and starts from a given cursor', async () => {
+    axios.mockImplementation(async (request) => searchResponse(request));
+
+    const first = await intercomService.getTickets({ perPage: 2 });
+    expect(first.tickets.map((ticket) => ticket.id)).toEqual(['1', '2']);
+    expect(first).toMatchObject({ nextCursor: 'c2', hasMore: true, totalCount: 5 });
+
+    const second = await intercomService.getTickets({ perPage: 2, cursor: first.nextCursor });
+    expect(second.tickets.map((ticket) => ticket.id)).toEqual(['3', '4']);
+    expect(axios).toHaveBeenLastCalledWith(expect.objectContaining({
+      method: 'POST',
+      url: expect.stringMatching(/\/tickets\/search$/),
+      data: expect.objectContaining({ pagination: { per_page: 2, starting_after: 'c2' } })
+    }));
+    expect(intercomService.rateLimitInfo.remaining).toBe(9000);
+
+    const last = await intercomService.getTickets({ perPage: 2, page: 3 });
+    expect(last).toMatchObject({ tickets: [{ id: '5' }], nextCursor: null, hasMore: false });
+
+    const pastEnd = await intercomService.getTickets({ perPage: 2, page: 4 });
+    expect(pastEnd.tickets).toEqual([]);
+  });
+
+  test('looks up a ticket by ID and returns null when it does not exist', async () => {
+    const get = jest.fn(async ({ ticket_id: id }) => {
+      if (id === '404') throw Object.assign(new Error('Not found'), { statusCode: 404 });
+      return { id };
+    });
+    intercomService.client = { tickets: { get } };
+
+    await expect(intercomService.getTicket(123)).resolves.toEqual({ id: '123' });
+    await expect(intercomService.getTicket('404')).resolves.toBeNull();
+  });
+});
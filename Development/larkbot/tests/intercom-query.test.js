@@ -0,0 +1,104 @@
+const { buildSearchQuery, nestingDepth } = require('../src/utils/intercom-query');
+
+describe('Intercom search query builder', () => {
+  test('translates supported filters into a nested AND/OR query', () => {
+    const { query, clientFilters, execution } = buildSearchQuery({
+      state: { states: ['open', 'snoozed'] },
+      dateRange: { startDate: '2024-01-01T00:00:00Z', endDate: '2024-01-31T00:00:00Z' },
+      assignee: { assigneeIds: [42], includeUnassigned: true },
+      team: { teamIds: ['7'] },
+      customAttributes: { attributes: { '🌎 Country': ['Malaysia', 'Thailand'], tier: 'gold' } }
+    }, { resource: 'conversations' });
+
+    expect(clientFilters).toEqual({});
+    expect(execution.every((item) => item.where === 'server')).toBe(true);
+    expect(query).toEqual({
+      operator: 'AND',
+      value: [
+        { field: 'state', operator: 'IN', value: ['open', 'snoozed'] },
+        {
+          operator: 'AND',
+          value: [
+            { field: 'created_at', operator: '>', value: 1704067199 },
+            { field: 'created_at', operator: '<', value: 1706659201 }
+          ]
+        },
+        {
+          operator: 'OR',
+          value: [
+            { field: 'admin_assignee_id', operator: 'IN', value: ['42'] },
+            { field: 'admin_assignee_id', operator: '=', value: null }
+          ]
+        },
+        { field: 'team_assignee_id', operator: 'IN', value: ['7'] },
+        {
+          operator: 'OR',
+          value: [
+            { field: 'custom_attributes.🌎 Country', operator: 'IN', value: ['Malaysia', 'Thailand'] },
+            { field: 'custom_attributes.tier', operator: '=', value: 'gold' }
+          ]
+        }
+      ]
+    });
+  });
+
+  test('falls back to client-side filtering for what search cannot evaluate', () => {
+    const { query, clientFilters, execution } = buildSearchQuery({
+      state: { state: 'open' },
+      tags: { tags: ['vip'] },
+      customAttributes: {
+        matchMode: 'all',
+        attributes: { tier: 'gold', code: { operator: 'regex', value: '^A' } }
+      }
+    }, { resource: 'conversations' });
+
+    expect(query).toEqual({
+      operator: 'AND',
+      value: [
+        { field: 'state', operator: 'IN', value: ['open'] },
+        { field: 'custom_attributes.tier', operator: '=', value: 'gold' }
+      ]
+    });
+    expect(clientFilters).toEqual({
+      tags: { tags: ['vip'] },
+      customAttributes: { attributes: { code: { operator: 'regex', value: '^A' } }, matchMode: 'all' }
+    });
+    expect(execution.map(({ filter, where }) => [filter, where])).toEqual([
+      ['state', 'server'],
+      ['tags', 'client'],
+      ['customAttributes', 'both']
+    ]);
+
+    // Ticket attributes are not searchable by name
+    expect(buildSearchQuery({ customAttributes: { attributes: { tier: 'gold' } } }).query).toBeNull();
+  });
+
+  test('splits AND compounds but keeps OR compounds whole', () => {
+    const conditions = [
+      { filter: 'state', criteria: { states: ['open'] } },
+      { filter: 'priority', criteria: { priority: 'high' } }
+    ];
+
+    const and = buildSearchQuery({ compound: { logic: 'AND', conditions } });
+    expect(and.query).toEqual({ field: 'state', operator: 'IN', value: ['open'] });
+    expect(and.clientFilters.compound).toEqual({ logic: 'AND', conditions: [conditions[1]] });
+
+    const or = buildSearchQuery({ compound: { logic: 'OR', conditions } });
+    expect(or.query).toBeNull();
+    expect(or.clientFilters.compound).toEqual({ logic: 'OR', conditions });
+    expect(or.execution[0].reason).toMatch('OR group cannot be split');
+
+    const inner = { logic: 'AND', conditions: [conditions[0], { filter: 'team', criteria: { teamIds: [1] } }] };
+    const nested = buildSearchQuery({
+      compound: {
+        logic: 'OR',
+        conditions: [
+          { filter: 'compound', criteria: inner },
+          { filter: 'assignee', criteria: { assigneeIds: [2], includeUnassigned: true } }
+        ]
+      }
+    });
+    expect(nestingDepth(nested.query)).toBe(2);
+    expect(nested.clientFilters).toEqual({});
+  });
+});
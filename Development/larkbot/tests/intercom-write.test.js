@@ -0,0 +1,83 @@
+process.env.INTERCOM_TOKEN = 'test-intercom-token';
+process.env.INTERCOM_WRITE_MAX_RETRIES = '2';
+process.env.INTERCOM_WRITE_RETRY_DELAY_MS = '5';
+
+const intercomService = require('../src/services/intercom');
+
+const apiError = (statusCode, headers = {}) => Object.assign(new Error(`Status code: ${statusCode}`), {
+  statusCode,
+  rawResponse: { headers: new Headers(headers) }
+});
+
+describe('Intercom write API', () => {
+  beforeEach(() => {
+    intercomService.isInitialized = true;
+    intercomService.tags = null;
+    intercomService.rateLimitInfo = { remaining: 10000, resetTime: null, lastCheck: null };
+  });
+
+  test('retries rate limited writes and disables the SDK retries', async () => {
+    const manage = jest.fn()
+      .mockRejectedValueOnce(apiError(429, { 'x-ratelimit-reset': String(Math.floor(Date.now() / 1000)) }))
+      .mockResolvedValueOnce({ id: '123', state: 'closed' });
+    intercomService.client = { conversations: { manage } };
+
+    const conversation = await intercomService.closeConversation('123', { adminId: 42 });
+
+    expect(conversation).toEqual({ id: '123', state: 'closed' });
+    expect(manage).toHaveBeenCalledTimes(2);
+    expect(manage).toHaveBeenCalledWith({
+      conversation_id: '123',
+      body: { message_type: 'close', type: 'admin', admin_id: '42' }
+    }, { maxRetries: 0 });
+  });
+
+  test('does not retry rejected writes and gives up after the retry limit', async () => {
+    const reply = jest.fn().mockRejectedValue(apiError(400));
+    const manage = jest.fn().mockRejectedValue(apiError(503));
+    intercomService.client = { conversations: { reply, manage } };
+
+    await expect(intercomService.addNote('123', { adminId: 42, body: 'Hi' })).rejects.toThrow('Status code: 400');
+    expect(reply).toHaveBeenCalledTimes(1);
+
+    // A gateway timeout may come after the note was posted, so it is not repeated
+    reply.mockReset().mockRejectedValue(apiError(504));
+    await expect(intercomService.addNote('123', { adminId: 42, body: 'Hi' })).rejects.toThrow('Status code: 504');
+    expect(reply).toHaveBeenCalledTimes(1);
+
+    await expect(intercomService.assignToTeam('123', { adminId: 42, teamId: 7 })).rejects.toThrow('503');
+    expect(manage).toHaveBeenCalledTimes(3);
+    expect(manage.mock.calls[0][0].body).toMatchObject({ type: 'team', assignee_id: '7' });
+  });
+
+  test('resolves tag names, creating missing tags', async () => {
+    const tags = {
+      list: jest.fn().mockResolvedValue({ type: 'list', data: [{ id: '1', name: 'VIP' }] }),
+      create: jest.fn().mockResolvedValue({ id: '2', name: 'Onsite' }),
+      tagConversation: jest.fn(async ({ id }) => ({ id })),
+      untagConversation: jest.fn(async ({ tag_id: id }) => ({ id }))
+    };
+    intercomService.client = { tags };
+
+    const applied = await intercomService.addTags('123', { adminId: 42, tags: ['vip', 'Onsite'] });
+    const removed = await intercomService.removeTags('123', { adminId: 42, tags: ['Onsite', 'Unknown'] });
+
+    expect(applied).toEqual([{ id: '1' }, { id: '2' }]);
+    expect(tags.create).toHaveBeenCalledWith({ name: 'Onsite' }, { maxRetries: 0 });
+    expect(removed).toEqual([{ id: '2' }]);
+    expect(tags.untagConversation).toHaveBeenCalledTimes(1);
+  });
+
+  test('sends the configured token with SDK requests', async () => {
+    const fetch = jest.spyOn(global, 'fetch').mockImplementation(async () => new Response(
+      JSON.stringify({ type: 'admin.list', admins: [] }),
+      { status: 200, headers: { 'Content-Type': 'application/json' } }
+    ));
+
+    await intercomService.initialize();
+
+    const [, init] = fetch.mock.calls[0];
+    expect(new Headers(init.headers).get('Authorization')).toBe('Bearer test-intercom-token');
+    fetch.mockRestore();
+  });
+});
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const {
+  encryptPayload, decryptPayload, computeSignature, decodeLarkRequest, LarkEventError
+} = require('../src/utils/lark-events');
+
+const encryptKey = 'test-encrypt-key';
+const verificationToken = 'test-verification-token';
+
+const messageEvent = {
+  schema: '2.0',
+  header: {
+    event_id: 'evt_1',
+    event_type: 'im.message.receive_v1',
+    token: verificationToken,
+    create_time: '1700000000000'
+  },
+  event: { message: { message_id: 'om_1', chat_id: 'oc_1' }, sender: { sender_type: 'user' } }
+};
+
+const now = () => String(Math.floor(Date.now() / 1000));
+
+const signedRequest = (body, key = encryptKey, timestamp = now()) => {
+  const rawBody = JSON.stringify(body);
+  return {
+    rawBody,
+    headers: {
+      'x-lark-request-timestamp': timestamp,
+      'x-lark-request-nonce': 'nonce',
+      'x-lark-signature': computeSignature(timestamp, 'nonce', key, rawBody)
+    }
+  };
+};
+
+describe('Lark event decoding', () => {
+  test('computes signatures as sha256(timestamp + nonce + encryptKey + body)', () => {
+    const expected = crypto.createHash('sha256').update('1nkey{"a":1}').digest('hex');
+    expect(computeSignature('1', 'n', 'key', '{"a":1}')).toBe(expected);
+  });
+
+  test('decrypts and normalizes signed v2 events', () => {
+    const request = signedRequest({ encrypt: encryptPayload(messageEvent, encryptKey) });
+    const decoded = decodeLarkRequest(request, { encryptKey, verificationToken });
+
+    expect(decoded).toMatchObject({
+      schema: '2.0',
+      type: 'event_callback',
+      eventId: 'evt_1',
+      eventType: 'im.message.receive_v1',
+      event: messageEvent.event
+    });
+    expect(decryptPayload(JSON.parse(request.rawBody).encrypt, encryptKey)).toEqual(messageEvent);
+  });
+
+  test('rejects bad signatures, missing signatures and wrong tokens', () => {
+    const request = signedRequest(messageEvent);
+    const tampered = { ...request, rawBody: request.rawBody.replace('om_1', 'om_2') };
+    const unsigned = { rawBody: request.rawBody, headers: {} };
+
+    expect(() => decodeLarkRequest(tampered, { encryptKey })).toThrow('Invalid signature');
+    expect(() => decodeLarkRequest(unsigned, { encryptKey })).toThrow(LarkEventError);
+    expect(() => decodeLarkRequest(request, { encryptKey, verificationToken: 'other' }))
+      .toThrow('Invalid verification token');
+  });
+
+  test('rejects correctly signed requests replayed outside the allowed window', () => {
+    const replayed = signedRequest(messageEvent, encryptKey, String(Math.floor(Date.now() / 1000) - 600));
+
+    expect(() => decodeLarkRequest(replayed, { encryptKey, verificationToken }))
+      .toThrow('Request timestamp is too old or invalid');
+    expect(decodeLarkRequest(replayed, { encryptKey, verificationToken, maxAgeSeconds: 900 }).eventId).toBe('evt_1');
+  });
+
+  test('answers encrypted URL verification challenges without a signature', () => {
+    const challenge = { type: 'url_verification', challenge: 'abc', token: verificationToken };
+    const decoded = decodeLarkRequest(
+      { rawBody: JSON.stringify({ encrypt: encryptPayload(challenge, encryptKey) }), headers: {} },
+      { encryptKey, verificationToken }
+    );
+
+    expect(decoded).toMatchObject({ type: 'url_verification', challenge: 'abc' });
+  });
+
+  test('verifies legacy card callbacks with the sha1 verification token signature', () => {
+    const callback = {
+      open_id: 'ou_1', open_message_id: 'om_1', token: verificationToken, action: { value: { action: 'close' } }
+    };
+    const rawBody = JSON.stringify(callback);
+    const timestamp = now();
+    const headers = {
+      'x-lark-request-timestamp': timestamp,
+      'x-lark-request-nonce': 'n',
+      'x-lark-signature': computeSignature(timestamp, 'n', verificationToken, rawBody, 'sha1')
+    };
+
+    expect(decodeLarkRequest({ rawBody, headers }, { encryptKey, verificationToken }).type).toBe('card_action');
+    expect(() => decodeLarkRequest({ rawBody, headers: { ...headers, 'x-lark-signature': 'bad' } }, {
+      encryptKey, verificationToken
+    })).toThrow('Invalid signature');
+  });
+});
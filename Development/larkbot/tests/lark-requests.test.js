@@ -0,0 +1,106 @@
+process.env.LARK_APP_ID = 'cli_test';
+process.env.LARK_APP_SECRET = 'secret';
+process.env.LARK_RETRY_DELAY_MS = '1';
+process.env.LARK_CHAT_RATE_LIMIT = '20';
+
+jest.mock('axios');
+const axios = require('axios');
+const larkService = require('../src/services/lark');
+
+const ok = (data = {}) => ({ data: { code: 0, msg: 'success', data } });
+const httpError = (status, data) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, data, headers: {} }
+});
+
+describe('LarkService request layer', () => {
+  let tokens;
+
+  beforeEach(() => {
+    tokens = 0;
+    larkService.accessToken = null;
+    larkService.tokenExpiry = null;
+    larkService.nextSlots.clear();
+    Object.keys(larkService.requestStats).forEach((key) => { larkService.requestStats[key] = 0; });
+
+    axios.post.mockImplementation(async () => {
+      tokens++;
+      return { data: { code: 0, tenant_access_token: `t-${tokens}`, expire: 7200 } };
+    });
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('shares one token fetch and refreshes it once when Lark rejects it', async () => {
+    axios
+      .mockResolvedValueOnce({ data: { code: 99991663, msg: 'Invalid access token for authorization' } })
+      .mockResolvedValue(ok({ bot: 'ok' }));
+
+    const responses = await Promise.all([
+      larkService.makeRequest('GET', '/bot/v3/info'),
+      larkService.makeRequest('GET', '/bot/v3/info')
+    ]);
+
+    expect(responses.map((response) => response.code)).toEqual([0, 0]);
+    expect(tokens).toBe(2);
+    expect(axios.mock.calls[2][0].headers.Authorization).toBe('Bearer t-2');
+    expect(larkService.getHealthStatus().requests).toMatchObject({ requests: 2, retries: 1, tokenRefreshes: 2 });
+  });
+
+  test('retries rate limits and de-duplicated sends, but not other writes that failed upstream', async () => {
+    axios
+      .mockRejectedValueOnce(httpError(429, { code: 99991400, msg: 'request trigger frequency limit' }))
+      .mockRejectedValueOnce(httpError(504, 'Gateway Timeout'))
+      .mockResolvedValueOnce(ok({ message_id: 'om_1' }));
+
+    const sent = await larkService.sendMessage('oc_1', { text: 'Hi' });
+    expect(sent.message_id).toBe('om_1');
+    expect(larkService.requestStats).toMatchObject({ retries: 2, rateLimited: 1 });
+    // Every attempt carries the same uuid, so Lark keeps only one message
+    const uuids = axios.mock.calls.slice(0, 3).map(([request]) => request.data.uuid);
+    expect(new Set(uuids).size).toBe(1);
+    expect(uuids[0]).toEqual(expect.any(String));
+
+    // A gateway error on a write without a uuid may have been applied already
+    axios.mockRejectedValueOnce(httpError(502, 'Bad Gateway'));
+    await expect(larkService.makeRequest('POST', '/bitable/v1/apps/x/tables/t/records/batch_create', { records: [] }))
+      .rejects.toMatchObject({ retryable: false });
+
+    axios.mockRejectedValueOnce(Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' }));
+    await expect(larkService.makeRequest('POST', '/im/v1/messages', { receive_id: 'oc_1' }))
+      .rejects.toMatchObject({ retryable: false, larkCode: 'ECONNABORTED' });
+
+    axios.mockRejectedValueOnce(httpError(400, { code: 230002, msg: 'Bot/User can NOT be out of the chat.' }));
+    await expect(larkService.makeRequest('POST', '/im/v1/messages', { receive_id: 'oc_2' }))
+      .rejects.toMatchObject({ retryable: false, larkCode: 230002 });
+
+    // Non-zero codes that are not transient are still returned for the caller to check
+    axios.mockResolvedValueOnce({ data: { code: 1254001, msg: 'WrongRequestBody' } });
+    expect(await larkService.makeRequest('POST', '/bitable/v1/apps/x/tables')).toMatchObject({ code: 1254001 });
+
+    expect(axios).toHaveBeenCalledTimes(7);
+    expect(larkService.requestStats).toMatchObject({ retries: 2, permanentErrors: 3 });
+  });
+
+  test('gives up after the configured retries', async () => {
+    axios.mockRejectedValue(httpError(504, 'Gateway Timeout'));
+
+    await expect(larkService.makeRequest('GET', '/bot/v3/info')).rejects.toMatchObject({ retryable: true });
+    expect(axios).toHaveBeenCalledTimes(4);
+    expect(larkService.requestStats).toMatchObject({ retries: 3, retryableErrors: 1 });
+  });
+
+  test('spaces out messages to the same chat', async () => {
+    axios.mockResolvedValue(ok());
+    const started = Date.now();
+
+    await Promise.all([1, 2, 3].map(() => larkService.makeRequest('POST', '/im/v1/messages', { receive_id: 'oc_1' }, {
+      receive_id_type: 'chat_id'
+    })));
+
+    // 20 messages/second per chat: the third waits for two 50ms slots
+    expect(Date.now() - started).toBeGreaterThanOrEqual(95);
+    expect(larkService.requestStats.throttled).toBe(2);
+  });
+});
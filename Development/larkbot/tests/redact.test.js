@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRedactor, partialMask } = require('../src/utils/redact');
+const exportService = require('../src/services/export');
+
+const ticket = () => ({
+  id: '42',
+  custom_attributes: {
+    'PIC Name': 'Aisyah Rahman',
+    'PIC Contact Number': '+60 12-345 6789',
+    'FULL Store Address': 'No. 5, Jalan Ampang, Kuala Lumpur',
+    '🌎 Country': 'Malaysia',
+    'Express Request - 3 hours Onsite Request': true
+  },
+  contacts: { contacts: [{ type: 'contact', name: 'Aisyah Rahman', email: 'aisyah@merchant.my' }] },
+  conversation_parts: {
+    conversation_parts: [{ id: 'p1', body: 'Call me on 012-345 6789 or mail aisyah@merchant.my' }]
+  }
+});
+
+async function* pages(...batches) {
+  for (const records of batches) yield { records, scanned: records.length };
+}
+
+describe('PII redaction', () => {
+  const redactor = createRedactor({
+    fields: ['pic name', 'pic contact', 'address', 'email', 'authorization'],
+    patterns: ['email', 'phone', 'address']
+  });
+
+  test('masks denylisted fields and person names without touching the input', () => {
+    const input = ticket();
+    const redacted = redactor.redact({ ticket: input, headers: { authorization: 'Bearer abc', 'x-request-id': 'r1' } });
+
+    expect(redacted.ticket.custom_attributes).toEqual({
+      'PIC Name': '[REDACTED]',
+      'PIC Contact Number': '[REDACTED]',
+      'FULL Store Address': '[REDACTED]',
+      '🌎 Country': 'Malaysia',
+      'Express Request - 3 hours Onsite Request': true
+    });
+    expect(redacted.ticket.contacts.contacts[0]).toEqual({ type: 'contact', name: '[REDACTED]', email: '[REDACTED]' });
+    expect(redacted.ticket.conversation_parts.conversation_parts[0].body).toBe('Call me on [PHONE] or mail [EMAIL]');
+    expect(redacted.headers).toEqual({ authorization: '[REDACTED]', 'x-request-id': 'r1' });
+    expect(input.custom_attributes['PIC Name']).toBe('Aisyah Rahman');
+  });
+
+  test('scrubs free text but leaves IDs, dates and durations alone', () => {
+    expect(redactor.redactText('Visit 12 Jalan Ampang, call +60123456789')).toBe('Visit [ADDRESS], call [PHONE]');
+    expect(redactor.redactText('Ticket 215469874563 at 2026-10-19 12:00:00 took 1500ms'))
+      .toBe('Ticket 215469874563 at 2026-10-19 12:00:00 took 1500ms');
+
+    const circular = { id: 1 };
+    circular.self = circular;
+    expect(redactor.redact(circular)).toEqual({ id: 1, self: '[Circular]' });
+  });
+
+  test('partially masks emails and phone numbers', () => {
+    expect(partialMask('aisyah@merchant.my')).toBe('a***@merchant.my');
+    expect(partialMask('+60 12-345 6789')).toBe('+** **-*** *789');
+    expect(partialMask('Aisyah Rahman')).toBe('[REDACTED]');
+  });
+});
+
+describe('Masked exports', () => {
+  let tmpDir;
+
+  beforeAll(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-'));
+    exportService.outputDir = tmpDir;
+    await exportService.initialize();
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('masks PII only when asked to', async () => {
+    const masked = await exportService.streamExport('tickets', 'json', pages([ticket()]), { maskPii: true });
+    const { data, metadata } = JSON.parse(fs.readFileSync(masked.filepath, 'utf8'));
+
+    expect(metadata.piiMasked).toBe(true);
+    expect(data[0].custom_attributes).toMatchObject({
+      'PIC Name': '[REDACTED]',
+      'PIC Contact Number': '+** **-*** *789',
+      '🌎 Country': 'Malaysia'
+    });
+    expect(data[0].contacts.contacts[0].email).toBe('a***@merchant.my');
+    expect(data[0].conversation_parts.conversation_parts[0].body).toBe('Call me on [PHONE] or mail [EMAIL]');
+
+    const csv = await exportService.exportTickets([ticket()], 'csv', { maskPii: true });
+    expect(fs.readFileSync(csv, 'utf8')).not.toMatch(/aisyah|Rahman/i);
+
+    const plain = await exportService.streamExport('tickets', 'ndjson', pages([ticket()]), { maskPii: false });
+    expect(JSON.parse(fs.readFileSync(plain.filepath, 'utf8')).custom_attributes['PIC Name']).toBe('Aisyah Rahman');
+  });
+});
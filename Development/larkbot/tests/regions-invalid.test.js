@@ -0,0 +1,17 @@
+process.env.LARK_DOMAIN = 'larkcn';
+process.env.WEBHOOK_SECRET = 'secret';
+
+const config = require('../src/config');
+
+describe('Unknown regional hosts', () => {
+  afterAll(() => {
+    delete process.env.LARK_DOMAIN;
+    delete process.env.WEBHOOK_SECRET;
+  });
+
+  test('rejects unknown regions and domains', () => {
+    // Requests still go somewhere valid until startup validation stops the app
+    expect(config.lark.apiBaseUrl).toBe('https://open.feishu.cn/open-apis');
+    expect(() => config.validateConfig()).toThrow(/LARK_DOMAIN must be one of feishu, lark/);
+  });
+});
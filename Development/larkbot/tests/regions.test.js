@@ -0,0 +1,25 @@
+process.env.INTERCOM_REGION = 'EU';
+process.env.INTERCOM_APP_ID = 'app123';
+process.env.LARK_DOMAIN = 'lark';
+
+const config = require('../src/config');
+const larkService = require('../src/services/lark');
+const slaService = require('../src/services/sla');
+
+describe('Regional hosts', () => {
+  afterAll(() => {
+    delete process.env.INTERCOM_REGION;
+    delete process.env.LARK_DOMAIN;
+  });
+
+  test('uses the configured Intercom region and Lark domain everywhere', () => {
+    expect(config.intercom).toMatchObject({ region: 'eu', baseUrl: 'https://api.eu.intercom.io' });
+    expect(larkService.baseURL).toBe('https://open.larksuite.com/open-apis');
+    expect(config.getIntercomConversationUrl('t1'))
+      .toBe('https://app.eu.intercom.com/a/apps/app123/inbox/conversation/t1');
+
+    // Card buttons link to the regional inbox too
+    const card = slaService.formatAlertCard({ ticketId: 't1', tier: 'express', dueAt: Date.now() }, 'breach');
+    expect(JSON.stringify(card)).toContain('https://app.eu.intercom.com/a/apps/app123/inbox/conversation/t1');
+  });
+});
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const routingService = require('../src/services/routing');
+
+// "${NAME}" placeholder that routing rules resolve from the environment
+const envRef = (name) => `\${${name}}`;
+
+const siteInspection = (country, onsiteType, extra = {}) => ({
+  id: '123',
+  state: 'open',
+  team_assignee_id: 42,
+  custom_attributes: {
+    '🌎 Country': country,
+    'Onsite Request Type': onsiteType
+  },
+  ...extra
+});
+
+describe('Routing Rules Engine', () => {
+  let tmpDir;
+  let rulesFile;
+
+  const writeRules = (ruleSet) => {
+    fs.writeFileSync(rulesFile, JSON.stringify(ruleSet));
+    routingService.loadRules();
+  };
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'routing-'));
+    rulesFile = path.join(tmpDir, 'rules.json');
+    routingService.rulesFile = rulesFile;
+    routingService.reloadCheckMs = 0;
+    process.env.TEST_GROUP_MY = 'oc_my';
+    process.env.TEST_GROUP_PH = 'oc_ph';
+    process.env.TEST_GROUP_MAIN = 'oc_main';
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('default rules file keeps the Malaysia site inspection routing', () => {
+    const defaults = JSON.parse(fs.readFileSync(path.join(__dirname, '../src/config/routing-rules.json'), 'utf8'));
+    process.env.LARK_CHAT_GROUP_ID_MYPHFE = 'oc_myphfe_real';
+    writeRules(defaults);
+
+    const routed = routingService.evaluate(
+      siteInspection('Malaysia', '👥 Site Inspection - New Merchant'), 'opened'
+    );
+    expect(routed.routed).toBe(true);
+    expect(routed.matchedRules).toEqual(['my-site-inspection']);
+    expect(routed.targets.map((t) => t.chatId)).toContain('oc_myphfe_real');
+
+    const skipped = routingService.evaluate(
+      siteInspection('Philippines', '👥 Site Inspection - New Merchant'), 'opened'
+    );
+    expect(skipped.routed).toBe(false);
+    expect(skipped.reason).toBe('No routing rule matched');
+  });
+
+  test('supports nested all/any/not conditions on attributes, fields and event type', () => {
+    writeRules({
+      rules: [{
+        name: 'ph-hardware-swap',
+        conditions: {
+          all: [
+            { attribute: '🌎 Country', operator: 'equals', value: 'philippines', ignoreCase: true },
+            {
+              any: [
+                { attribute: 'Onsite Request Type', operator: 'contains', value: 'Hardware Swap' },
+                { field: 'team_assignee_id', operator: 'in', value: [7, 8] }
+              ]
+            },
+            { not: { field: 'state', operator: 'equals', value: 'closed' } },
+            { field: 'event', operator: 'notIn', value: ['note_added'] }
+          ]
+        },
+        targets: [{ name: 'PH', chatId: envRef('TEST_GROUP_PH') }]
+      }]
+    });
+
+    const ticket = siteInspection('Philippines', '🔧 Hardware Swap');
+    expect(routingService.evaluate(ticket, 'assigned').targets).toEqual([
+      { name: 'PH', chatId: 'oc_ph', rule: 'ph-hardware-swap' }
+    ]);
+    expect(routingService.evaluate(ticket, 'note_added').routed).toBe(false);
+    expect(routingService.evaluate({ ...ticket, state: 'closed' }, 'assigned').routed).toBe(false);
+  });
+
+  test('collects unique targets from every matching rule and falls back when unconfigured', () => {
+    writeRules({
+      placeholders: ['oc_placeholder_for_now'],
+      fallbackTargets: [{ name: 'Main', chatId: envRef('TEST_GROUP_MAIN') }],
+      rules: [
+        {
+          name: 'a',
+          conditions: { attribute: 'Onsite Request Type', operator: 'exists' },
+          targets: [{ chatId: envRef('TEST_GROUP_MY') }]
+        },
+        { name: 'b', targets: [{ chatId: 'oc_my' }, { chatId: envRef('TEST_GROUP_PH') }] },
+        { name: 'disabled', enabled: false, targets: [{ chatId: 'oc_never' }] }
+      ]
+    });
+
+    const decision = routingService.evaluate(siteInspection('Singapore', 'x'), 'opened');
+    expect(decision.matchedRules).toEqual(['a', 'b']);
+    expect(decision.targets.map((t) => t.chatId)).toEqual(['oc_my', 'oc_ph']);
+
+    writeRules({
+      placeholders: ['oc_placeholder_for_now'],
+      fallbackTargets: [{ name: 'Main', chatId: envRef('TEST_GROUP_MAIN') }],
+      rules: [{
+        name: 'unconfigured',
+        targets: [{ chatId: 'oc_placeholder_for_now' }, { chatId: envRef('UNSET_GROUP') }]
+      }]
+    });
+
+    const fallback = routingService.evaluate(siteInspection('Singapore', 'x'), 'opened');
+    expect(fallback.targets).toEqual([{ name: 'Main', chatId: 'oc_main', rule: 'fallback' }]);
+  });
+
+  test('reloads the rules file when it changes and keeps old rules on invalid edits', () => {
+    writeRules({ rules: [{ name: 'first', targets: [{ chatId: 'oc_1' }] }] });
+    expect(routingService.evaluate({}, 'opened').matchedRules).toEqual(['first']);
+
+    fs.writeFileSync(rulesFile, JSON.stringify({ rules: [{ name: 'second', targets: [{ chatId: 'oc_2' }] }] }));
+    fs.utimesSync(rulesFile, new Date(), new Date(Date.now() + 1000));
+    expect(routingService.evaluate({}, 'opened').matchedRules).toEqual(['second']);
+
+    fs.writeFileSync(rulesFile, JSON.stringify({
+      rules: [{ name: 'bad', conditions: { field: 'state', operator: 'nope' }, targets: [{ chatId: 'x' }] }]
+    }));
+    fs.utimesSync(rulesFile, new Date(), new Date(Date.now() + 2000));
+    expect(routingService.evaluate({}, 'opened').matchedRules).toEqual(['second']);
+    expect(routingService.getHealthStatus().lastError).toMatch(/unsupported operator "nope"/);
+
+    // A bad pattern would otherwise throw on every webhook
+    fs.writeFileSync(rulesFile, JSON.stringify({
+      rules: [{
+        name: 'bad', conditions: { field: 'state', operator: 'regex', value: '(open' }, targets: [{ chatId: 'x' }]
+      }]
+    }));
+    fs.utimesSync(rulesFile, new Date(), new Date(Date.now() + 3000));
+    expect(routingService.evaluate({ state: 'open' }, 'opened').matchedRules).toEqual(['second']);
+    expect(routingService.getHealthStatus().lastError).toMatch(/invalid regex "\(open"/);
+  });
+});
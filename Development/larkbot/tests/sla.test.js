@@ -0,0 +1,103 @@
+const { useTempDataDir } = require('./helpers/data-dir');
+
+useTempDataDir('sla');
+process.env.SLA_ESCALATION_LIST = 'ou_duty_manager';
+
+const larkService = require('../src/services/lark');
+const slaService = require('../src/services/sla');
+
+const minutesAgo = (minutes) => Math.floor((Date.now() - minutes * 60 * 1000) / 1000);
+const expressTicket = (id, createdMinutesAgo) => ({
+  id,
+  title: 'Site inspection',
+  state: 'open',
+  created_at: minutesAgo(createdMinutesAgo),
+  custom_attributes: { 'Express Request - 3 hours Onsite Request': 'Yes' }
+});
+
+describe('SLA Service', () => {
+  let sent;
+
+  beforeAll(async () => {
+    await slaService.initialize();
+  });
+
+  beforeEach(() => {
+    sent = [];
+    jest.spyOn(larkService, 'sendInteractiveCard').mockImplementation(async (chatId, card) => {
+      sent.push({ chatId, card });
+      return { message_id: `om_${sent.length}` };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await slaService.cleanup();
+  });
+
+  test('posts each warning once, announcing only the most urgent threshold passed', async () => {
+    await slaService.handleTicketEvent(expressTicket('t1', 125), 'opened', { chatIds: ['oc_a', 'oc_b'] });
+
+    await slaService.check();
+    await slaService.check();
+    expect(sent.map((s) => s.chatId)).toEqual(['oc_a', 'oc_b']);
+    expect(sent[0].card.header.title.content).toBe('⚠️ SLA WARNING');
+
+    await slaService.handleTicketEvent(expressTicket('t2', 170), 'assigned', { chatIds: ['oc_a'] });
+    sent = [];
+    await slaService.check();
+    expect(sent).toHaveLength(1);
+    expect(slaService.getReport().find((t) => t.ticketId === 't2').warningsSent).toEqual([60, 15]);
+  });
+
+  test('posts a breach card that mentions the escalation list', async () => {
+    await slaService.handleTicketEvent(expressTicket('t3', 200), 'opened', { chatIds: ['oc_a'] });
+    await slaService.check();
+
+    const breach = sent.find((s) => s.card.header.template === 'red');
+    const { content } = breach.card.elements[0].text;
+    expect(content).toContain('<at id=ou_duty_manager></at>');
+    expect(content).toMatch(/\*\*Due:\*\* \d+ \w+ \d{4}, \d\d:\d\d \(Asia\/Kuala_Lumpur\)/);
+    expect(slaService.getReport().find((t) => t.ticketId === 't3').breached).toBe(true);
+  });
+
+  test('stops the clock on close or snooze, resumes it after a snooze and restarts it on reopen', async () => {
+    await slaService.handleTicketEvent(expressTicket('t4', 10), 'opened', { chatIds: ['oc_a'] });
+    await slaService.handleTicketEvent(expressTicket('t5', 10), 'opened', { chatIds: ['oc_a'] });
+    const dueAt = Date.parse(slaService.getReport().find((t) => t.ticketId === 't5').dueAt);
+
+    await slaService.handleTicketEvent({ id: 't4', state: 'closed' }, 'closed');
+    await slaService.handleTicketEvent({ id: 't5', state: 'snoozed' }, 'snoozed');
+    const tracked = slaService.getReport().map((t) => t.ticketId);
+    expect(tracked).not.toContain('t4');
+    expect(tracked).not.toContain('t5');
+
+    // An hour of snooze does not count against the deadline
+    slaService.store.set('t5', { ...slaService.store.get('t5'), stoppedAt: Date.now() - 60 * 60 * 1000 });
+    await slaService.handleTicketEvent(expressTicket('t5', 70), 'unsnoozed');
+    const resumed = slaService.getReport().find((t) => t.ticketId === 't5');
+    expect(Date.parse(resumed.dueAt) - dueAt).toBeGreaterThanOrEqual(60 * 60 * 1000 - 1000);
+
+    // A reopened ticket gets a fresh clock, even on an event that was not routed
+    await slaService.handleTicketEvent(expressTicket('t4', 60 * 24), 'reopened');
+    expect(slaService.getReport().find((t) => t.ticketId === 't4')).toMatchObject({
+      remainingMinutes: 180,
+      warningsSent: [],
+      breached: false
+    });
+    expect(slaService.getHealthStatus().stats).toMatchObject({ resumed: 1, restarted: 1 });
+  });
+
+  test('gives standard requests their own target', async () => {
+    await slaService.handleTicketEvent({ id: 't6', state: 'open', created_at: minutesAgo(0) }, 'opened', {
+      chatIds: ['oc_a']
+    });
+
+    const timer = slaService.getReport().find((t) => t.ticketId === 't6');
+    expect(timer.tier).toBe('standard');
+    expect(timer.remainingMinutes).toBe(24 * 60);
+  });
+});
@@ -0,0 +1,67 @@
+const { useTempDataDir } = require('./helpers/data-dir');
+
+useTempDataDir('subscriptions');
+
+const JsonStore = require('../src/utils/json-store');
+const subscriptionService = require('../src/services/subscriptions');
+
+const ticket = (id, attributes = {}, state = 'open') => ({
+  id,
+  state,
+  custom_attributes: {
+    '🌎 Country': '🇲🇾 Malaysia',
+    'Express Request - 3 hours Onsite Request': 'No',
+    ...attributes
+  }
+});
+
+describe('Subscription Service', () => {
+  beforeAll(async () => {
+    await subscriptionService.initialize();
+  });
+
+  test('parses ticket IDs and filter expressions, rejecting unknown keys', () => {
+    expect(subscriptionService.parseTarget('123')).toMatchObject({ kind: 'ticket', ticketId: '123' });
+    expect(subscriptionService.parseTarget('express=yes Country=Malaysia').target).toBe('country=Malaysia express=yes');
+    expect(() => subscriptionService.parseTarget('colour=blue')).toThrow('Unknown filter "colour"');
+  });
+
+  test('matches ticket and filter subscriptions against events, once per chat', async () => {
+    await subscriptionService.subscribe({ chatId: 'oc_watchers', userId: 'u1', target: '123' });
+    await subscriptionService.subscribe({ chatId: 'oc_watchers', userId: 'u1', target: 'country=malaysia' });
+    await subscriptionService.subscribe({ chatId: 'oc_express', userId: 'u2', target: 'country=Malaysia express=yes' });
+    await subscriptionService.subscribe({
+      chatId: 'oc_not_closed', userId: 'u3', target: 'state!=closed country=Singapore,Malaysia'
+    });
+
+    const chats = async (...args) => (await subscriptionService.match(...args)).map((target) => target.chatId).sort();
+
+    expect(await chats(ticket('123'), 'opened')).toEqual(['oc_not_closed', 'oc_watchers']);
+    expect(await chats(ticket('456', { 'Express Request - 3 hours Onsite Request': 'Yes' }), 'opened'))
+      .toEqual(['oc_express', 'oc_not_closed', 'oc_watchers']);
+    expect(await chats(ticket('789', { '🌎 Country': '🇸🇬 Singapore' }, 'closed'), 'closed')).toEqual([]);
+  });
+
+  test('persists subscriptions and supports unsubscribing', async () => {
+    await subscriptionService.cleanup();
+
+    const reloaded = new JsonStore('chat-subscriptions');
+    await reloaded.load();
+    expect(reloaded.size).toBe(4);
+
+    expect(await subscriptionService.unsubscribe('oc_watchers', '123')).toBe(true);
+    expect(await subscriptionService.unsubscribeAll('oc_watchers')).toBe(1);
+    expect((await subscriptionService.list()).map((subscription) => subscription.chatId).sort())
+      .toEqual(['oc_express', 'oc_not_closed']);
+  });
+
+  test('matches assignee and team IDs, which Intercom sends as numbers', async () => {
+    await subscriptionService.subscribe({ chatId: 'oc_mine', userId: 'u4', target: 'assignee=123 team=42' });
+
+    const chats = async (assignment) => (
+      await subscriptionService.match({ ...ticket('901'), ...assignment }, 'assigned')
+    ).map((target) => target.chatId);
+    expect(await chats({ admin_assignee_id: 123, team_assignee_id: 42 })).toContain('oc_mine');
+    expect(await chats({ admin_assignee_id: 1234, team_assignee_id: 42 })).not.toContain('oc_mine');
+  });
+});
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonStore = require('../src/utils/json-store');
+const ticketHistory = require('../src/services/ticket-history');
+
+describe('Ticket History', () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+    ticketHistory.store = new JsonStore('ticket-history', { dir: tmpDir, flushDelayMs: 0 });
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('records webhooks, routing decisions and deliveries in order', async () => {
+    const payload = {
+      id: 'notif_1',
+      type: 'notification_event',
+      topic: 'conversation.admin.assigned',
+      data: { item: { id: '123', state: 'open' } }
+    };
+    await ticketHistory.recordWebhook(payload, { jobId: 'job_1' });
+    await ticketHistory.recordRouting('123', 'assigned', {
+      routed: true,
+      matchedRules: ['malaysia-onsite'],
+      targets: [{ chatId: 'oc_a', name: 'MY Onsite', rule: 'malaysia-onsite' }],
+      reason: null
+    }, [{ chatId: 'oc_b' }]);
+    await ticketHistory.recordDelivery('123', {
+      eventType: 'assigned', chatId: 'oc_a', messageId: 'om_1', updated: false
+    });
+    await ticketHistory.recordDelivery('123', {
+      eventType: 'assigned', chatId: 'oc_b', error: new Error('Bot not in chat')
+    });
+
+    const events = await ticketHistory.getHistory('123');
+    expect(events.map((event) => event.type)).toEqual(['webhook', 'routing', 'delivery', 'delivery']);
+    expect(events[0]).toMatchObject({
+      topic: 'conversation.admin.assigned', notificationId: 'notif_1', jobId: 'job_1'
+    });
+    expect(events[1]).toMatchObject({ routed: true, subscribers: ['oc_b'] });
+    expect(events[2]).toMatchObject({ outcome: 'sent', messageId: 'om_1' });
+    expect(events[3]).toMatchObject({ outcome: 'failed', error: 'Bot not in chat' });
+
+    const deliveries = await ticketHistory.getHistory('123', { type: 'delivery', limit: 1 });
+    expect(deliveries).toHaveLength(1);
+    expect(deliveries[0].chatId).toBe('oc_b');
+  });
+
+  test('caps events per ticket and prunes quiet tickets', async () => {
+    const { maxEvents } = ticketHistory;
+    ticketHistory.maxEvents = 3;
+    for (let i = 0; i < 5; i++) {
+      await ticketHistory.record('456', 'routing', { eventType: 'replied', routed: false, reason: `skip ${i}` });
+    }
+    ticketHistory.maxEvents = maxEvents;
+
+    const events = await ticketHistory.getHistory('456');
+    expect(events.map((event) => event.reason)).toEqual(['skip 2', 'skip 3', 'skip 4']);
+
+    ticketHistory.store.get('456').updatedAt = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000).toISOString();
+    expect(ticketHistory.prune()).toBe(1);
+    expect(await ticketHistory.getHistory('456')).toEqual([]);
+  });
+
+  test('keeps pruning while running, not only at startup', async () => {
+    jest.useFakeTimers();
+    await ticketHistory.initialize();
+    await ticketHistory.record('789', 'routing', { eventType: 'replied', routed: false });
+    ticketHistory.store.get('789').updatedAt = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000).toISOString();
+
+    jest.advanceTimersByTime(ticketHistory.pruneIntervalMs);
+    expect(ticketHistory.store.get('789')).toBeUndefined();
+
+    jest.useRealTimers();
+    await ticketHistory.cleanup();
+  });
+});
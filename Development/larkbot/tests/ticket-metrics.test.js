@@ -0,0 +1,66 @@
+const {
+  firstResponseSeconds, resolutionSeconds, countReopens, scoreSentiment, buildTfIdfIndex, findSimilar
+} = require('../src/utils/ticket-metrics');
+
+const part = (partType, authorType, createdAt, body = null) => ({
+  part_type: partType, author: { type: authorType }, created_at: createdAt, body
+});
+
+const conversation = (parts, extra = {}) => ({
+  id: '1',
+  created_at: 1000,
+  state: 'closed',
+  source: { author: { type: 'user' }, body: '<p>The card reader is broken</p>' },
+  conversation_parts: { conversation_parts: parts },
+  ...extra
+});
+
+describe('Ticket metrics', () => {
+  test('measures first response and resolution from conversation parts', () => {
+    const item = conversation([
+      part('note', 'admin', 1200, 'Internal note'),
+      part('comment', 'bot', 1100, 'Our team will reply soon'),
+      part('comment', 'admin', 1900, 'Can you restart it?'),
+      part('close', 'admin', 2000),
+      part('comment', 'user', 5000, 'Still broken'),
+      part('close', 'admin', 8200)
+    ]);
+
+    expect(firstResponseSeconds(item)).toBe(900);
+    expect(resolutionSeconds(item)).toBe(7200);
+    expect(countReopens(item)).toBe(1);
+
+    expect(resolutionSeconds({ ...item, state: 'open' })).toBeNull();
+    expect(firstResponseSeconds(conversation([part('comment', 'user', 1500)]))).toBeNull();
+
+    // Payloads without parts fall back to Intercom's statistics
+    const summary = conversation([], { statistics: { first_admin_reply_at: 1300, last_close_at: 4600 } });
+    expect(firstResponseSeconds(summary)).toBe(300);
+    expect(resolutionSeconds(summary)).toBe(3600);
+  });
+
+  test('scores sentiment with a lexicon and handles negation', () => {
+    expect(scoreSentiment('<p>Thanks, that was quick and really helpful!</p>')).toMatchObject({
+      score: 5, label: 'positive', positive: ['thanks', 'quick', 'helpful']
+    });
+    expect(scoreSentiment("It still isn't working and I'm frustrated")).toMatchObject({
+      score: -3, label: 'negative', negative: ['working', 'frustrated']
+    });
+    expect(scoreSentiment('Please update the address').label).toBe('neutral');
+  });
+
+  test('finds similar tickets with TF-IDF and ranks them deterministically', () => {
+    const index = buildTfIdfIndex([
+      { id: 'a', text: 'Terminal screen frozen after firmware update' },
+      { id: 'b', text: '<b>Firmware update</b> left the terminal screen frozen' },
+      { id: 'c', text: 'Request a refund for the duplicate invoice' },
+      { id: 'd', text: 'Terminal firmware update failed' }
+    ]);
+
+    const similar = findSimilar(index, 'a');
+    expect(similar.map((match) => match.id)).toEqual(['b', 'd']);
+    expect(similar[0].score).toBeGreaterThan(similar[1].score);
+    expect(findSimilar(index, 'c')).toEqual([]);
+    expect(findSimilar(index, 'a')).toEqual(similar);
+  });
+});
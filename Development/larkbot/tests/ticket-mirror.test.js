@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonStore = require('../src/utils/json-store');
+const TicketDatabase = require('../src/utils/ticket-db');
+const ticketMirror = require('../src/services/ticket-mirror');
+
+// Unix seconds
+const T = 1700000000;
+
+const part = (id, createdAt) => ({ id, part_type: 'comment', created_at: createdAt });
+const conversation = (id, updatedAt, parts = []) => ({
+  type: 'conversation',
+  id,
+  created_at: updatedAt - 100,
+  updated_at: updatedAt,
+  state: 'open',
+  conversation_parts: { conversation_parts: parts }
+});
+
+describe('Ticket Mirror', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mirror-'));
+    ticketMirror.db = new TicketDatabase('ticket-mirror', { dir: tmpDir });
+    ticketMirror.state = new JsonStore('ticket-mirror-state', { dir: tmpDir, flushDelayMs: 0 });
+    ticketMirror.options = { ...ticketMirror.options, enabled: true, syncParts: true };
+  });
+
+  afterEach(() => {
+    ticketMirror.db.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('merges webhook parts and never overwrites a newer copy', async () => {
+    await ticketMirror.recordWebhook(conversation('1', T + 2000, [part('p1', T + 1900)]));
+    await ticketMirror.recordWebhook(conversation('1', T + 2100, [part('p2', T + 2050)]));
+    await ticketMirror.recordWebhook({ ...conversation('1', T + 1500), state: 'closed' });
+
+    const ticket = ticketMirror.getTicket('1');
+    expect(ticket.state).toBe('open');
+    expect(ticket.updated_at).toBe(T + 2100);
+    expect(ticket.conversation_parts.conversation_parts.map((item) => item.id)).toEqual(['p1', 'p2']);
+  });
+
+  test('syncs what changed since the watermark and drops deleted tickets on a full sync', async () => {
+    let remote = [conversation('1', T + 1000), conversation('2', T + 2000)];
+    const search = jest.fn(async () => ({ conversations: remote, hasMore: false, nextCursor: null }));
+    const getConversation = jest.fn(async (id) => remote.find((item) => item.id === id));
+    ticketMirror.useIntercomService({ search, getConversation });
+
+    expect(ticketMirror.isReady()).toBe(false);
+    const first = await ticketMirror.sync();
+    expect(first).toMatchObject({ full: true, scanned: 2, updated: 2, watermark: T + 2000 });
+    expect(search).toHaveBeenLastCalledWith('conversations', null, expect.any(Object));
+    expect(ticketMirror.isReady()).toBe(true);
+
+    remote = [conversation('2', T + 2000), conversation('3', T + 2500)];
+    const incremental = await ticketMirror.sync();
+    expect(incremental).toMatchObject({ full: false, updated: 1, removed: 0 });
+    expect(search).toHaveBeenLastCalledWith(
+      'conversations', { field: 'updated_at', operator: '>', value: T + 1700 }, expect.any(Object)
+    );
+
+    const full = await ticketMirror.resync();
+    expect(full).toMatchObject({ full: true, updated: 0, removed: 1 });
+    expect(ticketMirror.listTickets()).toMatchObject({ total: 2, tickets: [{ id: '3' }, { id: '2' }] });
+    expect(ticketMirror.listTickets({ since: (T + 2300) * 1000 }).tickets.map((item) => item.id)).toEqual(['3']);
+    expect(ticketMirror.listTickets({ filter: (ticket) => ticket.id !== '3' })).toMatchObject({
+      total: 1, tickets: [{ id: '2' }]
+    });
+  });
+
+  test('pages through the mirror one page at a time, including tickets created in the same second', () => {
+    // Created in pairs: a and b, then c and d, then e
+    ['a', 'b', 'c', 'd', 'e'].forEach((id, index) => {
+      ticketMirror.upsert(conversation(id, T + 100 * Math.floor(index / 2)), 'sync');
+    });
+    const getParts = jest.spyOn(ticketMirror.db, 'getParts');
+
+    const pages = [...ticketMirror.iterateTickets({ pageSize: 2 })].map((page) => page.map((ticket) => ticket.id));
+    expect(pages).toEqual([['e', 'd'], ['c', 'b'], ['a']]);
+    expect(getParts).not.toHaveBeenCalled();
+    expect(ticketMirror.countTickets({ since: T * 1000 })).toBe(3);
+  });
+
+  test('imports the JSON file earlier versions kept the mirror in', () => {
+    const record = {
+      id: '9',
+      ticket: { id: '9', created_at: T, updated_at: T + 10 },
+      parts: [part('p9', T + 5)],
+      updatedAt: T + 10,
+      mirroredAt: Date.now(),
+      source: 'webhook'
+    };
+    fs.writeFileSync(path.join(tmpDir, 'ticket-mirror.json'), JSON.stringify({ 9: record }));
+
+    expect(ticketMirror.getTicket('9').conversation_parts.conversation_parts).toEqual([part('p9', T + 5)]);
+    expect(fs.existsSync(path.join(tmpDir, 'ticket-mirror.json.imported'))).toBe(true);
+  });
+});
@@ -0,0 +1,88 @@
+const { useTempDataDir } = require('./helpers/data-dir');
+
+useTempDataDir('ticket-tasks');
+process.env.LARK_TASKS_ENABLED = 'true';
+process.env.INTERCOM_APP_ID = 'app123';
+
+const larkService = require('../src/services/lark');
+const identityService = require('../src/services/identity');
+const ticketTasks = require('../src/services/ticket-tasks');
+
+const CREATED_AT = 1704067200;
+
+const ticket = (id, state = 'open') => ({
+  id,
+  state,
+  created_at: CREATED_AT,
+  custom_attributes: {
+    'Express Request - 3 hours Onsite Request': 'Yes',
+    'FULL Store Address': '12 Jalan Ampang, Kuala Lumpur',
+    'PIC Name': 'Aisyah'
+  }
+});
+
+describe('Ticket tasks', () => {
+  beforeAll(async () => {
+    await ticketTasks.initialize();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(larkService, 'makeRequest').mockImplementation(async (method, endpoint) => ({
+      code: 0,
+      data: { task: { guid: endpoint === '/task/v2/tasks' ? 'task_1' : undefined } }
+    }));
+    jest.spyOn(identityService, 'getLarkUserIdForAdmin')
+      .mockImplementation(async (admin) => (admin?.id ? `ou_${admin.id}` : null));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await ticketTasks.cleanup();
+  });
+
+  test('creates a task due at the SLA deadline, reassigns it and completes it on close', async () => {
+    const assign = (id, routed = true) => ticketTasks.handleTicketEvent(ticket('t1'), 'assigned', {
+      routed,
+      merchantName: 'Kopi',
+      assignee: { id, name: id }
+    });
+
+    await assign('admin_1');
+    // Other events and unrouted assignments of new tickets do not create tasks
+    await ticketTasks.handleTicketEvent(ticket('t2'), 'opened', { routed: true });
+    await ticketTasks.handleTicketEvent(ticket('t3'), 'assigned', { assignee: { id: 'admin_1' } });
+
+    const [method, endpoint, task, params] = larkService.makeRequest.mock.calls[0];
+    expect(larkService.makeRequest).toHaveBeenCalledTimes(1);
+    expect([method, endpoint, params]).toEqual(['POST', '/task/v2/tasks', { user_id_type: 'open_id' }]);
+    expect(task).toMatchObject({
+      summary: '⚡ EXPRESS Site inspection: Kopi',
+      // Express tickets are due 3 hours after creation
+      due: { timestamp: String((CREATED_AT + 3 * 60 * 60) * 1000), is_all_day: false },
+      origin: { href: { url: 'https://app.intercom.io/a/apps/app123/inbox/conversation/t1' } },
+      members: [{ id: 'ou_admin_1', type: 'user', role: 'assignee' }]
+    });
+    expect(task.description).toMatch(/Address: 12 Jalan Ampang/);
+
+    // The same assignee again is a no-op; a new one replaces them, even when not routed
+    await assign('admin_1');
+    await assign('admin_2', false);
+    expect(larkService.makeRequest.mock.calls.slice(1).map(([m, e, data]) => [m, e, data.members[0].id])).toEqual([
+      ['POST', '/task/v2/tasks/task_1/add_members', 'ou_admin_2'],
+      ['POST', '/task/v2/tasks/task_1/remove_members', 'ou_admin_1']
+    ]);
+
+    await ticketTasks.handleTicketEvent(ticket('t1', 'closed'), 'closed');
+    expect(larkService.makeRequest).toHaveBeenLastCalledWith('PATCH', '/task/v2/tasks/task_1', {
+      task: { completed_at: expect.any(String) },
+      update_fields: ['completed_at']
+    });
+    expect(ticketTasks.getHealthStatus()).toMatchObject({
+      openTasks: 0,
+      stats: { created: 1, reassigned: 1, completed: 1, failed: 0 }
+    });
+  });
+});
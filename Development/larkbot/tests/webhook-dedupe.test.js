@@ -0,0 +1,79 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonStore = require('../src/utils/json-store');
+const webhookDedupe = require('../src/services/webhook-dedupe');
+
+const payload = (extra = {}) => ({
+  type: 'notification_event',
+  topic: 'conversation.admin.assigned',
+  data: { item: { id: '123', updated_at: 1700000000 } },
+  ...extra
+});
+
+describe('Webhook Dedupe', () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dedupe-'));
+    webhookDedupe.store = new JsonStore('webhook-deliveries', { dir: tmpDir, flushDelayMs: 0 });
+  });
+
+  afterAll(async () => {
+    await webhookDedupe.cleanup();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('drops repeated deliveries by notification id or topic/conversation/updated_at hash', async () => {
+    expect((await webhookDedupe.claim(payload({ id: 'notif_1' }))).duplicate).toBe(false);
+    expect((await webhookDedupe.claim(payload({ id: 'notif_1' }))).duplicate).toBe(true);
+
+    expect((await webhookDedupe.claim(payload())).duplicate).toBe(false);
+    expect((await webhookDedupe.claim(payload())).duplicate).toBe(true);
+    expect((await webhookDedupe.claim(payload({ topic: 'conversation.state.changed' }))).duplicate).toBe(false);
+
+    const { key } = await webhookDedupe.claim(payload({ id: 'notif_failed' }));
+    webhookDedupe.release(key);
+    expect((await webhookDedupe.claim(payload({ id: 'notif_failed' }))).duplicate).toBe(false);
+  });
+
+  test('coalesces events for one conversation within the window into one update', async () => {
+    webhookDedupe.coalesceWindowMs = 50;
+    const deliver = jest.fn().mockResolvedValue();
+
+    webhookDedupe.coalesce('123', {
+      ticket: { id: '123', state: 'open', custom_attributes: { a: 1 } },
+      eventType: 'assigned',
+      metadata: { assignee: 'Ana' }
+    }, deliver);
+    webhookDedupe.coalesce('123', {
+      ticket: { id: '123', state: 'open', custom_attributes: { b: 2 } },
+      eventType: 'note_added',
+      metadata: { noteBy: 'Ana' }
+    }, deliver);
+    webhookDedupe.coalesce('456', { ticket: { id: '456' }, eventType: 'opened', metadata: {} }, deliver);
+
+    expect(deliver).not.toHaveBeenCalled();
+    await new Promise((resolve) => { setTimeout(resolve, 100); });
+
+    expect(deliver).toHaveBeenCalledTimes(2);
+    expect(deliver).toHaveBeenCalledWith({
+      ticket: { id: '123', state: 'open', custom_attributes: { a: 1, b: 2 } },
+      eventType: 'assigned',
+      metadata: { assignee: 'Ana', noteBy: 'Ana' }
+    });
+  });
+
+  test('fails only the update that opened the window when the merged delivery fails', async () => {
+    webhookDedupe.coalesceWindowMs = 10;
+    const deliver = jest.fn().mockRejectedValue(new Error('Lark unavailable'));
+
+    const update = (eventType) => ({ ticket: { id: '789' }, eventType, metadata: {} });
+    const first = webhookDedupe.coalesce('789', update('assigned'), deliver);
+    const merged = webhookDedupe.coalesce('789', update('replied'), deliver);
+
+    await expect(first).rejects.toThrow('Lark unavailable');
+    await expect(merged).resolves.toBeUndefined();
+    expect(deliver).toHaveBeenCalledTimes(1);
+  });
+});